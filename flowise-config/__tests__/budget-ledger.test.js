@@ -0,0 +1,155 @@
+// Budget ledger: limit merging and validation, windows, and reserve/settle/release under concurrency
+
+const {
+  defaultBudgetLimits,
+  validateBudgetLimits,
+  BudgetLedger,
+  createBudgetExceededError
+} = require('../budget-ledger');
+
+const NOW = Date.parse('2025-01-31T14:20:00Z');
+const user = { userId: 'u1', role: 'patient', orgId: 'clinic' };
+
+function createLedger(limits = {}, extra = {}) {
+  let now = NOW;
+  const ledger = new BudgetLedger({ limits, now: () => now, ...extra });
+  ledger.setNow = value => { now = value; };
+  return ledger;
+}
+
+describe('limits', () => {
+  test('a null default validates and stays unlimited', () => {
+    const limits = { user: { default: null }, org: { default: null } };
+    const ledger = createLedger(limits);
+
+    expect(validateBudgetLimits(limits)).toEqual([]);
+    expect(ledger.limits.user.default).toBeNull();
+    expect(ledger.limits.org.default).toBeNull();
+    expect(ledger.checkBudget({ userId: 'u1' }, 1000).allowed).toBe(true);
+  });
+
+  test('an object default is laid over the built-in one', () => {
+    const ledger = createLedger({ user: { default: { hourly: 1 } } });
+
+    expect(ledger.limits.user.default).toEqual({ ...defaultBudgetLimits.user.default, hourly: 1 });
+    expect(ledger.limits.org.default).toEqual(defaultBudgetLimits.org.default);
+  });
+
+  test('a null override makes one user unlimited', () => {
+    const ledger = createLedger({ user: { overrides: { vip: null } } });
+
+    expect(ledger.checkBudget({ userId: 'vip' }, 10).allowed).toBe(true);
+    expect(ledger.checkBudget({ userId: 'u1' }, 10).allowed).toBe(false);
+  });
+
+  test('rejects unknown sections, periods and negative amounts', () => {
+    expect(validateBudgetLimits({
+      team: {},
+      user: { default: { weekly: 1 } },
+      role: { patient: { hourly: -1 } },
+      org: { overrides: [] }
+    })).toEqual([
+      'Unknown section "team"',
+      'user.default has unknown period "weekly"',
+      'org.overrides must be an object',
+      'role.patient.hourly must be null or a non-negative number'
+    ]);
+  });
+});
+
+describe('checkBudget', () => {
+  test('the tightest window limits the request and says when it resets', () => {
+    const ledger = createLedger();
+    ledger.recordSpend(user, 0.45);
+    const check = ledger.checkBudget(user, 0.1);
+
+    expect(check.allowed).toBe(false);
+    expect(check.remaining).toBeCloseTo(0.05);
+    expect(check.exhausted[0]).toMatchObject({ scope: 'user', period: 'hourly', resetAt: '2025-01-31T15:00:00.000Z' });
+    expect(createBudgetExceededError(check)).toMatchObject({ type: 'budget_exceeded', code: 'BUDGET_EXCEEDED' });
+  });
+
+  test('role spend is shared inside an organization only', () => {
+    const ledger = createLedger({ role: { patient: { hourly: 1 } } });
+    ledger.recordSpend({ userId: 'u1', role: 'patient', orgId: 'clinic' }, 0.4);
+    ledger.recordSpend({ userId: 'u2', role: 'patient', orgId: 'clinic' }, 0.4);
+
+    expect(ledger.checkBudget({ userId: 'u3', role: 'patient', orgId: 'clinic' }, 0.3).exhausted[0].scope).toBe('role');
+    expect(ledger.checkBudget({ userId: 'u3', role: 'patient', orgId: 'other' }, 0.3).allowed).toBe(true);
+  });
+
+  test('a new hour starts an empty hourly window and drops the old one', () => {
+    const ledger = createLedger();
+    ledger.recordSpend(user, 0.45);
+    ledger.setNow(Date.parse('2025-01-31T15:05:00Z'));
+    ledger.recordSpend(user, 0.01);
+
+    expect(ledger.checkBudget(user, 0.4).allowed).toBe(true);
+    expect(Object.keys(ledger.spend).some(key => key.endsWith('2025-01-31T14'))).toBe(false);
+  });
+});
+
+describe('reserve, settle and release', () => {
+  test('concurrent requests cannot pass on the same remaining budget', () => {
+    const ledger = createLedger();
+    const first = ledger.reserve(user, 0.3);
+    const second = ledger.reserve(user, 0.3);
+
+    expect(first.reservation).not.toBeNull();
+    expect(second.allowed).toBe(false);
+    expect(second.reservation).toBeNull();
+  });
+
+  test('release frees the reservation of a failed request once', () => {
+    const ledger = createLedger();
+    const first = ledger.reserve(user, 0.3);
+    const second = ledger.reserve(user, 0.15);
+    ledger.release(first.reservation);
+    ledger.release(first.reservation);
+
+    expect(Object.keys(ledger.reserved)).toEqual(second.reservation.keys);
+    expect(ledger.spentFor('user', 'u1', 'hourly')).toBeCloseTo(0.15);
+    expect(ledger.reserve(user, 0.3).reservation).not.toBeNull();
+  });
+
+  test('settle replaces the estimate with the actual cost', () => {
+    const ledger = createLedger();
+    const { reservation } = ledger.reserve(user, 0.3);
+    ledger.settle(reservation, 0.1);
+    ledger.release(reservation);
+
+    expect(ledger.reserved).toEqual({});
+    expect(ledger.spentFor('user', 'u1', 'hourly')).toBeCloseTo(0.1);
+  });
+
+  test('settling in any order leaves only the actual spend', async () => {
+    const ledger = createLedger({ user: { default: { hourly: 1 } } });
+    const requests = [0.2, 0.3, 0.4].map(estimate => ledger.reserve(user, estimate));
+
+    expect(requests.every(request => request.allowed)).toBe(true);
+    expect(ledger.reserve(user, 0.2).allowed).toBe(false);
+
+    await Promise.all(requests.map((request, index) => new Promise(resolve => {
+      setTimeout(() => {
+        if (index === 1) ledger.release(request.reservation);
+        else ledger.settle(request.reservation, request.estimatedCost / 2);
+        resolve();
+      }, 3 - index);
+    })));
+
+    expect(ledger.reserved).toEqual({});
+    expect(ledger.spentFor('user', 'u1', 'hourly')).toBeCloseTo(0.3);
+    expect(ledger.spentFor('org', 'clinic', 'daily')).toBeCloseTo(0.3);
+  });
+});
+
+describe('persistence', () => {
+  test('settled spend goes to the state store and is read back', () => {
+    let saved = null;
+    const stateStore = { load: () => saved, save: spend => { saved = { ...spend }; } };
+    const ledger = createLedger({}, { stateStore });
+    ledger.settle(ledger.reserve(user, 0.2).reservation, 0.2);
+
+    expect(createLedger({}, { stateStore }).spentFor('user', 'u1', 'monthly')).toBeCloseTo(0.2);
+  });
+});
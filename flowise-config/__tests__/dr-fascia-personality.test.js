@@ -0,0 +1,111 @@
+// Persona composition across cultural, communication and emotional profile combinations
+
+const {
+  composeAdaptations,
+  ADAPTATION_LAYERS,
+  EMOTIONAL_STATES,
+  drFasciaPersonality,
+  drFasciaFlowiseConfig
+} = require('../dr-fascia-personality');
+
+const culturalBackgrounds = Object.keys(drFasciaPersonality.adaptive_responses.cultural_adaptation.traditional_medicine_integration);
+const communicationStyles = Object.keys(drFasciaPersonality.adaptive_responses.cultural_adaptation.communication_styles);
+const emotionalStates = Object.keys(EMOTIONAL_STATES);
+
+const combinations = [];
+for (const culturalBackground of [undefined, ...culturalBackgrounds]) {
+  for (const communicationStyle of [undefined, ...communicationStyles]) {
+    for (const emotionalState of [undefined, ...emotionalStates]) {
+      combinations.push([culturalBackground, communicationStyle, emotionalState]);
+    }
+  }
+}
+
+describe('composeAdaptations', () => {
+  test('an empty profile adds nothing', () => {
+    expect(composeAdaptations({}, {})).toEqual({ adaptations: [], resolved: {}, conflicts: [], ignored: [] });
+  });
+
+  test.each(combinations)('cultural %s, communication %s, emotional %s', (culturalBackground, communicationStyle, emotionalState) => {
+    const { adaptations, resolved, conflicts } = composeAdaptations({ culturalBackground, communicationStyle }, { emotionalState });
+
+    // One adaptation per layer that was set, in precedence order
+    const expectedLayers = [
+      culturalBackground && 'cultural',
+      communicationStyle && 'communication',
+      emotionalState && 'emotional'
+    ].filter(Boolean);
+    expect(adaptations.map(adaptation => adaptation.layer)).toEqual(expectedLayers);
+
+    // Every dimension resolves to the highest-precedence layer that set it
+    for (const [dimension, setting] of Object.entries(resolved)) {
+      const setters = adaptations.filter(adaptation => adaptation.settings && adaptation.settings[dimension] !== undefined);
+      const winner = setters[setters.length - 1];
+      expect(setting).toEqual({ value: winner.settings[dimension], layer: winner.layer });
+    }
+
+    for (const conflict of conflicts) {
+      expect(ADAPTATION_LAYERS[conflict.kept.layer].precedence).toBeGreaterThan(ADAPTATION_LAYERS[conflict.overridden.layer].precedence);
+      expect(conflict.kept).toEqual(resolved[conflict.dimension]);
+      expect(conflict.overridden.value).not.toBe(conflict.kept.value);
+    }
+  });
+
+  test('an anxious user gets a gentle tone even with a direct style', () => {
+    const { resolved, conflicts } = composeAdaptations(
+      { culturalBackground: 'tcm_familiar', communicationStyle: 'direct' },
+      { emotionalState: 'anxious' }
+    );
+
+    expect(resolved.tone).toEqual({ value: 'extra_gentle', layer: 'emotional' });
+    expect(resolved.framing).toEqual({ value: 'tcm_familiar', layer: 'cultural' });
+    expect(conflicts).toEqual([{
+      dimension: 'tone',
+      kept: { value: 'extra_gentle', layer: 'emotional' },
+      overridden: { value: 'direct', layer: 'communication' }
+    }]);
+  });
+
+  test('a curious user overrides both tone and detail of a direct style', () => {
+    const { conflicts } = composeAdaptations({ communicationStyle: 'direct' }, { emotionalState: 'curious' });
+
+    expect(conflicts.map(conflict => conflict.dimension)).toEqual(['tone', 'detail']);
+  });
+
+  test('unknown values are reported and left out', () => {
+    const { adaptations, ignored } = composeAdaptations(
+      { culturalBackground: 'martian', communicationStyle: 'collaborative' },
+      { emotionalState: 'bored' }
+    );
+
+    expect(adaptations.map(adaptation => adaptation.value)).toEqual(['collaborative']);
+    expect(ignored).toEqual([
+      { field: 'culturalBackground', value: 'martian' },
+      { field: 'emotionalState', value: 'bored' }
+    ]);
+  });
+});
+
+describe('system_message_generator', () => {
+  const generate = drFasciaFlowiseConfig.system_message_generator;
+
+  test('states precedence only when adaptations conflict', () => {
+    const conflicting = generate({ communicationStyle: 'direct' }, { emotionalState: 'anxious' });
+    const agreeing = generate({ culturalBackground: 'integrative', communicationStyle: 'collaborative' }, {});
+
+    expect(conflicting).toContain('ADAPTATION PRECEDENCE');
+    expect(conflicting).toContain('- tone: extra_gentle (emotional state) over direct (communication style)');
+    expect(agreeing).not.toContain('ADAPTATION PRECEDENCE');
+  });
+
+  test('renders the layers in precedence order', () => {
+    const prompt = generate(
+      { culturalBackground: 'ayurveda_familiar', communicationStyle: 'relationship_focused' },
+      { emotionalState: 'frustrated' }
+    );
+    const positions = ['CULTURAL ADAPTATION', 'COMMUNICATION ADAPTATION', 'EMOTIONAL ADAPTATION'].map(heading => prompt.indexOf(heading));
+
+    expect(positions.every(position => position >= 0)).toBe(true);
+    expect([...positions].sort((a, b) => a - b)).toEqual(positions);
+  });
+});
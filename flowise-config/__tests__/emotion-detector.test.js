@@ -0,0 +1,51 @@
+// Emotion detection over recent turns: negation, modifiers, ambiguous terms and trends
+
+const { EmotionDetector } = require('../emotion-detector');
+
+const detector = new EmotionDetector();
+
+describe('EmotionDetector', () => {
+  test('maps an indicator to the emotional state it drives', () => {
+    const result = detector.detect(['I am so worried about this pain']);
+
+    expect(result).toMatchObject({ emotionalState: 'anxious', emotion: 'anxiety', intensity: 'high', trend: null });
+    expect(result.evidence).toEqual([{ emotion: 'anxiety', term: 'worried', weight: 1.5, negated: false, turnsAgo: 0 }]);
+  });
+
+  test('ignores negated mentions', () => {
+    const result = detector.detect(['I am not worried at all']);
+
+    expect(result.emotionalState).toBeNull();
+    expect(result.evidence[0].negated).toBe(true);
+  });
+
+  test('downtoners weaken and intensifiers strengthen a mention', () => {
+    const mild = detector.detect(['I am a bit worried']);
+    const strong = detector.detect(['I am really worried']);
+
+    expect(mild.intensity).toBe('mild');
+    expect(strong.score).toBeGreaterThan(mild.score);
+  });
+
+  test('ambiguous terms count only after a feeling cue', () => {
+    expect(detector.detect(['The pain goes down my arm']).emotionalState).toBeNull();
+    expect(detector.detect(['I feel down']).emotionalState).toBe('discouraged');
+  });
+
+  test('reports a rising trend across turns', () => {
+    const result = detector.detect(['hello', 'I am frustrated', 'I am SO FRUSTRATED!']);
+
+    expect(result).toMatchObject({ emotionalState: 'frustrated', intensity: 'high', trend: 'rising', turns: 3 });
+  });
+
+  test('hope outweighing worry drives no modulation', () => {
+    expect(detector.detect(['I am worried but hopeful and optimistic']).emotionalState).toBeNull();
+  });
+
+  test('only the configured number of turns count', () => {
+    const result = new EmotionDetector({ turns: 2 }).detect(['I am worried', 'ok', 'thanks']);
+
+    expect(result.turns).toBe(2);
+    expect(result.emotionalState).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+// Experiment assignment, per-arm results and their persistence
+
+const { validateExperiments, proportionInterval, ExperimentManager } = require('../experiment-manager');
+
+const definitions = {
+  experiments: [
+    {
+      id: 'tone',
+      status: 'running',
+      arms: [
+        { id: 'control' },
+        { id: 'direct', weight: 3, persona: { communicationStyle: 'direct' }, prompt: 'Be brief.' }
+      ]
+    },
+    { id: 'paused', status: 'paused', arms: [{ id: 'a' }, { id: 'b' }] }
+  ]
+};
+
+const served = [{ experimentId: 'tone', armId: 'direct' }];
+
+function memoryStore() {
+  const rows = new Map();
+  return {
+    rows,
+    load: () => [...rows.values()],
+    save: results => results.forEach(arm => rows.set(`${arm.experimentId}:${arm.armId}`, JSON.parse(JSON.stringify(arm))))
+  };
+}
+
+describe('validateExperiments', () => {
+  test('names the path of every problem', () => {
+    expect(validateExperiments({
+      experiments: [{ id: 'x', status: 'live', traffic: 2, arms: [{ id: 'a', color: 'red' }, { id: 'a', model: 'nope' }] }]
+    }, ['gpt-4o'])).toEqual([
+      'experiments[0].status: expected one of draft, running, paused, concluded',
+      'experiments[0].traffic: must be a number between 0 and 1',
+      'experiments[0].arms[0]: unknown field "color" (expected one of id, weight, model, persona, prompt)',
+      'experiments[0].arms[1].id: duplicate arm "a"',
+      'experiments[0].arms[1].model: unknown model "nope"'
+    ]);
+  });
+
+  test('the constructor rejects invalid definitions with a typed error', () => {
+    expect(() => new ExperimentManager({ definitions: { experiments: {} } })).toThrow(
+      expect.objectContaining({ type: 'invalid_experiments' })
+    );
+  });
+});
+
+describe('assign', () => {
+  const manager = new ExperimentManager({ definitions });
+
+  test('a user keeps the same arm and only running experiments assign', () => {
+    const first = manager.assign({ userId: 'u1', role: 'patient' });
+
+    expect(manager.assign({ userId: 'u1', role: 'patient' })).toEqual(first);
+    expect(first.map(assignment => assignment.experimentId)).toEqual(['tone']);
+  });
+
+  test('an assignment carries the arm overrides but not its weight', () => {
+    const assignments = Array.from({ length: 40 }, (_, index) => manager.assign({ userId: `user-${index}` })[0]);
+    const direct = assignments.find(assignment => assignment.armId === 'direct');
+
+    expect(direct).toEqual({
+      experimentId: 'tone',
+      armId: 'direct',
+      persona: { communicationStyle: 'direct' },
+      prompt: 'Be brief.'
+    });
+    expect(assignments.filter(assignment => assignment.armId === 'direct').length).toBeGreaterThan(20);
+  });
+
+  test('nobody is assigned without a user id', () => {
+    expect(manager.assign({ role: 'patient' })).toEqual([]);
+  });
+});
+
+describe('results', () => {
+  test('exposures count errors apart from latency and cost', () => {
+    const manager = new ExperimentManager({ definitions });
+    manager.recordExposure({ experiments: served, sessionId: 's1', status: 'success', duration: 2, cost: 0.01 });
+    manager.recordExposure({ experiments: served, sessionId: 's1', status: 'error' });
+    const arm = manager.report()[0].arms[1];
+
+    expect(arm).toMatchObject({ armId: 'direct', exposures: 2 });
+    expect(arm.errorRate.rate).toBe(0.5);
+    expect(arm.latencySeconds).toMatchObject({ n: 1, mean: 2 });
+  });
+
+  test('a score joins the arms that served the session, or the arms it is given', () => {
+    const manager = new ExperimentManager({ definitions });
+    manager.recordExposure({ experiments: served, sessionId: 's1', status: 'success' });
+
+    expect(manager.recordOutcome({ sessionId: 's1', score: 4 })).toEqual(served);
+    expect(manager.recordOutcome({ sessionId: 'unknown', score: 5 })).toEqual([]);
+    expect(manager.recordOutcome({ sessionId: 'unknown', score: 2, experiments: served })).toEqual(served);
+    expect(manager.report()[0].arms[1].satisfaction).toMatchObject({ n: 2, mean: 3 });
+  });
+
+  test('results are saved to the state store and survive a restart', () => {
+    const stateStore = memoryStore();
+    const manager = new ExperimentManager({ definitions, stateStore });
+    manager.recordExposure({ experiments: served, sessionId: 's1', status: 'success', duration: 1 });
+    manager.recordOutcome({ sessionId: 's1', score: 5 });
+
+    expect([...stateStore.rows.keys()]).toEqual(['tone:direct']);
+    const restarted = new ExperimentManager({ definitions, stateStore });
+    restarted.recordOutcome({ sessionId: 's1', score: 3, experiments: served });
+
+    expect(restarted.report()[0].arms[1]).toMatchObject({ exposures: 1, satisfaction: { n: 2, mean: 4 } });
+  });
+
+  test('the lift over the control arm needs two scores in each arm', () => {
+    const manager = new ExperimentManager({ definitions });
+    const control = [{ experimentId: 'tone', armId: 'control' }];
+    [3, 4].forEach(score => manager.recordOutcome({ sessionId: 'a', score, experiments: control }));
+    manager.recordOutcome({ sessionId: 'b', score: 5, experiments: served });
+
+    expect(manager.report()[0].arms[1].satisfactionLift).toBeNull();
+    manager.recordOutcome({ sessionId: 'b', score: 5, experiments: served });
+    expect(manager.report()[0].arms[1].satisfactionLift.difference).toBeCloseTo(1.5);
+  });
+});
+
+describe('proportionInterval', () => {
+  test('stays inside [0, 1] for rare events', () => {
+    const { ci95 } = proportionInterval(0, 5);
+
+    expect(ci95[0]).toBe(0);
+    expect(ci95[1]).toBeLessThan(1);
+  });
+});
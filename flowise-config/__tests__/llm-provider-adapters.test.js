@@ -0,0 +1,380 @@
+// Provider adapters against a local mock HTTP server
+
+const http = require('http');
+const {
+  OpenAIAdapter,
+  AnthropicAdapter,
+  GeminiAdapter,
+  PerplexityAdapter,
+  OllamaAdapter,
+  createProviderAdapters,
+  ProviderRouter
+} = require('../llm-provider-adapters');
+
+// Each test sets `handle(req, body, res)`; the server records what it received
+let server;
+let baseUrl;
+let handle;
+let received;
+
+beforeAll(done => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handle(req, body, res);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  received = [];
+  handle = (req, body, res) => res.writeHead(500).end();
+});
+
+function json(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function sse(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) {
+    res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+  }
+  res.end();
+}
+
+async function collect(iterable) {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+}
+
+const request = {
+  model: 'gpt-4o',
+  system: 'You are Dr. Fascia.',
+  messages: [{ role: 'user', content: 'My neck is stiff' }],
+  maxTokens: 64,
+  temperature: 0.2
+};
+
+describe('OpenAIAdapter', () => {
+  test('sends a chat completion and parses text and usage', async () => {
+    handle = (req, body, res) => json(res, 200, {
+      choices: [{ message: { content: 'Try gentle stretches.' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 12, completion_tokens: 4 }
+    });
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+
+    const result = await adapter.complete(request);
+
+    expect(result).toMatchObject({
+      text: 'Try gentle stretches.',
+      provider: 'openai',
+      model: 'gpt-4o',
+      finishReason: 'stop',
+      usage: { inputTokens: 12, outputTokens: 4 }
+    });
+    const [call] = received;
+    expect(call.url).toBe('/chat/completions');
+    expect(call.headers.authorization).toBe('Bearer sk-test');
+    expect(call.body.messages[0]).toEqual({ role: 'system', content: 'You are Dr. Fascia.' });
+    expect(call.body).toMatchObject({ max_tokens: 64, temperature: 0.2, stream: false });
+  });
+
+  test('streams tokens and reports usage from the final chunk', async () => {
+    handle = (req, body, res) => sse(res, [
+      { choices: [{ delta: { content: 'Try ' } }] },
+      { choices: [{ delta: { content: 'heat.' }, finish_reason: 'stop' }] },
+      { choices: [], usage: { prompt_tokens: 9, completion_tokens: 2 } },
+      '[DONE]'
+    ]);
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+
+    const events = await collect(adapter.stream(request));
+
+    expect(events.filter(event => event.type === 'token').map(event => event.text)).toEqual(['Try ', 'heat.']);
+    expect(events[events.length - 1]).toMatchObject({
+      type: 'done',
+      text: 'Try heat.',
+      usage: { inputTokens: 9, outputTokens: 2 },
+      finishReason: 'stop'
+    });
+    expect(received[0].body.stream_options).toEqual({ include_usage: true });
+  });
+
+  test('returns native tool calls with parsed arguments', async () => {
+    handle = (req, body, res) => json(res, 200, {
+      choices: [{
+        message: {
+          content: null,
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"term":"fascia"}' } }]
+        },
+        finish_reason: 'tool_calls'
+      }]
+    });
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+
+    const result = await adapter.complete({
+      ...request,
+      tools: [{ name: 'lookup', description: 'Look up a term', parameters: { type: 'object' } }]
+    });
+
+    expect(result.toolCalls).toEqual([{ id: 'call_1', name: 'lookup', arguments: { term: 'fascia' } }]);
+    expect(received[0].body.tool_choice).toBe('auto');
+  });
+});
+
+describe('PerplexityAdapter', () => {
+  test('keeps citations from the response', async () => {
+    handle = (req, body, res) => json(res, 200, {
+      choices: [{ message: { content: 'See the review.' } }],
+      citations: ['https://example.org/review']
+    });
+    const adapter = new PerplexityAdapter({ apiKey: 'pplx-test', baseUrl });
+
+    const result = await adapter.complete({ ...request, model: 'perplexity-sonar' });
+
+    expect(result.provider).toBe('perplexity');
+    expect(result.citations).toEqual(['https://example.org/review']);
+  });
+});
+
+describe('AnthropicAdapter', () => {
+  test('sends the system prompt separately with version headers', async () => {
+    handle = (req, body, res) => json(res, 200, {
+      content: [{ type: 'text', text: 'Rest and hydrate.' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 20, output_tokens: 5 }
+    });
+    const adapter = new AnthropicAdapter({ apiKey: 'ant-test', baseUrl });
+
+    const result = await adapter.complete({ ...request, model: 'claude-3-5-sonnet' });
+
+    expect(result).toMatchObject({ text: 'Rest and hydrate.', finishReason: 'end_turn', usage: { inputTokens: 20, outputTokens: 5 } });
+    const [call] = received;
+    expect(call.url).toBe('/v1/messages');
+    expect(call.headers['x-api-key']).toBe('ant-test');
+    expect(call.headers['anthropic-version']).toBe('2023-06-01');
+    expect(call.body.system).toBe('You are Dr. Fascia.');
+    expect(call.body.messages).toEqual(request.messages);
+  });
+
+  test('streams content deltas with usage from the message events', async () => {
+    handle = (req, body, res) => sse(res, [
+      { type: 'message_start', message: { usage: { input_tokens: 15 } } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Move ' } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'slowly.' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } },
+      { type: 'message_stop' }
+    ]);
+    const adapter = new AnthropicAdapter({ apiKey: 'ant-test', baseUrl });
+
+    const events = await collect(adapter.stream({ ...request, model: 'claude-3-5-sonnet' }));
+
+    expect(events[events.length - 1]).toMatchObject({
+      type: 'done',
+      text: 'Move slowly.',
+      usage: { inputTokens: 15, outputTokens: 3 },
+      finishReason: 'end_turn'
+    });
+  });
+});
+
+describe('GeminiAdapter', () => {
+  test('puts the key in the query string and maps assistant turns to model', async () => {
+    handle = (req, body, res) => json(res, 200, {
+      candidates: [{ content: { parts: [{ text: 'Use a foam roller.' }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 11, candidatesTokenCount: 6 }
+    });
+    const adapter = new GeminiAdapter({ apiKey: 'g-test', baseUrl });
+
+    const result = await adapter.complete({
+      ...request,
+      model: 'gemini-1.5-pro',
+      messages: [...request.messages, { role: 'assistant', content: 'Since when?' }, { role: 'user', content: 'A week' }]
+    });
+
+    expect(result).toMatchObject({ text: 'Use a foam roller.', finishReason: 'stop', usage: { inputTokens: 11, outputTokens: 6 } });
+    const [call] = received;
+    expect(call.url).toMatch(/^\/v1beta\/models\/[^:]+:generateContent\?key=g-test$/);
+    expect(call.body.contents.map(content => content.role)).toEqual(['user', 'model', 'user']);
+    expect(call.body.systemInstruction).toEqual({ parts: [{ text: 'You are Dr. Fascia.' }] });
+  });
+
+  test('streams over SSE', async () => {
+    handle = (req, body, res) => sse(res, [
+      { candidates: [{ content: { parts: [{ text: 'Breathe ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'deeply.' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 2 } }
+    ]);
+    const adapter = new GeminiAdapter({ apiKey: 'g-test', baseUrl });
+
+    const events = await collect(adapter.stream({ ...request, model: 'gemini-1.5-pro' }));
+
+    expect(received[0].url).toContain(':streamGenerateContent?alt=sse&key=g-test');
+    expect(events[events.length - 1]).toMatchObject({ text: 'Breathe deeply.', usage: { inputTokens: 7, outputTokens: 2 } });
+  });
+});
+
+describe('OllamaAdapter', () => {
+  test('streams newline-delimited JSON', async () => {
+    handle = (req, body, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(`${JSON.stringify({ message: { content: 'Ice ' }, done: false })}\n`);
+      res.write(`${JSON.stringify({ message: { content: 'it.' }, done: false })}\n`);
+      res.end(`${JSON.stringify({ message: { content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 8, eval_count: 2 })}\n`);
+    };
+    const adapter = new OllamaAdapter({ baseUrl });
+
+    const events = await collect(adapter.stream({ ...request, model: 'llama3.2' }));
+
+    expect(received[0].url).toBe('/api/chat');
+    expect(received[0].body.options).toEqual({ num_predict: 64, temperature: 0.2 });
+    expect(events[events.length - 1]).toMatchObject({ text: 'Ice it.', usage: { inputTokens: 8, outputTokens: 2 } });
+  });
+});
+
+describe('error classification', () => {
+  test.each([
+    [401, 'auth_error'],
+    [403, 'auth_error'],
+    [429, 'rate_limited'],
+    [503, 'provider_unavailable'],
+    [400, 'http_error']
+  ])('status %i is %s', async (status, type) => {
+    handle = (req, body, res) => json(res, status, { error: 'nope' });
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+
+    await expect(adapter.complete(request)).rejects.toMatchObject({ type, status, provider: 'openai' });
+  });
+
+  test('reads retry-after seconds from a rate limit', async () => {
+    handle = (req, body, res) => json(res, 429, { error: 'slow down' }, { 'Retry-After': '7' });
+    const adapter = new AnthropicAdapter({ apiKey: 'ant-test', baseUrl });
+
+    await expect(adapter.complete(request)).rejects.toMatchObject({ type: 'rate_limited', retryAfter: 7 });
+  });
+
+  test('times out a request that never answers', async () => {
+    handle = () => {};
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl, timeout: 50 });
+
+    await expect(adapter.complete(request)).rejects.toMatchObject({ type: 'timeout' });
+  });
+
+  test('reports a cancelled request when the caller aborts', async () => {
+    handle = () => {};
+    const controller = new AbortController();
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+
+    const pending = adapter.complete({ ...request, signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(pending).rejects.toMatchObject({ type: 'cancelled' });
+  });
+
+  test('reports a network error when nothing listens', async () => {
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl: 'http://127.0.0.1:1' });
+
+    await expect(adapter.complete(request)).rejects.toMatchObject({ type: 'network_error' });
+  });
+});
+
+describe('abort listener cleanup', () => {
+  // A conversation reuses one signal across many provider calls
+  function trackedSignal() {
+    const controller = new AbortController();
+    const listeners = new Set();
+    const { signal } = controller;
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (type, listener, options) => {
+      listeners.add(listener);
+      add(type, listener, options);
+    };
+    signal.removeEventListener = (type, listener, options) => {
+      listeners.delete(listener);
+      remove(type, listener, options);
+    };
+    return { signal, listeners };
+  }
+
+  test('removes the listener after a completion', async () => {
+    handle = (req, body, res) => json(res, 200, { choices: [{ message: { content: 'ok' } }] });
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+    const { signal, listeners } = trackedSignal();
+
+    for (let i = 0; i < 3; i++) await adapter.complete({ ...request, signal });
+
+    expect(listeners.size).toBe(0);
+  });
+
+  test('removes the listener after a failed request', async () => {
+    handle = (req, body, res) => json(res, 503, { error: 'down' });
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+    const { signal, listeners } = trackedSignal();
+
+    await expect(adapter.complete({ ...request, signal })).rejects.toMatchObject({ type: 'provider_unavailable' });
+
+    expect(listeners.size).toBe(0);
+  });
+
+  test('keeps the listener until a stream is read, then removes it', async () => {
+    handle = (req, body, res) => sse(res, [{ choices: [{ delta: { content: 'hi' }, finish_reason: 'stop' }] }]);
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+    const { signal, listeners } = trackedSignal();
+
+    const iterator = adapter.stream({ ...request, signal })[Symbol.asyncIterator]();
+    await iterator.next();
+    expect(listeners.size).toBe(1);
+
+    while (!(await iterator.next()).done);
+    expect(listeners.size).toBe(0);
+  });
+
+  test('removes the listener when the consumer stops a stream early', async () => {
+    handle = (req, body, res) => sse(res, [
+      { choices: [{ delta: { content: 'one ' } }] },
+      { choices: [{ delta: { content: 'two' } }] }
+    ]);
+    const adapter = new OpenAIAdapter({ apiKey: 'sk-test', baseUrl });
+    const { signal, listeners } = trackedSignal();
+
+    for await (const event of adapter.stream({ ...request, signal })) {
+      if (event.type === 'token') break;
+    }
+
+    expect(listeners.size).toBe(0);
+  });
+});
+
+describe('ProviderRouter', () => {
+  test('routes a decision to the adapter of its provider', async () => {
+    handle = (req, body, res) => json(res, 200, { message: { content: 'local answer' }, done: true });
+    const router = new ProviderRouter({ adapters: createProviderAdapters({ ollama: { baseUrl } }) });
+    const decision = { model: 'llama3.2', taskType: 'general' };
+
+    const result = await router.complete(decision, { messages: request.messages });
+
+    expect(result).toMatchObject({ text: 'local answer', provider: 'ollama', routing: decision });
+    expect(received[0].url).toBe('/api/chat');
+  });
+
+  test('rejects unknown models and unconfigured providers', () => {
+    const router = new ProviderRouter({ adapters: {}, modelProviderMap: { 'gpt-4o': { provider: 'openai' } } });
+
+    expect(() => router.getAdapter('no-such-model')).toThrow(expect.objectContaining({ type: 'unknown_model' }));
+    expect(() => router.getAdapter('gpt-4o')).toThrow(expect.objectContaining({ type: 'provider_not_configured', provider: 'openai' }));
+  });
+});
@@ -0,0 +1,230 @@
+// Online weight learner: seeded simulation, persistence and Thompson sampling
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModelWeightLearner, simulateFeedback, createSeededRandom, sampleBeta } = require('../model-weight-learner');
+
+const modelCapabilities = {
+  'model-a': { reasoning: 0.7, medical_knowledge: 0.7 },
+  'model-b': { reasoning: 0.7, medical_knowledge: 0.7 },
+  'model-c': { reasoning: 0.7, medical_knowledge: 0.7 }
+};
+const taskTypes = {
+  diagnosis: { required_capabilities: ['reasoning', 'medical_knowledge'] }
+};
+
+function createLearner(config = {}) {
+  return new ModelWeightLearner({
+    modelCapabilities,
+    taskTypes,
+    learningConfig: { update_frequency: 'realtime', minimum_samples: 5 },
+    seed: 7,
+    ...config
+  });
+}
+
+const simulation = {
+  seed: 42,
+  rounds: 300,
+  taskType: 'diagnosis',
+  trueQuality: { 'model-a': 0.9, 'model-b': 0.5, 'model-c': 0.3 },
+  latencyMs: { 'model-a': 1500, 'model-b': 1500, 'model-c': 1500 }
+};
+
+describe('seeded sampling', () => {
+  test('the same seed gives the same sequence', () => {
+    const first = createSeededRandom(3);
+    const second = createSeededRandom(3);
+    const draws = Array.from({ length: 5 }, () => first());
+
+    expect(Array.from({ length: 5 }, () => second())).toEqual(draws);
+    expect(draws.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+
+  test('beta draws stay in [0, 1] around the mean', () => {
+    const random = createSeededRandom(11);
+    const draws = Array.from({ length: 2000 }, () => sampleBeta(8, 2, random));
+    const mean = draws.reduce((sum, value) => sum + value, 0) / draws.length;
+
+    expect(draws.every(value => value >= 0 && value <= 1)).toBe(true);
+    expect(mean).toBeCloseTo(0.8, 1);
+  });
+});
+
+describe('simulateFeedback', () => {
+  test('is reproducible for a seed', () => {
+    const first = simulateFeedback(createLearner(), simulation);
+    const second = simulateFeedback(createLearner(), simulation);
+
+    expect(second.events).toEqual(first.events);
+    expect(second.weights).toEqual(first.weights);
+  });
+
+  test('learns the best model from equal priors and routes most traffic to it', () => {
+    const { events, weights } = simulateFeedback(createLearner(), simulation);
+    const picks = events.filter(event => event.model === 'model-a').length;
+
+    expect(weights['model-a'].posteriorMean).toBeGreaterThan(weights['model-b'].posteriorMean);
+    expect(weights['model-a'].active).toBe(true);
+    expect(picks / events.length).toBeGreaterThan(0.6);
+    expect(events.slice(-50).filter(event => event.model === 'model-a').length).toBeGreaterThan(40);
+  });
+
+  test('slow models lose weight through the latency signal', () => {
+    const { weights } = simulateFeedback(createLearner(), {
+      ...simulation,
+      trueQuality: { 'model-a': 0.7, 'model-b': 0.7 },
+      latencyMs: { 'model-a': 1000, 'model-b': 8000 },
+      includeExpert: false
+    });
+
+    expect(weights['model-a'].posteriorMean).toBeGreaterThan(weights['model-b'].posteriorMean);
+  });
+});
+
+describe('recordFeedback', () => {
+  test('counts a safety incident as zero reward', () => {
+    const learner = createLearner();
+    const event = learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 5, safetyIncident: true });
+
+    expect(event.reward).toBe(0);
+    expect(learner.explain('diagnosis', 'model-a').reasons).toContain('1 safety incident(s) counted as zero reward');
+  });
+
+  test('a successful call keeps the prior quality and a failed one scores zero', () => {
+    const learner = createLearner();
+
+    expect(learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', callSucceeded: true }).reward).toBeCloseTo(0.7);
+    expect(learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', callSucceeded: false }).reward).toBe(0);
+  });
+
+  test('fast successful calls alone do not lift a model above a better prior', () => {
+    const learner = createLearner({
+      modelCapabilities: { ...modelCapabilities, 'model-b': { reasoning: 0.8, medical_knowledge: 0.8 } }
+    });
+    for (let i = 0; i < 50; i++) {
+      learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', callSucceeded: true, latencyMs: 300 });
+    }
+
+    expect(learner.learnedScore('diagnosis', 'model-a')).toBeCloseTo(0.7, 5);
+    expect(learner.learnedScore('diagnosis', 'model-a')).toBeLessThan(learner.priorMean('diagnosis', 'model-b'));
+  });
+
+  test('slow calls scale the quality down', () => {
+    const learner = createLearner();
+    const event = learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 5, latencyMs: 4000, callSucceeded: true });
+
+    expect(event.reward).toBeCloseTo(0.75);
+  });
+
+  test('ignores feedback without a usable signal', () => {
+    expect(createLearner().recordFeedback({ taskType: 'diagnosis', model: 'model-a' })).toBeNull();
+  });
+
+  test('requires a task type and model', () => {
+    expect(() => createLearner().recordFeedback({ model: 'model-a', userFeedbackScore: 4 })).toThrow('Feedback requires taskType and model');
+  });
+});
+
+describe('persistence', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weight-learner-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const daily = { update_frequency: 'daily', minimum_samples: 5 };
+
+  test('saves queued feedback before it is applied', () => {
+    const statePath = path.join(dir, 'weights.json');
+    const learner = createLearner({ statePath, learningConfig: daily });
+
+    learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 5 });
+    learner.flush();
+    const restarted = createLearner({ statePath, learningConfig: { update_frequency: 'daily', minimum_samples: 5 } });
+
+    expect(restarted.state.pending).toHaveLength(1);
+    expect(restarted.applyPendingUpdates()).toHaveLength(1);
+    expect(restarted.getWeights('diagnosis')['model-a'].samples).toBe(1);
+  });
+
+  test('batches the writes of queued feedback', () => {
+    jest.useFakeTimers();
+    const writes = jest.spyOn(fs, 'writeFileSync');
+    try {
+      const statePath = path.join(dir, 'weights.json');
+      const learner = createLearner({ statePath, learningConfig: daily, saveDelayMs: 500 });
+
+      for (let i = 0; i < 20; i++) {
+        learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 4 });
+      }
+      expect(writes).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(500);
+      expect(writes).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(fs.readFileSync(statePath, 'utf8')).pending).toHaveLength(20);
+    } finally {
+      writes.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+
+  test('folds the queue into the posteriors once it reaches maxPending', () => {
+    const learner = createLearner({ learningConfig: daily, maxPending: 3 });
+
+    for (let i = 0; i < 3; i++) {
+      learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 4 });
+    }
+
+    expect(learner.state.pending).toHaveLength(0);
+    expect(learner.getWeights('diagnosis')['model-a'].samples).toBe(3);
+  });
+
+  test('reloads applied weights', () => {
+    const statePath = path.join(dir, 'weights.json');
+    const { weights } = simulateFeedback(createLearner({ statePath }), { ...simulation, rounds: 40 });
+
+    expect(createLearner({ statePath }).getWeights('diagnosis')).toEqual(weights);
+  });
+});
+
+describe('sampledScore', () => {
+  test('is null until an arm has the minimum samples', () => {
+    const learner = createLearner();
+    for (let i = 0; i < 4; i++) {
+      learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 5 });
+    }
+    expect(learner.sampledScore('diagnosis', 'model-a')).toBeNull();
+
+    learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 5 });
+    const score = learner.sampledScore('diagnosis', 'model-a');
+    expect(score).toBeGreaterThan(0);
+    expect(score).toBeLessThan(1);
+  });
+
+  test('samples models without feedback from their capability prior', () => {
+    const learner = createLearner();
+    for (let i = 0; i < 5; i++) {
+      learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 5 });
+    }
+
+    const draws = Array.from({ length: 500 }, () => learner.sampledScore('diagnosis', 'model-b'));
+    const mean = draws.reduce((sum, value) => sum + value, 0) / draws.length;
+
+    expect(new Set(draws).size).toBeGreaterThan(1);
+    expect(mean).toBeCloseTo(0.7, 1);
+    expect(learner.getWeights('diagnosis')['model-b']).toBeUndefined();
+  });
+
+  test('is null when automatic adjustment is off', () => {
+    const learner = createLearner({ learningConfig: { update_frequency: 'realtime', minimum_samples: 1, auto_adjust_weights: false } });
+    learner.recordFeedback({ taskType: 'diagnosis', model: 'model-a', userFeedbackScore: 5 });
+
+    expect(learner.sampledScore('diagnosis', 'model-a')).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+// {{placeholder}} rendering, escaping and template linting
+
+const {
+  TEMPLATE_VARIABLES,
+  parseTemplate,
+  escapeValue,
+  renderTemplate,
+  renderFirst,
+  lintTemplates
+} = require('../persona-templates');
+const { drFasciaPersonality, drFasciaFlowiseConfig } = require('../dr-fascia-personality');
+
+describe('renderTemplate', () => {
+  test('fills every placeholder', () => {
+    expect(renderTemplate('How does the {{ symptom }} feel, {{emotion}}?', { symptom: 'tightness', emotion: 'worry' }))
+      .toEqual({ text: 'How does the tightness feel, worry?', missing: [] });
+  });
+
+  test('reports missing values instead of rendering braces', () => {
+    expect(renderTemplate('{{symptom}} and {{emotion}}', { symptom: 'pain', emotion: '  ' }))
+      .toEqual({ text: null, missing: ['emotion'] });
+  });
+});
+
+describe('escapeValue', () => {
+  test('keeps user text on one inert line', () => {
+    expect(escapeValue('*neck* pain\nnow\u0007 [link](x)')).toBe('\\*neck\\* pain now \\[link\\](x)');
+  });
+
+  test('caps long values', () => {
+    const value = escapeValue('a'.repeat(500));
+
+    expect(value).toHaveLength(120);
+    expect(value.endsWith('…')).toBe(true);
+  });
+});
+
+describe('renderFirst', () => {
+  test('falls back to the first variant that can be filled', () => {
+    expect(renderFirst(['Your {{symptom}} sounds hard.', 'That sounds hard.'], {}))
+      .toEqual({ text: 'That sounds hard.', missing: [] });
+  });
+
+  test('collects what every variant was missing', () => {
+    expect(renderFirst(['{{symptom}}', '{{emotion}}'], {})).toEqual({ text: null, missing: ['symptom', 'emotion'] });
+  });
+});
+
+describe('parseTemplate and lintTemplates', () => {
+  test('flags malformed placeholders and stray braces', () => {
+    expect(parseTemplate('{{ bad-name }} {{ok}} }}')).toEqual({
+      names: ['ok'],
+      errors: ['malformed placeholder {{ bad-name }}', 'unbalanced {{ or }}']
+    });
+  });
+
+  test('names the path of an unknown placeholder', () => {
+    expect(lintTemplates({ phrases: ['{{symptom}}', '{{sympton}}'] }, 'root'))
+      .toEqual(['root.phrases[1]: unknown placeholder {{sympton}}']);
+  });
+
+  test('the shipped personality only uses known placeholders', () => {
+    expect(lintTemplates(drFasciaPersonality, 'drFasciaPersonality')).toEqual([]);
+    expect(lintTemplates(drFasciaFlowiseConfig.response_templates, 'response_templates')).toEqual([]);
+    expect(Object.keys(TEMPLATE_VARIABLES).length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,141 @@
+// PHI privacy routing: detection, the three policies, audit and re-identification of answers
+
+// The registry enables its local model outside development and test, as the server does
+process.env.MODEL_REGISTRY_ENV = 'production';
+
+const { PhiPrivacyGuard, createReidentifier } = require('../phi-privacy-router');
+const { routeAndComplete, modelRegistry } = require('../enhanced-multi-llm-orchestrator');
+
+const QUERY = 'My knee hurts, call me at 555-123-4567';
+
+function createGuard(policy, extra = {}) {
+  const audits = [];
+  const guard = new PhiPrivacyGuard({
+    policy,
+    modelProviders: modelRegistry.modelProviderMap,
+    auditLogger: { logAccess: async entry => { audits.push(entry); } },
+    ...extra
+  });
+  return { guard, audits };
+}
+
+// Answers with the placeholder it was given, as a model following the redaction instruction would
+function createProviderRouter() {
+  const calls = [];
+  return {
+    calls,
+    adapters: {},
+    async complete(routingDecision, request) {
+      calls.push({ routingDecision, request });
+      return { text: 'I will call [PHI_PHONE_1].', model: routingDecision.model, provider: 'test', usage: { inputTokens: 10, outputTokens: 5 } };
+    }
+  };
+}
+
+describe('detect', () => {
+  test('finds each identifier type in text order', async () => {
+    const { guard } = createGuard('redact');
+    const matches = await guard.detect('Patient John Smith, MRN 12345678, DOB 01/02/1980, call 555-123-4567 or john@example.com');
+
+    expect(matches.map(match => [match.type, match.value])).toEqual([
+      ['names', 'John Smith'],
+      ['mrn', '12345678'],
+      ['dob', '01/02/1980'],
+      ['phoneNumbers', '555-123-4567'],
+      ['emails', 'john@example.com']
+    ]);
+  });
+
+  test('the longer match wins where detectors overlap', async () => {
+    const { guard } = createGuard('redact');
+
+    expect((await guard.detect('call 555.1234567')).map(match => match.type)).toEqual(['phoneNumbers']);
+  });
+
+  test('rejects an unknown policy', () => {
+    expect(() => new PhiPrivacyGuard({ orgPolicies: { clinic: 'allow' } })).toThrow('Unknown PHI routing policy "allow"');
+  });
+});
+
+describe('protect', () => {
+  test('a query without PHI passes unchanged', async () => {
+    const { guard } = createGuard('block');
+    const options = { messages: [] };
+
+    expect(await guard.protect('What is fascia?', options)).toEqual({ userQuery: 'What is fascia?', options, privacy: null, reidentifier: null });
+  });
+
+  test('redact replaces the same value with the same placeholder in the query and history', async () => {
+    const { guard } = createGuard('redact');
+    const result = await guard.protect('Call me at 555-123-4567, email john@example.com', {
+      messages: [{ role: 'user', content: 'My number is 555-123-4567' }],
+      system: 'SYSTEM'
+    });
+
+    expect(result.userQuery).toBe('Call me at [PHI_PHONE_1], email [PHI_EMAIL_1]');
+    expect(result.options.messages[0].content).toBe('My number is [PHI_PHONE_1]');
+    expect(result.options.system).toMatch(/^SYSTEM\n\nSome personal details/);
+    expect(result.privacy).toMatchObject({ action: 'redact', phiTypes: ['phoneNumbers', 'emails'], redactedCount: 2 });
+  });
+
+  test('local_only keeps the text but turns off the cache, fallback and ensemble', async () => {
+    const { guard } = createGuard('local_only');
+    const result = await guard.protect(QUERY, {});
+
+    expect(result.userQuery).toBe(QUERY);
+    expect(result.options).toEqual({ cache: false, fallback: false, ensemble: false });
+  });
+
+  test('an organization override blocks and audits the refusal', async () => {
+    const { guard, audits } = createGuard('redact', { orgPolicies: { strict: 'block' } });
+
+    await expect(guard.protect(QUERY, { principal: { userId: 'u1', orgId: 'strict' } })).rejects.toMatchObject({
+      type: 'phi_blocked',
+      phiTypes: ['phoneNumbers']
+    });
+    expect(audits).toEqual([expect.objectContaining({ userId: 'u1', orgId: 'strict', outcome: 'blocked', policy: 'block' })]);
+  });
+
+  test('a decision that cannot be audited is not sent', async () => {
+    const guard = new PhiPrivacyGuard({
+      policy: 'block',
+      auditLogger: { logAccess: async () => { throw new Error('disk full'); } }
+    });
+
+    await expect(guard.protect(QUERY, {})).rejects.toMatchObject({ type: 'phi_audit_failed' });
+  });
+});
+
+describe('createReidentifier', () => {
+  test('restores a placeholder split across streamed tokens', () => {
+    const reidentifier = createReidentifier(new Map([['[PHI_PHONE_1]', '555-123-4567']]));
+    const text = ['I will call [PHI_', 'PHONE_1', '] today', ' [soon'].map(chunk => reidentifier.push(chunk)).join('');
+
+    expect(text + reidentifier.flush()).toBe('I will call 555-123-4567 today [soon');
+    expect(reidentifier.text('[PHI_NAME_9]')).toBe('[PHI_NAME_9]');
+  });
+});
+
+describe('routeAndComplete', () => {
+  test('local_only moves the query to a local model and audits the model used', async () => {
+    const { guard, audits } = createGuard('local_only');
+    const providerRouter = createProviderRouter();
+    const result = await routeAndComplete('auto', QUERY, { providerRouter, privacyGuard: guard, fallback: false, cache: false });
+
+    expect(guard.isLocal(result.model)).toBe(true);
+    expect(providerRouter.calls[0].routingDecision.adjustments).toContainEqual(expect.objectContaining({ stage: 'privacy', reason: 'phi_local_only' }));
+    expect(providerRouter.calls[0].request.messages.at(-1).content).toBe(QUERY);
+    expect(audits).toEqual([expect.objectContaining({ phiAction: 'local_only', model: result.model })]);
+  });
+
+  test('redact sends placeholders to the cloud model and restores them in the answer', async () => {
+    const { guard } = createGuard('redact');
+    const providerRouter = createProviderRouter();
+    const result = await routeAndComplete('auto', QUERY, { providerRouter, privacyGuard: guard, fallback: false, cache: false });
+
+    expect(guard.isLocal(result.model)).toBe(false);
+    expect(providerRouter.calls[0].request.messages.at(-1).content).toBe('My knee hurts, call me at [PHI_PHONE_1]');
+    expect(result.text).toBe('I will call 555-123-4567.');
+    expect(result.metadata.privacy).toMatchObject({ action: 'redact', redactedCount: 1 });
+  });
+});
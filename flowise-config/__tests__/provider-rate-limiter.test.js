@@ -0,0 +1,170 @@
+// Provider rate limiter: token buckets, the priority queue, Retry-After backoff and cancellation
+
+const { PRIORITY, TokenBucket, ProviderRateLimiter } = require('../provider-rate-limiter');
+
+const modelProviders = {
+  'gpt-4o': { provider: 'openai' },
+  'gpt-4o-mini': { provider: 'openai' },
+  'claude-3-5-sonnet': { provider: 'anthropic' },
+  'llama3.2': { provider: 'ollama' }
+};
+
+// Waits of a few minutes are allowed unless a test is about maxWaitMs
+function createLimiter(limits, extra = {}) {
+  return new ProviderRateLimiter({ limits, modelProviders, maxWaitMs: 300000, now: () => Date.now(), ...extra });
+}
+
+// Resolves with the order permits were granted in
+function track(limiter, requests) {
+  const order = [];
+  const pending = requests.map(([name, model, demand]) =>
+    limiter.acquire(model, demand).then(permit => {
+      order.push(name);
+      return permit;
+    })
+  );
+  return { order, pending };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: Date.parse('2025-01-31T14:20:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('TokenBucket', () => {
+  test('refills in proportion to elapsed time and caps a request at the whole bucket', () => {
+    const bucket = new TokenBucket(60, 0);
+    bucket.take(60);
+
+    expect(bucket.waitFor(1, 0)).toBe(1000);
+    expect(bucket.waitFor(1, 1000)).toBe(0);
+    expect(bucket.cost(500)).toBe(60);
+  });
+});
+
+describe('acquire', () => {
+  test('requests past the limit wait for the bucket to refill', async () => {
+    const limiter = createLimiter({ openai: { rpm: 2, tpm: null } });
+    const { order, pending } = track(limiter, [['a', 'gpt-4o'], ['b', 'gpt-4o'], ['c', 'gpt-4o']]);
+    await Promise.resolve();
+
+    expect(order).toEqual(['a', 'b']);
+    expect(limiter.queueDepths()).toEqual({ openai: 1 });
+    await jest.advanceTimersByTimeAsync(30000);
+    await Promise.all(pending);
+    expect(order).toEqual(['a', 'b', 'c']);
+  });
+
+  test('safety-critical requests are served before earlier normal ones', async () => {
+    const limiter = createLimiter({ openai: { rpm: 1, tpm: null } });
+    const { order, pending } = track(limiter, [
+      ['first', 'gpt-4o'],
+      ['normal', 'gpt-4o'],
+      ['safety', 'gpt-4o', { priority: PRIORITY.safety_critical }]
+    ]);
+    await jest.advanceTimersByTimeAsync(120000);
+    await Promise.all(pending);
+
+    expect(order).toEqual(['first', 'safety', 'normal']);
+  });
+
+  test('a model limit holds only that model', async () => {
+    const limiter = createLimiter({ openai: { rpm: 100, tpm: null, models: { 'gpt-4o': { rpm: 1 } } } });
+    const { order } = track(limiter, [['a', 'gpt-4o'], ['b', 'gpt-4o'], ['mini', 'gpt-4o-mini']]);
+    await Promise.resolve();
+
+    expect(order).toEqual(['a', 'mini']);
+  });
+
+  test('unlimited providers and unknown models pass straight through', async () => {
+    const limiter = createLimiter({});
+
+    await expect(limiter.acquire('llama3.2')).resolves.toHaveProperty('settle');
+    await expect(limiter.acquire('unknown-model')).resolves.toHaveProperty('settle');
+    expect(limiter.queueDepths()).toEqual({ ollama: 0 });
+  });
+
+  test('rejects instead of waiting past maxWaitMs, so failover can move on', async () => {
+    const limiter = createLimiter({ anthropic: { rpm: 1, tpm: null } }, { maxWaitMs: 10000 });
+    await limiter.acquire('claude-3-5-sonnet');
+
+    expect(limiter.checkAvailability('claude-3-5-sonnet')).toEqual({ provider: 'anthropic', limit: 'rate_limit', retryAfter: 60 });
+    await expect(limiter.acquire('claude-3-5-sonnet')).rejects.toMatchObject({
+      type: 'rate_limited',
+      limit: 'rate_limit',
+      retryAfter: 60,
+      rateLimiter: true
+    });
+  });
+
+  test('a full queue turns requests away and reports its depth', async () => {
+    const depths = [];
+    const limiter = createLimiter({ openai: { rpm: 1, tpm: null } }, {
+      maxQueueDepth: 1,
+      onQueueDepth: (queue, depth) => depths.push([queue, depth])
+    });
+    await limiter.acquire('gpt-4o');
+    limiter.acquire('gpt-4o');
+
+    expect(limiter.checkAvailability('gpt-4o')).toMatchObject({ limit: 'queue_full' });
+    expect(depths.at(-1)).toEqual(['llm-openai', 1]);
+  });
+
+  test('an aborted request leaves the queue as cancelled', async () => {
+    const limiter = createLimiter({ openai: { rpm: 1, tpm: null } });
+    const controller = new AbortController();
+    await limiter.acquire('gpt-4o');
+    const waiting = limiter.acquire('gpt-4o', { signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toMatchObject({ type: 'cancelled' });
+    expect(limiter.queueDepths()).toEqual({ openai: 0 });
+  });
+});
+
+describe('settle', () => {
+  test('the actual token count corrects the estimate', async () => {
+    const limiter = createLimiter({ openai: { rpm: null, tpm: 1000 } });
+    const permit = await limiter.acquire('gpt-4o', { tokens: 800 });
+    permit.settle(200);
+    permit.settle(900);
+
+    expect(limiter.checkAvailability('gpt-4o', { tokens: 800 })).toBeNull();
+    await expect(limiter.acquire('gpt-4o', { tokens: 800 })).resolves.toHaveProperty('settle');
+  });
+});
+
+describe('recordFailure', () => {
+  test('a provider 429 holds the provider back for its Retry-After', async () => {
+    const limiter = createLimiter({});
+    limiter.recordFailure('gpt-4o', { type: 'rate_limited', retryAfter: 2 });
+    const { order, pending } = track(limiter, [['a', 'gpt-4o-mini']]);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(order).toEqual([]);
+    await jest.advanceTimersByTimeAsync(1000);
+    await Promise.all(pending);
+    expect(order).toEqual(['a']);
+  });
+
+  test('a Retry-After past maxWaitMs rejects the queued requests', async () => {
+    const limiter = createLimiter({ openai: { rpm: 1, tpm: null } }, { maxWaitMs: 90000 });
+    await limiter.acquire('gpt-4o');
+    const waiting = limiter.acquire('gpt-4o');
+    limiter.recordFailure('gpt-4o', { type: 'rate_limited', retryAfter: 120 });
+
+    await expect(waiting).rejects.toMatchObject({ type: 'rate_limited', limit: 'retry_after', retryAfter: 120 });
+    expect(limiter.checkAvailability('gpt-4o-mini')).toMatchObject({ limit: 'retry_after' });
+  });
+
+  test('its own rejections do not extend the backoff', () => {
+    const limiter = createLimiter({});
+    limiter.recordFailure('gpt-4o', { type: 'rate_limited', retryAfter: 60, rateLimiter: true });
+    limiter.recordFailure('gpt-4o', { type: 'provider_unavailable' });
+
+    expect(limiter.blockedUntil.size).toBe(0);
+  });
+});
@@ -0,0 +1,52 @@
+// Red-flag triage: the curated corpus and the negation rules that decide what a denial is
+
+const { RedFlagTriage, loadTriageCases } = require('../red-flag-triage');
+
+const triage = new RedFlagTriage();
+
+function flagsOf(message, history) {
+  return triage.assess(message, history).flags.map(flag => flag.id);
+}
+
+describe('triage corpus', () => {
+  const cases = loadTriageCases();
+
+  test.each(cases.map(testCase => [testCase.message, testCase]))('%s', (message, testCase) => {
+    const assessment = triage.assess(message, testCase.history || []);
+
+    expect(assessment.level).toBe(testCase.level);
+    expect(assessment.flags.map(flag => flag.id)).toEqual(expect.arrayContaining(testCase.flags || []));
+  });
+});
+
+describe('negation', () => {
+  test.each([
+    ['I don\'t know why my face is drooping', 'stroke'],
+    ['My back hurts and I don\'t know why I lost control of my bladder', 'cauda_equina'],
+    ['I never had chest pain like this, it is crushing and I\'m sweating', 'cardiac'],
+    ['I\'ve never had chest pain before and now it is crushing and I\'m sweating', 'cardiac'],
+    ['I\'m not sure but my face is drooping on one side', 'stroke'],
+    ['No idea what happened, my face is drooping and my speech is slurred', 'stroke']
+  ])('a phrase that denies nothing keeps the flag: %s', (message, flag) => {
+    expect(triage.assess(message).level).toBe('emergency');
+    expect(flagsOf(message)).toContain(flag);
+  });
+
+  test.each([
+    'No chest pain or sweating',
+    'I don\'t have any chest pain',
+    'Denies numbness or tingling in the groin',
+    'Back pain without bladder or bowel changes',
+    'I haven\'t had any numbness in my groin'
+  ])('a real denial cancels the finding: %s', message => {
+    expect(triage.assess(message).level).toBe('none');
+  });
+
+  test('a denial stops at a new statement', () => {
+    expect(flagsOf('Back ache, no fever and my groin is numb')).toContain('cauda_equina');
+  });
+
+  test('a denial does not reach past a comma', () => {
+    expect(flagsOf('No injury, but sudden weakness in my left leg since this morning')).toContain('acute_neurological');
+  });
+});
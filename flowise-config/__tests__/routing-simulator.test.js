@@ -0,0 +1,87 @@
+// Routing simulator: safety compliance of the routing corpus and the baseline diff
+
+// The registry picks its enabled models when first loaded, as the simulate-routing script does
+process.env.MODEL_REGISTRY_ENV = 'production';
+
+const path = require('path');
+const { loadLabeledExamples } = require('../medical-task-classifier');
+const { simulateRouting, summarizeRouting, createBaseline, diffRouting } = require('../routing-simulator');
+
+const CORPUS_PATH = path.join(__dirname, '..', '..', 'config', 'routing-corpus.jsonl');
+
+function record(overrides = {}) {
+  return {
+    query: 'Is my hip pain a fascial restriction?',
+    labels: ['fascia_diagnosis'],
+    taskType: 'fascia_diagnosis',
+    model: 'claude-3-5-sonnet',
+    safetyLevel: 'high',
+    costUSD: 0.004,
+    safetyCritical: true,
+    compliant: true,
+    ...overrides
+  };
+}
+
+describe('routing corpus', () => {
+  test('every safety-critical query reaches a model above the safety bar', async () => {
+    const summary = summarizeRouting(await simulateRouting(loadLabeledExamples(CORPUS_PATH)));
+
+    expect(summary.safetyCritical.violations).toEqual([]);
+    expect(summary.safetyCritical.total).toBeGreaterThan(0);
+  });
+});
+
+describe('summarizeRouting', () => {
+  test('lists the safety-critical queries that missed the bar', () => {
+    const summary = summarizeRouting([
+      record(),
+      record({ query: 'What does research say about stretching?', model: 'perplexity-sonar', safetyLevel: 'medium', compliant: false }),
+      record({ query: 'Explain fascia', safetyCritical: false, compliant: null })
+    ]);
+
+    expect(summary.safetyCritical).toMatchObject({ total: 2, compliant: 1, rate: 0.5 });
+    expect(summary.safetyCritical.violations).toEqual([{
+      query: 'What does research say about stretching?',
+      labels: ['fascia_diagnosis'],
+      model: 'perplexity-sonar',
+      safetyLevel: 'medium'
+    }]);
+  });
+});
+
+describe('diffRouting', () => {
+  const before = [record(), record({ query: 'Explain fascia', taskType: 'educational', model: 'gpt-4o' })];
+  const baseline = createBaseline(before, summarizeRouting(before));
+
+  test('an unchanged run has no changes or drift', () => {
+    const diff = diffRouting(baseline, before, summarizeRouting(before));
+
+    expect(diff).toMatchObject({ changed: [], costChanged: [], added: [], removed: [] });
+    expect(diff.costPer1k.drifted).toBe(false);
+  });
+
+  test('reports model changes, cost moves and added queries', () => {
+    const after = [
+      record({ model: 'gpt-4o' }),
+      record({ query: 'Explain fascia', taskType: 'educational', model: 'gpt-4o', costUSD: 0.002 }),
+      record({ query: 'New query' })
+    ];
+    const diff = diffRouting(baseline, after, summarizeRouting(after));
+
+    expect(diff.changed).toEqual([{
+      query: 'Is my hip pain a fascial restriction?',
+      before: { model: 'claude-3-5-sonnet', taskType: 'fascia_diagnosis', safetyLevel: 'high' },
+      after: { model: 'gpt-4o', taskType: 'fascia_diagnosis', safetyLevel: 'high' }
+    }]);
+    expect(diff.costChanged).toEqual([{ query: 'Explain fascia', model: 'gpt-4o', before: 0.004, after: 0.002 }]);
+    expect(diff.added).toEqual(['New query']);
+    expect(diff.costPer1k.drifted).toBe(true);
+  });
+
+  test('reports queries dropped from the corpus', () => {
+    const after = [record()];
+
+    expect(diffRouting(baseline, after, summarizeRouting(after)).removed).toEqual(['Explain fascia']);
+  });
+});
@@ -0,0 +1,117 @@
+// Guided symptom assessment: slot extraction, the question walk, pauses and the OPQRST summary
+
+const { SymptomAssessment } = require('../symptom-assessment');
+
+const assessment = new SymptomAssessment({ now: () => '2025-01-31T14:20:00Z' });
+
+// Feeds messages in order and returns the last update
+function walk(messages) {
+  let update = { state: null };
+  messages.forEach((message, index) => {
+    update = assessment.update(update.state, message, { messageId: `m${index + 1}` });
+  });
+  return update;
+}
+
+describe('extract', () => {
+  test('picks the details out of free text and ignores negated ones', () => {
+    expect(assessment.extract('Heat helps and it is not sharp, it started after a long run')).toEqual({
+      onset: 'after a long run',
+      relieving: 'heat'
+    });
+  });
+});
+
+describe('update', () => {
+  test('starts only on a first-person symptom', () => {
+    expect(assessment.update(null, 'What is fascia?')).toEqual({ state: null, event: null, changed: false });
+    expect(assessment.update(null, 'I have no pain but my neck is stiff').state.symptom).toBe('stiffness');
+  });
+
+  test('volunteered details are recorded and never asked for', () => {
+    const { state, event } = walk(['My lower back pain started 3 days ago after lifting a box, it is a sharp pain']);
+
+    expect(event).toBe('started');
+    expect(state.slots.location).toEqual({ status: 'filled', value: 'lower back', source: 'volunteered', messageId: 'm1' });
+    expect(state.slots.quality.value).toBe('sharp');
+    expect(state.slots.onset.value).toBe('3 days ago');
+    expect(state.pending).toBe('timing');
+  });
+
+  test('a short reply answers the pending question, and skips and unknowns are kept apart', () => {
+    const { state, event } = walk([
+      'My knee hurts, it is constant and a dull ache. It started 2 weeks ago',
+      'about a 6',
+      'skip',
+      'not sure',
+      'I cannot run anymore'
+    ]);
+
+    expect(event).toBe('completed');
+    expect(state.status).toBe('complete');
+    expect(state.slots.severity).toEqual({ status: 'filled', value: '6/10', source: 'asked', messageId: 'm2' });
+    expect(state.slots.aggravating).toEqual({ status: 'declined', messageId: 'm3' });
+    expect(state.slots.relieving).toEqual({ status: 'unknown', messageId: 'm4' });
+    expect(assessment.update(state, 'My hip hurts too').changed).toBe(false);
+  });
+
+  test('questions interrupt the walk until it pauses', () => {
+    const started = walk(['My lower back pain started 3 days ago after lifting a box, it is a sharp pain']);
+    const interrupted = assessment.update(started.state, 'What stretches help?');
+    const paused = assessment.update(interrupted.state, 'What about foam rolling?');
+
+    expect(interrupted).toMatchObject({ event: 'interrupted', state: { pending: 'timing', interruptions: 1 } });
+    expect(paused).toMatchObject({ event: 'paused', state: { status: 'paused', pending: null } });
+  });
+
+  test('asking to stop pauses it, and a new detail resumes it', () => {
+    const stopped = walk(['My neck is stiff', 'no more questions please']);
+    const resumed = assessment.update(stopped.state, 'it gets worse when I sit at my desk');
+
+    expect(stopped).toMatchObject({ event: 'stopped', state: { status: 'paused' } });
+    expect(resumed).toMatchObject({ event: 'answered', state: { status: 'active', pending: 'onset' } });
+    expect(resumed.state.slots.aggravating.value).toBe('sit at my desk');
+  });
+});
+
+describe('instruction', () => {
+  test('asks the next question and lists what is known', () => {
+    const text = assessment.instruction(walk(['My lower back pain started 3 days ago after lifting a box, it is a sharp pain']));
+
+    expect(text).toContain('Known so far: location: lower back; quality: sharp; onset: 3 days ago.');
+    expect(text).toContain('Open with something like: "I understand you\'re experiencing pain in your lower back.');
+    expect(text).toContain('End your reply with this question, in your own words: "Is this constant, or does it come and go?');
+  });
+
+  test('a paused assessment tells the model to stop asking', () => {
+    expect(assessment.instruction(walk(['My neck is stiff', 'no more questions please']))).toMatch(/^SYMPTOM ASSESSMENT: Paused\./);
+    expect(assessment.instruction({ state: null, event: null })).toBeNull();
+  });
+});
+
+describe('summarize', () => {
+  test('renders the slots in OPQRST order', () => {
+    const { state } = walk([
+      'My knee hurts, it is constant and a dull ache. It started 2 weeks ago',
+      'about a 6',
+      'skip',
+      'not sure',
+      'I cannot run anymore'
+    ]);
+    const summary = assessment.summarize(state);
+
+    expect(summary.unanswered).toEqual([]);
+    expect(summary.slots.radiation).toBeNull();
+    expect(summary.text).toBe([
+      'Symptom: pain',
+      'O Onset: 2 weeks ago',
+      'P Worse with: declined',
+      'P Better with: unknown',
+      'Q Quality: dull',
+      'R Location: knee',
+      'S Severity: 6/10',
+      'T Timing: constant',
+      'Daily impact: can\'t run anymore'
+    ].join('\n'));
+  });
+});
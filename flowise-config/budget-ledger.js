@@ -0,0 +1,330 @@
+// Budget Ledger for F-Bot 2.0
+// Hard hourly/daily/monthly spend limits per user, role and organization, consulted before dispatch.
+// A request reserves its estimated cost when it is checked and settles the actual cost afterwards,
+// so concurrent requests cannot all pass on the same remaining budget.
+
+const fs = require('fs');
+const path = require('path');
+
+const BUDGET_PERIODS = ['hourly', 'daily', 'monthly'];
+
+// USD limits; null means unlimited. Role limits cap the combined spend of every
+// user with that role inside one organization. Used when no limits file is configured.
+const defaultBudgetLimits = {
+  user: {
+    default: { hourly: 0.5, daily: 2, monthly: 30 },
+    overrides: {}
+  },
+  role: {
+    admin: null,
+    physician: { hourly: 5, daily: 25, monthly: 400 },
+    researcher: { hourly: 5, daily: 25, monthly: 400 },
+    patient: { hourly: 2, daily: 10, monthly: 150 },
+    guest: { hourly: 0.5, daily: 2, monthly: 20 }
+  },
+  org: {
+    default: { hourly: 20, daily: 100, monthly: 1500 },
+    overrides: {}
+  }
+};
+
+// Checks a limits file: every limit is null or an object of per-period USD amounts
+function validateBudgetLimits(limits) {
+  const errors = [];
+  const checkLimit = (where, limit) => {
+    if (limit === null) return;
+    if (!limit || typeof limit !== 'object' || Array.isArray(limit)) {
+      errors.push(`${where} must be null or an object of ${BUDGET_PERIODS.join('/')} limits`);
+      return;
+    }
+    for (const [period, amount] of Object.entries(limit)) {
+      if (!BUDGET_PERIODS.includes(period)) errors.push(`${where} has unknown period "${period}"`);
+      else if (amount !== null && !(typeof amount === 'number' && amount >= 0)) {
+        errors.push(`${where}.${period} must be null or a non-negative number`);
+      }
+    }
+  };
+  const checkMap = (where, map) => {
+    if (map === undefined) return;
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    for (const [key, limit] of Object.entries(map)) checkLimit(`${where}.${key}`, limit);
+  };
+
+  for (const section of Object.keys(limits)) {
+    if (!['user', 'role', 'org'].includes(section)) errors.push(`Unknown section "${section}"`);
+  }
+  for (const section of ['user', 'org']) {
+    if (!limits[section]) continue;
+    if (limits[section].default !== undefined) checkLimit(`${section}.default`, limits[section].default);
+    checkMap(`${section}.overrides`, limits[section].overrides);
+  }
+  checkMap('role', limits.role);
+  return errors;
+}
+
+function loadBudgetLimits(filePath) {
+  let limits;
+  try {
+    limits = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw createBudgetLimitsError(filePath, [error.message]);
+  }
+  const errors = validateBudgetLimits(limits);
+  if (errors.length > 0) throw createBudgetLimitsError(filePath, errors);
+  return limits;
+}
+
+function createBudgetLimitsError(filePath, errors) {
+  const error = new Error(`Invalid budget limits ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  error.type = 'invalid_budget_limits';
+  error.errors = errors;
+  return error;
+}
+
+class BudgetLedger {
+  // stateStore: { load() -> spend, save(spend) } keeps the spend somewhere durable; without
+  // one it goes to statePath, or stays in memory
+  constructor(config = {}) {
+    this.limits = mergeLimits(defaultBudgetLimits, config.limits || {});
+    this.stateStore = config.stateStore || null;
+    this.statePath = this.stateStore ? null : config.statePath || process.env.BUDGET_STATE_PATH || null;
+    this.now = config.now || (() => Date.now());
+    this.spend = this.loadState();
+    // Estimated costs of requests still in flight, by spend key
+    this.reserved = {};
+  }
+
+  loadState() {
+    if (this.stateStore) return this.stateStore.load() || {};
+    if (!this.statePath || !fs.existsSync(this.statePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.statePath, 'utf8')).spend || {};
+  }
+
+  save() {
+    if (this.stateStore) {
+      this.stateStore.save(this.spend);
+      return;
+    }
+    if (!this.statePath) return;
+
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    const tempPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ spend: this.spend }, null, 2));
+    fs.renameSync(tempPath, this.statePath);
+  }
+
+  // Calendar windows in UTC: 2025-01-31T14, 2025-01-31, 2025-01
+  windowKey(period, timestamp = this.now()) {
+    const iso = new Date(timestamp).toISOString();
+    if (period === 'hourly') return iso.substring(0, 13);
+    if (period === 'daily') return iso.substring(0, 10);
+    return iso.substring(0, 7);
+  }
+
+  windowResetAt(period, timestamp = this.now()) {
+    const date = new Date(timestamp);
+    if (period === 'hourly') {
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours() + 1));
+    }
+    if (period === 'daily') {
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+    }
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  }
+
+  // principal: { userId, role, orgId }
+  scopesFor(principal) {
+    const scopes = [];
+    const orgId = principal.orgId || 'default';
+
+    if (principal.userId) {
+      scopes.push({
+        scope: 'user',
+        id: principal.userId,
+        limits: limitFor(this.limits.user, principal.userId)
+      });
+    }
+    if (principal.role && this.limits.role[principal.role] !== undefined) {
+      scopes.push({
+        scope: 'role',
+        id: `${orgId}:${principal.role}`,
+        limits: this.limits.role[principal.role]
+      });
+    }
+    scopes.push({
+      scope: 'org',
+      id: orgId,
+      limits: limitFor(this.limits.org, orgId)
+    });
+
+    return scopes;
+  }
+
+  spendKey(scope, id, period) {
+    return `${scope}:${id}:${period}:${this.windowKey(period)}`;
+  }
+
+  // Includes the reservations of requests still in flight
+  spentFor(scope, id, period) {
+    const key = this.spendKey(scope, id, period);
+    return (this.spend[key] || 0) + (this.reserved[key] || 0);
+  }
+
+  getBudgetState(principal) {
+    const entries = [];
+
+    for (const { scope, id, limits } of this.scopesFor(principal)) {
+      for (const period of BUDGET_PERIODS) {
+        const limit = limits ? limits[period] : null;
+        if (limit === null || limit === undefined) continue;
+
+        const spent = this.spentFor(scope, id, period);
+        entries.push({
+          scope,
+          period,
+          limit,
+          spent,
+          remaining: Math.max(0, limit - spent),
+          resetAt: this.windowResetAt(period).toISOString()
+        });
+      }
+    }
+
+    const tightest = entries.reduce(
+      (lowest, entry) => (lowest === null || entry.remaining < lowest.remaining ? entry : lowest),
+      null
+    );
+
+    return {
+      entries,
+      remaining: tightest ? tightest.remaining : Infinity,
+      limitingBudget: tightest
+    };
+  }
+
+  checkBudget(principal, estimatedCost = 0) {
+    const state = this.getBudgetState(principal);
+    const exhausted = state.entries.filter(entry => entry.spent + estimatedCost > entry.limit);
+
+    return {
+      allowed: exhausted.length === 0,
+      remaining: state.remaining,
+      estimatedCost,
+      exhausted,
+      reason: exhausted.length > 0 ? describeExhausted(exhausted[0]) : null
+    };
+  }
+
+  // Checks and, when allowed, holds the estimated cost until settle() or release()
+  reserve(principal, estimatedCost = 0) {
+    const check = this.checkBudget(principal, estimatedCost);
+    if (!check.allowed) return { ...check, reservation: null };
+
+    const keys = this.scopesFor(principal).flatMap(({ scope, id }) =>
+      BUDGET_PERIODS.map(period => this.spendKey(scope, id, period))
+    );
+    for (const key of keys) this.reserved[key] = (this.reserved[key] || 0) + estimatedCost;
+    return { ...check, reservation: { principal, amount: estimatedCost, keys, open: true } };
+  }
+
+  // Replaces the reservation with the actual cost
+  settle(reservation, cost) {
+    this.release(reservation);
+    return this.recordSpend(reservation.principal, cost);
+  }
+
+  // Drops a reservation whose request failed; settled reservations are left alone
+  release(reservation) {
+    if (!reservation || !reservation.open) return;
+    reservation.open = false;
+    for (const key of reservation.keys) {
+      const remaining = (this.reserved[key] || 0) - reservation.amount;
+      if (remaining > 1e-12) this.reserved[key] = remaining;
+      else delete this.reserved[key];
+    }
+  }
+
+  recordSpend(principal, cost) {
+    if (!cost || cost <= 0) return this.getBudgetState(principal);
+
+    for (const { scope, id } of this.scopesFor(principal)) {
+      for (const period of BUDGET_PERIODS) {
+        const key = this.spendKey(scope, id, period);
+        this.spend[key] = (this.spend[key] || 0) + cost;
+      }
+    }
+
+    this.pruneExpiredWindows();
+    this.save();
+    return this.getBudgetState(principal);
+  }
+
+  pruneExpiredWindows() {
+    const current = Object.fromEntries(BUDGET_PERIODS.map(period => [period, this.windowKey(period)]));
+    for (const key of Object.keys(this.spend)) {
+      const parts = key.split(':');
+      const window = parts[parts.length - 1];
+      const period = parts[parts.length - 2];
+      if (window !== current[period]) delete this.spend[key];
+    }
+  }
+}
+
+// A null override makes that user or organization unlimited rather than falling back to the default
+function limitFor(section, id) {
+  return section.overrides[id] !== undefined ? section.overrides[id] : section.default;
+}
+
+function describeExhausted(entry) {
+  const periodLabel = { hourly: 'hourly', daily: 'daily', monthly: 'monthly' }[entry.period];
+  const scopeLabel = { user: 'your', role: 'your role\'s', org: 'your organization\'s' }[entry.scope];
+  return `You've reached ${scopeLabel} ${periodLabel} AI usage budget ($${entry.spent.toFixed(2)} of $${entry.limit.toFixed(2)}). ` +
+    `It resets at ${entry.resetAt}.`;
+}
+
+// An explicit null default means unlimited; an object is laid over the built-in default
+function mergeDefault(base, override) {
+  if (override === undefined) return base;
+  if (override === null || base === null) return override;
+  return { ...base, ...override };
+}
+
+function mergeLimits(base, overrides) {
+  return {
+    user: {
+      default: mergeDefault(base.user.default, overrides.user && overrides.user.default),
+      overrides: { ...base.user.overrides, ...((overrides.user && overrides.user.overrides) || {}) }
+    },
+    role: { ...base.role, ...(overrides.role || {}) },
+    org: {
+      default: mergeDefault(base.org.default, overrides.org && overrides.org.default),
+      overrides: { ...base.org.overrides, ...((overrides.org && overrides.org.overrides) || {}) }
+    }
+  };
+}
+
+function createBudgetExceededError(check) {
+  const error = new Error(check.reason || 'AI usage budget exceeded');
+  error.type = 'budget_exceeded';
+  error.code = 'BUDGET_EXCEEDED';
+  error.budget = {
+    remaining: check.remaining,
+    estimatedCost: check.estimatedCost,
+    exhausted: check.exhausted
+  };
+  return error;
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  defaultBudgetLimits,
+  validateBudgetLimits,
+  loadBudgetLimits,
+  BudgetLedger,
+  createBudgetExceededError
+};
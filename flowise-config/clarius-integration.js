@@ -3,9 +3,12 @@
 
 const { ClariusSDK } = require('@clarius/mobile-sdk');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 
-class ClariusLiveStreamIntegration {
+// Emits scannerConnected, scannerDisconnected, streamError, analysisComplete and analysisError
+class ClariusLiveStreamIntegration extends EventEmitter {
   constructor() {
+    super();
     this.label = 'Clarius Live Stream';
     this.name = 'clariusLiveStream';
     this.type = 'ClariusStream';
@@ -204,6 +207,21 @@ class ClariusLiveStreamIntegration {
     }
   }
   
+  // Flags results below the mode's confidence threshold; the clinician still confirms every read
+  async validateAnalysis(analysis, mode) {
+    const capability = this.capabilityMatrix[mode];
+    const threshold = capability.confidenceThreshold;
+    return {
+      ...analysis,
+      mode,
+      clinicalUse: capability.clinicalUse,
+      belowConfidenceThreshold: threshold !== undefined && typeof analysis.confidence === 'number'
+        ? analysis.confidence < threshold
+        : false,
+      disclaimer: capability.disclaimer
+    };
+  }
+  
   determineAnalysisMode(frame, config) {
     // Default to diagnostic mode, but can be overridden by user intent
     if (config.mode === 'measurement') return 'measurement';
@@ -1,6 +1,8 @@
 // Dr. Fascia - Enhanced Conversational Coach Personality for F-Bot 2.0
 // Warm, empathetic, and therapeutically-focused AI personality
 
+const { createTemplateError, lintTemplates, renderFirst } = require('./persona-templates');
+
 const drFasciaPersonality = {
   "core_identity": {
     "name": "Dr. Fascia",
@@ -120,6 +122,7 @@ const drFasciaPersonality = {
         "location": "Can you show me or describe exactly where you feel the {{sensation}}?",
         "quality": "How would you describe the sensation - is it sharp, dull, tight, burning, or something else?",
         "timing": "Is this constant, or does it come and go? What's the pattern?",
+        "severity": "On a scale from 0 to 10, how strong is it right now, and at its worst?",
         "aggravating_factors": "What activities or positions make it worse?",
         "relieving_factors": "What helps provide relief, even temporarily?"
       },
@@ -349,6 +352,172 @@ const drFasciaPersonality = {
   }
 };
 
+// Prompt adaptations. Every applicable layer is applied; where two set the same dimension
+// (tone, pacing, detail) the layer with the higher precedence wins and the conflict is stated
+// in the prompt. The user's emotional state outranks their communication style, which outranks
+// their medical-tradition background; safety protocols are never adapted away.
+const ADAPTATION_LAYERS = {
+  cultural: { precedence: 1, heading: "CULTURAL ADAPTATION", label: "cultural background" },
+  communication: { precedence: 2, heading: "COMMUNICATION ADAPTATION", label: "communication style" },
+  emotional: { precedence: 3, heading: "EMOTIONAL ADAPTATION", label: "emotional state" }
+};
+
+const CULTURAL_BACKGROUNDS = {
+  tcm_familiar: "This user is familiar with Traditional Chinese Medicine concepts",
+  ayurveda_familiar: "This user is familiar with Ayurvedic concepts",
+  western_focused: "This user prefers Western, research-based explanations",
+  integrative: "This user values both Eastern and Western perspectives"
+};
+
+const COMMUNICATION_STYLE_SETTINGS = {
+  direct: { tone: "direct", detail: "lower" },
+  relationship_focused: { tone: "personal" },
+  authority_respecting: { tone: "professional" },
+  collaborative: { tone: "collaborative" }
+};
+
+// Emotional states as detected in conversation, with their response_modulation,
+// emotional_response_modifiers and emotional_support validation entries
+const EMOTIONAL_STATES = {
+  anxious: {
+    modulation: "high_anxiety",
+    modifiers: "anxiety",
+    validation: "anxiety",
+    emotion: "worry",
+    description: "User is showing signs of anxiety. Use extra gentle, reassuring language with emphasis on safety and gradual progress."
+  },
+  frustrated: {
+    modulation: "frustration",
+    modifiers: "frustration",
+    validation: "frustration",
+    emotion: "frustration",
+    description: "User is showing frustration. Acknowledge it explicitly, validate their experience and focus on what can bring relief now."
+  },
+  discouraged: {
+    modulation: "discouragement",
+    modifiers: null,
+    validation: "discouragement",
+    emotion: "discouragement",
+    description: "User sounds discouraged. Be warm and encouraging, reframe their progress and point out small wins."
+  },
+  curious: {
+    modulation: "curiosity",
+    modifiers: "curiosity",
+    validation: null,
+    emotion: null,
+    description: "User is curious and engaged. Explain the science in more depth and suggest further resources."
+  }
+};
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// { adaptations, resolved, conflicts, ignored } for a profile and conversation. Plain data, so
+// every profile combination can be checked without rendering the prompt.
+function composeAdaptations(userProfile = {}, conversationContext = {}) {
+  const { communication_styles, traditional_medicine_integration } = drFasciaPersonality.adaptive_responses.cultural_adaptation;
+  const modulation = drFasciaPersonality.adaptive_responses.response_modulation;
+  const adaptations = [];
+  const ignored = [];
+
+  const background = userProfile.culturalBackground;
+  if (background && traditional_medicine_integration[background]) {
+    adaptations.push({
+      layer: "cultural",
+      value: background,
+      text: `${CULTURAL_BACKGROUNDS[background]}. ${traditional_medicine_integration[background]}.`,
+      settings: { framing: background }
+    });
+  } else if (background) {
+    ignored.push({ field: "culturalBackground", value: background });
+  }
+
+  const style = userProfile.communicationStyle;
+  if (style && communication_styles[style]) {
+    const preference = communication_styles[style];
+    adaptations.push({
+      layer: "communication",
+      value: style,
+      text: `This user's preferred style: ${preference}.`,
+      settings: COMMUNICATION_STYLE_SETTINGS[style]
+    });
+  } else if (style) {
+    ignored.push({ field: "communicationStyle", value: style });
+  }
+
+  const emotion = conversationContext.emotionalState;
+  const state = emotion && EMOTIONAL_STATES[emotion];
+  if (state) {
+    const entry = modulation[state.modulation];
+    adaptations.push({
+      layer: "emotional",
+      value: emotion,
+      text: [state.description, describeDetection(conversationContext), emotionalSupport(state)].filter(Boolean).join(" "),
+      settings: withoutUndefined({
+        tone: entry.tone,
+        pacing: entry.pacing,
+        detail: entry.information_density || entry.detail_level
+      }),
+      modifiers: state.modifiers ? drFasciaFlowiseConfig.emotional_response_modifiers[state.modifiers] : null
+    });
+  } else if (emotion) {
+    ignored.push({ field: "emotionalState", value: emotion });
+  }
+
+  // Highest precedence first, so the first layer to set a dimension keeps it
+  const ranked = [...adaptations].sort((a, b) => ADAPTATION_LAYERS[b.layer].precedence - ADAPTATION_LAYERS[a.layer].precedence);
+  const resolved = {};
+  const conflicts = [];
+  for (const adaptation of ranked) {
+    for (const [dimension, value] of Object.entries(adaptation.settings)) {
+      const kept = resolved[dimension];
+      if (!kept) {
+        resolved[dimension] = { value, layer: adaptation.layer };
+      } else if (kept.value !== value) {
+        conflicts.push({ dimension, kept, overridden: { value, layer: adaptation.layer } });
+      }
+    }
+  }
+
+  return { adaptations, resolved, conflicts, ignored };
+}
+
+// Intensity and trend from the emotion detector, when the state came from it
+function describeDetection({ emotionalIntensity, emotionalTrend }) {
+  if (!emotionalIntensity) return null;
+  const trend = { rising: ", rising over recent messages", falling: ", easing over recent messages" }[emotionalTrend] || "";
+  return `Detected intensity: ${emotionalIntensity}${trend}.`;
+}
+
+// The emotional_support flow's acknowledgment and validation for the state
+function emotionalSupport(state) {
+  if (!state.validation) return null;
+  const { validation_patterns } = drFasciaPersonality.conversation_flows.emotional_support;
+  const acknowledgment = renderPersonality("conversation_flows.emotional_support.acknowledgment", { emotion: state.emotion });
+  return `Acknowledge the feeling before giving information, e.g. "${acknowledgment.text}. ${validation_patterns[state.validation]}"`;
+}
+
+function renderAdaptations({ adaptations, conflicts }) {
+  const sections = adaptations.map(adaptation => {
+    const lines = [`${ADAPTATION_LAYERS[adaptation.layer].heading}: ${adaptation.text}`];
+    if (adaptation.modifiers) {
+      const weights = Object.entries(adaptation.modifiers).map(([name, weight]) => `${name} ${weight}`);
+      lines.push(`Response weighting (0-1, higher means more): ${weights.join(", ")}.`);
+    }
+    return lines.join("\n");
+  });
+
+  if (conflicts.length > 0) {
+    sections.push([
+      "ADAPTATION PRECEDENCE: Where these adaptations conflict, follow the higher-precedence one. The communication style still shapes how the answer is organized, and the safety protocols always apply.",
+      ...conflicts.map(({ dimension, kept, overridden }) =>
+        `- ${dimension}: ${kept.value} (${ADAPTATION_LAYERS[kept.layer].label}) over ${overridden.value} (${ADAPTATION_LAYERS[overridden.layer].label})`)
+    ].join("\n"));
+  }
+  return sections.join("\n\n");
+}
+
 // Implementation helpers for Flowise integration
 const drFasciaFlowiseConfig = {
   "system_message_generator": function(userProfile = {}, conversationContext = {}) {
@@ -385,20 +554,9 @@ SAFETY PROTOCOLS:
 - Provide educational information, not medical diagnosis
 - Encourage professional consultation when appropriate`;
 
-    // Customize based on user profile
-    if (userProfile.communicationStyle === 'direct') {
-      return basePersonality + "\n\nCOMMUNICATION ADAPTATION: This user prefers direct, clear information with practical action steps.";
-    }
-    
-    if (userProfile.culturalBackground === 'tcm_familiar') {
-      return basePersonality + "\n\nCULTURAL ADAPTATION: This user is familiar with Traditional Chinese Medicine concepts. Naturally integrate meridian theory and qi flow.";
-    }
-    
-    if (conversationContext.emotionalState === 'anxious') {
-      return basePersonality + "\n\nEMOTIONAL ADAPTATION: User is showing signs of anxiety. Use extra gentle, reassuring language with emphasis on safety and gradual progress.";
-    }
-    
-    return basePersonality;
+    // Customize based on user profile and conversation
+    const adaptations = renderAdaptations(composeAdaptations(userProfile, conversationContext));
+    return adaptations ? `${basePersonality}\n\n${adaptations}` : basePersonality;
   },
 
   "response_templates": {
@@ -435,7 +593,34 @@ SAFETY PROTOCOLS:
   }
 };
 
+// A placeholder nothing can fill fails here rather than reach a patient as raw braces
+const templateErrors = [
+  ...lintTemplates(drFasciaPersonality, "drFasciaPersonality"),
+  ...lintTemplates(drFasciaFlowiseConfig.response_templates, "response_templates")
+];
+if (templateErrors.length > 0) {
+  throw createTemplateError(templateErrors);
+}
+
+// Renders a personality phrase by path, e.g. "conversation_flows.symptom_assessment.opening"
+// or "response_templates.symptom_acknowledgment". { text, missing }; text is null when a
+// variable is missing from the conversation state.
+function renderPersonality(templatePath, variables = {}) {
+  const [root, ...keys] = templatePath.split(".");
+  const source = root === "response_templates" ? drFasciaFlowiseConfig.response_templates : drFasciaPersonality[root];
+  const templates = keys.reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), source);
+  if (typeof templates !== "string" && !Array.isArray(templates)) {
+    throw new Error(`No personality template at ${templatePath}`);
+  }
+  return renderFirst(templates, variables);
+}
+
 module.exports = {
+  ADAPTATION_LAYERS,
+  EMOTIONAL_STATES,
+  composeAdaptations,
+  renderAdaptations,
+  renderPersonality,
   drFasciaPersonality,
   drFasciaFlowiseConfig
 }; 
\ No newline at end of file
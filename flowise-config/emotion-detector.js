@@ -0,0 +1,188 @@
+// Emotion Detector for F-Bot 2.0
+// Scores the user's recent turns against the personality's emotion indicators, so the system
+// message generator and the emotional_support flow can adapt to how the user feels. Negated
+// mentions ("not worried") do not count, intensifiers and downtoners scale a mention, and the
+// last few turns are combined with older ones fading out.
+
+const { drFasciaPersonality } = require('./dr-fascia-personality');
+
+const DEFAULT_TURNS = 5;
+
+// Weight of a turn relative to the one after it
+const RECENCY_DECAY = 0.5;
+
+// Combined score needed before an emotion changes the response
+const STATE_THRESHOLD = 0.35;
+
+// Change between the latest turn and the average of the earlier ones that counts as a trend
+const TREND_THRESHOLD = 0.2;
+
+// Indicator groups and the conversation emotionalState each one drives; hope drives none
+const EMOTION_STATES = {
+  anxiety: 'anxious',
+  frustration: 'frustrated',
+  sadness: 'discouraged',
+  hope: null
+};
+
+const NEGATIONS = ['not', 'no', 'never', 'without', 'hardly', 'nor', 'isn\'t', 'aren\'t', 'wasn\'t', 'don\'t',
+  'doesn\'t', 'didn\'t', 'won\'t', 'can\'t', 'cannot', 'no longer', 'not any'];
+const INTENSIFIERS = ['very', 'really', 'so', 'extremely', 'incredibly', 'terribly', 'super', 'totally',
+  'completely', 'absolutely', 'truly', 'deeply'];
+const DOWNTONERS = ['a bit', 'a little', 'slightly', 'somewhat', 'kind of', 'kinda', 'sort of', 'mildly', 'a tad'];
+
+// Indicators that are often not about feelings ("pain down my arm", "my shoulder is stuck",
+// "better posture") only count after a feeling cue
+const AMBIGUOUS_TERMS = ['down', 'stuck', 'better', 'concerned'];
+const FEELING_CUES = ['feel', 'feeling', 'felt', 'feels', 'i\'m', 'im', 'am', 'been', 'getting', 'get', 'got', 'so', 'pretty', 'really', 'very'];
+
+// Words a negation or modifier may sit before the indicator, and where its scope ends
+const MODIFIER_WINDOW = 3;
+const SCOPE_BREAKS = ['.', ',', ';', '!', '?', 'but', 'though', 'although'];
+
+function tokenize(text) {
+  return String(text || '').match(/[A-Za-z]+(?:'[A-Za-z]+)?|[.,;!?]/g) || [];
+}
+
+function phrases(list) {
+  return list.map(phrase => phrase.split(' '));
+}
+
+function matchesAt(tokens, index, words) {
+  return words.every((word, offset) => tokens[index + offset] === word);
+}
+
+// The tokens before index, back to the start of the clause and at most MODIFIER_WINDOW long
+function precedingWords(tokens, index) {
+  const words = [];
+  for (let i = index - 1; i >= 0 && words.length < MODIFIER_WINDOW; i--) {
+    if (SCOPE_BREAKS.includes(tokens[i])) break;
+    words.unshift(tokens[i]);
+  }
+  return words;
+}
+
+function contains(words, list) {
+  return list.some(phrase => words.some((word, index) => matchesAt(words, index, phrase)));
+}
+
+// 0 for no mention, approaching 1 as mentions add up
+function squash(weight) {
+  return 1 - Math.exp(-weight);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function intensityOf(score) {
+  if (score >= 0.75) return 'high';
+  if (score >= 0.5) return 'moderate';
+  return 'mild';
+}
+
+class EmotionDetector {
+  constructor(config = {}) {
+    const indicators = config.indicators || drFasciaPersonality.adaptive_responses.user_emotion_detection;
+    // emotion -> [[word, ...], ...]
+    this.indicators = Object.fromEntries(Object.entries(indicators).map(([key, terms]) =>
+      [key.replace(/_indicators$/, ''), phrases(terms)]));
+    this.turns = config.turns || DEFAULT_TURNS;
+    this.negations = phrases(NEGATIONS);
+    this.intensifiers = phrases(INTENSIFIERS);
+    this.downtoners = phrases(DOWNTONERS);
+    this.feelingCues = phrases(FEELING_CUES);
+  }
+
+  // Mentions in one message: [{ emotion, term, weight, negated }]
+  scanTurn(text) {
+    const original = tokenize(text);
+    const tokens = original.map(token => token.toLowerCase());
+    const mentions = [];
+
+    tokens.forEach((token, index) => {
+      for (const [emotion, terms] of Object.entries(this.indicators)) {
+        const words = terms.find(term => matchesAt(tokens, index, term));
+        if (!words) continue;
+
+        const term = words.join(' ');
+        const before = precedingWords(tokens, index);
+        if (AMBIGUOUS_TERMS.includes(term) && !contains(before, this.feelingCues)) continue;
+
+        const negated = contains(before, this.negations);
+        let weight = 1;
+        if (contains(before, this.intensifiers)) weight *= 1.5;
+        if (contains(before, this.downtoners)) weight *= 0.5;
+        const shouted = original.slice(index, index + words.length).every(word => word.length > 1 && word === word.toUpperCase());
+        if (shouted) weight *= 1.3;
+        const clauseEnd = tokens.slice(index + words.length).find(next => SCOPE_BREAKS.includes(next));
+        if (clauseEnd === '!') weight *= 1.25;
+
+        mentions.push({ emotion, term, weight: negated ? 0 : round(weight), negated });
+      }
+    });
+    return mentions;
+  }
+
+  // turns: the user's messages, oldest first, ending with the current one. Returns the
+  // scored state; emotionalState is null when no emotion that drives a modulation stands out.
+  detect(turns = []) {
+    const recent = turns.slice(-this.turns);
+    const emotions = Object.keys(this.indicators);
+    const evidence = [];
+    // emotion -> per-turn scores, oldest first
+    const perTurn = Object.fromEntries(emotions.map(emotion => [emotion, []]));
+
+    recent.forEach((text, turnIndex) => {
+      const mentions = this.scanTurn(text);
+      const age = recent.length - 1 - turnIndex;
+      mentions.forEach(mention => evidence.push({ ...mention, turnsAgo: age }));
+      for (const emotion of emotions) {
+        const weight = mentions.filter(mention => mention.emotion === emotion).reduce((sum, mention) => sum + mention.weight, 0);
+        perTurn[emotion].push(squash(weight));
+      }
+    });
+
+    const scores = {};
+    for (const emotion of emotions) {
+      const series = perTurn[emotion];
+      // Recency-discounted turns combined as independent signals: a feeling voiced now counts
+      // fully, earlier ones fade, and one that keeps coming back adds up
+      const score = 1 - series.reduce((rest, value, index) =>
+        rest * (1 - value * Math.pow(RECENCY_DECAY, series.length - 1 - index)), 1);
+      scores[emotion] = { score: round(score), current: round(series[series.length - 1] || 0), trend: trendOf(series) };
+    }
+
+    const [dominant] = emotions
+      .filter(emotion => EMOTION_STATES[emotion])
+      .sort((a, b) => scores[b].score - scores[a].score);
+    const hope = scores.hope ? scores.hope.score : 0;
+    const active = dominant && scores[dominant].score >= STATE_THRESHOLD && scores[dominant].score > hope;
+
+    return {
+      emotionalState: active ? EMOTION_STATES[dominant] : null,
+      emotion: active ? dominant : null,
+      score: active ? scores[dominant].score : 0,
+      intensity: active ? intensityOf(scores[dominant].score) : null,
+      trend: active ? scores[dominant].trend : null,
+      scores,
+      evidence,
+      turns: recent.length
+    };
+  }
+}
+
+// 'rising', 'falling' or 'steady' from the earlier turns to the latest; null for a single turn
+function trendOf(series) {
+  if (series.length < 2) return null;
+  const earlier = series.slice(0, -1);
+  const change = series[series.length - 1] - earlier.reduce((sum, value) => sum + value, 0) / earlier.length;
+  if (change >= TREND_THRESHOLD) return 'rising';
+  if (change <= -TREND_THRESHOLD) return 'falling';
+  return 'steady';
+}
+
+module.exports = {
+  EMOTION_STATES,
+  EmotionDetector
+};
@@ -3,7 +3,6 @@
 
 const crypto = require('crypto');
 const axios = require('axios');
-const { ClariusSDK } = require('@clarius/mobile-api'); // Hypothetical SDK
 
 class EnhancedFirecrawlScraper {
     constructor(config) {
@@ -567,6 +566,8 @@ class ClariusIntegration {
 
     async connectScanner(scannerId, mode = 'diagnostic') {
         try {
+            // Loaded on first use so the de-identifier works without the device SDK
+            const { ClariusSDK } = require('@clarius/mobile-api'); // Hypothetical SDK
             const scanner = await ClariusSDK.connect({
                 apiKey: this.apiKey,
                 scannerId: scannerId,
@@ -606,7 +606,7 @@ class GemmaUltrasoundAnalyzer {
         return mobilityAnalysis;
     }
 
-    async compareWithNorms(analysisResults, patientDemographics) {
+    async compareWithNorms(analysisResults, patientDemographics = {}) {
         // Compare patient results with population norms
         const comparison = {
             age_matched: {},
@@ -615,10 +615,41 @@ class GemmaUltrasoundAnalyzer {
             deviation_from_norm: {}
         };
 
-        // Implement population comparison logic
+        // Only the adult reference ranges from getNormalRange exist; age- and gender-matched
+        // norms stay empty until stratified reference data is available
+        Object.entries(analysisResults.measurements || {}).forEach(([key, measurement]) => {
+            const normalRange = this.getNormalRange(key);
+            const value = measurement && typeof measurement === 'object' ? measurement.value : measurement;
+            if (!normalRange || typeof value !== 'number') return;
+
+            const distance = value < normalRange.min
+                ? value - normalRange.min
+                : value > normalRange.max ? value - normalRange.max : 0;
+            comparison.deviation_from_norm[key] = {
+                value: value,
+                units: normalRange.units,
+                normal_range: normalRange,
+                deviation: Number(distance.toFixed(2)),
+                interpretation: this.interpretMeasurement(key, value)
+            };
+
+            // Treats the reference range as mean +/- 2 SD of a normal distribution
+            const mean = (normalRange.min + normalRange.max) / 2;
+            const sd = (normalRange.max - normalRange.min) / 4;
+            comparison.population_percentile[key] = Math.round(this.normalCdf((value - mean) / sd) * 100);
+        });
+
         return comparison;
     }
 
+    // Abramowitz-Stegun approximation of the standard normal CDF
+    normalCdf(z) {
+        const t = 1 / (1 + 0.2316419 * Math.abs(z));
+        const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+        const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+        return z >= 0 ? 1 - tail : tail;
+    }
+
     async generateReport(analysisResults, format = 'clinical') {
         // Generate different types of reports
         const reportGenerators = {
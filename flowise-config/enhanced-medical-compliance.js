@@ -3,7 +3,6 @@
 
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 
 class HIPAAComplianceFramework {
@@ -203,6 +202,7 @@ class AuditLogger {
     }
 
     hashIP(ipAddress) {
+        if (!ipAddress) return null;
         return crypto.createHash('sha256')
             .update(ipAddress + process.env.IP_SALT)
             .digest('hex')
@@ -399,7 +399,9 @@ class AccessControlService {
                     'patient_data:write',
                     'medical_images:read',
                     'treatment_plans:read',
-                    'treatment_plans:write'
+                    'treatment_plans:write',
+                    'educational_content:read',
+                    'public_research:read'
                 ],
                 dataAccess: 'clinical',
                 auditAccess: false
@@ -409,7 +411,9 @@ class AccessControlService {
                     'patient_data:read_deidentified',
                     'medical_images:read_deidentified',
                     'research_data:read',
-                    'research_data:write'
+                    'research_data:write',
+                    'educational_content:read',
+                    'public_research:read'
                 ],
                 dataAccess: 'research',
                 auditAccess: false
@@ -418,7 +422,8 @@ class AccessControlService {
                 permissions: [
                     'own_data:read',
                     'treatment_plans:read_own',
-                    'educational_content:read'
+                    'educational_content:read',
+                    'public_research:read'
                 ],
                 dataAccess: 'limited',
                 auditAccess: false
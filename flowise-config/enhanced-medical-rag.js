@@ -109,6 +109,16 @@ class MedicalDocumentProcessor {
     this.evidenceGrader = new EvidenceGrader();
   }
 
+  // Retrieval over the chunks this processor stored: [{ content, score, metadata }]
+  async search(query, options = {}) {
+    const results = await this.vectorStore.similaritySearchWithScore(query, options.k || 4, options.filters);
+    return results.map(([document, score]) => ({
+      content: document.pageContent,
+      score,
+      metadata: document.metadata
+    }));
+  }
+
   async processDocument(document, metadata = {}) {
     try {
       // Extract and enhance metadata
@@ -271,6 +281,21 @@ class MedicalDocumentProcessor {
     return bridges;
   }
 
+  // Fills the quality_metrics schema from what the uploader supplied; nothing is looked up
+  async assessQuality(document, metadata) {
+    const supplied = metadata.quality_metrics || {};
+    const lowerContent = document.content.toLowerCase();
+
+    return {
+      citation_count: supplied.citation_count || 0,
+      journal_impact_factor: supplied.journal_impact_factor,
+      peer_reviewed: supplied.peer_reviewed ?? Boolean(metadata.doi || metadata.journal),
+      retraction_status: supplied.retraction_status ?? lowerContent.includes("this article has been retracted"),
+      conflict_of_interest: supplied.conflict_of_interest,
+      funding_source: supplied.funding_source
+    };
+  }
+
   async intelligentChunking(document, metadata) {
     const content = document.content || document.text || document.pageContent;
     
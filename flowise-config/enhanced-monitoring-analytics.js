@@ -4,6 +4,7 @@
 const prometheus = require('prom-client');
 const { createLogger, format, transports } = require('winston');
 const LokiTransport = require('winston-loki');
+const { modelPricing } = require('./model-pricing');
 
 class EnhancedMonitoringSystem {
     constructor(config) {
@@ -14,6 +15,8 @@ class EnhancedMonitoringSystem {
         this.costMeter = new RealTimeAPICostMeter(config.costConfig);
         this.performanceTracker = new PerformanceTracker(config.performanceConfig);
         this.langfuseClient = new LangfuseHIPAAClient(config.langfuseConfig);
+        // ExperimentManager whose per-arm results the dashboard reports (optional)
+        this.experiments = config.experiments || null;
         
         // Start monitoring collectors
         this.startMetricsCollection();
@@ -51,6 +54,12 @@ class EnhancedMonitoringSystem {
                 help: 'Total tokens consumed',
                 labelNames: ['provider', 'model', 'type'] // input/output
             }),
+
+            responseCache: new prometheus.Counter({
+                name: 'fbot_response_cache_total',
+                help: 'Response cache lookups',
+                labelNames: ['result', 'tier', 'task_type'] // hit/miss/bypass, exact/semantic
+            }),
             
             // Model performance
             modelLatency: new prometheus.Histogram({
@@ -189,7 +198,10 @@ class EnhancedMonitoringSystem {
             cost,
             inputTokens,
             outputTokens,
-            error
+            error,
+            cache,
+            sessionId,
+            experiments
         } = callData;
 
         // Basic API metrics
@@ -221,6 +233,13 @@ class EnhancedMonitoringSystem {
                 .inc(outputTokens);
         }
 
+        // Response cache hit/miss
+        if (cache) {
+            this.metrics.responseCache
+                .labels(cache.result, cache.tier || 'none', cache.taskType || 'unknown')
+                .inc();
+        }
+
         // Error tracking
         if (error) {
             this.metrics.modelErrors
@@ -238,6 +257,8 @@ class EnhancedMonitoringSystem {
             cost,
             tokens: { input: inputTokens, output: outputTokens },
             status,
+            sessionId,
+            experiments,
             timestamp: new Date().toISOString()
         });
 
@@ -314,6 +335,11 @@ class EnhancedMonitoringSystem {
         });
     }
 
+    // Requests waiting on a provider rate limit, reported by the orchestrator's limiter
+    trackQueueDepth(queueName, depth) {
+        this.metrics.queueDepth.labels(queueName).set(depth);
+    }
+
     // Track compliance violations
     async trackComplianceViolation(violationData) {
         const {
@@ -414,7 +440,10 @@ class EnhancedMonitoringSystem {
                 topEndpoints: await this.getTopEndpoints(timeRange),
                 modelUsage: await this.getModelUsageStats(timeRange),
                 userActivity: await this.getUserActivityStats(timeRange)
-            }
+            },
+
+            // Per-arm satisfaction, latency, cost and error rate with 95% intervals
+            experiments: this.experiments ? this.experiments.report() : []
         };
 
         return dashboardData;
@@ -573,40 +602,8 @@ class RealTimeAPICostMeter {
     }
 
     initializeModelPricing() {
-        return {
-            'gpt-4o': {
-                input: 0.005,  // per 1K tokens
-                output: 0.015
-            },
-            'gpt-4o-mini': {
-                input: 0.00015,
-                output: 0.0006
-            },
-            'claude-3-5-sonnet': {
-                input: 0.003,
-                output: 0.015
-            },
-            'claude-3-5-haiku': {
-                input: 0.00025,
-                output: 0.00125
-            },
-            'gemini-1.5-pro': {
-                input: 0.00125,
-                output: 0.005
-            },
-            'gemini-1.5-flash': {
-                input: 0.000075,
-                output: 0.0003
-            },
-            'perplexity-sonar': {
-                input: 0.001,
-                output: 0.001
-            },
-            'llama3.2': {
-                input: 0.0001,  // Local model costs (electricity)
-                output: 0.0001
-            }
-        };
+        // Live registry pricing shared with the orchestrator (USD per 1K tokens)
+        return modelPricing;
     }
 
     calculateCost(model, inputTokens, outputTokens) {
@@ -808,6 +805,10 @@ class LangfuseHIPAAClient {
                         type: 'span',
                         body: {
                             name: 'api_interaction',
+                            // Same trace as the session's user_satisfaction scores
+                            traceId: deidentifiedData.sessionId,
+                            tags: (deidentifiedData.experiments || [])
+                                .map(({ experimentId, armId }) => `experiment:${experimentId}:${armId}`),
                             ...deidentifiedData
                         }
                     }]
@@ -1,66 +1,24 @@
 // Enhanced Multi-LLM Orchestrator for F-Bot 2.0
 // Dynamic model selection based on task type, complexity, and cost optimization
 
-const modelCapabilities = {
-  "gpt-4o": {
-    "reasoning": 0.95,
-    "medical_accuracy": 0.92,
-    "cost": 0.30,
-    "speed": 0.70,
-    "use_cases": ["complex_diagnosis", "treatment_planning", "research_synthesis"],
-    "tokens_per_dollar": 400,
-    "context_window": 128000
-  },
-  "claude-3-5-sonnet": {
-    "reasoning": 0.93,
-    "empathy": 0.95,
-    "medical_accuracy": 0.90,
-    "cost": 0.35,
-    "speed": 0.75,
-    "use_cases": ["patient_coaching", "emotional_support", "treatment_explanation"],
-    "tokens_per_dollar": 350,
-    "context_window": 200000
-  },
-  "claude-3-opus": {
-    "reasoning": 0.97,
-    "medical_accuracy": 0.94,
-    "research_synthesis": 0.96,
-    "cost": 0.15,
-    "speed": 0.60,
-    "use_cases": ["complex_research", "evidence_synthesis", "critical_analysis"],
-    "tokens_per_dollar": 200,
-    "context_window": 200000
-  },
-  "gemini-1.5-pro": {
-    "reasoning": 0.90,
-    "multimodal": 0.95,
-    "medical_accuracy": 0.88,
-    "cost": 0.40,
-    "speed": 0.80,
-    "use_cases": ["image_analysis", "ultrasound_interpretation", "visual_generation"],
-    "tokens_per_dollar": 500,
-    "context_window": 1000000
-  },
-  "perplexity-sonar": {
-    "research": 0.98,
-    "current_info": 0.95,
-    "medical_accuracy": 0.85,
-    "cost": 0.25,
-    "speed": 0.85,
-    "use_cases": ["literature_search", "latest_research", "real_time_info"],
-    "tokens_per_dollar": 800,
-    "context_window": 8000
-  },
-  "llama3.2": {
-    "reasoning": 0.75,
-    "medical_accuracy": 0.70,
-    "cost": 0.95,
-    "speed": 0.60,
-    "use_cases": ["basic_queries", "cost_optimization", "privacy_sensitive"],
-    "tokens_per_dollar": 2000,
-    "context_window": 128000
-  }
-};
+const { ProviderRouter } = require('./llm-provider-adapters');
+const { FailoverExecutor } = require('./llm-failover-executor');
+const { classifyTask } = require('./medical-task-classifier');
+const { ModelWeightLearner } = require('./model-weight-learner');
+const { estimateCost, estimateTokens, calculateCost, tokensPerDollar } = require('./model-pricing');
+const { createBudgetExceededError } = require('./budget-ledger');
+const { SafetyEnsemble } = require('./safety-ensemble');
+const { ResponseCache, createAdapterEmbeddings } = require('./response-cache');
+const { getModelRegistry } = require('./model-registry');
+const { assemblePrompt, fitsContextWindow } = require('./prompt-assembler');
+const { PhiPrivacyGuard, LOCAL_PROVIDERS, createPhiBlockedError } = require('./phi-privacy-router');
+const { runToolLoop } = require('./tool-registry');
+const { resolveResponseFormat, formatInstruction, completeStructured } = require('./structured-output');
+const { ProviderRateLimiter, PRIORITY } = require('./provider-rate-limiter');
+
+// Capabilities of the models enabled for this environment, from config/model-registry.json
+const modelRegistry = getModelRegistry();
+const modelCapabilities = modelRegistry.modelCapabilities;
 
 // Enhanced task classification with medical specialization
 const medicalTaskTypes = {
@@ -102,49 +60,112 @@ const medicalTaskTypes = {
   }
 };
 
+// Fail fast on task requirements no registry model can satisfy
+modelRegistry.setTaskTypes(medicalTaskTypes);
+
+// Online weight learner fed by chat feedback and call outcomes (optional)
+let modelWeightLearner = null;
+
+function createModelWeightLearner(options = {}) {
+  return new ModelWeightLearner({
+    modelCapabilities,
+    taskTypes: medicalTaskTypes,
+    learningConfig: modelPerformanceTracker.learning_algorithm,
+    statePath: process.env.MODEL_WEIGHTS_STATE_PATH || "data/model-weights.json",
+    ...options
+  });
+}
+
+function setModelWeightLearner(learner) {
+  modelWeightLearner = learner;
+}
+
 // Dynamic model selection algorithm
-async function selectOptimalModel(taskType, userQuery, costBudget = 100, userPreferences = {}) {
+// requestContext: { systemPrompt, messages, ragContext, maxTokens } sizes the cost estimate
+async function selectOptimalModel(taskType, userQuery, costBudget = 100, userPreferences = {}, requestContext = {}) {
+  // Classify the query when the caller does not supply a task type
+  const classification = resolveTaskClassification(taskType, userQuery, userPreferences.history);
+  if (classification) {
+    taskType = classification.primary;
+  }
+
   const taskConfig = medicalTaskTypes[taskType];
   if (!taskConfig) {
-    return { model: "gpt-4o", reason: "Unknown task type, using default" };
+    return { model: "gpt-4o", reason: "Unknown task type, using default", taskType };
   }
 
-  const requiredCapabilities = taskConfig.required_capabilities;
-  const safetyLevel = taskConfig.safety_critical ? "high" : "medium";
+  // Multi-label queries combine the requirements of every selected task type
+  const activeTaskTypes = classification
+    ? classification.selectedTaskTypes.filter(type => medicalTaskTypes[type])
+    : [taskType];
+  const requiredCapabilities = [...new Set(
+    activeTaskTypes.flatMap(type => medicalTaskTypes[type].required_capabilities)
+  )];
+  const safetyLevel = activeTaskTypes.some(type => medicalTaskTypes[type].safety_critical) ? "high" : "medium";
   
   // Calculate complexity score based on query characteristics
   const complexityScore = calculateComplexity(userQuery);
+
+  // Models whose window cannot hold the required context are never candidates
+  const contextInput = buildContextInput(userQuery, requestContext, taskType);
+  const rejectedModels = [];
+  const limiter = requestContext.rateLimiter;
+  const priority = safetyLevel === "high" ? PRIORITY.safety_critical : PRIORITY.normal;
   
   // Filter models based on cost budget and safety requirements
-  let candidateModels = Object.entries(modelCapabilities).filter(([model, capabilities]) => {
+  const candidateModels = Object.entries(modelCapabilities).filter(([model, capabilities]) => {
+    const contextFit = fitsContextWindow(model, capabilities.context_window, contextInput);
+    if (!contextFit.fits) {
+      rejectedModels.push({ model, reason: "context_window", ...contextFit });
+      return false;
+    }
+
+    // A provider at its rate limit, or backing off after a 429, is unavailable until it recovers
+    const saturation = limiter ? limiter.checkAvailability(model, { priority }) : null;
+    if (saturation) {
+      rejectedModels.push({ model, reason: "rate_limited", ...saturation });
+      return false;
+    }
+
     // Always allow high-accuracy models for safety-critical tasks
     if (safetyLevel === "high" && capabilities.medical_accuracy < 0.85) {
+      rejectedModels.push({ model, reason: "safety_bar", medicalAccuracy: capabilities.medical_accuracy, required: 0.85 });
       return false;
     }
     
     // Respect cost budget for non-critical tasks
     if (safetyLevel === "medium" && costBudget < 50 && capabilities.cost < 0.8) {
+      rejectedModels.push({ model, reason: "cost_budget", costScore: capabilities.cost, required: 0.8, costBudget });
       return false;
     }
     
     // Ensure model supports required use cases
-    return capabilities.use_cases.some(useCase => 
-      taskConfig.keywords.some(keyword => useCase.includes(keyword.split('_')[0]))
+    const useCaseMatch = capabilities.use_cases.some(useCase => 
+      activeTaskTypes.some(type => medicalTaskTypes[type].keywords.some(keyword =>
+        useCase.includes(keyword.split('_')[0])
+      ))
     );
+    if (!useCaseMatch) {
+      rejectedModels.push({ model, reason: "use_case", useCases: capabilities.use_cases, taskTypes: activeTaskTypes });
+    }
+    return useCaseMatch;
   });
 
   // Score each candidate model
   let bestModel = null;
   let bestScore = 0;
-  let selectionReason = "";
+  const candidates = [];
 
   for (const [modelName, capabilities] of candidateModels) {
     let score = 0;
-    let scoreComponents = {};
+    const scoreComponents = {};
 
-    // Calculate capability score
-    const capabilityScore = requiredCapabilities.reduce((sum, cap) => 
-      sum + (capabilities[cap] || 0), 0) / requiredCapabilities.length;
+    // Calculate capability score, preferring a Thompson sample from the learned posterior, whose
+    // prior is this same capability score
+    const learnedScore = modelWeightLearner ? modelWeightLearner.sampledScore(taskType, modelName) : null;
+    const capabilityScore = learnedScore !== null ? learnedScore :
+      requiredCapabilities.reduce((sum, cap) => 
+        sum + (capabilities[cap] || 0), 0) / requiredCapabilities.length;
     scoreComponents.capability = capabilityScore * 0.4;
 
     // Factor in complexity requirements
@@ -169,23 +190,57 @@ async function selectOptimalModel(taskType, userQuery, costBudget = 100, userPre
     }
 
     score = Object.values(scoreComponents).reduce((sum, val) => sum + (val || 0), 0);
+    candidates.push({
+      model: modelName,
+      score,
+      components: scoreComponents,
+      capabilitySource: learnedScore !== null ? "learned" : "registry"
+    });
 
     if (score > bestScore) {
       bestScore = score;
       bestModel = modelName;
-      selectionReason = generateSelectionReason(modelName, capabilities, scoreComponents, taskType);
     }
   }
 
+  // Stable sort, so ties stay in registry order as they were when scored
+  candidates.sort((a, b) => b.score - a.score);
+
   return {
     model: bestModel || "gpt-4o",
-    reason: selectionReason,
+    reason: generateSelectionReason(bestModel, candidates, rejectedModels, taskType),
     confidence: bestScore,
-    costEstimate: calculateCostEstimate(bestModel, userQuery),
-    safetyLevel: safetyLevel
+    costEstimate: calculateCostEstimate(bestModel || "gpt-4o", userQuery, { ...requestContext, taskType }),
+    safetyLevel: safetyLevel,
+    taskType,
+    classification,
+    complexityScore,
+    requiredCapabilities,
+    inputs: {
+      costBudget,
+      prioritizeCost: Boolean(userPreferences.prioritizeCost),
+      preferredModel: userPreferences.preferredModel || null
+    },
+    candidates,
+    rejectedModels,
+    registryVersion: modelRegistry.version,
+    registryEnvironment: modelRegistry.environment
   };
 }
 
+function resolveTaskClassification(taskType, userQuery, history = []) {
+  if (taskType && taskType !== "auto") {
+    return null;
+  }
+
+  try {
+    return classifyTask(userQuery, history);
+  } catch (error) {
+    console.warn("Task classification failed, using default model:", error.message);
+    return null;
+  }
+}
+
 function calculateComplexity(query) {
   const complexityIndicators = {
     "multiple symptoms": 0.3,
@@ -216,42 +271,741 @@ function calculateComplexity(query) {
   return Math.min(complexity, 1.0);
 }
 
-function generateSelectionReason(modelName, capabilities, scoreComponents, taskType) {
-  const reasons = [];
-  
-  if (scoreComponents.capability > 0.3) {
-    reasons.push(`High capability match for ${taskType}`);
+// States the winning score, its components, the runner-up and what was filtered out, so the
+// reason can be checked against the stored candidates
+function generateSelectionReason(modelName, candidates, rejectedModels, taskType) {
+  const filtered = rejectedModels.length > 0
+    ? `; filtered out ${rejectedModels.map(rejected => `${rejected.model} (${rejected.reason})`).join(", ")}`
+    : "";
+  if (!modelName) {
+    return `No model qualified for ${taskType}, using the default model${filtered}`;
   }
-  
-  if (scoreComponents.safety > 0.15) {
-    reasons.push("Medical safety requirements");
+
+  const [best, runnerUp] = candidates;
+  const components = Object.entries(best.components)
+    .map(([name, value]) => `${name} ${value.toFixed(3)}`)
+    .join(", ");
+  const margin = runnerUp
+    ? `, ahead of ${runnerUp.model} at ${runnerUp.score.toFixed(3)}`
+    : ", the only candidate";
+  return `${modelName} scored ${best.score.toFixed(3)} for ${taskType} (${components})${margin}${filtered}`;
+}
+
+function calculateCostEstimate(modelName, query, requestContext = {}) {
+  const model = modelCapabilities[modelName];
+  if (!model) return { error: "Model not found" };
+
+  const estimate = estimateCost(modelName, { ...requestContext, query });
+  if (estimate.totalCost === null) return { error: "No pricing for model" };
+
+  return {
+    estimatedTokens: estimate.tokens.input.total + estimate.tokens.output,
+    inputTokens: estimate.tokens.input,
+    outputTokens: estimate.tokens.output,
+    estimatedCost: `$${estimate.totalCost.toFixed(4)}`,
+    estimatedCostUSD: estimate.totalCost,
+    tokenizer: estimate.tokens.tokenizer,
+    efficiency: tokensPerDollar(modelName)
+  };
+}
+
+// Provider execution: turns a routing decision into an actual completion
+let defaultProviderRouter = null;
+
+function getProviderRouter() {
+  if (!defaultProviderRouter) {
+    defaultProviderRouter = new ProviderRouter();
   }
-  
-  if (scoreComponents.cost > 0.25) {
-    reasons.push("Cost-optimized selection");
+  return defaultProviderRouter;
+}
+
+// The raw context travels with the request so every hop can be assembled for its own window
+function buildCompletionRequest(userQuery, options, routingDecision) {
+  const context = buildContextInput(userQuery, buildRequestContext(userQuery, options), routingDecision.taskType);
+  return {
+    messages: [...context.history, { role: "user", content: userQuery }],
+    system: options.system,
+    maxTokens: options.maxTokens,
+    temperature: options.temperature,
+    signal: options.signal,
+    taskType: routingDecision.taskType,
+    context
+  };
+}
+
+function buildContextInput(userQuery, requestContext, taskType) {
+  const ragContext = requestContext.ragContext;
+  return {
+    system: requestContext.systemPrompt,
+    history: requestContext.messages || [],
+    ragChunks: Array.isArray(ragContext) ? ragContext : ragContext ? [ragContext] : [],
+    ultrasoundFindings: requestContext.ultrasoundFindings,
+    query: userQuery,
+    maxTokens: requestContext.maxTokens,
+    taskType
+  };
+}
+
+// Fits the request's context into the window of the model about to serve it
+function prepareModelRequest(modelName, request) {
+  const registered = modelRegistry.models[modelName];
+  if (!request.context || !registered) return { request, assembly: null };
+
+  const assembly = assemblePrompt(modelName, registered.context_window, request.context);
+  return {
+    request: { ...request, system: assembly.system, messages: assembly.messages },
+    assembly: { tokens: assembly.tokens, truncation: assembly.truncation }
+  };
+}
+
+// Provider router view that assembles the prompt per model, including failover hops
+function withPromptAssembly(providerRouter) {
+  return {
+    async complete(routingDecision, request) {
+      const prepared = prepareModelRequest(routingDecision.model, request);
+      const result = await providerRouter.complete(routingDecision, prepared.request);
+      return withContextMetadata(result, prepared.assembly);
+    },
+    async *stream(routingDecision, request) {
+      const prepared = prepareModelRequest(routingDecision.model, request);
+      for await (const event of providerRouter.stream(routingDecision, prepared.request)) {
+        yield event.type === "done" ? withContextMetadata(event, prepared.assembly) : event;
+      }
+    }
+  };
+}
+
+function withContextMetadata(result, assembly) {
+  if (!assembly) return result;
+  return { ...result, metadata: { ...(result.metadata || {}), context: assembly } };
+}
+
+// Prompt sizes for the router's cost estimate; the query itself is counted separately
+function buildRequestContext(userQuery, options) {
+  return {
+    systemPrompt: options.system,
+    messages: (options.messages || []).filter(message => message.content !== userQuery),
+    ragContext: options.ragContext,
+    ultrasoundFindings: options.ultrasoundFindings,
+    maxTokens: options.maxTokens,
+    rateLimiter: getRateLimiter(options)
+  };
+}
+
+// Numeric USD estimate for a provider request, used by the failover budget check
+function estimateRequestCost(modelName, request) {
+  const context = request.context;
+  const estimate = estimateCost(modelName, context ? {
+    systemPrompt: context.system,
+    messages: context.history,
+    ragContext: context.ragChunks,
+    query: context.query,
+    maxTokens: request.maxTokens,
+    taskType: request.taskType
+  } : {
+    systemPrompt: request.system,
+    messages: request.messages,
+    maxTokens: request.maxTokens,
+    taskType: request.taskType
+  });
+  return estimate.totalCost || 0;
+}
+
+// Per-provider and per-model request and token limits (optional)
+let rateLimiter = null;
+
+function createRateLimiter(options = {}) {
+  return new ProviderRateLimiter({
+    limits: process.env.LLM_RATE_LIMITS ? JSON.parse(process.env.LLM_RATE_LIMITS) : {},
+    maxWaitMs: Number(process.env.LLM_RATE_LIMIT_MAX_WAIT_MS) || undefined,
+    modelProviders: modelRegistry.modelProviderMap,
+    ...options
+  });
+}
+
+function setRateLimiter(limiter) {
+  rateLimiter = limiter;
+}
+
+function getRateLimiter(options) {
+  if (options.rateLimiter === false) return null;
+  return options.rateLimiter || rateLimiter;
+}
+
+// Estimated from the assembled prompt; corrected by the provider's reported usage afterwards
+function rateLimitDemand(routingDecision, request) {
+  const estimate = estimateTokens(routingDecision.model, {
+    systemPrompt: request.system,
+    messages: [...(request.messages || []), ...(request.followUpMessages || [])],
+    maxTokens: request.maxTokens,
+    taskType: request.taskType
+  });
+  return {
+    tokens: estimate.input.total + estimate.output,
+    priority: routingDecision.safetyLevel === "high" ? PRIORITY.safety_critical : PRIORITY.normal,
+    signal: request.signal
+  };
+}
+
+function usedTokens(result) {
+  const usage = result.usage;
+  return usage ? (usage.inputTokens || 0) + (usage.outputTokens || 0) : undefined;
+}
+
+// Provider router view that waits for rate-limit capacity before each call and backs the
+// provider off when it answers 429
+function withRateLimiting(providerRouter, limiter) {
+  if (!limiter) return providerRouter;
+  return {
+    async complete(routingDecision, request) {
+      const permit = await limiter.acquire(routingDecision.model, rateLimitDemand(routingDecision, request));
+      try {
+        const result = await providerRouter.complete(routingDecision, request);
+        permit.settle(usedTokens(result));
+        return result;
+      } catch (error) {
+        limiter.recordFailure(routingDecision.model, error);
+        throw error;
+      } finally {
+        permit.settle();
+      }
+    },
+    async *stream(routingDecision, request) {
+      const permit = await limiter.acquire(routingDecision.model, rateLimitDemand(routingDecision, request));
+      try {
+        for await (const event of providerRouter.stream(routingDecision, request)) {
+          if (event.type === "done") permit.settle(usedTokens(event));
+          yield event;
+        }
+      } catch (error) {
+        limiter.recordFailure(routingDecision.model, error);
+        throw error;
+      } finally {
+        permit.settle();
+      }
+    }
+  };
+}
+
+// Rate limiting sees the prompt assembled for the model it is about to call
+function getExecutionRouter(options) {
+  return withPromptAssembly(withRateLimiting(options.providerRouter || getProviderRouter(), getRateLimiter(options)));
+}
+
+// Failover is on unless LLM_FALLBACK_ENABLED=false or the caller opts out
+function createExecutor(options) {
+  const providerRouter = getExecutionRouter(options);
+  const fallbackEnabled = options.fallback !== undefined
+    ? options.fallback
+    : process.env.LLM_FALLBACK_ENABLED !== "false";
+
+  if (!fallbackEnabled) {
+    return providerRouter;
   }
-  
-  if (scoreComponents.complexity > 0.25) {
-    reasons.push("Complexity-appropriate reasoning");
+
+  return new FailoverExecutor({
+    providerRouter,
+    fallbackStrategy: flowiseMultiLLMConfig.fallbackStrategy,
+    costEstimator: estimateRequestCost
+  });
+}
+
+// Second-opinion mode for safety-critical tasks; on via options.ensemble or LLM_SAFETY_ENSEMBLE=true
+function createSafetyEnsemble(routingDecision, options) {
+  const config = flowiseMultiLLMConfig.safetyEnsemble;
+  const requested = options.ensemble !== undefined
+    ? options.ensemble
+    : config.enabled || process.env.LLM_SAFETY_ENSEMBLE === "true";
+
+  if (!requested || routingDecision.safetyLevel !== "high") {
+    return null;
   }
 
-  return reasons.join(", ") || `Best fit for ${taskType} tasks`;
+  return new SafetyEnsemble({
+    providerRouter: getExecutionRouter(options),
+    executor: createExecutor(options),
+    modelCapabilities,
+    escalationModel: flowiseMultiLLMConfig.fallbackStrategy.safety_escalation,
+    size: typeof requested === "number" ? requested : config.size,
+    agreementThreshold: config.agreement_threshold,
+    minMedicalAccuracy: config.min_medical_accuracy,
+    costEstimator: estimateRequestCost,
+    costOf: resultCost
+  });
+}
+
+// Hard spend limits per user, role and organization (optional)
+let budgetLedger = null;
+
+function setBudgetLedger(ledger) {
+  budgetLedger = ledger;
 }
 
-function calculateCostEstimate(modelName, query) {
-  const model = modelCapabilities[modelName];
-  if (!model) return { error: "Model not found" };
+// Models the router filtered out for a reason a cheaper price does not change
+const UNAVAILABLE_REJECTIONS = ["context_window", "rate_limited"];
+
+// Keeps, downgrades or refuses the routed model based on the caller's remaining budget, and
+// reserves the estimated cost of the model it keeps; the caller settles or releases it
+function enforceBudget(routingDecision, userQuery, options) {
+  const ledger = options.budgetLedger || budgetLedger;
+  if (!ledger || !options.principal) {
+    return { routingDecision, ledger: null, budget: null };
+  }
 
-  const estimatedTokens = Math.ceil(query.length / 3); // Rough estimation
-  const estimatedCost = estimatedTokens / model.tokens_per_dollar;
+  const requestContext = { ...buildRequestContext(userQuery, options), taskType: routingDecision.taskType };
+  const estimate = modelName => calculateCostEstimate(modelName, userQuery, requestContext).estimatedCostUSD || 0;
 
+  const estimatedCostUSD = estimate(routingDecision.model);
+  const check = ledger.reserve(options.principal, estimatedCostUSD);
+  if (check.allowed) {
+    const budget = { remaining: check.remaining, downgradedFrom: null };
+    return {
+      routingDecision: { ...routingDecision, budget: { ...budget, estimatedCostUSD } },
+      ledger,
+      budget,
+      reservation: check.reservation
+    };
+  }
+
+  // Best affordable model that still meets the safety bar for the task and can take the request
+  const unavailable = new Set((routingDecision.rejectedModels || [])
+    .filter(rejection => UNAVAILABLE_REJECTIONS.includes(rejection.reason))
+    .map(rejection => rejection.model));
+  const downgrade = Object.entries(modelCapabilities)
+    .filter(([modelName]) => modelName !== routingDecision.model && !unavailable.has(modelName))
+    .filter(([modelName]) => !routingDecision.localOnly || LOCAL_PROVIDERS.includes(modelRegistry.modelProviderMap[modelName].provider))
+    .filter(([, capabilities]) => routingDecision.localOnly || routingDecision.safetyLevel !== "high" || capabilities.medical_accuracy >= 0.85)
+    .map(([modelName, capabilities]) => ({ model: modelName, cost: estimate(modelName), accuracy: capabilities.medical_accuracy }))
+    .filter(candidate => ledger.checkBudget(options.principal, candidate.cost).allowed)
+    .sort((a, b) => b.accuracy - a.accuracy || a.cost - b.cost)[0];
+
+  if (!downgrade) {
+    throw createBudgetExceededError(check);
+  }
+
+  const budget = { remaining: check.remaining, downgradedFrom: routingDecision.model, reason: check.reason };
+  const { reservation } = ledger.reserve(options.principal, downgrade.cost);
+  return {
+    routingDecision: {
+      ...routingDecision,
+      model: downgrade.model,
+      reason: `${routingDecision.reason || "Routed model"}; downgraded from ${routingDecision.model} to stay within budget`,
+      costEstimate: calculateCostEstimate(downgrade.model, userQuery, requestContext),
+      adjustments: withAdjustment(routingDecision, "budget", downgrade.model, check.reason || "budget_exceeded"),
+      budget: { ...budget, estimatedCostUSD: downgrade.cost }
+    },
+    ledger,
+    budget,
+    reservation
+  };
+}
+
+// Model changes made after scoring, in order, so the audit trail shows how the routed
+// model became the one that was called
+function withAdjustment(routingDecision, stage, model, reason) {
+  return [...(routingDecision.adjustments || []), { stage, from: routingDecision.model, to: model, reason }];
+}
+
+function recordBudgetSpend(ledger, reservation, result, budget) {
+  if (!ledger) return null;
+
+  // Ensemble answers bill every model that was asked, not just the one served
+  const billed = result.metadata && result.metadata.ensemble ? result.metadata.ensemble.responses : [result];
+  const cost = billed.reduce((sum, response) => {
+    const usage = response.usage || {};
+    return sum + (calculateCost(response.model, usage.inputTokens || 0, usage.outputTokens || 0) || 0);
+  }, 0);
+  const state = ledger.settle(reservation, cost);
+  return { ...budget, cost, remaining: state.remaining };
+}
+
+// PHI detection before dispatch; on unless PHI_ROUTING_POLICY=off or the caller opts out
+let privacyGuard = null;
+
+function createPrivacyGuard(options = {}) {
+  return new PhiPrivacyGuard({
+    policy: process.env.PHI_ROUTING_POLICY || "local_only",
+    orgPolicies: process.env.PHI_ROUTING_ORG_POLICIES ? JSON.parse(process.env.PHI_ROUTING_ORG_POLICIES) : {},
+    modelProviders: modelRegistry.modelProviderMap,
+    ...options
+  });
+}
+
+function setPrivacyGuard(guard) {
+  privacyGuard = guard;
+}
+
+function getPrivacyGuard(options) {
+  if (options.privacyGuard === false) return null;
+  if (options.privacyGuard) return options.privacyGuard;
+  if (!privacyGuard && process.env.PHI_ROUTING_POLICY !== "off") {
+    privacyGuard = createPrivacyGuard();
+  }
+  return privacyGuard;
+}
+
+// Redacts or blocks per policy; the returned query and options are what gets dispatched
+async function protectPrivacy(userQuery, options) {
+  const guard = getPrivacyGuard(options);
+  if (!guard) return { guard: null, userQuery, options, privacy: null, reidentifier: null };
+  return { guard, ...(await guard.protect(userQuery, options)) };
+}
+
+// Under local_only the query may only reach a local model that can hold its context,
+// even when the task would normally require a more accurate cloud model
+function enforceLocalRouting(guard, routingDecision, userQuery, options, privacy) {
+  if (!privacy) return routingDecision;
+  if (privacy.action !== "local_only") return { ...routingDecision, privacy };
+
+  const localDecision = { ...routingDecision, privacy, localOnly: true };
+  if (guard.isLocal(routingDecision.model)) return localDecision;
+
+  const requestContext = buildRequestContext(userQuery, options);
+  const contextInput = buildContextInput(userQuery, requestContext, routingDecision.taskType);
+  const local = Object.entries(modelCapabilities)
+    .filter(([modelName]) => guard.isLocal(modelName))
+    .filter(([modelName, capabilities]) => fitsContextWindow(modelName, capabilities.context_window, contextInput).fits)
+    .sort(([, a], [, b]) => b.medical_accuracy - a.medical_accuracy)[0];
+
+  if (!local) {
+    throw createPhiBlockedError("This message contains patient identifiers and no local model is available to answer it", privacy.phiTypes);
+  }
+
+  return {
+    ...localDecision,
+    model: local[0],
+    reason: `${routingDecision.reason || "Routed model"}; kept on local model ${local[0]} instead of ${routingDecision.model} because the query contains PHI`,
+    adjustments: withAdjustment(routingDecision, "privacy", local[0], "phi_local_only"),
+    costEstimate: calculateCostEstimate(local[0], userQuery, { ...requestContext, taskType: routingDecision.taskType })
+  };
+}
+
+function withPrivacyMetadata(result, privacy, reidentifier) {
+  if (!privacy) return result;
+  return {
+    ...result,
+    text: reidentifier ? reidentifier.text(result.text) : result.text,
+    structured: reidentifier && result.structured ? reidentifyValue(result.structured, reidentifier) : result.structured,
+    metadata: { ...(result.metadata || {}), privacy }
+  };
+}
+
+function reidentifyValue(value, reidentifier) {
+  if (typeof value === "string") return reidentifier.text(value);
+  if (Array.isArray(value)) return value.map(item => reidentifyValue(item, reidentifier));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reidentifyValue(item, reidentifier)]));
+  }
+  return value;
+}
+
+// Semantic response cache for general answers (optional); on via options.cache or LLM_RESPONSE_CACHE=true
+let responseCache = null;
+
+function createResponseCache(options = {}) {
+  const openai = getProviderRouter().adapters.openai;
+  return new ResponseCache({
+    taskTypes: medicalTaskTypes,
+    embeddings: openai && openai.apiKey
+      ? createAdapterEmbeddings(openai, process.env.RESPONSE_CACHE_EMBEDDING_MODEL)
+      : null,
+    ...options
+  });
+}
+
+function setResponseCache(cache) {
+  responseCache = cache;
+}
+
+function getResponseCache(options) {
+  if (options.cache === false) return null;
+  if (options.cache) return options.cache;
+  if (!responseCache && process.env.LLM_RESPONSE_CACHE === "true") {
+    responseCache = createResponseCache();
+  }
+  return responseCache;
+}
+
+function buildCacheContext(routingDecision, options) {
+  return {
+    taskType: routingDecision.taskType,
+    safetyLevel: routingDecision.safetyLevel,
+    system: options.system,
+    patientSpecific: Boolean(options.patientId || options.ultrasoundFindings || (options.attachments && options.attachments.length))
+  };
+}
+
+// Served from cache: no provider call, no tokens, no budget spend
+function cachedCompletion(lookup, routingDecision) {
+  const { entry } = lookup;
+  return {
+    ...entry.response,
+    usage: { inputTokens: 0, outputTokens: 0 },
+    latency: 0,
+    routing: routingDecision,
+    metadata: {
+      cache: { hit: true, tier: lookup.tier, similarity: lookup.similarity, cachedAt: new Date(entry.createdAt).toISOString() }
+    }
+  };
+}
+
+async function storeCompletion(cache, lookup, userQuery, cacheContext, result) {
+  if (!lookup || lookup.result !== "miss" || result.finishReason !== "stop") return;
+
+  const { text, model, provider, finishReason, citations } = result;
+  await cache.store(userQuery, cacheContext, { text, model, provider, finishReason, citations }, lookup);
+}
+
+function withCacheMetadata(result, lookup) {
+  if (!lookup) return result;
   return {
-    estimatedTokens,
-    estimatedCost: `$${estimatedCost.toFixed(4)}`,
-    efficiency: model.tokens_per_dollar
+    ...result,
+    metadata: { ...(result.metadata || {}), cache: { hit: false, result: lookup.result, reason: lookup.reason || null } }
   };
 }
 
+// A/B experiments: options.experiments = [{ experimentId, armId, model? }] from the experiment
+// manager. An arm's model replaces the routed one only where the router could have picked it:
+// enabled, within the context window and rate limits, safe enough and local when PHI requires.
+function applyExperiments(routingDecision, userQuery, options) {
+  const experiments = options.experiments || [];
+  if (experiments.length === 0) return routingDecision;
+
+  let decision = routingDecision;
+  const tags = experiments.map(({ experimentId, armId, model }) => {
+    if (!model || model === decision.model) return { experimentId, armId };
+
+    const capabilities = modelCapabilities[model];
+    const eligible = capabilities &&
+      !(decision.rejectedModels || []).some(rejected =>
+        rejected.model === model && (rejected.reason === "context_window" || rejected.reason === "rate_limited")) &&
+      (decision.safetyLevel !== "high" || capabilities.medical_accuracy >= 0.85) &&
+      (!decision.localOnly || LOCAL_PROVIDERS.includes(modelRegistry.modelProviderMap[model].provider));
+    if (!eligible) return { experimentId, armId, modelOverride: "ineligible" };
+
+    decision = {
+      ...decision,
+      model,
+      reason: `${decision.reason || "Routed model"}; ${model} for experiment ${experimentId} (${armId})`,
+      adjustments: withAdjustment(decision, "experiment", model, `${experimentId}:${armId}`),
+      costEstimate: calculateCostEstimate(model, userQuery, { ...buildRequestContext(userQuery, options), taskType: decision.taskType })
+    };
+    return { experimentId, armId, modelOverride: model };
+  });
+  return { ...decision, experiments: tags };
+}
+
+// Agent tool calling: options.tools = { registry, agent, context, maxSteps }.
+// Offered tools depend on the caller's role, so tool turns bypass the shared cache, and
+// they skip the ensemble, which compares single answers rather than tool conversations.
+async function resolveTools(options) {
+  if (!options.tools || !options.tools.registry) return null;
+
+  const { registry, agent, maxSteps } = options.tools;
+  const context = { ...(options.principal || {}), ...(options.tools.context || {}), agent };
+  const definitions = await registry.definitionsFor({ agent, role: context.role });
+  if (definitions.length === 0) return null;
+
+  return { registry, tools: definitions, context, maxSteps };
+}
+
+// JSON answers: options.responseFormat is a structured-output format name or a custom
+// { name, schema }. The schema goes into the system prompt so every model sees it, including
+// those without a native JSON mode. Structured turns skip tools, the cache and the ensemble.
+function withResponseFormat(options) {
+  const format = resolveResponseFormat(options.responseFormat);
+  if (!format) return { format: null, options };
+
+  const instruction = formatInstruction(format);
+  return {
+    format,
+    options: { ...options, system: options.system ? `${options.system}\n\n${instruction}` : instruction, tools: undefined }
+  };
+}
+
+function resultCost(result) {
+  const usage = result.usage || {};
+  return calculateCost(result.model, usage.inputTokens || 0, usage.outputTokens || 0) || 0;
+}
+
+// Tool and structured-output turns are loops of complete calls; other turns are one call
+function runCompletion(routingDecision, request, options, { tools, format, limits }) {
+  if (format) {
+    return completeStructured(createExecutor(options), routingDecision, request, {
+      format, maxRepairs: options.maxRepairs, limits, costOf: resultCost
+    });
+  }
+  if (tools) {
+    return runToolLoop(createExecutor(options), routingDecision, request, { ...tools, limits, costOf: resultCost });
+  }
+  return (createSafetyEnsemble(routingDecision, options) || createExecutor(options)).complete(routingDecision, request, limits);
+}
+
+async function routeAndComplete(taskType, originalQuery, originalOptions = {}) {
+  const { format, options: formatted } = withResponseFormat(originalOptions);
+  const { guard, userQuery, options, privacy, reidentifier } = await protectPrivacy(originalQuery, formatted);
+  const routed = await selectOptimalModel(
+    taskType, userQuery, options.costBudget, options.userPreferences,
+    buildRequestContext(userQuery, options)
+  );
+  const selected = applyExperiments(enforceLocalRouting(guard, routed, userQuery, options, privacy), userQuery, options);
+  const tools = await resolveTools(options);
+
+  // An answer cached from another model would be counted against the arm's model
+  const modelArm = (options.experiments || []).some(experiment => experiment.model);
+  const cache = tools || format || modelArm ? null : getResponseCache(options);
+  const cacheContext = buildCacheContext(selected, options);
+  const lookup = cache ? await cache.lookup(userQuery, cacheContext) : null;
+  if (lookup && lookup.result === "hit") {
+    return cachedCompletion(lookup, selected);
+  }
+
+  const { routingDecision, ledger, budget, reservation } = enforceBudget(selected, userQuery, options);
+  const request = buildCompletionRequest(userQuery, options, routingDecision);
+  const limits = {
+    maxCost: budget ? Math.min(budget.remaining, options.maxCost ?? Infinity) : options.maxCost
+  };
+
+  // A failed request gives its reservation back
+  let result;
+  try {
+    if (privacy) await guard.audit(privacy, options, { model: routingDecision.model });
+    result = await runCompletion(routingDecision, request, options, { tools, format, limits });
+  } catch (error) {
+    if (ledger) ledger.release(reservation);
+    throw error;
+  }
+  await storeCompletion(cache, lookup, userQuery, cacheContext, result);
+
+  const completion = withPrivacyMetadata(result, privacy, reidentifier);
+  if (!ledger) return withCacheMetadata(completion, lookup);
+  return withCacheMetadata({
+    ...completion,
+    metadata: { ...(completion.metadata || {}), budget: recordBudgetSpend(ledger, reservation, result, budget) }
+  }, lookup);
+}
+
+// Yields { type: "routing", routing } before any token so callers can attach
+// safety handling (disclaimers, referrals) to the first chunk they show
+async function* routeAndStream(taskType, originalQuery, originalOptions = {}) {
+  const { format, options: formatted } = withResponseFormat(originalOptions);
+  const { guard, userQuery, options, privacy, reidentifier } = await protectPrivacy(originalQuery, formatted);
+  const routed = await selectOptimalModel(
+    taskType, userQuery, options.costBudget, options.userPreferences,
+    buildRequestContext(userQuery, options)
+  );
+  const selected = applyExperiments(enforceLocalRouting(guard, routed, userQuery, options, privacy), userQuery, options);
+  const tools = await resolveTools(options);
+
+  // An answer cached from another model would be counted against the arm's model
+  const modelArm = (options.experiments || []).some(experiment => experiment.model);
+  const cache = tools || format || modelArm ? null : getResponseCache(options);
+  const cacheContext = buildCacheContext(selected, options);
+  const lookup = cache ? await cache.lookup(userQuery, cacheContext) : null;
+  if (lookup && lookup.result === "hit") {
+    yield { type: "routing", routing: selected };
+    yield* completionAsStream(cachedCompletion(lookup, selected));
+    return;
+  }
+
+  const { routingDecision, ledger, budget, reservation } = enforceBudget(selected, userQuery, options);
+  // A failed or cancelled stream gives its reservation back; a settled one is left alone
+  try {
+    if (privacy) await guard.audit(privacy, options, { model: routingDecision.model });
+    yield { type: "routing", routing: routingDecision };
+    const request = buildCompletionRequest(userQuery, options, routingDecision);
+    const limits = {
+      maxCost: budget ? Math.min(budget.remaining, options.maxCost ?? Infinity) : options.maxCost
+    };
+
+    // Ensemble answers must be compared before any of them is shown, and tool and structured
+    // turns only have an answer once their loop ends, so those arrive in one piece
+    const buffered = tools || format || createSafetyEnsemble(routingDecision, options);
+    const events = buffered
+      ? completionAsStream(runCompletion(routingDecision, request, options, { tools, format, limits }))
+      : createExecutor(options).stream(routingDecision, request, limits);
+
+    for await (const event of events) {
+      if (event.type === "token" && reidentifier) {
+        const text = reidentifier.push(event.text);
+        if (text) yield { ...event, text };
+        continue;
+      }
+      if (event.type !== "done") {
+        yield event;
+        continue;
+      }
+
+      const rest = reidentifier && reidentifier.flush();
+      if (rest) yield { type: "token", text: rest };
+      await storeCompletion(cache, lookup, userQuery, cacheContext, event);
+      const completion = withPrivacyMetadata(event, privacy, reidentifier);
+      yield withCacheMetadata(ledger ? {
+        ...completion,
+        metadata: { ...(completion.metadata || {}), budget: recordBudgetSpend(ledger, reservation, event, budget) }
+      } : completion, lookup);
+    }
+  } finally {
+    if (ledger) ledger.release(reservation);
+  }
+}
+
+// The stored audit record for one answer: what the router saw, every model it scored or
+// filtered out and why, each later change of model, and how the call was actually served.
+// Takes a completion (or the done event of a stream) carrying its routing decision.
+const ROUTING_EXPLANATION_VERSION = 1;
+
+function explainRouting(result) {
+  const routing = result.routing || {};
+  const metadata = result.metadata || {};
+  const failover = metadata.failover || null;
+  const ensemble = metadata.ensemble || null;
+  const cache = metadata.cache || null;
+
+  return {
+    schemaVersion: ROUTING_EXPLANATION_VERSION,
+    registryVersion: routing.registryVersion || modelRegistry.version,
+    registryEnvironment: routing.registryEnvironment || modelRegistry.environment,
+    taskType: routing.taskType,
+    safetyLevel: routing.safetyLevel,
+    classification: routing.classification || null,
+    complexityScore: routing.complexityScore ?? null,
+    requiredCapabilities: routing.requiredCapabilities || [],
+    inputs: routing.inputs || null,
+    candidates: routing.candidates || [],
+    rejectedModels: routing.rejectedModels || [],
+    selected: { model: routing.model, reason: routing.reason, confidence: routing.confidence },
+    adjustments: routing.adjustments || [],
+    budget: routing.budget || null,
+    privacy: routing.privacy ? { action: routing.privacy.action, phiTypes: routing.privacy.phiTypes || [] } : null,
+    experiments: routing.experiments || [],
+    execution: {
+      model: result.model,
+      provider: result.provider,
+      failover: failover
+        ? { servedBy: failover.servedBy, failedOver: failover.failedOver, attempts: failover.attempts }
+        : null,
+      ensemble: ensemble
+        ? {
+          mode: ensemble.mode,
+          models: ensemble.respondedModels,
+          agreementScore: ensemble.agreementScore,
+          escalatedTo: ensemble.escalatedTo || null
+        }
+        : null,
+      cache: cache ? { hit: Boolean(cache.hit), result: cache.hit ? "hit" : cache.result } : null,
+      tools: metadata.tools ? { protocol: metadata.tools.protocol, steps: metadata.tools.steps } : null,
+      structuredOutput: metadata.structuredOutput ? metadata.structuredOutput.status : null
+    }
+  };
+}
+
+async function* completionAsStream(completion) {
+  const result = await completion;
+  yield { type: "token", text: result.text };
+  yield { type: "done", ...result };
+}
+
 // Flowise integration configuration
 const flowiseMultiLLMConfig = {
   "modelRouter": {
@@ -279,6 +1033,13 @@ const flowiseMultiLLMConfig = {
     "cost_limit_exceeded": "llama3.2",
     "safety_escalation": "claude-3-opus"
   },
+
+  "safetyEnsemble": {
+    "enabled": false,
+    "size": 2,
+    "agreement_threshold": 0.75,
+    "min_medical_accuracy": 0.85
+  },
   
   "monitoring": {
     "track_model_performance": true,
@@ -307,9 +1068,22 @@ const modelPerformanceTracker = {
 };
 
 module.exports = {
+  modelRegistry,
   modelCapabilities,
   medicalTaskTypes,
   selectOptimalModel,
+  explainRouting,
+  routeAndComplete,
+  routeAndStream,
+  createModelWeightLearner,
+  setModelWeightLearner,
+  setBudgetLedger,
+  createRateLimiter,
+  setRateLimiter,
+  createResponseCache,
+  setResponseCache,
+  createPrivacyGuard,
+  setPrivacyGuard,
   flowiseMultiLLMConfig,
   modelPerformanceTracker
 }; 
\ No newline at end of file
@@ -0,0 +1,310 @@
+// Experiment Manager for F-Bot 2.0
+// A/B tests of models, prompt variants and Dr. Fascia personas on live traffic. Users are
+// assigned to arms deterministically, each request carries its experiment/arm tags, and
+// satisfaction scores are joined back to the arm that served the session.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EXPERIMENTS_PATH = process.env.EXPERIMENTS_PATH ||
+  path.join(__dirname, '..', 'config', 'experiments.json');
+
+const EXPERIMENT_STATUSES = ['draft', 'running', 'paused', 'concluded'];
+
+const ARM_FIELDS = ['id', 'weight', 'model', 'persona', 'prompt'];
+
+// Sessions remembered for joining late satisfaction scores to their arm
+const MAX_TRACKED_SESSIONS = 10000;
+
+// Two-sided 95%
+const Z_95 = 1.96;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns a list of "path: problem" strings; empty when the definitions are valid
+function validateExperiments(definitions, knownModels = null) {
+  if (!isPlainObject(definitions) || !Array.isArray(definitions.experiments)) {
+    return ['experiments: must be a JSON object with an "experiments" array'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+  definitions.experiments.forEach((experiment, index) => {
+    const at = `experiments[${index}]`;
+    if (!isPlainObject(experiment) || typeof experiment.id !== 'string' || !experiment.id) {
+      errors.push(`${at}.id: must be a non-empty string`);
+      return;
+    }
+    if (ids.has(experiment.id)) errors.push(`${at}.id: duplicate experiment "${experiment.id}"`);
+    ids.add(experiment.id);
+
+    if (!EXPERIMENT_STATUSES.includes(experiment.status)) {
+      errors.push(`${at}.status: expected one of ${EXPERIMENT_STATUSES.join(', ')}`);
+    }
+    if (experiment.traffic !== undefined &&
+        (typeof experiment.traffic !== 'number' || experiment.traffic < 0 || experiment.traffic > 1)) {
+      errors.push(`${at}.traffic: must be a number between 0 and 1`);
+    }
+    if (experiment.roles !== undefined &&
+        (!Array.isArray(experiment.roles) || experiment.roles.some(role => typeof role !== 'string'))) {
+      errors.push(`${at}.roles: must be an array of role names`);
+    }
+
+    if (!Array.isArray(experiment.arms) || experiment.arms.length < 2) {
+      errors.push(`${at}.arms: needs at least two arms`);
+      return;
+    }
+    const armIds = new Set();
+    experiment.arms.forEach((arm, armIndex) => {
+      const armAt = `${at}.arms[${armIndex}]`;
+      if (!isPlainObject(arm) || typeof arm.id !== 'string' || !arm.id) {
+        errors.push(`${armAt}.id: must be a non-empty string`);
+        return;
+      }
+      if (armIds.has(arm.id)) errors.push(`${armAt}.id: duplicate arm "${arm.id}"`);
+      armIds.add(arm.id);
+
+      for (const field of Object.keys(arm)) {
+        if (!ARM_FIELDS.includes(field)) errors.push(`${armAt}: unknown field "${field}" (expected one of ${ARM_FIELDS.join(', ')})`);
+      }
+      if (arm.weight !== undefined && (typeof arm.weight !== 'number' || arm.weight <= 0)) {
+        errors.push(`${armAt}.weight: must be a positive number`);
+      }
+      if (arm.model !== undefined && knownModels && !knownModels.includes(arm.model)) {
+        errors.push(`${armAt}.model: unknown model "${arm.model}"`);
+      }
+      if (arm.persona !== undefined && !isPlainObject(arm.persona)) {
+        errors.push(`${armAt}.persona: must be an object of Dr. Fascia profile settings`);
+      }
+      if (arm.prompt !== undefined && typeof arm.prompt !== 'string') {
+        errors.push(`${armAt}.prompt: must be a string`);
+      }
+    });
+  });
+  return errors;
+}
+
+function createExperimentsError(filePath, errors) {
+  const error = new Error(`Invalid experiments ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  error.type = 'invalid_experiments';
+  error.errors = errors;
+  return error;
+}
+
+// Uniform in [0, 1), stable for the same experiment, purpose and user
+function hashToUnit(...parts) {
+  const digest = crypto.createHash('sha256').update(parts.join(':')).digest();
+  return digest.readUInt32BE(0) / 4294967296;
+}
+
+function sampleVariance(stats) {
+  const mean = stats.sum / stats.n;
+  return Math.max(0, (stats.sumSquares - stats.n * mean * mean) / (stats.n - 1));
+}
+
+// Mean with a normal-approximation 95% interval; null until there are two observations
+function meanInterval(stats) {
+  if (stats.n === 0) return { n: 0, mean: null, ci95: null };
+  const mean = stats.sum / stats.n;
+  if (stats.n < 2) return { n: stats.n, mean, ci95: null };
+
+  const margin = Z_95 * Math.sqrt(sampleVariance(stats) / stats.n);
+  return { n: stats.n, mean, ci95: [mean - margin, mean + margin] };
+}
+
+// Difference of two means (Welch) with a 95% interval; null until both have two observations
+function differenceInterval(treatment, control) {
+  if (treatment.n < 2 || control.n < 2) return null;
+  const difference = treatment.sum / treatment.n - control.sum / control.n;
+  const margin = Z_95 * Math.sqrt(sampleVariance(treatment) / treatment.n + sampleVariance(control) / control.n);
+  return { difference, ci95: [difference - margin, difference + margin] };
+}
+
+// Wilson score interval, which stays inside [0, 1] for small samples and rare events
+function proportionInterval(successes, n) {
+  if (n === 0) return { n: 0, rate: null, ci95: null };
+  const rate = successes / n;
+  const z2 = Z_95 * Z_95;
+  const center = (rate + z2 / (2 * n)) / (1 + z2 / n);
+  const margin = (Z_95 / (1 + z2 / n)) * Math.sqrt((rate * (1 - rate)) / n + z2 / (4 * n * n));
+  return { n, rate, ci95: [Math.max(0, center - margin), Math.min(1, center + margin)] };
+}
+
+function resultsKey(experimentId, armId) {
+  return `${experimentId}\u0000${armId}`;
+}
+
+function emptyStats() {
+  return { n: 0, sum: 0, sumSquares: 0 };
+}
+
+function observe(stats, value) {
+  stats.n++;
+  stats.sum += value;
+  stats.sumSquares += value * value;
+}
+
+class ExperimentManager {
+  // stateStore: { load() -> [results], save([results]) } keeps per-arm results across restarts;
+  // without one they stay in memory
+  constructor(config = {}) {
+    const definitions = config.definitions || { experiments: [] };
+    const errors = validateExperiments(definitions, config.knownModels || null);
+    if (errors.length > 0) {
+      throw createExperimentsError(config.filePath || 'definitions', errors);
+    }
+
+    this.experiments = definitions.experiments;
+    this.stateStore = config.stateStore || null;
+    this.results = new Map();
+    for (const results of (this.stateStore && this.stateStore.load()) || []) {
+      this.results.set(resultsKey(results.experimentId, results.armId), results);
+    }
+    // sessionId -> [{ experimentId, armId }]
+    this.sessions = new Map();
+  }
+
+  static load(filePath = DEFAULT_EXPERIMENTS_PATH, options = {}) {
+    let definitions;
+    try {
+      definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw createExperimentsError(filePath, [error.message]);
+    }
+    return new ExperimentManager({ ...options, definitions, filePath });
+  }
+
+  // Arm for one user, or null when the experiment is not running for them. The traffic
+  // draw and the arm draw use separate hashes, so raising traffic keeps existing users in
+  // their arm.
+  assignArm(experiment, unit) {
+    if (experiment.status !== 'running') return null;
+    if (experiment.roles && !experiment.roles.includes(unit.role)) return null;
+
+    const traffic = experiment.traffic ?? 1;
+    if (hashToUnit(experiment.id, 'traffic', unit.userId) >= traffic) return null;
+
+    const totalWeight = experiment.arms.reduce((sum, arm) => sum + (arm.weight ?? 1), 0);
+    let draw = hashToUnit(experiment.id, 'arm', unit.userId) * totalWeight;
+    for (const arm of experiment.arms) {
+      draw -= arm.weight ?? 1;
+      if (draw < 0) return arm;
+    }
+    return experiment.arms[experiment.arms.length - 1];
+  }
+
+  // unit: { userId, role }. [{ experimentId, armId, model?, persona?, prompt? }]
+  assign(unit) {
+    if (!unit || !unit.userId) return [];
+    const assignments = [];
+    for (const experiment of this.experiments) {
+      const arm = this.assignArm(experiment, unit);
+      if (!arm) continue;
+      const overrides = { ...arm };
+      delete overrides.id;
+      delete overrides.weight;
+      assignments.push({ experimentId: experiment.id, armId: arm.id, ...overrides });
+    }
+    return assignments;
+  }
+
+  resultsFor(experimentId, armId) {
+    const key = resultsKey(experimentId, armId);
+    if (!this.results.has(key)) {
+      this.results.set(key, {
+        experimentId,
+        armId,
+        exposures: 0,
+        errors: 0,
+        latency: emptyStats(),
+        cost: emptyStats(),
+        satisfaction: emptyStats()
+      });
+    }
+    return this.results.get(key);
+  }
+
+  save(experiments) {
+    if (!this.stateStore) return;
+    this.stateStore.save(experiments.map(({ experimentId, armId }) => this.resultsFor(experimentId, armId)));
+  }
+
+  // One answered (or failed) request served under the given arms
+  recordExposure({ experiments = [], sessionId, status, duration, cost }) {
+    if (experiments.length === 0) return;
+    for (const { experimentId, armId } of experiments) {
+      const results = this.resultsFor(experimentId, armId);
+      results.exposures++;
+      if (status === 'error') {
+        results.errors++;
+        continue;
+      }
+      if (typeof duration === 'number') observe(results.latency, duration);
+      if (typeof cost === 'number') observe(results.cost, cost);
+    }
+    this.save(experiments);
+
+    if (sessionId) {
+      // Re-insert so the map stays in least-recently-used order
+      this.sessions.delete(sessionId);
+      this.sessions.set(sessionId, experiments.map(({ experimentId, armId }) => ({ experimentId, armId })));
+      if (this.sessions.size > MAX_TRACKED_SESSIONS) {
+        this.sessions.delete(this.sessions.keys().next().value);
+      }
+    }
+  }
+
+  // Satisfaction for a session counts toward every arm that served it. experiments, when
+  // given, are the arms stored with the session's answer, so scores given after a restart still count.
+  recordOutcome({ sessionId, score, experiments }) {
+    const arms = experiments || this.sessions.get(sessionId);
+    if (!arms || arms.length === 0 || typeof score !== 'number') return [];
+    for (const { experimentId, armId } of arms) {
+      observe(this.resultsFor(experimentId, armId).satisfaction, score);
+    }
+    this.save(arms);
+    return arms;
+  }
+
+  // Per-arm metrics with 95% intervals; the first arm is the control for the lift
+  report() {
+    return this.experiments.map(experiment => {
+      const arms = experiment.arms.map(arm => {
+        const results = this.resultsFor(experiment.id, arm.id);
+        return {
+          armId: arm.id,
+          exposures: results.exposures,
+          errorRate: proportionInterval(results.errors, results.exposures),
+          satisfaction: meanInterval(results.satisfaction),
+          latencySeconds: meanInterval(results.latency),
+          costUSD: meanInterval(results.cost)
+        };
+      });
+
+      const control = this.resultsFor(experiment.id, experiment.arms[0].id).satisfaction;
+      for (const arm of arms.slice(1)) {
+        arm.satisfactionLift = differenceInterval(this.resultsFor(experiment.id, arm.armId).satisfaction, control);
+      }
+
+      return {
+        experimentId: experiment.id,
+        description: experiment.description,
+        status: experiment.status,
+        traffic: experiment.traffic ?? 1,
+        arms
+      };
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_EXPERIMENTS_PATH,
+  validateExperiments,
+  hashToUnit,
+  meanInterval,
+  proportionInterval,
+  ExperimentManager
+};
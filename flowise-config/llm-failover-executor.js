@@ -0,0 +1,209 @@
+// LLM Failover Executor for F-Bot 2.0
+// Walks flowiseMultiLLMConfig.fallbackStrategy when a provider fails, times out or exceeds budget
+
+// Errors that mean the caller gave up; these are never retried on another model
+const NON_RETRYABLE_ERRORS = ['cancelled'];
+
+class FailoverExecutor {
+  constructor(config = {}) {
+    this.providerRouter = config.providerRouter;
+    this.fallbackStrategy = config.fallbackStrategy || {};
+    this.costEstimator = config.costEstimator || (() => 0);
+    this.maxHops = config.maxHops || 4;
+  }
+
+  // Ordered hops after the routed model. Safety-critical tasks escalate to the
+  // safety model first and never fall back to the cost-limited model.
+  buildChain(routingDecision) {
+    const strategy = this.fallbackStrategy;
+    const safetyCritical = routingDecision.safetyLevel === 'high';
+    const chain = [{ hop: 'primary', model: routingDecision.model }];
+
+    if (safetyCritical && strategy.safety_escalation) {
+      chain.push({ hop: 'safety_escalation', model: strategy.safety_escalation });
+    }
+    if (strategy.primary_failure) {
+      chain.push({ hop: 'primary_failure', model: strategy.primary_failure });
+    }
+    if (strategy.secondary_failure) {
+      chain.push({ hop: 'secondary_failure', model: strategy.secondary_failure });
+    }
+
+    // Drop repeated models so a failed model is not tried twice
+    const seen = new Set();
+    return chain
+      .filter(entry => {
+        if (seen.has(entry.model)) return false;
+        seen.add(entry.model);
+        return true;
+      })
+      .slice(0, this.maxHops);
+  }
+
+  // Budget overruns jump straight to the cost-limited model when the task allows it
+  costFallback(routingDecision, tried) {
+    const model = this.fallbackStrategy.cost_limit_exceeded;
+    if (!model || routingDecision.safetyLevel === 'high' || tried.has(model)) {
+      return null;
+    }
+    return { hop: 'cost_limit_exceeded', model };
+  }
+
+  checkBudget(model, request, maxCost) {
+    if (maxCost === undefined || maxCost === null) return null;
+
+    const estimatedCost = this.costEstimator(model, request);
+    if (estimatedCost <= maxCost) return null;
+
+    const error = new Error(
+      `Estimated cost $${estimatedCost.toFixed(4)} exceeds budget $${Number(maxCost).toFixed(4)} for ${model}`
+    );
+    error.type = 'budget_exceeded';
+    error.estimatedCost = estimatedCost;
+    return error;
+  }
+
+  async complete(routingDecision, request, options = {}) {
+    const attempts = [];
+    const tried = new Set();
+    const queue = this.buildChain(routingDecision);
+
+    while (queue.length > 0) {
+      const entry = queue.shift();
+      if (tried.has(entry.model)) continue;
+      tried.add(entry.model);
+
+      const startTime = Date.now();
+      try {
+        const budgetError = this.checkBudget(entry.model, request, options.maxCost);
+        if (budgetError) throw budgetError;
+
+        const result = await this.providerRouter.complete(
+          { ...routingDecision, model: entry.model },
+          request
+        );
+        attempts.push({ hop: entry.hop, model: entry.model, status: 'success', latency: Date.now() - startTime });
+
+        return {
+          ...result,
+          routing: routingDecision,
+          metadata: {
+            ...(result.metadata || {}),
+            failover: this.summarize(entry, attempts)
+          }
+        };
+      } catch (error) {
+        attempts.push(this.describeFailure(entry, error, startTime));
+        this.handleFailure(error, routingDecision, queue, tried, attempts);
+      }
+    }
+
+    throw this.exhaustedError(routingDecision, attempts);
+  }
+
+  // Streams can only fail over before the first token reaches the caller
+  async *stream(routingDecision, request, options = {}) {
+    const attempts = [];
+    const tried = new Set();
+    const queue = this.buildChain(routingDecision);
+
+    while (queue.length > 0) {
+      const entry = queue.shift();
+      if (tried.has(entry.model)) continue;
+      tried.add(entry.model);
+
+      const startTime = Date.now();
+      let emitted = false;
+      try {
+        const budgetError = this.checkBudget(entry.model, request, options.maxCost);
+        if (budgetError) throw budgetError;
+
+        const events = this.providerRouter.stream({ ...routingDecision, model: entry.model }, request);
+        for await (const event of events) {
+          if (event.type !== 'done') {
+            emitted = true;
+            yield event;
+            continue;
+          }
+
+          attempts.push({ hop: entry.hop, model: entry.model, status: 'success', latency: Date.now() - startTime });
+          yield {
+            ...event,
+            routing: routingDecision,
+            metadata: {
+              ...(event.metadata || {}),
+              failover: this.summarize(entry, attempts)
+            }
+          };
+        }
+        return;
+      } catch (error) {
+        if (emitted) {
+          error.failover = { attempts: [...attempts, this.describeFailure(entry, error, startTime)] };
+          error.routing = routingDecision;
+          throw error;
+        }
+        attempts.push(this.describeFailure(entry, error, startTime));
+        this.handleFailure(error, routingDecision, queue, tried, attempts);
+      }
+    }
+
+    throw this.exhaustedError(routingDecision, attempts);
+  }
+
+  handleFailure(error, routingDecision, queue, tried, attempts) {
+    if (NON_RETRYABLE_ERRORS.includes(error.type)) {
+      error.failover = { attempts };
+      error.routing = routingDecision;
+      throw error;
+    }
+
+    if (error.type === 'budget_exceeded') {
+      const fallback = this.costFallback(routingDecision, tried);
+      if (fallback) {
+        queue.unshift(fallback);
+      } else {
+        // Any other hop is at least as expensive; stop rather than overspend
+        queue.length = 0;
+      }
+    }
+  }
+
+  describeFailure(entry, error, startTime) {
+    return {
+      hop: entry.hop,
+      model: entry.model,
+      status: 'failed',
+      errorType: error.type || 'unknown',
+      error: error.message,
+      latency: Date.now() - startTime
+    };
+  }
+
+  summarize(entry, attempts) {
+    return {
+      servedBy: entry.model,
+      hop: entry.hop,
+      hopIndex: attempts.length - 1,
+      failedOver: entry.hop !== 'primary',
+      attempts
+    };
+  }
+
+  exhaustedError(routingDecision, attempts) {
+    const budgetOnly = attempts.length > 0 && attempts.every(attempt => attempt.errorType === 'budget_exceeded');
+    const error = new Error(
+      budgetOnly
+        ? `Budget exceeded for every model in the fallback chain for ${routingDecision.model}`
+        : `All models in the fallback chain failed for ${routingDecision.model}`
+    );
+    error.type = budgetOnly ? 'budget_exceeded' : 'fallback_exhausted';
+    error.failover = { attempts };
+    error.routing = routingDecision;
+    return error;
+  }
+}
+
+module.exports = {
+  FailoverExecutor
+};
@@ -0,0 +1,784 @@
+// LLM Provider Adapters for F-Bot 2.0
+// Executes routing decisions against OpenAI, Anthropic, Gemini, Perplexity and local Ollama models
+
+const { getModelRegistry } = require('./model-registry');
+const { toReActRequest, parseReActResponse } = require('./tool-registry');
+
+// Maps router model names to the provider that serves them and the vendor model id
+// (declared in config/model-registry.json)
+const modelProviderMap = getModelRegistry().modelProviderMap;
+
+// Shared request/response contract for every provider:
+//   request:  { model, messages: [{ role, content }], system, maxTokens, temperature, signal }
+//   complete: { text, model, provider, usage: { inputTokens, outputTokens }, finishReason, latency }
+//   stream:   yields { type: 'token', text } and finally { type: 'done', ...completion }
+// Tool calling (see tool-registry.js) adds request.tools [{ name, description, parameters }],
+// request.toolChoice ('auto' | 'none') and completion.toolCalls [{ id, name, arguments }].
+// request.responseFormat { name, schema } asks for JSON output; providers without a JSON mode
+// rely on the schema instruction in the system prompt (see structured-output.js)
+class LLMProviderAdapter {
+  constructor(provider, config = {}) {
+    this.provider = provider;
+    this.config = config;
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || '').replace(/\/$/, '');
+    this.timeout = config.timeout || 120000;
+    this.defaultMaxTokens = config.maxTokens || 1024;
+  }
+
+  // Adapters that send request.tools to the provider; the router uses ReAct for the rest
+  get supportsTools() {
+    return false;
+  }
+
+  async complete(request) {
+    const startTime = Date.now();
+    const response = await this.send(request, false);
+    const data = await response.json();
+    const parsed = this.parseResponse(data);
+
+    return {
+      ...parsed,
+      model: request.model,
+      provider: this.provider,
+      latency: Date.now() - startTime
+    };
+  }
+
+  async *stream(request) {
+    const startTime = Date.now();
+    const response = await this.send(request, true);
+    const state = { text: '', usage: { inputTokens: 0, outputTokens: 0 }, finishReason: null };
+
+    for await (const event of this.readEvents(response)) {
+      const delta = this.parseStreamEvent(event, state);
+      if (delta) {
+        state.text += delta;
+        yield { type: 'token', text: delta };
+      }
+    }
+
+    yield {
+      type: 'done',
+      text: state.text,
+      model: request.model,
+      provider: this.provider,
+      usage: state.usage,
+      finishReason: state.finishReason || 'stop',
+      latency: Date.now() - startTime
+    };
+  }
+
+  // input: string or array of strings; resolves to one vector per input
+  async embed(input, options = {}) {
+    const texts = Array.isArray(input) ? input : [input];
+    const response = await this.send(options, false, this.buildEmbeddingRequest(texts, options.model));
+    return this.parseEmbeddingResponse(await response.json());
+  }
+
+  async send(request, stream, built = this.buildRequest(request, stream)) {
+    const { url, headers, body } = built;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    const onAbort = () => controller.abort();
+    // The caller's signal outlives this request, so its listener must not
+    const release = () => {
+      clearTimeout(timer);
+      if (request.signal) request.signal.removeEventListener('abort', onAbort);
+    };
+
+    if (request.signal) {
+      request.signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const aborted = request.signal && request.signal.aborted;
+      throw this.createError(
+        aborted ? 'Request cancelled' : controller.signal.aborted ? `Request timed out after ${this.timeout}ms` : error.message,
+        aborted ? 'cancelled' : controller.signal.aborted ? 'timeout' : 'network_error'
+      );
+    } finally {
+      // Streams keep the timer and listener until the body has been read
+      if (!stream || !response || !response.ok) release();
+    }
+
+    if (!response.ok) {
+      const errorBody = await response.text().catch(() => '');
+      const error = this.createError(
+        `${this.provider} API error: ${response.status} ${errorBody.substring(0, 200)}`,
+        this.classifyStatus(response.status)
+      );
+      error.status = response.status;
+      const retryAfter = response.headers.get('retry-after');
+      if (retryAfter) {
+        error.retryAfter = isNaN(Number(retryAfter))
+          ? Math.max(0, new Date(retryAfter).getTime() - Date.now()) / 1000
+          : Number(retryAfter);
+      }
+      throw error;
+    }
+
+    if (stream) {
+      response.body.release = release;
+    }
+    return response;
+  }
+
+  // Reads a streaming body as SSE "data:" payloads (or raw lines for NDJSON providers)
+  async *readEvents(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const event = this.parseLine(line.trim());
+          if (event !== null) yield event;
+        }
+      }
+
+      const last = this.parseLine(buffer.trim());
+      if (last !== null) yield last;
+    } finally {
+      if (response.body.release) response.body.release();
+    }
+  }
+
+  parseLine(line) {
+    if (!line.startsWith('data:')) return null;
+    const payload = line.substring(5).trim();
+    if (!payload || payload === '[DONE]') return null;
+
+    try {
+      return JSON.parse(payload);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  classifyStatus(status) {
+    if (status === 401 || status === 403) return 'auth_error';
+    if (status === 429) return 'rate_limited';
+    if (status >= 500) return 'provider_unavailable';
+    return 'http_error';
+  }
+
+  createError(message, type) {
+    const error = new Error(message);
+    error.type = type;
+    error.provider = this.provider;
+    return error;
+  }
+
+  resolveModel(model) {
+    return (modelProviderMap[model] && modelProviderMap[model].providerModel) || model;
+  }
+
+  buildRequest(request, stream) {
+    throw new Error(`buildRequest not implemented for ${this.provider}`);
+  }
+
+  parseResponse(data) {
+    throw new Error(`parseResponse not implemented for ${this.provider}`);
+  }
+
+  parseStreamEvent(event, state) {
+    throw new Error(`parseStreamEvent not implemented for ${this.provider}`);
+  }
+
+  buildEmbeddingRequest(texts, model) {
+    throw this.createError(`Embeddings not supported by ${this.provider}`, 'unsupported');
+  }
+
+  parseEmbeddingResponse(data) {
+    throw this.createError(`Embeddings not supported by ${this.provider}`, 'unsupported');
+  }
+}
+
+class OpenAIAdapter extends LLMProviderAdapter {
+  constructor(config = {}, provider = 'openai') {
+    super(provider, { baseUrl: 'https://api.openai.com/v1', ...config });
+    this.completionsPath = config.completionsPath || '/chat/completions';
+  }
+
+  get supportsTools() {
+    return true;
+  }
+
+  buildRequest(request, stream) {
+    const messages = request.messages.map(message => this.toProviderMessage(message));
+    if (request.system) messages.unshift({ role: 'system', content: request.system });
+
+    const body = {
+      model: this.resolveModel(request.model),
+      messages,
+      max_tokens: request.maxTokens || this.defaultMaxTokens,
+      stream
+    };
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    if (stream) body.stream_options = { include_usage: true };
+    if (request.tools && request.tools.length > 0) {
+      body.tools = request.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+      body.tool_choice = request.toolChoice || 'auto';
+    }
+    if (request.responseFormat) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: request.responseFormat.name, schema: request.responseFormat.schema }
+      };
+    }
+
+    return {
+      url: `${this.baseUrl}${this.completionsPath}`,
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      body
+    };
+  }
+
+  toProviderMessage(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      };
+    }
+    return message;
+  }
+
+  parseResponse(data) {
+    const choice = (data.choices && data.choices[0]) || {};
+    const message = choice.message || {};
+    const parsed = {
+      text: message.content || '',
+      finishReason: choice.finish_reason || 'stop',
+      usage: {
+        inputTokens: (data.usage && data.usage.prompt_tokens) || 0,
+        outputTokens: (data.usage && data.usage.completion_tokens) || 0
+      }
+    };
+    if (message.tool_calls && message.tool_calls.length > 0) {
+      parsed.toolCalls = message.tool_calls.map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseToolArguments(call.function.arguments)
+      }));
+    }
+    return parsed;
+  }
+
+  parseStreamEvent(event, state) {
+    if (event.usage) {
+      state.usage = {
+        inputTokens: event.usage.prompt_tokens || 0,
+        outputTokens: event.usage.completion_tokens || 0
+      };
+    }
+
+    const choice = event.choices && event.choices[0];
+    if (!choice) return null;
+    if (choice.finish_reason) state.finishReason = choice.finish_reason;
+    return (choice.delta && choice.delta.content) || null;
+  }
+
+  buildEmbeddingRequest(texts, model) {
+    return {
+      url: `${this.baseUrl}/embeddings`,
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      body: { model: model || 'text-embedding-3-small', input: texts }
+    };
+  }
+
+  parseEmbeddingResponse(data) {
+    return (data.data || [])
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.embedding);
+  }
+}
+
+// Perplexity exposes an OpenAI-compatible chat completions API
+class PerplexityAdapter extends OpenAIAdapter {
+  constructor(config = {}) {
+    super({ baseUrl: 'https://api.perplexity.ai', ...config }, 'perplexity');
+  }
+
+  get supportsTools() {
+    return false;
+  }
+
+  parseResponse(data) {
+    const parsed = super.parseResponse(data);
+    if (Array.isArray(data.citations)) parsed.citations = data.citations;
+    return parsed;
+  }
+}
+
+class AnthropicAdapter extends LLMProviderAdapter {
+  constructor(config = {}) {
+    super('anthropic', { baseUrl: 'https://api.anthropic.com', ...config });
+    this.apiVersion = config.apiVersion || '2023-06-01';
+  }
+
+  get supportsTools() {
+    return true;
+  }
+
+  buildRequest(request, stream) {
+    const body = {
+      model: this.resolveModel(request.model),
+      messages: this.toProviderMessages(request.messages.filter(message => message.role !== 'system')),
+      max_tokens: request.maxTokens || this.defaultMaxTokens,
+      stream
+    };
+    if (request.system) body.system = request.system;
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    if (request.tools && request.tools.length > 0) {
+      body.tools = request.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      body.tool_choice = { type: request.toolChoice === 'none' ? 'none' : 'auto' };
+    }
+
+    return {
+      url: `${this.baseUrl}/v1/messages`,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': this.apiVersion
+      },
+      body
+    };
+  }
+
+  // Tool results go back as tool_result blocks in one user turn, since roles must alternate
+  toProviderMessages(messages) {
+    const converted = [];
+    for (const message of messages) {
+      if (message.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+        const previous = converted[converted.length - 1];
+        if (previous && previous.role === 'user' && Array.isArray(previous.content)) {
+          previous.content.push(block);
+        } else {
+          converted.push({ role: 'user', content: [block] });
+        }
+      } else if (message.toolCalls) {
+        const text = message.content ? [{ type: 'text', text: message.content }] : [];
+        converted.push({
+          role: 'assistant',
+          content: [
+            ...text,
+            ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+          ]
+        });
+      } else {
+        converted.push(message);
+      }
+    }
+    return converted;
+  }
+
+  parseResponse(data) {
+    const blocks = data.content || [];
+    const parsed = {
+      text: blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      finishReason: data.stop_reason || 'stop',
+      usage: {
+        inputTokens: (data.usage && data.usage.input_tokens) || 0,
+        outputTokens: (data.usage && data.usage.output_tokens) || 0
+      }
+    };
+    const toolUses = blocks.filter(block => block.type === 'tool_use');
+    if (toolUses.length > 0) {
+      parsed.toolCalls = toolUses.map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+    }
+    return parsed;
+  }
+
+  parseStreamEvent(event, state) {
+    switch (event.type) {
+      case 'message_start':
+        state.usage.inputTokens = (event.message.usage && event.message.usage.input_tokens) || 0;
+        return null;
+      case 'content_block_delta':
+        return (event.delta && event.delta.text) || null;
+      case 'message_delta':
+        if (event.usage) state.usage.outputTokens = event.usage.output_tokens || 0;
+        if (event.delta && event.delta.stop_reason) state.finishReason = event.delta.stop_reason;
+        return null;
+      default:
+        return null;
+    }
+  }
+}
+
+class GeminiAdapter extends LLMProviderAdapter {
+  constructor(config = {}) {
+    super('gemini', { baseUrl: 'https://generativelanguage.googleapis.com', ...config });
+  }
+
+  get supportsTools() {
+    return true;
+  }
+
+  buildRequest(request, stream) {
+    const body = {
+      contents: this.toProviderContents(request.messages.filter(message => message.role !== 'system')),
+      generationConfig: {
+        maxOutputTokens: request.maxTokens || this.defaultMaxTokens
+      }
+    };
+    if (request.system) body.systemInstruction = { parts: [{ text: request.system }] };
+    if (request.temperature !== undefined) body.generationConfig.temperature = request.temperature;
+    if (request.tools && request.tools.length > 0) {
+      body.tools = [{
+        functionDeclarations: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: toGeminiSchema(tool.parameters)
+        }))
+      }];
+      body.toolConfig = { functionCallingConfig: { mode: request.toolChoice === 'none' ? 'NONE' : 'AUTO' } };
+    }
+    if (request.responseFormat) {
+      body.generationConfig.responseMimeType = 'application/json';
+      body.generationConfig.responseSchema = toGeminiSchema(request.responseFormat.schema);
+    }
+
+    const action = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    return {
+      url: `${this.baseUrl}/v1beta/models/${this.resolveModel(request.model)}:${action}key=${this.apiKey}`,
+      headers: {},
+      body
+    };
+  }
+
+  // Consecutive tool results share one user turn, matching the calls in the model turn before it
+  toProviderContents(messages) {
+    const contents = [];
+    for (const message of messages) {
+      if (message.role === 'tool') {
+        const part = { functionResponse: { name: message.name, response: parseToolResponse(message.content) } };
+        const previous = contents[contents.length - 1];
+        if (previous && previous.role === 'user' && previous.parts.every(item => item.functionResponse)) {
+          previous.parts.push(part);
+        } else {
+          contents.push({ role: 'user', parts: [part] });
+        }
+      } else if (message.toolCalls) {
+        const text = message.content ? [{ text: message.content }] : [];
+        contents.push({
+          role: 'model',
+          parts: [...text, ...message.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.arguments } }))]
+        });
+      } else {
+        contents.push({ role: message.role === 'assistant' ? 'model' : 'user', parts: [{ text: message.content }] });
+      }
+    }
+    return contents;
+  }
+
+  parseResponse(data) {
+    const candidate = (data.candidates && data.candidates[0]) || {};
+    const parsed = {
+      text: this.extractText(candidate),
+      finishReason: (candidate.finishReason || 'STOP').toLowerCase(),
+      usage: this.extractUsage(data)
+    };
+    // Gemini does not id its calls; results are matched by name and order
+    const calls = ((candidate.content && candidate.content.parts) || []).filter(part => part.functionCall);
+    if (calls.length > 0) {
+      parsed.toolCalls = calls.map((part, index) => ({
+        id: `${part.functionCall.name}-${index}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }));
+    }
+    return parsed;
+  }
+
+  parseStreamEvent(event, state) {
+    if (event.usageMetadata) state.usage = this.extractUsage(event);
+    const candidate = event.candidates && event.candidates[0];
+    if (!candidate) return null;
+    if (candidate.finishReason) state.finishReason = candidate.finishReason.toLowerCase();
+    return this.extractText(candidate) || null;
+  }
+
+  extractText(candidate) {
+    const parts = (candidate.content && candidate.content.parts) || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  extractUsage(data) {
+    const usage = data.usageMetadata || {};
+    return {
+      inputTokens: usage.promptTokenCount || 0,
+      outputTokens: usage.candidatesTokenCount || 0
+    };
+  }
+}
+
+// Local Ollama-style server; streams newline-delimited JSON instead of SSE
+class OllamaAdapter extends LLMProviderAdapter {
+  constructor(config = {}) {
+    super('ollama', { baseUrl: 'http://localhost:11434', ...config });
+  }
+
+  buildRequest(request, stream) {
+    const messages = request.system
+      ? [{ role: 'system', content: request.system }, ...request.messages]
+      : request.messages;
+
+    const options = { num_predict: request.maxTokens || this.defaultMaxTokens };
+    if (request.temperature !== undefined) options.temperature = request.temperature;
+
+    const body = { model: this.resolveModel(request.model), messages, stream, options };
+    if (request.responseFormat) body.format = request.responseFormat.schema;
+
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers: {},
+      body
+    };
+  }
+
+  parseLine(line) {
+    if (!line) return null;
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  parseResponse(data) {
+    return {
+      text: (data.message && data.message.content) || '',
+      finishReason: data.done_reason || 'stop',
+      usage: {
+        inputTokens: data.prompt_eval_count || 0,
+        outputTokens: data.eval_count || 0
+      }
+    };
+  }
+
+  parseStreamEvent(event, state) {
+    if (event.done) {
+      state.usage = {
+        inputTokens: event.prompt_eval_count || 0,
+        outputTokens: event.eval_count || 0
+      };
+      state.finishReason = event.done_reason || 'stop';
+    }
+    return (event.message && event.message.content) || null;
+  }
+
+  buildEmbeddingRequest(texts, model) {
+    return {
+      url: `${this.baseUrl}/api/embed`,
+      headers: {},
+      body: { model: model || 'nomic-embed-text', input: texts }
+    };
+  }
+
+  parseEmbeddingResponse(data) {
+    return data.embeddings || [];
+  }
+}
+
+// Malformed JSON is passed on as a string; the tool registry reports it back to the model
+function parseToolArguments(value) {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    return value;
+  }
+}
+
+// Gemini functionResponse.response must be an object
+function parseToolResponse(content) {
+  try {
+    const parsed = JSON.parse(content);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // plain text result
+  }
+  return { content };
+}
+
+// Gemini accepts an OpenAPI subset of JSON Schema; other keywords are rejected
+const GEMINI_SCHEMA_KEYWORDS = ['type', 'description', 'enum', 'required', 'minItems', 'maxItems', 'minimum', 'maximum', 'nullable', 'format'];
+
+function toGeminiSchema(schema) {
+  const { properties, items } = schema;
+  const converted = Object.fromEntries(
+    Object.entries(schema).filter(([keyword]) => GEMINI_SCHEMA_KEYWORDS.includes(keyword))
+  );
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (items) converted.items = toGeminiSchema(items);
+  return converted;
+}
+
+// Builds adapter configuration from environment variables; explicit config wins
+function loadProviderConfig(overrides = {}) {
+  const env = process.env;
+  const localHost = env.LOCAL_LLM_HOST || 'localhost';
+  const localPort = env.LOCAL_LLM_PORT || 11434;
+
+  const defaults = {
+    openai: {
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: env.OPENAI_BASE_URL,
+      timeout: Number(env.OPENAI_TIMEOUT) || undefined
+    },
+    anthropic: {
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseUrl: env.ANTHROPIC_BASE_URL,
+      timeout: Number(env.ANTHROPIC_TIMEOUT) || undefined
+    },
+    gemini: {
+      apiKey: env.GOOGLE_API_KEY,
+      baseUrl: env.GOOGLE_BASE_URL,
+      timeout: Number(env.GOOGLE_TIMEOUT) || undefined
+    },
+    perplexity: {
+      apiKey: env.PERPLEXITY_API_KEY,
+      baseUrl: env.PERPLEXITY_BASE_URL,
+      timeout: Number(env.PERPLEXITY_TIMEOUT) || undefined
+    },
+    ollama: {
+      baseUrl: env.LOCAL_LLM_BASE_URL || `http://${localHost}:${localPort}`,
+      timeout: Number(env.LOCAL_LLM_TIMEOUT) || undefined
+    }
+  };
+
+  const config = {};
+  for (const [provider, values] of Object.entries(defaults)) {
+    // Drop unset values so adapter defaults still apply
+    const defined = Object.fromEntries(
+      Object.entries(values).filter(([, value]) => value !== undefined && value !== '')
+    );
+    config[provider] = { ...defined, ...(overrides[provider] || {}) };
+  }
+  return config;
+}
+
+function createProviderAdapters(overrides = {}) {
+  const config = loadProviderConfig(overrides);
+  return {
+    openai: new OpenAIAdapter(config.openai),
+    anthropic: new AnthropicAdapter(config.anthropic),
+    gemini: new GeminiAdapter(config.gemini),
+    perplexity: new PerplexityAdapter(config.perplexity),
+    ollama: new OllamaAdapter(config.ollama)
+  };
+}
+
+// Executes a routing decision from selectOptimalModel against the matching provider
+class ProviderRouter {
+  constructor(config = {}) {
+    this.adapters = config.adapters || createProviderAdapters(config.providers);
+    this.modelProviderMap = config.modelProviderMap || modelProviderMap;
+  }
+
+  getAdapter(model) {
+    const mapping = this.modelProviderMap[model];
+    if (!mapping) {
+      const error = new Error(`No provider mapping for model: ${model}`);
+      error.type = 'unknown_model';
+      throw error;
+    }
+
+    const adapter = this.adapters[mapping.provider];
+    if (!adapter) {
+      const error = new Error(`Provider not configured: ${mapping.provider}`);
+      error.type = 'provider_not_configured';
+      error.provider = mapping.provider;
+      throw error;
+    }
+    return adapter;
+  }
+
+  // Turns added after the assembled conversation: tool calls and results, structured-output repairs
+  buildProviderRequest(routingDecision, request) {
+    const model = typeof routingDecision === 'string' ? routingDecision : routingDecision.model;
+    const { followUpMessages, ...rest } = request;
+    return followUpMessages && followUpMessages.length > 0
+      ? { ...rest, model, messages: [...rest.messages, ...followUpMessages] }
+      : { ...rest, model };
+  }
+
+  // A tool request to a model without native function calling goes through the ReAct protocol,
+  // so the caller sees the same toolCalls either way
+  async complete(routingDecision, request) {
+    const providerRequest = this.buildProviderRequest(routingDecision, request);
+    const adapter = this.getAdapter(providerRequest.model);
+    if (!providerRequest.tools || providerRequest.tools.length === 0) {
+      const result = await adapter.complete(providerRequest);
+      return { ...result, routing: routingDecision };
+    }
+
+    if (adapter.supportsTools) {
+      const result = await adapter.complete(providerRequest);
+      return { ...result, toolProtocol: 'native', routing: routingDecision };
+    }
+
+    const result = await adapter.complete(toReActRequest(providerRequest));
+    const step = (request.followUpMessages || []).filter(message => message.toolCalls).length;
+    return { ...result, ...parseReActResponse(result.text, step), toolProtocol: 'react', routing: routingDecision };
+  }
+
+  async *stream(routingDecision, request) {
+    const providerRequest = this.buildProviderRequest(routingDecision, request);
+    const adapter = this.getAdapter(providerRequest.model);
+
+    for await (const event of adapter.stream(providerRequest)) {
+      yield event.type === 'done' ? { ...event, routing: routingDecision } : event;
+    }
+  }
+}
+
+module.exports = {
+  modelProviderMap,
+  LLMProviderAdapter,
+  OpenAIAdapter,
+  AnthropicAdapter,
+  GeminiAdapter,
+  PerplexityAdapter,
+  OllamaAdapter,
+  loadProviderConfig,
+  createProviderAdapters,
+  ProviderRouter
+};
@@ -0,0 +1,331 @@
+// Medical Task Classifier for F-Bot 2.0
+// TF-IDF features with one-vs-rest logistic regression, trained from labeled JSONL examples
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TRAINING_PATH = process.env.TASK_CLASSIFIER_DATA ||
+  path.join(__dirname, '..', 'config', 'task-classifier-training.jsonl');
+
+const stopWords = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "been", "but", "by", "can", "do", "does", "for",
+  "from", "had", "has", "have", "i", "if", "in", "into", "is", "it", "its", "me", "my", "of",
+  "on", "or", "so", "that", "the", "this", "to", "was", "were", "what", "when", "with", "you", "your"
+]);
+
+function tokenize(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !stopWords.has(word));
+
+  // Bigrams capture phrases like "plantar fasciitis" and "clinical trial"
+  const bigrams = [];
+  for (let i = 0; i < words.length - 1; i++) {
+    bigrams.push(`${words[i]}_${words[i + 1]}`);
+  }
+  return [...words, ...bigrams];
+}
+
+class TfidfVectorizer {
+  constructor(options = {}) {
+    this.minDocumentFrequency = options.minDocumentFrequency || 1;
+    this.vocabulary = new Map();
+    this.idf = [];
+  }
+
+  fit(documents) {
+    const documentFrequency = new Map();
+    for (const document of documents) {
+      for (const term of new Set(tokenize(document))) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    // Sorted terms keep feature indices stable between training runs
+    const terms = [...documentFrequency.keys()]
+      .filter(term => documentFrequency.get(term) >= this.minDocumentFrequency)
+      .sort();
+
+    this.vocabulary = new Map(terms.map((term, index) => [term, index]));
+    this.idf = terms.map(term =>
+      Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) + 1
+    );
+    return this;
+  }
+
+  // Returns a sparse, L2-normalized vector as a Map of feature index to weight
+  transform(document) {
+    const tokens = tokenize(document);
+    const counts = new Map();
+    for (const token of tokens) {
+      const index = this.vocabulary.get(token);
+      if (index !== undefined) {
+        counts.set(index, (counts.get(index) || 0) + 1);
+      }
+    }
+
+    const vector = new Map();
+    let norm = 0;
+    for (const [index, count] of counts) {
+      const weight = (count / tokens.length) * this.idf[index];
+      vector.set(index, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (const [index, weight] of vector) vector.set(index, weight / norm);
+    }
+    return vector;
+  }
+}
+
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+class MedicalTaskClassifier {
+  constructor(options = {}) {
+    this.labels = options.labels || [];
+    this.learningRate = options.learningRate || 0.5;
+    this.epochs = options.epochs || 300;
+    this.regularization = options.regularization || 0.001;
+    this.threshold = options.threshold || 0.5;
+    // Probabilities of secondary labels stay well below 0.5 with this little training data,
+    // so a label also counts when it scores close to the top one
+    this.relativeThreshold = options.relativeThreshold !== undefined ? options.relativeThreshold : 0.6;
+    this.historyWeight = options.historyWeight !== undefined ? options.historyWeight : 0.3;
+    this.historyTurns = options.historyTurns || 3;
+    this.vectorizer = new TfidfVectorizer(options.vectorizer);
+    this.weights = {};
+    this.bias = {};
+  }
+
+  // examples: [{ query, labels: [taskType, ...] }]
+  train(examples) {
+    if (!examples.length) {
+      throw new Error('Cannot train task classifier without examples');
+    }
+
+    if (!this.labels.length) {
+      this.labels = [...new Set(examples.flatMap(example => example.labels))].sort();
+    }
+
+    this.vectorizer.fit(examples.map(example => example.query));
+    const vectors = examples.map(example => this.vectorizer.transform(example.query));
+    const featureCount = this.vectorizer.vocabulary.size;
+
+    // Full-batch gradient descent keeps training deterministic
+    for (const label of this.labels) {
+      const weights = new Float64Array(featureCount);
+      let bias = 0;
+      const targets = examples.map(example => (example.labels.includes(label) ? 1 : 0));
+
+      for (let epoch = 0; epoch < this.epochs; epoch++) {
+        const gradient = new Float64Array(featureCount);
+        let biasGradient = 0;
+
+        vectors.forEach((vector, i) => {
+          const error = sigmoid(this.dot(weights, vector) + bias) - targets[i];
+          for (const [index, value] of vector) gradient[index] += error * value;
+          biasGradient += error;
+        });
+
+        for (let index = 0; index < featureCount; index++) {
+          weights[index] -= this.learningRate *
+            (gradient[index] / vectors.length + this.regularization * weights[index]);
+        }
+        bias -= this.learningRate * (biasGradient / vectors.length);
+      }
+
+      this.weights[label] = weights;
+      this.bias[label] = bias;
+    }
+    return this;
+  }
+
+  dot(weights, vector) {
+    let sum = 0;
+    for (const [index, value] of vector) sum += weights[index] * value;
+    return sum;
+  }
+
+  // Blends recent user turns into the query vector at a reduced weight
+  vectorize(query, history = []) {
+    const vector = new Map(this.vectorizer.transform(query));
+    const recentTurns = history
+      .map(turn => (typeof turn === 'string' ? { role: 'user', content: turn } : turn))
+      .filter(turn => turn && turn.role === 'user' && turn.content)
+      .slice(-this.historyTurns);
+
+    if (recentTurns.length > 0 && this.historyWeight > 0) {
+      const historyVector = this.vectorizer.transform(recentTurns.map(turn => turn.content).join(' '));
+      for (const [index, value] of historyVector) {
+        vector.set(index, (vector.get(index) || 0) + value * this.historyWeight);
+      }
+    }
+    return vector;
+  }
+
+  classify(query, history = []) {
+    const vector = this.vectorize(query, history);
+    const scored = this.labels
+      .map(taskType => ({
+        taskType,
+        probability: sigmoid(this.dot(this.weights[taskType], vector) + this.bias[taskType])
+      }))
+      .sort((a, b) => b.probability - a.probability);
+
+    const total = scored.reduce((sum, entry) => sum + entry.probability, 0) || 1;
+    const cutoff = Math.min(this.threshold, scored[0].probability * this.relativeThreshold);
+    const labels = scored.map((entry, rank) => ({
+      ...entry,
+      share: entry.probability / total,
+      // The top label is always active so routing has a primary task
+      selected: rank === 0 || entry.probability >= cutoff
+    }));
+
+    return {
+      primary: labels[0].taskType,
+      labels,
+      selectedTaskTypes: labels.filter(entry => entry.selected).map(entry => entry.taskType),
+      distribution: Object.fromEntries(labels.map(entry => [entry.taskType, entry.share]))
+    };
+  }
+}
+
+function loadLabeledExamples(filePath = DEFAULT_TRAINING_PATH) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const examples = [];
+
+  lines.forEach((line, lineNumber) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber + 1} of ${filePath}: ${error.message}`);
+    }
+    if (!record.query || !Array.isArray(record.labels) || record.labels.length === 0) {
+      throw new Error(`Line ${lineNumber + 1} of ${filePath} needs a query and at least one label`);
+    }
+    // costBudget and userPreferences only matter to the routing simulator
+    examples.push({
+      query: record.query,
+      labels: record.labels,
+      history: record.history || [],
+      costBudget: record.costBudget,
+      userPreferences: record.userPreferences
+    });
+  });
+
+  return examples;
+}
+
+function trainTaskClassifier(examples, options = {}) {
+  return new MedicalTaskClassifier(options).train(examples);
+}
+
+// Per-class precision/recall on multi-label predictions plus top-1 accuracy, and how many
+// labels of the multi-label examples were found
+function evaluateClassifier(classifier, examples) {
+  const perClass = {};
+  for (const label of classifier.labels) {
+    perClass[label] = { truePositives: 0, falsePositives: 0, falseNegatives: 0, support: 0 };
+  }
+
+  let topOneCorrect = 0;
+  const errors = [];
+  const multiLabel = { sampleCount: 0, labelCount: 0, found: 0, exactMatches: 0 };
+
+  for (const example of examples) {
+    const result = classifier.classify(example.query, example.history || []);
+    const predicted = new Set(result.selectedTaskTypes);
+    const actual = new Set(example.labels);
+
+    if (actual.has(result.primary)) {
+      topOneCorrect++;
+    } else {
+      errors.push({ query: example.query, expected: example.labels, predicted: result.selectedTaskTypes });
+    }
+
+    if (actual.size > 1) {
+      const found = [...actual].filter(label => predicted.has(label)).length;
+      multiLabel.sampleCount++;
+      multiLabel.labelCount += actual.size;
+      multiLabel.found += found;
+      if (found === actual.size && predicted.size === actual.size) multiLabel.exactMatches++;
+    }
+
+    for (const label of classifier.labels) {
+      const counts = perClass[label];
+      if (actual.has(label)) counts.support++;
+      if (predicted.has(label) && actual.has(label)) counts.truePositives++;
+      if (predicted.has(label) && !actual.has(label)) counts.falsePositives++;
+      if (!predicted.has(label) && actual.has(label)) counts.falseNegatives++;
+    }
+  }
+
+  const totals = { truePositives: 0, falsePositives: 0, falseNegatives: 0 };
+  const report = {};
+  for (const [label, counts] of Object.entries(perClass)) {
+    const precision = safeRatio(counts.truePositives, counts.truePositives + counts.falsePositives);
+    const recall = safeRatio(counts.truePositives, counts.truePositives + counts.falseNegatives);
+    report[label] = {
+      precision,
+      recall,
+      f1: safeRatio(2 * precision * recall, precision + recall),
+      support: counts.support
+    };
+    totals.truePositives += counts.truePositives;
+    totals.falsePositives += counts.falsePositives;
+    totals.falseNegatives += counts.falseNegatives;
+  }
+
+  return {
+    perClass: report,
+    micro: {
+      precision: safeRatio(totals.truePositives, totals.truePositives + totals.falsePositives),
+      recall: safeRatio(totals.truePositives, totals.truePositives + totals.falseNegatives)
+    },
+    multiLabel: {
+      sampleCount: multiLabel.sampleCount,
+      recall: safeRatio(multiLabel.found, multiLabel.labelCount),
+      exactMatch: safeRatio(multiLabel.exactMatches, multiLabel.sampleCount)
+    },
+    topOneAccuracy: safeRatio(topOneCorrect, examples.length),
+    sampleCount: examples.length,
+    errors
+  };
+}
+
+function safeRatio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+// Default classifier is trained lazily from the bundled training file
+let defaultClassifier = null;
+
+function getDefaultClassifier() {
+  if (!defaultClassifier) {
+    defaultClassifier = trainTaskClassifier(loadLabeledExamples(DEFAULT_TRAINING_PATH));
+  }
+  return defaultClassifier;
+}
+
+function classifyTask(query, history = [], classifier = getDefaultClassifier()) {
+  return classifier.classify(query, history);
+}
+
+module.exports = {
+  DEFAULT_TRAINING_PATH,
+  tokenize,
+  TfidfVectorizer,
+  MedicalTaskClassifier,
+  loadLabeledExamples,
+  trainTaskClassifier,
+  evaluateClassifier,
+  classifyTask
+};
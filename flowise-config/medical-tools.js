@@ -0,0 +1,190 @@
+// Medical Tools for F-Bot 2.0
+// Retrieval, ultrasound analysis, PubMed search and norm comparison as tool-registry tools.
+// Dependencies are injected so the registry loads without TensorFlow or a vector store.
+
+const PUBMED_EUTILS_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+const ANALYSIS_MODES = ['diagnostic', 'measurement', 'educational', 'research'];
+const MEASUREMENT_TYPES = ['superficial_thickness', 'deep_thickness', 'total_thickness', 'mobility_index'];
+const EXCERPT_LENGTH = 1200;
+
+function toolFailure(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// deps: { documentProcessor, getUltrasoundAnalyzer(), loadImage(uploadId, context), pubmedApiKey, fetch }
+// Tools whose dependency is missing are not declared, so models are never offered them
+function createMedicalTools(deps = {}) {
+  const tools = [];
+  const fetchImpl = deps.fetch || fetch;
+
+  if (deps.documentProcessor) {
+    tools.push({
+      name: 'search_medical_documents',
+      description: 'Search the curated fascia knowledge base (guidelines, reviews, textbooks) and return the most relevant passages with their evidence level.',
+      permission: 'educational_content:read',
+      agents: ['Research_Specialist', 'Diagnosis_Assistant', 'Treatment_Protocol', 'Knowledge_Manager'],
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', minLength: 3, maxLength: 500, description: 'What to look for' },
+          k: { type: 'integer', minimum: 1, maximum: 10, description: 'Number of passages, default 4' },
+          evidenceLevel: { type: 'array', items: { type: 'string', enum: ['1A', '1B', '2A', '2B', '3A', '3B', '4', '5'] } },
+          anatomicalRegion: { type: 'string', maxLength: 100 }
+        },
+        required: ['query'],
+        additionalProperties: false
+      },
+      async handler(args) {
+        const chunks = await deps.documentProcessor.search(args.query, {
+          k: args.k || 4,
+          filters: { evidenceLevel: args.evidenceLevel, anatomicalRegion: args.anatomicalRegion }
+        });
+        return {
+          passages: chunks.map(chunk => ({
+            title: chunk.metadata.title || 'Untitled document',
+            evidenceLevel: chunk.metadata.evidence_level,
+            score: Number(chunk.score.toFixed(3)),
+            excerpt: chunk.content.substring(0, EXCERPT_LENGTH)
+          }))
+        };
+      }
+    });
+  }
+
+  if (deps.getUltrasoundAnalyzer && deps.loadImage) {
+    tools.push({
+      name: 'analyze_ultrasound_image',
+      description: 'Run the Gemma ultrasound analyzer on an ultrasound image the user uploaded and return findings, fascia measurements and alerts.',
+      permission: 'medical_images:read',
+      agents: ['Diagnosis_Assistant', 'Data_Collector'],
+      parameters: {
+        type: 'object',
+        properties: {
+          uploadId: { type: 'string', minLength: 1, maxLength: 100, description: 'Id of the uploaded image' },
+          mode: { type: 'string', enum: ANALYSIS_MODES, description: 'Analysis template, default diagnostic' },
+          bodyPart: { type: 'string', maxLength: 100 },
+          clinicalContext: { type: 'string', maxLength: 1000 }
+        },
+        required: ['uploadId'],
+        additionalProperties: false
+      },
+      async handler(args, context) {
+        const image = await deps.loadImage(args.uploadId, context);
+        const analyzer = await deps.getUltrasoundAnalyzer();
+        const interpretation = await analyzer.analyzeUltrasoundImage(image, args.mode || 'diagnostic', {
+          startTime: Date.now(),
+          bodyPart: args.bodyPart,
+          clinicalContext: args.clinicalContext
+        });
+        return {
+          summary: interpretation.summary,
+          findings: interpretation.findings,
+          measurements: interpretation.measurements,
+          alerts: interpretation.alerts,
+          recommendations: interpretation.recommendations,
+          confidence: interpretation.confidence
+        };
+      }
+    });
+
+    tools.push({
+      name: 'compare_with_norms',
+      description: 'Compare fascia measurements (mm, or a 0-1 ratio for mobility_index) with adult reference ranges: deviation, interpretation and estimated population percentile.',
+      permission: 'medical_images:read',
+      agents: ['Diagnosis_Assistant', 'Treatment_Protocol', 'Data_Collector'],
+      parameters: {
+        type: 'object',
+        properties: {
+          measurements: {
+            type: 'object',
+            properties: Object.fromEntries(MEASUREMENT_TYPES.map(type => [type, { type: 'number', minimum: 0 }])),
+            additionalProperties: false
+          },
+          age: { type: 'integer', minimum: 0, maximum: 120 },
+          gender: { type: 'string', enum: ['male', 'female', 'other'] }
+        },
+        required: ['measurements'],
+        additionalProperties: false
+      },
+      async handler(args) {
+        if (Object.keys(args.measurements).length === 0) {
+          throw toolFailure('INVALID_ARGUMENTS', `measurements: give at least one of ${MEASUREMENT_TYPES.join(', ')}`);
+        }
+        const analyzer = await deps.getUltrasoundAnalyzer();
+        const measurements = Object.fromEntries(
+          Object.entries(args.measurements).map(([type, value]) => [type, { value }])
+        );
+        return analyzer.compareWithNorms({ measurements }, { age: args.age, gender: args.gender });
+      }
+    });
+  }
+
+  tools.push({
+    name: 'search_pubmed',
+    description: 'Search PubMed for fascia-related literature and return titles, journals, years and PMIDs of the most relevant papers.',
+    permission: 'public_research:read',
+    agents: ['Research_Specialist', 'Data_Collector', 'Knowledge_Manager'],
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 3, maxLength: 300 },
+        maxResults: { type: 'integer', minimum: 1, maximum: 20, description: 'Default 5' },
+        minYear: { type: 'integer', minimum: 1950, maximum: 2100 }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    handler: (args, context) => searchPubMed(args, { fetch: fetchImpl, apiKey: deps.pubmedApiKey, signal: context.signal })
+  });
+
+  return tools;
+}
+
+async function eutils(endpoint, params, options) {
+  const query = new URLSearchParams({ db: 'pubmed', retmode: 'json', ...params });
+  if (options.apiKey) query.set('api_key', options.apiKey);
+
+  const response = await options.fetch(`${PUBMED_EUTILS_URL}/${endpoint}.fcgi?${query}`, { signal: options.signal });
+  if (!response.ok) {
+    throw toolFailure('PUBMED_UNAVAILABLE', `PubMed ${endpoint} returned ${response.status}`);
+  }
+  return response.json();
+}
+
+// Same fascia restriction as EnhancedFirecrawlScraper.scrapePubMedContent; esummary keeps it to two requests
+async function searchPubMed(args, options) {
+  const term = [
+    `(${args.query}) AND (fascia OR myofascial OR connective tissue)`,
+    args.minYear ? `AND ${args.minYear}:3000[dp]` : ''
+  ].join(' ').trim();
+
+  const search = await eutils('esearch', { term, retmax: String(args.maxResults || 5), sort: 'relevance' }, options);
+  const pmids = (search.esearchresult && search.esearchresult.idlist) || [];
+  if (pmids.length === 0) {
+    return { total: 0, papers: [] };
+  }
+
+  const summary = await eutils('esummary', { id: pmids.join(',') }, options);
+  const records = summary.result || {};
+  return {
+    total: Number(search.esearchresult.count) || pmids.length,
+    papers: pmids.filter(pmid => records[pmid]).map(pmid => {
+      const record = records[pmid];
+      return {
+        pmid,
+        title: record.title,
+        journal: record.fulljournalname || record.source,
+        year: Number(String(record.pubdate || '').substring(0, 4)) || undefined,
+        authors: (record.authors || []).slice(0, 3).map(author => author.name),
+        url: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`
+      };
+    })
+  };
+}
+
+module.exports = {
+  createMedicalTools,
+  searchPubMed
+};
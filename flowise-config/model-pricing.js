@@ -0,0 +1,138 @@
+// Shared Model Pricing and Token Estimation for F-Bot 2.0
+// Single price table and per-model tokenizers used by the orchestrator and the monitoring cost meter
+
+const { getModelRegistry } = require('./model-registry');
+
+// USD per 1K tokens, declared per model in config/model-registry.json
+const modelPricing = getModelRegistry().modelPricing;
+
+// Tokenizer per model, declared in config/model-registry.json
+const modelTokenizers = getModelRegistry().modelTokenizers;
+
+// Models missing from the registry are estimated like the approximate vendors
+const defaultTokenizer = { type: 'approximate', charsPerToken: 3.5, wordsToTokens: 1.35, messageOverhead: 4, replyOverhead: 0 };
+
+// Typical response length per task type when the caller sets no maxTokens
+const defaultOutputTokens = {
+  'fascia_diagnosis': 600,
+  'treatment_advice': 700,
+  'research_query': 800,
+  'image_analysis': 500,
+  'emotional_support': 350,
+  'educational': 450,
+  'default': 500
+};
+
+// js-tiktoken is optional; without it OpenAI models fall back to approximation
+const bpeEncoders = new Map();
+let tiktoken;
+try {
+  tiktoken = require('js-tiktoken');
+} catch (error) {
+  tiktoken = null;
+}
+
+function getBPEEncoder(encoding) {
+  if (!tiktoken) return null;
+  if (!bpeEncoders.has(encoding)) {
+    bpeEncoders.set(encoding, tiktoken.getEncoding(encoding));
+  }
+  return bpeEncoders.get(encoding);
+}
+
+function getTokenizer(model) {
+  return modelTokenizers[model] || defaultTokenizer;
+}
+
+function approximateTokens(text, tokenizer) {
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.ceil(Math.max(text.length / tokenizer.charsPerToken, words * tokenizer.wordsToTokens));
+}
+
+function countTokens(model, text) {
+  if (!text) return 0;
+  const value = String(text);
+  const tokenizer = getTokenizer(model);
+
+  if (tokenizer.type === 'bpe') {
+    const encoder = getBPEEncoder(tokenizer.encoding);
+    if (encoder) return encoder.encode(value).length;
+    return approximateTokens(value, { charsPerToken: 4, wordsToTokens: 1.3 });
+  }
+  return approximateTokens(value, tokenizer);
+}
+
+function countMessageTokens(model, messages = []) {
+  const tokenizer = getTokenizer(model);
+  return messages.reduce((sum, message) =>
+    sum + countTokens(model, message.content) + tokenizer.messageOverhead, 0);
+}
+
+// Splits the input estimate into system prompt, history, RAG context and query
+// request: { systemPrompt, messages, ragContext, query, maxTokens, taskType }
+function estimateTokens(model, request = {}) {
+  const tokenizer = getTokenizer(model);
+  const ragText = Array.isArray(request.ragContext)
+    ? request.ragContext.map(chunk => (typeof chunk === 'string' ? chunk : chunk.content || '')).join('\n\n')
+    : request.ragContext;
+
+  const system = request.systemPrompt ? countTokens(model, request.systemPrompt) + tokenizer.messageOverhead : 0;
+  const history = countMessageTokens(model, request.messages || []);
+  const rag = ragText ? countTokens(model, ragText) : 0;
+  const query = request.query ? countTokens(model, request.query) + tokenizer.messageOverhead : 0;
+
+  const output = request.maxTokens ||
+    defaultOutputTokens[request.taskType] ||
+    defaultOutputTokens.default;
+
+  return {
+    input: {
+      system,
+      history,
+      rag,
+      query,
+      total: system + history + rag + query + tokenizer.replyOverhead
+    },
+    output,
+    tokenizer: tokenizer.type === 'bpe' && tiktoken ? tokenizer.encoding : 'approximate'
+  };
+}
+
+function calculateCost(model, inputTokens, outputTokens) {
+  const pricing = modelPricing[model];
+  if (!pricing) return null;
+  return (inputTokens / 1000) * pricing.input + (outputTokens / 1000) * pricing.output;
+}
+
+function estimateCost(model, request = {}) {
+  const tokens = estimateTokens(model, request);
+  const inputCost = calculateCost(model, tokens.input.total, 0);
+  const outputCost = calculateCost(model, 0, tokens.output);
+
+  return {
+    model,
+    tokens,
+    inputCost,
+    outputCost,
+    totalCost: inputCost === null ? null : inputCost + outputCost
+  };
+}
+
+// Blended tokens per dollar at a 1:1 input/output mix, for efficiency comparisons
+function tokensPerDollar(model) {
+  const pricing = modelPricing[model];
+  if (!pricing) return null;
+  return Math.round(2000 / (pricing.input + pricing.output));
+}
+
+module.exports = {
+  modelPricing,
+  modelTokenizers,
+  defaultOutputTokens,
+  countTokens,
+  countMessageTokens,
+  estimateTokens,
+  calculateCost,
+  estimateCost,
+  tokensPerDollar
+};
@@ -0,0 +1,344 @@
+// Model Registry for F-Bot 2.0
+// Loads model capabilities, pricing, tokenizers, providers and per-environment enablement from a versioned config file
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const DEFAULT_REGISTRY_PATH = process.env.MODEL_REGISTRY_PATH ||
+  path.join(__dirname, '..', 'config', 'model-registry.json');
+
+const SCHEMA_VERSION = 1;
+
+// Capability names the router knows how to score; anything else is a typo
+const KNOWN_CAPABILITIES = [
+  'reasoning',
+  'medical_accuracy',
+  'empathy',
+  'research',
+  'research_synthesis',
+  'multimodal',
+  'current_info',
+  'cost',
+  'speed'
+];
+
+// The router reads these for every candidate model
+const REQUIRED_CAPABILITIES = ['medical_accuracy', 'cost', 'speed'];
+
+const SUPPORTED_PROVIDERS = ['openai', 'anthropic', 'gemini', 'perplexity', 'ollama'];
+
+const MODEL_FIELDS = ['provider', 'providerModel', 'capabilities', 'use_cases', 'context_window', 'pricing', 'tokenizer', 'environments'];
+
+// OpenAI models count exact BPE tokens; the rest use a character/word approximation
+// calibrated against the vendor's own token counts
+const TOKENIZER_FIELDS = {
+  bpe: ['type', 'encoding', 'messageOverhead', 'replyOverhead'],
+  approximate: ['type', 'charsPerToken', 'wordsToTokens', 'messageOverhead', 'replyOverhead']
+};
+
+// Encodings js-tiktoken ships
+const BPE_ENCODINGS = ['gpt2', 'r50k_base', 'p50k_base', 'p50k_edit', 'cl100k_base', 'o200k_base'];
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function unknownName(kind, name, known) {
+  const suggestion = known
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(entry => entry.distance <= 3)
+    .sort((a, b) => a.distance - b.distance)[0];
+  return `unknown ${kind} "${name}"` +
+    (suggestion ? ` (did you mean "${suggestion.candidate}"?)` : ` (expected one of: ${known.join(', ')})`);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Returns a list of "path: problem" strings; empty when the registry is valid
+function validateRegistry(registry) {
+  const errors = [];
+
+  if (!isPlainObject(registry)) {
+    return ['registry: must be a JSON object'];
+  }
+  if (registry.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion: expected ${SCHEMA_VERSION}, got ${JSON.stringify(registry.schemaVersion)}`);
+  }
+  if (typeof registry.version !== 'string' || !registry.version.trim()) {
+    errors.push('version: must be a non-empty string');
+  }
+  if (!isPlainObject(registry.models) || Object.keys(registry.models).length === 0) {
+    errors.push('models: must declare at least one model');
+    return errors;
+  }
+
+  for (const [name, model] of Object.entries(registry.models)) {
+    const at = `models["${name}"]`;
+    if (!isPlainObject(model)) {
+      errors.push(`${at}: must be an object`);
+      continue;
+    }
+
+    for (const field of Object.keys(model)) {
+      if (!MODEL_FIELDS.includes(field)) errors.push(`${at}: ${unknownName('field', field, MODEL_FIELDS)}`);
+    }
+
+    if (!SUPPORTED_PROVIDERS.includes(model.provider)) {
+      errors.push(`${at}.provider: ${unknownName('provider', String(model.provider), SUPPORTED_PROVIDERS)}`);
+    }
+    if (typeof model.providerModel !== 'string' || !model.providerModel) {
+      errors.push(`${at}.providerModel: must be a non-empty string`);
+    }
+
+    if (!isPlainObject(model.capabilities)) {
+      errors.push(`${at}.capabilities: must be an object of capability scores`);
+    } else {
+      for (const [capability, score] of Object.entries(model.capabilities)) {
+        if (!KNOWN_CAPABILITIES.includes(capability)) {
+          errors.push(`${at}.capabilities: ${unknownName('capability', capability, KNOWN_CAPABILITIES)}`);
+        } else if (typeof score !== 'number' || score < 0 || score > 1) {
+          errors.push(`${at}.capabilities.${capability}: must be a number between 0 and 1`);
+        }
+      }
+      for (const capability of REQUIRED_CAPABILITIES) {
+        if (model.capabilities[capability] === undefined) {
+          errors.push(`${at}.capabilities.${capability}: is required`);
+        }
+      }
+    }
+
+    if (!Array.isArray(model.use_cases) || model.use_cases.length === 0 ||
+        model.use_cases.some(useCase => typeof useCase !== 'string')) {
+      errors.push(`${at}.use_cases: must be a non-empty array of strings`);
+    }
+    if (!Number.isInteger(model.context_window) || model.context_window <= 0) {
+      errors.push(`${at}.context_window: must be a positive integer (tokens)`);
+    }
+    if (!isPlainObject(model.pricing) ||
+        !['input', 'output'].every(key => typeof model.pricing[key] === 'number' && model.pricing[key] >= 0)) {
+      errors.push(`${at}.pricing: must have non-negative "input" and "output" USD per 1K tokens`);
+    }
+    errors.push(...validateTokenizer(`${at}.tokenizer`, model.tokenizer));
+    if (!Array.isArray(model.environments) || model.environments.some(env => typeof env !== 'string')) {
+      errors.push(`${at}.environments: must be an array of environment names`);
+    }
+  }
+
+  return errors;
+}
+
+function validateTokenizer(at, tokenizer) {
+  if (!isPlainObject(tokenizer)) {
+    return [`${at}: must be an object with a tokenizer "type"`];
+  }
+  const fields = TOKENIZER_FIELDS[tokenizer.type];
+  if (!fields) {
+    return [`${at}.type: ${unknownName('tokenizer type', String(tokenizer.type), Object.keys(TOKENIZER_FIELDS))}`];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(tokenizer)) {
+    if (!fields.includes(field)) errors.push(`${at}: ${unknownName('field', field, fields)}`);
+  }
+  if (tokenizer.type === 'bpe' && !BPE_ENCODINGS.includes(tokenizer.encoding)) {
+    errors.push(`${at}.encoding: ${unknownName('encoding', String(tokenizer.encoding), BPE_ENCODINGS)}`);
+  }
+  if (tokenizer.type === 'approximate') {
+    for (const field of ['charsPerToken', 'wordsToTokens']) {
+      if (typeof tokenizer[field] !== 'number' || tokenizer[field] <= 0) {
+        errors.push(`${at}.${field}: must be a positive number`);
+      }
+    }
+  }
+  for (const field of ['messageOverhead', 'replyOverhead']) {
+    if (!Number.isInteger(tokenizer[field]) || tokenizer[field] < 0) {
+      errors.push(`${at}.${field}: must be a non-negative integer (tokens)`);
+    }
+  }
+  return errors;
+}
+
+// Task types may only require capabilities that models can declare
+function validateTaskCapabilities(taskTypes) {
+  const errors = [];
+  for (const [taskType, config] of Object.entries(taskTypes || {})) {
+    for (const capability of config.required_capabilities || []) {
+      if (!KNOWN_CAPABILITIES.includes(capability)) {
+        errors.push(`medicalTaskTypes.${taskType}.required_capabilities: ${unknownName('capability', capability, KNOWN_CAPABILITIES)}`);
+      }
+    }
+  }
+  return errors;
+}
+
+function createRegistryError(filePath, errors) {
+  const error = new Error(`Invalid model registry ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  error.type = 'invalid_model_registry';
+  error.errors = errors;
+  return error;
+}
+
+function readRegistryFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw createRegistryError(filePath, [`cannot read file: ${error.message}`]);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw createRegistryError(filePath, [`invalid JSON: ${error.message}`]);
+  }
+}
+
+function replaceContents(target, source) {
+  for (const key of Object.keys(target)) delete target[key];
+  Object.assign(target, source);
+}
+
+// The exported tables are live: reloads replace their contents in place, so modules
+// holding a reference always see the current registry.
+class ModelRegistry extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.filePath = config.filePath || DEFAULT_REGISTRY_PATH;
+    this.environment = config.environment || process.env.MODEL_REGISTRY_ENV || process.env.NODE_ENV || 'development';
+    this.taskTypes = config.taskTypes || null;
+    this.version = null;
+    this.models = {};
+    this.modelCapabilities = {};
+    this.modelPricing = {};
+    this.modelTokenizers = {};
+    this.modelProviderMap = {};
+    this.watcher = null;
+  }
+
+  load() {
+    const registry = readRegistryFile(this.filePath);
+    const errors = [...validateRegistry(registry), ...validateTaskCapabilities(this.taskTypes)];
+    if (errors.length > 0) {
+      throw createRegistryError(this.filePath, errors);
+    }
+
+    const previousVersion = this.version;
+    this.apply(registry);
+    this.emit('reload', { version: this.version, previousVersion, environment: this.environment });
+    return this;
+  }
+
+  apply(registry) {
+    const capabilities = {};
+    const pricing = {};
+    const tokenizers = {};
+    const providers = {};
+
+    for (const [name, model] of Object.entries(registry.models)) {
+      // Disabled models stay priced and mapped so in-flight calls and old logs still resolve
+      pricing[name] = { ...model.pricing };
+      tokenizers[name] = { ...model.tokenizer };
+      providers[name] = { provider: model.provider, providerModel: model.providerModel };
+
+      if (model.environments.includes(this.environment)) {
+        capabilities[name] = {
+          ...model.capabilities,
+          use_cases: [...model.use_cases],
+          context_window: model.context_window
+        };
+      }
+    }
+
+    this.version = registry.version;
+    this.models = registry.models;
+    replaceContents(this.modelCapabilities, capabilities);
+    replaceContents(this.modelPricing, pricing);
+    replaceContents(this.modelTokenizers, tokenizers);
+    replaceContents(this.modelProviderMap, providers);
+  }
+
+  // Checks task requirements now and on every reload
+  setTaskTypes(taskTypes) {
+    const errors = validateTaskCapabilities(taskTypes);
+    if (errors.length > 0) {
+      throw createRegistryError(this.filePath, errors);
+    }
+    this.taskTypes = taskTypes;
+  }
+
+  isEnabled(model) {
+    return Boolean(this.modelCapabilities[model]);
+  }
+
+  // Reloads on file change. An invalid edit keeps the last good registry in service.
+  watch(options = {}) {
+    if (this.watcher) return this;
+    const debounceMs = options.debounceMs || 250;
+    let timer = null;
+
+    // Watch the directory: editors and deploys often replace the file rather than write to it
+    const fileName = path.basename(this.filePath);
+    this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changed) => {
+      if (changed && changed !== fileName) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          this.load();
+        } catch (error) {
+          // The server logs 'invalid' through its own logger; scripts without a listener get the console
+          if (this.listenerCount('invalid') === 0) {
+            console.warn(`Model registry reload rejected, keeping version ${this.version}:\n${error.message}`);
+          }
+          this.emit('invalid', error);
+        }
+      }, debounceMs);
+    });
+
+    // Watching must not keep short-lived scripts alive
+    this.watcher.unref();
+    return this;
+  }
+
+  close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+// Shared registry, loaded and validated on first use
+let defaultRegistry = null;
+
+function getModelRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new ModelRegistry().load();
+    if (process.env.MODEL_REGISTRY_HOT_RELOAD !== 'false') {
+      defaultRegistry.watch();
+    }
+  }
+  return defaultRegistry;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_PATH,
+  KNOWN_CAPABILITIES,
+  SUPPORTED_PROVIDERS,
+  validateRegistry,
+  validateTaskCapabilities,
+  ModelRegistry,
+  getModelRegistry
+};
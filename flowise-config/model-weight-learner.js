@@ -0,0 +1,445 @@
+// Online Model Weight Learner for F-Bot 2.0
+// Thompson sampling over per-task model scores, fed by user feedback, expert validation, call outcomes and latency
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+// Quality signals say how good an answer was; operational signals only say how the call went
+const QUALITY_SIGNALS = ['userFeedback', 'expertValidation'];
+const OPERATIONAL_SIGNALS = ['latency', 'outcome'];
+
+const updateIntervals = {
+  "realtime": 0,
+  "hourly": 3600000,
+  "daily": 86400000,
+  "weekly": 604800000
+};
+
+// Deterministic PRNG (mulberry32) so simulations and sampling are reproducible
+function createSeededRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleNormal(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Marsaglia-Tsang gamma sampler; shape < 1 uses the boost trick
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta, random) {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+}
+
+class ModelWeightLearner {
+  constructor(config = {}) {
+    this.modelCapabilities = config.modelCapabilities || {};
+    this.taskTypes = config.taskTypes || {};
+    this.learningConfig = {
+      update_frequency: "daily",
+      minimum_samples: 10,
+      confidence_threshold: 0.95,
+      auto_adjust_weights: true,
+      ...(config.learningConfig || {})
+    };
+    this.statePath = config.statePath || null;
+    this.priorStrength = config.priorStrength || 10;
+    this.latencyTargetMs = config.latencyTargetMs || 2000;
+    this.rewardWeights = {
+      userFeedback: 0.4,
+      expertValidation: 0.4,
+      latency: 0.2,
+      outcome: 0.2,
+      ...(config.rewardWeights || {})
+    };
+    this.historyLimit = config.historyLimit || 500;
+    // Queued events are written at most once per saveDelayMs; past maxPending they are folded
+    // into the posteriors early, so the queue and the file stay bounded between applies
+    this.saveDelayMs = config.saveDelayMs !== undefined ? config.saveDelayMs : 1000;
+    this.maxPending = config.maxPending || 1000;
+    this.saveTimer = null;
+    this.random = createSeededRandom(config.seed);
+    this.now = config.now || (() => Date.now());
+
+    this.state = this.loadState();
+  }
+
+  get updateInterval() {
+    const frequency = this.learningConfig.update_frequency;
+    return updateIntervals[frequency] !== undefined ? updateIntervals[frequency] : updateIntervals.daily;
+  }
+
+  emptyState() {
+    return {
+      version: STATE_VERSION,
+      arms: {},
+      pending: [],
+      history: [],
+      lastAppliedAt: this.now()
+    };
+  }
+
+  loadState() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) {
+      return this.emptyState();
+    }
+
+    const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    if (state.version !== STATE_VERSION) {
+      throw new Error(`Unsupported weight learner state version ${state.version} in ${this.statePath}`);
+    }
+    return state;
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.statePath) return;
+
+    // Write then rename so a crash never leaves a half-written state file
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    const tempPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempPath, this.statePath);
+  }
+
+  scheduleSave() {
+    if (!this.statePath || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+    // A pending write must not keep short-lived scripts alive; flush() on shutdown
+    this.saveTimer.unref();
+  }
+
+  // Writes any queued events now
+  flush() {
+    if (this.saveTimer) this.save();
+  }
+
+  // Static capability score for a task, used as the Beta prior mean
+  priorMean(taskType, model) {
+    const capabilities = this.modelCapabilities[model] || {};
+    const task = this.taskTypes[taskType];
+    const required = (task && task.required_capabilities) || [];
+    if (required.length === 0) return 0.5;
+
+    const mean = required.reduce((sum, capability) => sum + (capabilities[capability] || 0), 0) / required.length;
+    return Math.min(Math.max(mean, 0.01), 0.99);
+  }
+
+  priorArm(taskType, model) {
+    const mean = this.priorMean(taskType, model);
+    return { alpha: mean * this.priorStrength, beta: (1 - mean) * this.priorStrength, priorMean: mean };
+  }
+
+  getArm(taskType, model) {
+    if (!this.state.arms[taskType]) this.state.arms[taskType] = {};
+    if (!this.state.arms[taskType][model]) {
+      this.state.arms[taskType][model] = {
+        ...this.priorArm(taskType, model),
+        samples: 0,
+        componentTotals: { userFeedback: 0, expertValidation: 0, latency: 0, outcome: 0 },
+        componentCounts: { userFeedback: 0, expertValidation: 0, latency: 0, outcome: 0 },
+        safetyIncidents: 0,
+        lastUpdated: null
+      };
+    }
+    return this.state.arms[taskType][model];
+  }
+
+  // Normalizes each feedback signal to [0, 1]; missing signals are left out
+  scoreComponents(feedback) {
+    const components = {};
+    if (feedback.userFeedbackScore !== undefined) {
+      components.userFeedback = Math.min(Math.max((feedback.userFeedbackScore - 1) / 4, 0), 1);
+    }
+    if (feedback.expertValidationScore !== undefined) {
+      components.expertValidation = Math.min(Math.max(feedback.expertValidationScore, 0), 1);
+    }
+    if (feedback.latencyMs !== undefined) {
+      components.latency = Math.min(this.latencyTargetMs / Math.max(feedback.latencyMs, 1), 1);
+    }
+    if (feedback.callSucceeded !== undefined) {
+      components.outcome = feedback.callSucceeded ? 1 : 0;
+    }
+    return components;
+  }
+
+  weightedMean(components, signals) {
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const signal of signals) {
+      if (components[signal] === undefined) continue;
+      weighted += components[signal] * this.rewardWeights[signal];
+      totalWeight += this.rewardWeights[signal];
+    }
+    return totalWeight > 0 ? weighted / totalWeight : null;
+  }
+
+  // Reward on the scale of the capability prior: the quality signals, or the prior mean when
+  // there are none, discounted by the operational signals. A fast call without errors is no
+  // evidence the answer was good, so it keeps the quality where it was instead of raising it.
+  calculateReward(components, safetyIncident, priorMean) {
+    if (safetyIncident) return 0;
+
+    const quality = this.weightedMean(components, QUALITY_SIGNALS);
+    const operational = this.weightedMean(components, OPERATIONAL_SIGNALS);
+    if (quality === null && operational === null) return null;
+    return (quality !== null ? quality : priorMean) * (operational !== null ? operational : 1);
+  }
+
+  // feedback: { taskType, model, userFeedbackScore (1-5), expertValidationScore (0-1), latencyMs,
+  //   callSucceeded, safetyIncident }. Queued events are saved within saveDelayMs
+  recordFeedback(feedback) {
+    const { taskType, model } = feedback;
+    if (!taskType || !model) {
+      throw new Error('Feedback requires taskType and model');
+    }
+
+    const components = this.scoreComponents(feedback);
+    const reward = this.calculateReward(components, feedback.safetyIncident, this.priorMean(taskType, model));
+    if (reward === null) {
+      return null;
+    }
+
+    const event = {
+      taskType,
+      model,
+      reward,
+      components,
+      safetyIncident: Boolean(feedback.safetyIncident),
+      receivedAt: new Date(this.now()).toISOString()
+    };
+    this.state.pending.push(event);
+
+    if (this.now() - this.state.lastAppliedAt >= this.updateInterval || this.state.pending.length >= this.maxPending) {
+      this.applyPendingUpdates();
+    } else {
+      this.scheduleSave();
+    }
+    return event;
+  }
+
+  // Folds queued feedback into the posteriors (runs on update_frequency)
+  applyPendingUpdates() {
+    const applied = [];
+
+    for (const event of this.state.pending) {
+      const arm = this.getArm(event.taskType, event.model);
+      const before = this.posteriorMean(arm);
+
+      arm.alpha += event.reward;
+      arm.beta += 1 - event.reward;
+      arm.samples += 1;
+      arm.lastUpdated = event.receivedAt;
+      if (event.safetyIncident) arm.safetyIncidents += 1;
+      // States saved before a signal existed have no totals for it
+      for (const [component, value] of Object.entries(event.components)) {
+        arm.componentTotals[component] = (arm.componentTotals[component] || 0) + value;
+        arm.componentCounts[component] = (arm.componentCounts[component] || 0) + 1;
+      }
+
+      applied.push({ ...event, before, after: this.posteriorMean(arm) });
+    }
+
+    this.state.history.push(...applied);
+    if (this.state.history.length > this.historyLimit) {
+      this.state.history.splice(0, this.state.history.length - this.historyLimit);
+    }
+    this.state.pending = [];
+    this.state.lastAppliedAt = this.now();
+    this.save();
+
+    return applied;
+  }
+
+  posteriorMean(arm) {
+    return arm.alpha / (arm.alpha + arm.beta);
+  }
+
+  // Learned score replaces the static capability score once enough samples exist
+  learnedScore(taskType, model) {
+    if (!this.learningConfig.auto_adjust_weights) return null;
+
+    const arm = this.state.arms[taskType] && this.state.arms[taskType][model];
+    if (!arm || arm.samples < this.learningConfig.minimum_samples) return null;
+    return this.posteriorMean(arm);
+  }
+
+  // Routing draws one Thompson sample per candidate from its posterior, which starts as the
+  // Beta prior seeded from the capability score. Once any model of a task type has enough
+  // samples every candidate is sampled, so models without feedback keep being explored.
+  // null (route on capabilities alone) until then.
+  sampledScore(taskType, model) {
+    if (!this.learningConfig.auto_adjust_weights) return null;
+
+    const arms = this.state.arms[taskType] || {};
+    const learning = Object.values(arms).some(arm => arm.samples >= this.learningConfig.minimum_samples);
+    if (!learning) return null;
+
+    const arm = arms[model] || this.priorArm(taskType, model);
+    return sampleBeta(arm.alpha, arm.beta, this.random);
+  }
+
+  // Thompson sample per model, prior included; the simulator picks the arm with the highest draw
+  sample(taskType, models) {
+    const samples = {};
+    for (const model of models) {
+      const arm = this.getArm(taskType, model);
+      samples[model] = sampleBeta(arm.alpha, arm.beta, this.random);
+    }
+    return samples;
+  }
+
+  getWeights(taskType) {
+    const arms = this.state.arms[taskType] || {};
+    const weights = {};
+    for (const [model, arm] of Object.entries(arms)) {
+      weights[model] = {
+        priorMean: arm.priorMean,
+        posteriorMean: this.posteriorMean(arm),
+        samples: arm.samples,
+        active: arm.samples >= this.learningConfig.minimum_samples
+      };
+    }
+    return weights;
+  }
+
+  // Why a model's weight moved: prior vs posterior, signal averages and recent events
+  explain(taskType, model, options = {}) {
+    const arm = this.state.arms[taskType] && this.state.arms[taskType][model];
+    if (!arm) {
+      return {
+        taskType,
+        model,
+        samples: 0,
+        reasons: [`No feedback recorded for ${model} on ${taskType}; using the static capability score`]
+      };
+    }
+
+    const posterior = this.posteriorMean(arm);
+    const delta = posterior - arm.priorMean;
+    const componentAverages = {};
+    for (const component of Object.keys(arm.componentTotals)) {
+      const count = arm.componentCounts[component];
+      componentAverages[component] = count > 0 ? arm.componentTotals[component] / count : null;
+    }
+
+    const reasons = [];
+    if (arm.samples < this.learningConfig.minimum_samples) {
+      reasons.push(`Only ${arm.samples} of ${this.learningConfig.minimum_samples} required samples; learned weight not applied yet`);
+    }
+    if (Math.abs(delta) >= 0.01) {
+      reasons.push(`Weight ${delta > 0 ? 'increased' : 'decreased'} by ${Math.abs(delta).toFixed(3)} from prior ${arm.priorMean.toFixed(3)}`);
+    } else {
+      reasons.push('Feedback is consistent with the static capability score');
+    }
+    for (const [component, average] of Object.entries(componentAverages)) {
+      if (average === null) continue;
+      const direction = average > arm.priorMean ? 'above' : 'below';
+      reasons.push(`Average ${component} score ${average.toFixed(3)} is ${direction} the prior`);
+    }
+    if (arm.safetyIncidents > 0) {
+      reasons.push(`${arm.safetyIncidents} safety incident(s) counted as zero reward`);
+    }
+
+    const limit = options.recent || 10;
+    return {
+      taskType,
+      model,
+      priorMean: arm.priorMean,
+      posteriorMean: posterior,
+      delta,
+      samples: arm.samples,
+      applied: this.learnedScore(taskType, model) !== null,
+      credibleInterval: this.credibleInterval(arm),
+      componentAverages,
+      pendingEvents: this.state.pending.filter(event => event.taskType === taskType && event.model === model).length,
+      recentEvents: this.state.history
+        .filter(event => event.taskType === taskType && event.model === model)
+        .slice(-limit),
+      reasons
+    };
+  }
+
+  // Normal approximation of the Beta posterior at learning_algorithm.confidence_threshold
+  credibleInterval(arm) {
+    const total = arm.alpha + arm.beta;
+    const mean = arm.alpha / total;
+    const variance = (arm.alpha * arm.beta) / (total * total * (total + 1));
+    const z = this.learningConfig.confidence_threshold >= 0.99 ? 2.576
+      : this.learningConfig.confidence_threshold >= 0.95 ? 1.96 : 1.645;
+    const margin = z * Math.sqrt(variance);
+    return {
+      level: this.learningConfig.confidence_threshold,
+      lower: Math.max(0, mean - margin),
+      upper: Math.min(1, mean + margin)
+    };
+  }
+}
+
+// Seeded feedback simulator: models have a hidden true quality and latency profile
+function simulateFeedback(learner, options = {}) {
+  const random = createSeededRandom(options.seed || 42);
+  const rounds = options.rounds || 200;
+  const taskType = options.taskType;
+  const models = options.models || Object.keys(options.trueQuality || {});
+  const events = [];
+
+  for (let round = 0; round < rounds; round++) {
+    const samples = learner.sample(taskType, models);
+    const model = Object.entries(samples).sort((a, b) => b[1] - a[1])[0][0];
+    const quality = options.trueQuality[model];
+    const latencyProfile = (options.latencyMs && options.latencyMs[model]) || 1500;
+
+    const event = learner.recordFeedback({
+      taskType,
+      model,
+      userFeedbackScore: random() < quality ? 5 : 2,
+      expertValidationScore: options.includeExpert === false ? undefined : Math.min(1, Math.max(0, quality + (random() - 0.5) * 0.2)),
+      latencyMs: latencyProfile * (0.8 + random() * 0.4)
+    });
+    events.push({ round, model, reward: event && event.reward });
+  }
+
+  learner.applyPendingUpdates();
+  return { events, weights: learner.getWeights(taskType) };
+}
+
+module.exports = {
+  createSeededRandom,
+  sampleBeta,
+  ModelWeightLearner,
+  simulateFeedback
+};
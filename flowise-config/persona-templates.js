@@ -0,0 +1,135 @@
+// Persona Templates for F-Bot 2.0
+// Fills the {{placeholder}} strings of the Dr. Fascia personality from conversation state.
+// Values are escaped for the markdown chat view, a template with a missing value is reported
+// rather than shown with raw braces, and the personality is linted for unknown placeholders
+// when it loads.
+
+const PLACEHOLDER = /\{\{([^{}]*)\}\}/g;
+const VARIABLE_NAME = /^[a-z][a-z0-9_]*$/;
+
+// Longer values are cut, so a pasted paragraph cannot take over a one-line phrase
+const MAX_VALUE_LENGTH = 120;
+
+// Every placeholder the personality may use, and what fills it
+const TEMPLATE_VARIABLES = {
+  symptom: 'The symptom being discussed, in the user\'s words',
+  sensation: 'How the symptom feels (tightness, burning, ...)',
+  emotion: 'The emotion the user expressed',
+  topic: 'What the user mentioned and should say more about',
+  term: 'A word the user used that needs clarifying',
+  condition: 'The condition a technique is meant for',
+  technique: 'The technique being explained',
+  mechanism: 'How the technique works, in Western terms',
+  tcm_explanation: 'The Traditional Chinese Medicine view of the problem',
+  eastern_approach: 'The approach that view suggests',
+  concept: 'The traditional concept a finding aligns with',
+  previous_concern: 'What the user came about last time',
+  previous_state: 'How the user was before',
+  current_state: 'How the user is now',
+  previous_level: 'An earlier symptom rating',
+  current_level: 'The current symptom rating',
+  current_approach: 'What the user is doing now',
+  next_step: 'The progression to try next',
+  modification: 'The change to the current approach',
+  current_routine: 'The routine the user should keep',
+  new_approach: 'An approach worth exploring',
+  specialty: 'The specialty of a suggested referral'
+};
+
+function createTemplateError(errors) {
+  const error = new Error(`Invalid persona templates:\n  - ${errors.join('\n  - ')}`);
+  error.type = 'invalid_templates';
+  error.errors = errors;
+  return error;
+}
+
+// { names, errors } for one template; errors cover malformed placeholders and stray braces
+function parseTemplate(template) {
+  const names = [];
+  const errors = [];
+  for (const [placeholder, inner] of template.matchAll(PLACEHOLDER)) {
+    const name = inner.trim();
+    if (!VARIABLE_NAME.test(name)) {
+      errors.push(`malformed placeholder ${placeholder}`);
+    } else if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+  if (/\{\{|\}\}/.test(template.replace(PLACEHOLDER, ''))) {
+    errors.push('unbalanced {{ or }}');
+  }
+  return { names, errors };
+}
+
+function isControlCharacter(character) {
+  const code = character.charCodeAt(0);
+  return code <= 0x1f || code === 0x7f;
+}
+
+// User text as one inert line: no control characters or line breaks, no markdown, capped
+function escapeValue(value) {
+  let text = Array.from(String(value), character => (isControlCharacter(character) ? ' ' : character))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length > MAX_VALUE_LENGTH) {
+    text = `${text.substring(0, MAX_VALUE_LENGTH - 1).trimEnd()}…`;
+  }
+  return text.replace(/[\\`*_{}[\]<>#|~]/g, '\\$&');
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// { text, missing }: text is null when any placeholder has no value, so callers pick another
+// phrasing instead of showing braces
+function renderTemplate(template, variables = {}) {
+  const { names } = parseTemplate(template);
+  const missing = names.filter(name => isMissing(variables[name]));
+  if (missing.length > 0) return { text: null, missing };
+
+  const text = template.replace(PLACEHOLDER, (placeholder, inner) => escapeValue(variables[inner.trim()]));
+  return { text, missing: [] };
+}
+
+// Phrase lists render their first variant that can be filled completely
+function renderFirst(templates, variables = {}) {
+  if (!Array.isArray(templates)) return renderTemplate(templates, variables);
+
+  const missing = new Set();
+  for (const template of templates) {
+    const rendered = renderTemplate(template, variables);
+    if (rendered.text !== null) return rendered;
+    rendered.missing.forEach(name => missing.add(name));
+  }
+  return { text: null, missing: [...missing] };
+}
+
+// "path: problem" for every string under value with a malformed or unknown placeholder
+function lintTemplates(value, at, knownVariables = TEMPLATE_VARIABLES) {
+  if (typeof value === 'string') {
+    const { names, errors } = parseTemplate(value);
+    return [
+      ...errors.map(error => `${at}: ${error}`),
+      ...names.filter(name => !knownVariables[name]).map(name => `${at}: unknown placeholder {{${name}}}`)
+    ];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => lintTemplates(item, `${at}[${index}]`, knownVariables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => lintTemplates(item, `${at}.${key}`, knownVariables));
+  }
+  return [];
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  createTemplateError,
+  parseTemplate,
+  escapeValue,
+  renderTemplate,
+  renderFirst,
+  lintTemplates
+};
@@ -0,0 +1,233 @@
+// PHI Privacy Router for F-Bot 2.0
+// Runs the MIDI de-identification detectors on a query before dispatch and applies the
+// organization's policy: keep it on a local model, redact it for cloud models, or refuse it
+
+const { MIDIDeIdentifier } = require('./enhanced-firecrawl-scraper');
+
+const PHI_POLICIES = ['local_only', 'redact', 'block'];
+
+// Providers that run on our own hardware; PHI sent to them never leaves the network
+const LOCAL_PROVIDERS = ['ollama'];
+
+const PLACEHOLDER_LABELS = {
+  mrn: 'MRN',
+  ssn: 'SSN',
+  dob: 'DOB',
+  phoneNumbers: 'PHONE',
+  emails: 'EMAIL',
+  names: 'NAME',
+  addresses: 'ADDRESS'
+};
+
+const PLACEHOLDER_PATTERN = /\[PHI_[A-Z]+_\d+\]/g;
+const MAX_PLACEHOLDER_LENGTH = 24;
+
+const REDACTION_INSTRUCTION =
+  'Some personal details in this conversation were replaced with placeholders such as [PHI_NAME_1]. ' +
+  'Repeat any placeholder you need exactly as written and never guess what it stands for.';
+
+function createPhiBlockedError(message, phiTypes) {
+  const error = new Error(message);
+  error.type = 'phi_blocked';
+  error.phiTypes = phiTypes;
+  return error;
+}
+
+function createPhiAuditError(cause) {
+  const error = new Error('The privacy routing decision could not be audited, so the message was not sent');
+  error.type = 'phi_audit_failed';
+  error.cause = cause;
+  return error;
+}
+
+class PhiPrivacyGuard {
+  constructor(config = {}) {
+    this.deIdentifier = config.deIdentifier || new MIDIDeIdentifier();
+    this.policies = {
+      default: config.policy || 'local_only',
+      overrides: { ...(config.orgPolicies || {}) }
+    };
+    for (const policy of [this.policies.default, ...Object.values(this.policies.overrides)]) {
+      if (!PHI_POLICIES.includes(policy)) {
+        throw new Error(`Unknown PHI routing policy "${policy}"; expected one of ${PHI_POLICIES.join(', ')}`);
+      }
+    }
+    this.modelProviders = config.modelProviders || {};
+    this.auditLogger = config.auditLogger || null;
+    // Name and address detectors load asynchronously
+    this.ready = Promise.resolve(this.deIdentifier.initialize && this.deIdentifier.initialize());
+  }
+
+  policyFor(principal = {}) {
+    return this.policies.overrides[principal.orgId] || this.policies.default;
+  }
+
+  isLocal(modelName) {
+    const entry = this.modelProviders[modelName];
+    return Boolean(entry && LOCAL_PROVIDERS.includes(entry.provider));
+  }
+
+  // Non-overlapping matches in text order: [{ type, value, start, end }]
+  async detect(text) {
+    await this.ready;
+    if (!text) return [];
+
+    const matches = [];
+    for (const [type, pattern] of Object.entries(this.deIdentifier.midiIdentifiers)) {
+      if (!pattern) continue;
+      const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+      for (const match of text.matchAll(new RegExp(pattern.source, flags))) {
+        matches.push({ type, value: match[0], start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    // Longer matches win where detectors overlap (an MRN inside a phone number)
+    matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    let lastEnd = -1;
+    return matches.filter(match => {
+      if (match.start < lastEnd) return false;
+      lastEnd = match.end;
+      return true;
+    });
+  }
+
+  // The query and the history both go to the model, so both are checked.
+  // Returns the query and options to dispatch, the decision, and a re-identifier for redaction.
+  async protect(userQuery, options = {}) {
+    const history = options.messages || [];
+    const queryMatches = await this.detect(userQuery);
+    const historyMatches = await Promise.all(history.map(message => this.detect(message.content)));
+    const phiTypes = [...new Set([...queryMatches, ...historyMatches.flat()].map(match => match.type))];
+
+    if (phiTypes.length === 0) {
+      return { userQuery, options, privacy: null, reidentifier: null };
+    }
+
+    const policy = this.policyFor(options.principal);
+    const privacy = { phiDetected: true, phiTypes, policy, action: policy };
+
+    if (policy === 'block') {
+      await this.audit(privacy, options, { outcome: 'blocked' });
+      throw createPhiBlockedError(
+        'This message contains patient identifiers and your organization does not allow sending them to AI models',
+        phiTypes
+      );
+    }
+
+    // Cached answers are shared between users, so PHI turns are neither served nor stored
+    if (policy === 'local_only') {
+      return {
+        userQuery,
+        options: { ...options, cache: false, fallback: false, ensemble: false },
+        privacy,
+        reidentifier: null
+      };
+    }
+
+    const vault = new Map();
+    const redactedHistory = history.map((message, index) => ({
+      ...message,
+      content: this.redact(message.content, historyMatches[index], vault)
+    }));
+    return {
+      userQuery: this.redact(userQuery, queryMatches, vault),
+      options: {
+        ...options,
+        messages: redactedHistory,
+        system: options.system ? `${options.system}\n\n${REDACTION_INSTRUCTION}` : REDACTION_INSTRUCTION,
+        cache: false
+      },
+      privacy: { ...privacy, redactedCount: vault.size },
+      reidentifier: createReidentifier(vault)
+    };
+  }
+
+  // The same value gets the same placeholder everywhere in the request
+  redact(text, matches, vault) {
+    if (!matches || matches.length === 0) return text;
+
+    const byValue = new Map([...vault].map(([placeholder, value]) => [value, placeholder]));
+    const counts = {};
+    for (const placeholder of vault.keys()) {
+      const label = placeholder.slice(5, placeholder.lastIndexOf('_'));
+      counts[label] = (counts[label] || 0) + 1;
+    }
+
+    let redacted = '';
+    let position = 0;
+    for (const match of matches) {
+      let placeholder = byValue.get(match.value);
+      if (!placeholder) {
+        const label = PLACEHOLDER_LABELS[match.type] || match.type.toUpperCase();
+        counts[label] = (counts[label] || 0) + 1;
+        placeholder = `[PHI_${label}_${counts[label]}]`;
+        vault.set(placeholder, match.value);
+        byValue.set(match.value, placeholder);
+      }
+      redacted += text.slice(position, match.start) + placeholder;
+      position = match.end;
+    }
+    return redacted + text.slice(position);
+  }
+
+  // Records the decision, never the identifiers themselves. A PHI turn whose decision
+  // cannot be audited is not sent
+  async audit(privacy, options = {}, fields = {}) {
+    if (!this.auditLogger) return;
+
+    const principal = options.principal || {};
+    const context = options.audit || {};
+    try {
+      await this.auditLogger.logAccess({
+        ...context,
+        userId: principal.userId || context.userId,
+        userRole: principal.role || context.userRole,
+        orgId: principal.orgId,
+        action: 'phi_privacy_routing',
+        resource: 'llm_query',
+        patientId: options.patientId,
+        outcome: 'success',
+        policy: privacy.policy,
+        phiAction: privacy.action,
+        phiTypes: privacy.phiTypes,
+        redactedCount: privacy.redactedCount,
+        ...fields
+      });
+    } catch (error) {
+      throw createPhiAuditError(error);
+    }
+  }
+}
+
+// Puts redacted identifiers back into the answer. Streams are buffered at a '[' until the
+// placeholder it may start is complete, so a placeholder split across tokens still resolves.
+function createReidentifier(vault) {
+  const restore = text => text.replace(PLACEHOLDER_PATTERN, placeholder => vault.get(placeholder) || placeholder);
+  let pending = '';
+
+  return {
+    text: restore,
+    push(chunk) {
+      pending += chunk;
+      const open = pending.lastIndexOf('[');
+      const held = open !== -1 && !pending.includes(']', open) && pending.length - open < MAX_PLACEHOLDER_LENGTH;
+      const ready = held ? pending.slice(0, open) : pending;
+      pending = held ? pending.slice(open) : '';
+      return restore(ready);
+    },
+    flush() {
+      const rest = pending;
+      pending = '';
+      return restore(rest);
+    }
+  };
+}
+
+module.exports = {
+  PhiPrivacyGuard,
+  PHI_POLICIES,
+  LOCAL_PROVIDERS,
+  createPhiBlockedError,
+  createPhiAuditError,
+  createReidentifier
+};
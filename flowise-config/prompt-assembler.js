@@ -0,0 +1,255 @@
+// Prompt Assembler for F-Bot 2.0
+// Fits system message, history, RAG chunks and ultrasound findings into the selected model's context window
+
+const { countTokens, countMessageTokens, defaultOutputTokens } = require('./model-pricing');
+
+// Sections are filled in this order once the required minimum is in place:
+//   required: system message, current query, recent turns, ultrasound summary and abnormal findings
+//   then:     full ultrasound findings, RAG chunks by score, older history (summarized if needed)
+const defaultAssemblyOptions = {
+  recentTurns: 2,
+  safetyMarginRatio: 0.02,
+  minChunkTokens: 64,
+  summaryTurnChars: 160
+};
+
+function chunkText(chunk) {
+  if (typeof chunk === 'string') return chunk;
+  return chunk.content || chunk.pageContent || '';
+}
+
+function chunkLabel(chunk, index) {
+  const metadata = (chunk && chunk.metadata) || {};
+  const parts = [`[${index + 1}]`];
+  if (metadata.title) parts.push(metadata.title);
+  if (metadata.evidence_level) parts.push(`(evidence ${metadata.evidence_level})`);
+  return parts.join(' ');
+}
+
+// Accepts GemmaUltrasoundAnalyzer results ({ summary, findings: { normal, abnormal, uncertain },
+// measurements, alerts }) or a list of UltrasoundFinding objects from the frontend
+function formatUltrasoundFindings(ultrasound, options = {}) {
+  if (!ultrasound) return '';
+  const minimal = Boolean(options.minimal);
+  const lines = [];
+
+  if (Array.isArray(ultrasound)) {
+    const ordered = [...ultrasound].sort((a, b) =>
+      ['severe', 'moderate', 'mild'].indexOf(a.severity) - ['severe', 'moderate', 'mild'].indexOf(b.severity));
+    for (const finding of ordered) {
+      if (minimal && finding.severity === 'mild') continue;
+      const confidence = finding.confidence !== undefined ? `, confidence ${Math.round(finding.confidence * 100)}%` : '';
+      const description = !minimal && finding.description ? ` - ${finding.description}` : '';
+      lines.push(`- ${finding.finding} (${finding.severity || 'unspecified'}${confidence})${description}`);
+    }
+    return lines.join('\n');
+  }
+
+  if (ultrasound.summary) lines.push(ultrasound.summary);
+  const findings = ultrasound.findings || {};
+  if (findings.abnormal && findings.abnormal.length) {
+    lines.push(`Abnormal: ${findings.abnormal.join('; ')}`);
+  }
+  if (ultrasound.alerts && ultrasound.alerts.length) {
+    lines.push(`Alerts: ${ultrasound.alerts.map(alert => alert.message || alert).join('; ')}`);
+  }
+  if (!minimal) {
+    if (findings.normal && findings.normal.length) lines.push(`Normal: ${findings.normal.join('; ')}`);
+    if (findings.uncertain && findings.uncertain.length) lines.push(`Uncertain: ${findings.uncertain.join('; ')}`);
+    const measurements = Object.entries(ultrasound.measurements || {})
+      .map(([name, measurement]) => `${name} ${measurement.value !== undefined ? measurement.value : measurement}`);
+    if (measurements.length) lines.push(`Measurements: ${measurements.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Cuts text at a word boundary so it fits maxTokens
+function truncateToTokens(model, text, maxTokens) {
+  if (countTokens(model, text) <= maxTokens) return text;
+
+  const words = text.split(/\s+/);
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (countTokens(model, `${words.slice(0, middle).join(' ')} …`) <= maxTokens) low = middle;
+    else high = middle - 1;
+  }
+  return low > 0 ? `${words.slice(0, low).join(' ')} …` : '';
+}
+
+// Extractive summary: the opening of each earlier turn, oldest first
+function summarizeHistory(messages, maxChars) {
+  return messages
+    .map(message => {
+      const firstSentence = String(message.content).split(/(?<=[.!?])\s/)[0];
+      const text = firstSentence.length > maxChars ? `${firstSentence.substring(0, maxChars)}…` : firstSentence;
+      return `- ${message.role === 'assistant' ? 'Dr. Fascia' : 'User'}: ${text}`;
+    })
+    .join('\n');
+}
+
+function splitHistory(history, recentTurns) {
+  const turns = (history || []).filter(message => message && message.content);
+  const recentCount = Math.min(turns.length, recentTurns * 2);
+  return {
+    older: turns.slice(0, turns.length - recentCount),
+    recent: turns.slice(turns.length - recentCount)
+  };
+}
+
+function reservedOutputTokens(input) {
+  return input.maxTokens || defaultOutputTokens[input.taskType] || defaultOutputTokens.default;
+}
+
+// input: { system, history, ragChunks, ultrasoundFindings, query, maxTokens, taskType }
+// Returns the tokens this model must fit before any optional section is added
+function measureRequiredContext(model, input, options = {}) {
+  const config = { ...defaultAssemblyOptions, ...options };
+  const { recent } = splitHistory(input.history, config.recentTurns);
+  const ultrasound = formatUltrasoundFindings(input.ultrasoundFindings, { minimal: true });
+
+  return countTokens(model, input.system) +
+    countTokens(model, ultrasound) +
+    countMessageTokens(model, [...recent, { role: 'user', content: input.query || '' }]) +
+    reservedOutputTokens(input);
+}
+
+function fitsContextWindow(model, contextWindow, input, options = {}) {
+  const config = { ...defaultAssemblyOptions, ...options };
+  const requiredTokens = measureRequiredContext(model, input, config);
+  return {
+    fits: requiredTokens <= Math.floor(contextWindow * (1 - config.safetyMarginRatio)),
+    requiredTokens,
+    contextWindow
+  };
+}
+
+function createContextOverflowError(model, requiredTokens, contextWindow) {
+  const error = new Error(
+    `Required context of ${requiredTokens} tokens does not fit ${model}'s ${contextWindow}-token window`
+  );
+  error.type = 'context_overflow';
+  error.requiredTokens = requiredTokens;
+  error.contextWindow = contextWindow;
+  return error;
+}
+
+function assemblePrompt(model, contextWindow, input, options = {}) {
+  const config = { ...defaultAssemblyOptions, ...options };
+  const outputTokens = reservedOutputTokens(input);
+  const available = Math.floor(contextWindow * (1 - config.safetyMarginRatio)) - outputTokens;
+  const { older, recent } = splitHistory(input.history, config.recentTurns);
+  const queryMessage = { role: 'user', content: input.query || '' };
+  const truncation = [];
+
+  const tokens = {
+    system: countTokens(model, input.system),
+    history: countMessageTokens(model, recent),
+    query: countMessageTokens(model, [queryMessage]),
+    ultrasound: 0,
+    rag: 0
+  };
+
+  // Required: critical ultrasound content survives any amount of history or RAG
+  const ultrasoundFull = formatUltrasoundFindings(input.ultrasoundFindings);
+  const ultrasoundMinimal = formatUltrasoundFindings(input.ultrasoundFindings, { minimal: true });
+  tokens.ultrasound = countTokens(model, ultrasoundMinimal);
+
+  const required = tokens.system + tokens.history + tokens.query + tokens.ultrasound;
+  if (required > available) {
+    throw createContextOverflowError(model, required + outputTokens, contextWindow);
+  }
+  let remaining = available - required;
+
+  let ultrasoundText = ultrasoundMinimal;
+  if (ultrasoundFull !== ultrasoundMinimal) {
+    const fullTokens = countTokens(model, ultrasoundFull);
+    if (fullTokens - tokens.ultrasound <= remaining) {
+      remaining -= fullTokens - tokens.ultrasound;
+      tokens.ultrasound = fullTokens;
+      ultrasoundText = ultrasoundFull;
+    } else {
+      truncation.push({ section: 'ultrasound', action: 'summarized', detail: 'kept summary, abnormal findings and alerts' });
+    }
+  }
+
+  // RAG chunks, best score first; the first chunk that does not fit is cut, the rest dropped
+  const chunks = [...(input.ragChunks || [])]
+    .filter(chunk => chunkText(chunk))
+    .sort((a, b) => ((b && b.score) || 0) - ((a && a.score) || 0));
+  const ragParts = [];
+  chunks.forEach((chunk, index) => {
+    const text = `${chunkLabel(chunk, index)}\n${chunkText(chunk)}`;
+    const chunkTokens = countTokens(model, text);
+    if (chunkTokens <= remaining) {
+      ragParts.push(text);
+      remaining -= chunkTokens;
+      tokens.rag += chunkTokens;
+    } else if (remaining >= config.minChunkTokens) {
+      const cut = truncateToTokens(model, text, remaining);
+      const cutTokens = countTokens(model, cut);
+      ragParts.push(cut);
+      remaining -= cutTokens;
+      tokens.rag += cutTokens;
+      truncation.push({ section: 'rag', action: 'truncated', detail: chunkLabel(chunk, index) });
+    } else {
+      truncation.push({ section: 'rag', action: 'dropped', detail: chunkLabel(chunk, index) });
+    }
+  });
+
+  // Older history, newest first; whatever does not fit is summarized, or dropped if even that is too long
+  const keptOlder = [];
+  let index = older.length - 1;
+  for (; index >= 0; index--) {
+    const messageTokens = countMessageTokens(model, [older[index]]);
+    if (messageTokens > remaining) break;
+    keptOlder.unshift(older[index]);
+    remaining -= messageTokens;
+    tokens.history += messageTokens;
+  }
+
+  let historySummary = '';
+  const overflow = older.slice(0, index + 1);
+  if (overflow.length > 0) {
+    const summary = summarizeHistory(overflow, config.summaryTurnChars);
+    const summaryTokens = countTokens(model, summary);
+    if (summaryTokens <= remaining) {
+      historySummary = summary;
+      remaining -= summaryTokens;
+      tokens.history += summaryTokens;
+      truncation.push({ section: 'history', action: 'summarized', detail: `${overflow.length} earlier messages` });
+    } else {
+      truncation.push({ section: 'history', action: 'dropped', detail: `${overflow.length} earlier messages` });
+    }
+  }
+
+  const system = [
+    input.system,
+    historySummary && `EARLIER CONVERSATION (summarized):\n${historySummary}`,
+    ultrasoundText && `ULTRASOUND FINDINGS:\n${ultrasoundText}`,
+    ragParts.length > 0 && `REFERENCE MATERIAL:\n${ragParts.join('\n\n')}`
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    system,
+    messages: [...keptOlder, ...recent, queryMessage],
+    tokens: {
+      ...tokens,
+      total: available - remaining,
+      output: outputTokens,
+      available,
+      contextWindow
+    },
+    truncation
+  };
+}
+
+module.exports = {
+  defaultAssemblyOptions,
+  formatUltrasoundFindings,
+  truncateToTokens,
+  measureRequiredContext,
+  fitsContextWindow,
+  assemblePrompt
+};
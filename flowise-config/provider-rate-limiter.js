@@ -0,0 +1,353 @@
+// Provider Rate Limiter for F-Bot 2.0
+// Token buckets per provider and per model (requests and tokens per minute) in front of every
+// provider call. Bursts wait in a priority queue instead of drawing 429s; safety-critical
+// requests are served first, and a provider that answered 429 is held back for its Retry-After.
+
+const DEFAULT_MAX_QUEUE_DEPTH = 50;
+const DEFAULT_MAX_WAIT_MS = 30000;
+
+// Backoff after a 429 that carried no Retry-After
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+const PRIORITY = {
+  normal: 0,
+  safety_critical: 1
+};
+
+// Requests and tokens per minute for the account; null means unlimited. Per-model limits go
+// under models and apply on top of the provider's.
+const defaultRateLimits = {
+  openai: { rpm: 500, tpm: 300000, models: {} },
+  anthropic: { rpm: 50, tpm: 40000, models: {} },
+  gemini: { rpm: 360, tpm: 1000000, models: {} },
+  perplexity: { rpm: 50, tpm: null, models: {} },
+  ollama: null
+};
+
+class TokenBucket {
+  constructor(perMinute, now) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    this.available = Math.min(this.capacity, this.available + ((now - this.updatedAt) * this.capacity) / 60000);
+    this.updatedAt = now;
+  }
+
+  // A request larger than the whole bucket waits for a full bucket rather than forever
+  cost(amount) {
+    return Math.min(amount, this.capacity);
+  }
+
+  // Milliseconds until amount (already capped by cost) is available
+  waitFor(amount, now) {
+    this.refill(now);
+    const missing = amount - this.available;
+    return missing <= 0 ? 0 : Math.ceil((missing * 60000) / this.capacity);
+  }
+
+  take(amount) {
+    this.available -= amount;
+  }
+
+  // Actual usage differs from the estimate; a negative balance is paid back by waiting
+  adjust(delta) {
+    this.available = Math.min(this.capacity, this.available - delta);
+  }
+}
+
+class ProviderRateLimiter {
+  constructor(config = {}) {
+    this.limits = mergeRateLimits(defaultRateLimits, config.limits || {});
+    // The registry's live model -> provider map
+    this.modelProviders = config.modelProviders || {};
+    this.maxQueueDepth = config.maxQueueDepth || DEFAULT_MAX_QUEUE_DEPTH;
+    this.maxWaitMs = config.maxWaitMs || DEFAULT_MAX_WAIT_MS;
+    this.onQueueDepth = config.onQueueDepth || null;
+    this.now = config.now || (() => Date.now());
+    this.buckets = new Map();
+    this.queues = new Map();
+    this.blockedUntil = new Map();
+    this.timers = new Map();
+    this.sequence = 0;
+  }
+
+  providerOf(model) {
+    const mapping = this.modelProviders[model];
+    return mapping ? mapping.provider : null;
+  }
+
+  // [{ scope: 'provider' | 'model', unit: 'rpm' | 'tpm', bucket }] for the limits that apply
+  bucketsFor(model) {
+    const provider = this.providerOf(model);
+    const providerLimits = provider ? this.limits[provider] : null;
+    if (!providerLimits) return [];
+
+    const scopes = [
+      ['provider', provider, providerLimits],
+      ['model', model, (providerLimits.models || {})[model]]
+    ];
+    const buckets = [];
+    for (const [scope, name, limits] of scopes) {
+      if (!limits) continue;
+      for (const unit of ['rpm', 'tpm']) {
+        if (!limits[unit]) continue;
+        const key = `${scope}:${name}:${unit}`;
+        let bucket = this.buckets.get(key);
+        if (!bucket || bucket.capacity !== limits[unit]) {
+          bucket = new TokenBucket(limits[unit], this.now());
+          this.buckets.set(key, bucket);
+        }
+        buckets.push({ scope, unit, bucket });
+      }
+    }
+    return buckets;
+  }
+
+  queueFor(provider) {
+    if (!this.queues.has(provider)) this.queues.set(provider, []);
+    return this.queues.get(provider);
+  }
+
+  // Time until a request with this demand would be served, counting the requests queued
+  // ahead of it at the same or a higher priority
+  estimateWait(model, demand) {
+    const provider = this.providerOf(model);
+    const now = this.now();
+    const blocked = Math.max(0, (this.blockedUntil.get(provider) || 0) - now);
+    const ahead = this.queueFor(provider).filter(entry => entry.priority >= demand.priority);
+
+    let wait = 0;
+    for (const { scope, unit, bucket } of this.bucketsFor(model)) {
+      const sharing = scope === 'provider' ? ahead : ahead.filter(entry => entry.model === model);
+      const amount = [...sharing, demand].reduce((sum, entry) => sum + bucket.cost(unitsOf(unit, entry)), 0);
+      wait = Math.max(wait, bucket.waitFor(amount, now));
+    }
+    return Math.max(blocked, wait);
+  }
+
+  // null when the model can take a request soon enough, otherwise { provider, limit, retryAfter }
+  // with the limit that holds it back (retry_after, queue_full or rate_limit) and for how long.
+  // The router skips models for which this is set.
+  checkAvailability(model, demand = {}) {
+    const provider = this.providerOf(model);
+    if (!provider) return null;
+
+    const request = { model, tokens: demand.tokens || 0, priority: demand.priority || PRIORITY.normal };
+    const blocked = (this.blockedUntil.get(provider) || 0) - this.now();
+    if (blocked > this.maxWaitMs) {
+      return { provider, limit: 'retry_after', retryAfter: Math.ceil(blocked / 1000) };
+    }
+    if (this.queueFor(provider).length >= this.maxQueueDepth) {
+      return { provider, limit: 'queue_full', retryAfter: Math.ceil(this.estimateWait(model, request) / 1000) };
+    }
+    const wait = this.estimateWait(model, request);
+    if (wait > this.maxWaitMs) {
+      return { provider, limit: 'rate_limit', retryAfter: Math.ceil(wait / 1000) };
+    }
+    return null;
+  }
+
+  isSaturated(model, demand = {}) {
+    return Boolean(this.checkAvailability(model, demand));
+  }
+
+  // demand: { tokens, priority, signal }. Resolves with a permit once the request fits every
+  // bucket; call permit.settle(actualTokens) when the call ends. Rejects with a rate_limited
+  // error rather than queue past maxWaitMs, so failover can move to another provider.
+  acquire(model, demand = {}) {
+    const provider = this.providerOf(model);
+    // Unknown models are reported by the provider router
+    if (!provider) return Promise.resolve(createPermit(null, 0, []));
+
+    const unavailable = this.checkAvailability(model, demand);
+    if (unavailable) return Promise.reject(createRateLimitedError(model, unavailable));
+
+    const signal = demand.signal;
+    if (signal && signal.aborted) return Promise.reject(createCancelledError());
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        model,
+        provider,
+        tokens: demand.tokens || 0,
+        priority: demand.priority || PRIORITY.normal,
+        sequence: this.sequence++,
+        resolve,
+        reject,
+        signal
+      };
+      if (signal) {
+        entry.onAbort = () => {
+          this.remove(entry);
+          reject(createCancelledError());
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      const queue = this.queueFor(provider);
+      queue.push(entry);
+      queue.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+      this.drain(provider);
+    });
+  }
+
+  // Serves queued requests in priority order while their buckets allow
+  drain(provider) {
+    clearTimeout(this.timers.get(provider));
+    this.timers.delete(provider);
+
+    const queue = this.queueFor(provider);
+    const now = this.now();
+    const blocked = (this.blockedUntil.get(provider) || 0) - now;
+    let retryIn = blocked > 0 ? blocked : null;
+
+    const heldModels = new Set();
+    let index = 0;
+    while (blocked <= 0 && index < queue.length) {
+      const entry = queue[index];
+      if (heldModels.has(entry.model)) {
+        index++;
+        continue;
+      }
+
+      const buckets = this.bucketsFor(entry.model);
+      const waits = buckets.map(({ scope, unit, bucket }) => ({
+        scope,
+        wait: bucket.waitFor(bucket.cost(unitsOf(unit, entry)), now)
+      }));
+      const wait = Math.max(0, ...waits.map(item => item.wait));
+
+      if (wait === 0) {
+        queue.splice(index, 1);
+        this.grant(entry, buckets);
+        continue;
+      }
+
+      retryIn = retryIn === null ? wait : Math.min(retryIn, wait);
+      // A request held by the provider's limit holds everything behind it, so smaller or
+      // lower-priority requests cannot starve it; one held by its model's limit holds that model
+      if (waits.some(item => item.scope === 'provider' && item.wait > 0)) break;
+      heldModels.add(entry.model);
+      index++;
+    }
+
+    this.reportDepth(provider);
+    if (queue.length > 0 && retryIn !== null) {
+      this.timers.set(provider, setTimeout(() => this.drain(provider), Math.max(retryIn, 10)));
+    }
+  }
+
+  grant(entry, buckets) {
+    if (entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
+    for (const { unit, bucket } of buckets) {
+      bucket.take(bucket.cost(unitsOf(unit, entry)));
+    }
+    entry.resolve(createPermit(this, entry.tokens, buckets, entry.provider));
+  }
+
+  remove(entry) {
+    const queue = this.queueFor(entry.provider);
+    const index = queue.indexOf(entry);
+    if (index !== -1) queue.splice(index, 1);
+    this.drain(entry.provider);
+  }
+
+  // Provider 429s hold the provider back for Retry-After. Queued requests that would now
+  // wait past maxWaitMs are rejected so they can fail over instead.
+  recordFailure(model, error) {
+    if (!error || error.type !== 'rate_limited' || error.rateLimiter) return;
+    const provider = this.providerOf(model);
+    if (!provider) return;
+
+    const seconds = error.retryAfter ?? DEFAULT_RETRY_AFTER_SECONDS;
+    const until = this.now() + seconds * 1000;
+    this.blockedUntil.set(provider, Math.max(this.blockedUntil.get(provider) || 0, until));
+
+    if (seconds * 1000 > this.maxWaitMs) {
+      const queue = this.queueFor(provider);
+      for (const entry of queue.splice(0, queue.length)) {
+        if (entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
+        entry.reject(createRateLimitedError(entry.model, { provider, limit: 'retry_after', retryAfter: Math.ceil(seconds) }));
+      }
+    }
+    this.drain(provider);
+  }
+
+  queueDepths() {
+    const depths = {};
+    for (const [provider, queue] of this.queues) depths[provider] = queue.length;
+    return depths;
+  }
+
+  reportDepth(provider) {
+    if (this.onQueueDepth) this.onQueueDepth(`llm-${provider}`, this.queueFor(provider).length);
+  }
+}
+
+function unitsOf(unit, entry) {
+  return unit === 'rpm' ? 1 : entry.tokens;
+}
+
+// settle(actualTokens) corrects the token buckets by the difference from the estimate;
+// later calls are ignored
+function createPermit(limiter, estimatedTokens, buckets, provider) {
+  let settled = false;
+  return {
+    settle(actualTokens) {
+      if (settled) return;
+      settled = true;
+      if (actualTokens === undefined || actualTokens === null) return;
+
+      for (const { unit, bucket } of buckets) {
+        if (unit === 'tpm') bucket.adjust(bucket.cost(actualTokens) - bucket.cost(estimatedTokens));
+      }
+      if (limiter && actualTokens < estimatedTokens) limiter.drain(provider);
+    }
+  };
+}
+
+function createRateLimitedError(model, availability) {
+  const error = new Error(
+    `${availability.provider} is at its rate limit for ${model}; retry in ${availability.retryAfter}s`
+  );
+  error.type = 'rate_limited';
+  error.provider = availability.provider;
+  error.model = model;
+  error.limit = availability.limit;
+  error.retryAfter = availability.retryAfter;
+  // Raised here rather than by the provider, so it does not extend the backoff
+  error.rateLimiter = true;
+  return error;
+}
+
+function createCancelledError() {
+  const error = new Error('Request cancelled');
+  error.type = 'cancelled';
+  return error;
+}
+
+function mergeRateLimits(defaults, overrides) {
+  const merged = {};
+  for (const provider of new Set([...Object.keys(defaults), ...Object.keys(overrides)])) {
+    const base = defaults[provider];
+    const override = overrides[provider];
+    if (override === undefined) {
+      merged[provider] = base;
+    } else if (override === null || !base) {
+      merged[provider] = override;
+    } else {
+      merged[provider] = { ...base, ...override, models: { ...(base.models || {}), ...(override.models || {}) } };
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  PRIORITY,
+  defaultRateLimits,
+  TokenBucket,
+  ProviderRateLimiter
+};
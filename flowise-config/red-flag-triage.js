@@ -0,0 +1,427 @@
+// Red-Flag Triage for F-Bot 2.0
+// Checks every user message for the red flags in safety_protocols.red_flag_detection before
+// any model sees it. Rules are fixed patterns plus context (how sudden, how long, whether it is
+// getting worse), so the same message always gets the same outcome and the curated corpus in
+// config/triage-corpus.jsonl pins that behaviour down.
+// Emergencies are answered with the emergency_care referral instead of a model answer; urgent
+// flags let the model answer but require a prompt medical evaluation.
+
+const fs = require('fs');
+const path = require('path');
+const { drFasciaPersonality } = require('./dr-fascia-personality');
+
+const DEFAULT_CORPUS_PATH = path.join(__dirname, '..', 'config', 'triage-corpus.jsonl');
+
+const TRIAGE_LEVELS = ['none', 'urgent', 'emergency'];
+
+// Earlier user messages whose findings still combine with the current one ("my back hurts",
+// then "I've lost control of my bladder")
+const HISTORY_TURNS = 5;
+
+// Only real denials cancel a finding, and only within its clause, not past a comma or colon
+// or a conjunction that starts a new statement ("no fever and my neck is stiff").
+// Denial words reach NEGATION_WINDOW words ahead ("no numbness or tingling"); "not" and
+// "never" forms must modify the finding directly, with at most filler words between
+// ("I don't have any chest pain", but not "I don't know why my face is drooping").
+const NEGATION_WINDOW = 4;
+const DENIAL = /^(no|without|nor|denies|deny|denied|negative)$/;
+const DIRECT_NEGATION = /^(not|never|haven't|hasn't|hadn't|don't|doesn't|didn't|isn't|aren't|wasn't|weren't|won't)$/;
+const NEGATION_FILLER = ['have', 'has', 'had', 'having', 'feel', 'feeling', 'felt', 'get', 'getting', 'got', 'any',
+  'a', 'an', 'been', 'experienced', 'experiencing', 'noticed', 'suffer', 'suffered', 'from', 'really', 'much', 'ever'];
+// Phrases that contain a negation word but deny nothing
+const NOT_A_DENIAL = /\b(don't|doesn't|didn't|do not) know( (why|how|what|if|whether|when|where))?\b|\bnot (sure|certain)\b|\bno idea\b/g;
+// "never had chest pain like this" stresses the finding instead of denying it
+const EMPHATIC_COMPARISON = /^\s*(like (this|that)|this (bad|severe|strong|intense)|(ever )?before|until (now|today))\b/;
+const STATEMENT_BREAK = /\b(?:and|because|so|since|then|which|while|when|now)\s+(?=(?:i|i'm|i've|my|it|it's|this|the|he|she|they)\b)/;
+
+// Findings matched in the message
+const FEATURES = {
+  saddle_numbness: /saddle (numbness|anesthesia|anaesthesia)|numb\w* (in|around|between) (my )?(groin|genitals|buttocks|bottom|inner thighs|legs)|(groin|genitals?|buttocks|bottom|inner thighs?) (is |are |feels? |went |going )?numb|can't feel (my )?(groin|genitals|buttocks|bottom|inner thighs)/,
+  bladder_bowel: /(bladder|bowels?)\b.{0,25}\b(control|incontinen\w*|retention|leak\w*|accidents?|problems?|changes?)|(can't|cannot|unable to|trouble|difficulty) (to )?(pee|urinate|control(ling)? my (bladder|bowels?))|incontinen\w*|wet myself|lost control of my (bladder|bowels?)/,
+  back_or_leg: /\b(back|spine|spinal|sciatica|legs?|lumbar|hips?)\b/,
+  neuro: /numb\w*|tingl\w*|pins and needles|weakness|(arm|leg|hand|foot) (is |feels? |went |going )?(weak|numb)|neurological symptoms?/,
+  loss_of_function: /foot drop|can't (move|lift|grip|feel) (my )?\w+|loss of (function|feeling|sensation|strength)|paraly[sz]\w*|(leg|knee|arm) (keeps )?giv(es|ing) (out|way)/,
+  face_speech: /(face|facial) (is )?(droop\w*|numb\w*)|droop\w* (face|smile|mouth)|slurr\w*( speech| words)?|(trouble|difficulty|can't) (speak\w*|talk\w*|find(ing)? (the )?words)|lost (my )?vision|vision loss|double vision/,
+  one_sided: /one side of (my )?(body|face)|(left|right) side of (my )?(body|face)/,
+  chest_pain: /chest (pain|pressure|tightness|heaviness)|(pain|pressure|tightness|heaviness) in (my )?chest|crushing (pain|feeling)/,
+  chest_wall: /chest wall|\bribs?\b|\bpec(toral)?s?\b|sternum|costochondr\w*|when i (press|stretch|twist)/,
+  breathless: /short(ness)? of breath|can't (catch my breath|breathe)|(difficulty|trouble|struggling) breathing|breathless/,
+  radiating: /(spread\w*|radiat\w*|going|goes|moving|shoot\w*) (to|into|down|up) (my )?(left )?(arm|jaw)|(left arm|jaw) (pain|ache)/,
+  sweating: /cold sweat|sweat\w*|clammy|nause\w*/,
+  calf: /calf (is |feels )?(swelling|swollen|pain|painful|warm|hot|red)|swollen (calf|leg)|(calf|leg) (is |feels )?(swollen|hot|warm)|\bdvt\b|blood clot/,
+  fever: /fever\w*|chills|night sweats|high temperature/,
+  neck_stiff: /stiff neck|neck (is |feels )?(very )?stiff|can't (bend|touch) my (neck|chin)/,
+  thunderclap_headache: /worst headache|thunderclap|sudden\w* (severe |bad )?headache|explosive headache/,
+  trauma: /\b(after|since) (a |the |my )?(fall|crash|collision|accident|injury)|car (accident|crash)|\bfell (off|down|from|on)|hit by|tackled|\btrauma(tic)?\b|whiplash/,
+  cant_bear_weight: /can't (bear|put) (any )?weight|can't (stand|walk)|bone (sticking|poking) out|deform\w*|heard a (crack|snap|pop)/,
+  night_pain: /night pain|(pain|ache|aches|hurts?|throbs?) (at|during the|all) night|wakes? me (up)?|(pain|ache|hurts?) (at|while at|even at) rest|worse at night|keeps me (up|awake)/,
+  weight_loss: /(unexplained|unintentional) weight loss|losing weight without|lost (\d+|a lot of) (pounds|lbs|kg|kilos|weight)/,
+  cancer_history: /history of cancer|had cancer|cancer (survivor|history)|(breast|prostate|lung) cancer/,
+  self_harm: /(kill|hurt|harm) myself|suicid\w*|end it all|want to die|don't want to (live|be alive)/
+};
+
+// How the findings are framed
+const CONTEXT = {
+  acute: /sudden\w*|all of a sudden|out of nowhere|just now|this (morning|afternoon|evening)|last night|\btoday\b|an hour ago|(\d+|a few|few|couple of) hours? ago|since (this morning|last night|yesterday)/,
+  progressing: /getting worse|worsening|worse and worse|progressive\w*|progressing|spreading|rapidly/,
+  chronic: /for (years|months|ages|a long time)|(years|months) ago|\bchronic\b|long[- ]standing|hasn't changed|no change|same as always|on and off/,
+  severe: /\bsevere\b|excruciating|unbearable|\bworst\b|10 ?\/ ?10|ten out of ten|agoni[sz]ing/
+};
+
+const DURATION = /\b(?:for|since|over|in) (?:the )?(?:past |last )?(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|several|a few|few|couple of) (minute|hour|day|week|month|year)s?\b/;
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, 'a few': 3, few: 3, several: 4, 'couple of': 2 };
+
+// Every matching rule raises a flag, except those SUPERSEDES drops in favour of a more specific
+// one. level decides the response, severity the MedicalAlert, and label finishes
+// "You mentioned ...".
+const TRIAGE_RULES = [
+  {
+    id: 'self_harm',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'thoughts of harming yourself',
+    // Replaces the emergency_care reply, which is about physical symptoms
+    reply: 'I\'m really sorry you\'re feeling this way, and I\'m glad you told me. Please reach out for support right now: call or text 988 (the Suicide & Crisis Lifeline in the US), call your local emergency number, or go to the nearest emergency department. You don\'t have to go through this alone.',
+    when: ({ found }) => found.self_harm
+  },
+  {
+    id: 'cauda_equina',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'numbness in the saddle area or changes in bladder or bowel control',
+    when: ({ found }) => found.saddle_numbness || (found.bladder_bowel && (found.back_or_leg || found.neuro))
+  },
+  {
+    id: 'stroke',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'changes in your face, speech or vision, or symptoms on one side of your body',
+    when: ({ found }) => found.face_speech || (found.one_sided && (found.neuro || found.loss_of_function))
+  },
+  {
+    id: 'cardiac',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'chest pain with warning signs such as breathlessness, sweating or pain spreading to the arm or jaw',
+    when: ({ found, context }) => found.chest_pain &&
+      (found.breathless || found.radiating || found.sweating || ((context.acute || context.severe) && !found.chest_wall))
+  },
+  {
+    id: 'pulmonary_embolism',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'a swollen or painful calf together with breathlessness',
+    when: ({ found }) => found.calf && found.breathless
+  },
+  {
+    id: 'meningitis',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'fever with a stiff neck',
+    when: ({ found }) => found.fever && found.neck_stiff
+  },
+  {
+    id: 'thunderclap_headache',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'a sudden, severe headache',
+    when: ({ found }) => found.thunderclap_headache
+  },
+  {
+    id: 'major_trauma',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'an injury with signs such as being unable to bear weight, deformity, numbness or weakness',
+    when: ({ found, context }) => found.trauma && !context.chronic &&
+      (found.cant_bear_weight || found.neuro || found.loss_of_function || context.severe)
+  },
+  {
+    id: 'acute_neurological',
+    level: 'emergency',
+    severity: 'critical',
+    label: 'sudden numbness, weakness or loss of function',
+    when: ({ found, context }) => (found.neuro || found.loss_of_function) && context.acute
+  },
+  {
+    id: 'bladder_bowel_control',
+    level: 'urgent',
+    severity: 'high',
+    label: 'changes in bladder or bowel control',
+    when: ({ found }) => found.bladder_bowel
+  },
+  {
+    id: 'loss_of_function',
+    level: 'urgent',
+    severity: 'high',
+    label: 'loss of strength or function',
+    when: ({ found }) => found.loss_of_function
+  },
+  {
+    id: 'neurological',
+    level: 'urgent',
+    severity: 'high',
+    label: 'numbness, tingling or weakness',
+    when: ({ found }) => found.neuro
+  },
+  {
+    id: 'chest_pain',
+    level: 'urgent',
+    severity: 'high',
+    label: 'chest pain',
+    when: ({ found }) => found.chest_pain && !found.chest_wall
+  },
+  {
+    id: 'deep_vein_thrombosis',
+    level: 'urgent',
+    severity: 'high',
+    label: 'a swollen, warm or painful calf',
+    when: ({ found }) => found.calf
+  },
+  {
+    id: 'trauma',
+    level: 'urgent',
+    severity: 'high',
+    label: 'a recent injury',
+    when: ({ found, context }) => found.trauma && !context.chronic
+  },
+  {
+    id: 'systemic_symptoms',
+    level: 'urgent',
+    severity: 'high',
+    label: 'fever, night sweats or unexplained weight loss',
+    when: ({ found }) => found.fever || found.weight_loss
+  },
+  {
+    id: 'night_pain',
+    level: 'urgent',
+    severity: 'medium',
+    label: 'pain at night or at rest',
+    when: ({ found }) => found.night_pain
+  },
+  {
+    id: 'progressive_worsening',
+    level: 'urgent',
+    severity: 'medium',
+    label: 'symptoms that are getting worse quickly',
+    when: ({ context }) => context.progressing && (context.acute || context.severe)
+  }
+];
+
+// Rules that make another one redundant when both match
+const SUPERSEDES = {
+  cauda_equina: ['neurological', 'loss_of_function', 'acute_neurological', 'bladder_bowel_control'],
+  stroke: ['neurological', 'loss_of_function', 'acute_neurological'],
+  acute_neurological: ['neurological', 'loss_of_function'],
+  loss_of_function: ['neurological'],
+  cardiac: ['chest_pain'],
+  pulmonary_embolism: ['deep_vein_thrombosis'],
+  meningitis: ['systemic_symptoms'],
+  major_trauma: ['trauma', 'neurological', 'loss_of_function', 'acute_neurological']
+};
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .replace(/\bcan ?not\b/g, 'can\'t')
+    .replace(/\bi am\b/g, 'i\'m');
+}
+
+// Clauses end at sentence punctuation and at "but", so "no fever but numb legs" keeps the
+// negation on the fever
+function splitClauses(text) {
+  return normalize(text).split(/[.;!?\n]+|,?\s+but\s+|,?\s+however\s+/).map(clause => clause.trim()).filter(Boolean);
+}
+
+function isDenied(before, after) {
+  if (EMPHATIC_COMPARISON.test(after)) return false;
+
+  const words = before.replace(NOT_A_DENIAL, ' ').trim().split(/\s+/).filter(Boolean).slice(-NEGATION_WINDOW);
+  for (let i = words.length - 1; i >= 0; i--) {
+    if (DENIAL.test(words[i])) return true;
+    if (DIRECT_NEGATION.test(words[i])) {
+      return words.slice(i + 1).every(word => NEGATION_FILLER.includes(word));
+    }
+  }
+  return false;
+}
+
+// The first match of pattern that is not negated, or null
+function findUnnegated(clauses, pattern) {
+  const global = new RegExp(pattern.source, 'g');
+  for (const clause of clauses) {
+    for (const match of clause.matchAll(global)) {
+      const scope = clause.substring(0, match.index).split(/[,:]/).pop().split(STATEMENT_BREAK).pop();
+      const after = clause.substring(match.index + match[0].length);
+      if (!isDenied(scope, after)) return match[0];
+    }
+  }
+  return null;
+}
+
+function parseDuration(text) {
+  const match = DURATION.exec(text);
+  if (!match) return null;
+  const value = /^\d+$/.test(match[1]) ? Number(match[1]) : NUMBER_WORDS[match[1]];
+  return { value, unit: match[2], text: match[0].trim() };
+}
+
+function isAcuteDuration(duration) {
+  return duration.unit === 'minute' || duration.unit === 'hour' || (duration.unit === 'day' && duration.value <= 2);
+}
+
+function isChronicDuration(duration) {
+  return duration.unit === 'month' || duration.unit === 'year' || (duration.unit === 'week' && duration.value >= 6);
+}
+
+function loadTriageCases(filePath = DEFAULT_CORPUS_PATH) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('//'))
+    .map(line => JSON.parse(line));
+}
+
+class RedFlagTriage {
+  constructor(config = {}) {
+    this.rules = config.rules || TRIAGE_RULES;
+    this.protocols = drFasciaPersonality.safety_protocols;
+  }
+
+  // { level, flags, findings, context, duration, referral }. level is 'none', 'urgent' or
+  // 'emergency'; flags are [{ id, level, severity, label }], most serious first, and findings
+  // the text that matched each finding. previousMessages are the user's earlier messages,
+  // oldest first: their findings combine with this message's, but a rule they already met on
+  // their own is only raised again when this message meets it too, so an old finding does not
+  // alert on every turn. Context (how sudden, how long) comes from this message only.
+  assess(message, previousMessages = []) {
+    const clauses = splitClauses(message);
+    const found = {};
+    const evidence = {};
+    for (const [feature, pattern] of Object.entries(FEATURES)) {
+      const match = findUnnegated(clauses, pattern);
+      if (match) {
+        found[feature] = true;
+        evidence[feature] = match;
+      }
+    }
+
+    const earlier = {};
+    for (const previous of previousMessages.slice(-HISTORY_TURNS)) {
+      const previousClauses = splitClauses(previous);
+      for (const [feature, pattern] of Object.entries(FEATURES)) {
+        if (findUnnegated(previousClauses, pattern)) earlier[feature] = true;
+      }
+    }
+
+    const duration = parseDuration(normalize(message));
+    const context = {};
+    for (const [name, pattern] of Object.entries(CONTEXT)) {
+      context[name] = Boolean(findUnnegated(clauses, pattern));
+    }
+    if (duration && isAcuteDuration(duration)) context.acute = true;
+    if (duration && isChronicDuration(duration)) context.chronic = true;
+
+    const combined = { ...earlier, ...found };
+    const matched = this.rules.filter(rule => rule.when({ found: combined, context }) &&
+      (rule.when({ found, context }) || !rule.when({ found: earlier, context })));
+    const superseded = new Set(matched.flatMap(rule => SUPERSEDES[rule.id] || []));
+    const flags = matched
+      .filter(rule => !superseded.has(rule.id))
+      .map(rule => ({
+        id: rule.id,
+        level: rule.level,
+        severity: rule.severity,
+        label: rule.label
+      }))
+      .sort((a, b) => TRIAGE_LEVELS.indexOf(b.level) - TRIAGE_LEVELS.indexOf(a.level));
+
+    const level = flags.length > 0 ? flags[0].level : 'none';
+    return {
+      level,
+      flags,
+      findings: evidence,
+      context,
+      duration,
+      referral: { emergency: 'emergency_care', urgent: 'medical_evaluation' }[level] || null
+    };
+  }
+
+  // The reply sent instead of a model answer for an emergency
+  emergencyReply(assessment) {
+    const emergencies = assessment.flags.filter(flag => flag.level === 'emergency');
+    const special = emergencies.map(flag => this.rules.find(rule => rule.id === flag.id)).find(rule => rule && rule.reply);
+    if (special) return special.reply;
+
+    return [
+      `${this.protocols.professional_boundaries.referral_suggestions.emergency_care}.`,
+      `You mentioned ${joinLabels(emergencies)}, which can be a sign of a condition that needs urgent care.`,
+      'Please call your local emergency number (911 in the US) or go to the nearest emergency department now.',
+      'Don\'t wait to see whether it improves, and don\'t drive yourself.',
+      'Once you have been seen, I\'m happy to help with anything else.'
+    ].join(' ');
+  }
+
+  // System prompt section for urgent flags: the model answers, but leads with the referral
+  urgentInstruction(assessment) {
+    return [
+      `RED FLAGS: The user mentioned ${joinLabels(assessment.flags)}.`,
+      'Before any other guidance, recommend a prompt evaluation by a healthcare provider, e.g.',
+      `"${this.protocols.professional_boundaries.referral_suggestions.medical_evaluation}", and explain briefly why.`,
+      'Do not suggest self-treatment for these symptoms until they have been assessed, and say to seek emergency care if they suddenly get worse.'
+    ].join(' ');
+  }
+
+  // Frontend MedicalAlert for the assessment, or null when nothing was flagged
+  alertFor(assessment) {
+    if (assessment.level === 'none') return null;
+    const severities = ['medium', 'high', 'critical'];
+    const severity = assessment.flags.reduce((worst, flag) =>
+      (severities.indexOf(flag.severity) > severities.indexOf(worst) ? flag.severity : worst), 'medium');
+    const referrals = this.protocols.professional_boundaries.referral_suggestions;
+    return {
+      type: assessment.level === 'emergency' ? 'emergency' : 'red_flag',
+      severity,
+      message: assessment.level === 'emergency'
+        ? `Possible emergency: ${joinLabels(assessment.flags)}. Seek immediate medical attention.`
+        : `Red flag: ${joinLabels(assessment.flags)}. Have this evaluated by a healthcare provider.`,
+      recommendations: [assessment.level === 'emergency' ? referrals.emergency_care : referrals.medical_evaluation],
+      requiresAction: assessment.level === 'emergency'
+    };
+  }
+}
+
+// Labels contain "and" and "or" themselves, so they are joined with semicolons
+function joinLabels(flags) {
+  return flags.map(flag => flag.label).join('; ');
+}
+
+// cases: [{ message, history?, level, flags? }]. Under-triage (a lower level than expected) is what the
+// corpus must never show; over-triage is reported separately.
+function evaluateTriage(triage, cases) {
+  const results = cases.map(testCase => {
+    const assessment = triage.assess(testCase.message, testCase.history || []);
+    const ids = assessment.flags.map(flag => flag.id);
+    const missingFlags = (testCase.flags || []).filter(id => !ids.includes(id));
+    const gap = TRIAGE_LEVELS.indexOf(assessment.level) - TRIAGE_LEVELS.indexOf(testCase.level);
+    return { ...testCase, actual: assessment.level, actualFlags: ids, missingFlags, gap };
+  });
+
+  const failures = results.filter(result => result.gap !== 0 || result.missingFlags.length > 0);
+  return {
+    total: results.length,
+    passed: results.length - failures.length,
+    underTriaged: results.filter(result => result.gap < 0),
+    overTriaged: results.filter(result => result.gap > 0),
+    failures
+  };
+}
+
+module.exports = {
+  DEFAULT_CORPUS_PATH,
+  TRIAGE_LEVELS,
+  TRIAGE_RULES,
+  RedFlagTriage,
+  loadTriageCases,
+  evaluateTriage
+};
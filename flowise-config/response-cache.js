@@ -0,0 +1,230 @@
+// Response Cache for F-Bot 2.0
+// Exact-match and embedding-similarity cache for general, non-patient-specific answers
+
+const crypto = require('crypto');
+
+const HOUR = 60 * 60 * 1000;
+
+// Only general-knowledge task types are cacheable. Safety-critical task types are
+// refused even if listed here.
+const defaultCacheRules = {
+  educational: { ttlMs: 24 * HOUR },
+  research_query: { ttlMs: 6 * HOUR }
+};
+
+// First-person health details make an answer specific to the person asking
+const patientSpecificPattern = /\b(i|i'm|im|i've|ive|i'd|me|my|mine|myself|we|our)\b|\b\d{1,3}\s*(years?|yrs?|y\/o)\b|\b(mg|ml)\b/;
+
+// Filler that does not change the question being asked
+const fillerPattern = /^(hi|hello|hey|please|so|ok|okay)\b\s*|\b(please|thanks|thank you)\b|^(can|could|would) you (tell me|explain)\s*|^(tell me|explain)\s*/g;
+
+function normalizeQuery(query) {
+  let normalized = String(query || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let previous;
+  do {
+    previous = normalized;
+    normalized = normalized.replace(fillerPattern, '').trim();
+  } while (normalized !== previous);
+
+  return normalized;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Wraps a provider adapter's embed() in the embedQuery() interface used by the RAG pipeline
+function createAdapterEmbeddings(adapter, model) {
+  return {
+    embedQuery: async text => (await adapter.embed([text], { model }))[0]
+  };
+}
+
+class ResponseCache {
+  constructor(config = {}) {
+    this.embeddings = config.embeddings || null;
+    this.taskTypes = config.taskTypes || {};
+    this.rules = config.rules || defaultCacheRules;
+    this.similarityThreshold = config.similarityThreshold || 0.93;
+    this.maxEntries = config.maxEntries || 1000;
+    this.monitoring = config.monitoring || null;
+    this.now = config.now || (() => Date.now());
+    this.entries = new Map();
+    this.stats = { hits: 0, exactHits: 0, semanticHits: 0, misses: 0, bypassed: 0 };
+  }
+
+  // context: { taskType, safetyLevel, system, patientSpecific }
+  checkCacheable(query, context = {}) {
+    const taskConfig = this.taskTypes[context.taskType] || {};
+    if (context.safetyLevel === 'high' || taskConfig.safety_critical) {
+      return { cacheable: false, reason: 'safety_critical' };
+    }
+    if (!this.rules[context.taskType]) {
+      return { cacheable: false, reason: 'task_type_not_cacheable' };
+    }
+    if (context.patientSpecific || patientSpecificPattern.test(String(query || '').toLowerCase())) {
+      return { cacheable: false, reason: 'patient_specific' };
+    }
+    return { cacheable: true, reason: null };
+  }
+
+  // System prompt is part of the scope so persona or prompt changes never serve stale answers
+  scopeKey(context) {
+    return `${context.taskType}:${hash(context.system || '').substring(0, 16)}`;
+  }
+
+  async lookup(query, context = {}) {
+    const startTime = this.now();
+    const { cacheable, reason } = this.checkCacheable(query, context);
+    if (!cacheable) {
+      return this.record({ result: 'bypass', reason }, context, startTime);
+    }
+
+    this.pruneExpired();
+    const scope = this.scopeKey(context);
+    const normalized = normalizeQuery(query);
+    const exact = this.entries.get(`${scope}:${hash(normalized)}`);
+    if (exact) {
+      return this.record({ result: 'hit', tier: 'exact', similarity: 1, entry: this.touch(exact) }, context, startTime);
+    }
+
+    const embedding = await this.embed(normalized);
+    if (embedding) {
+      let best = null;
+      for (const entry of this.entries.values()) {
+        if (entry.scope !== scope || !entry.embedding) continue;
+        const similarity = cosineSimilarity(embedding, entry.embedding);
+        if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+          best = { entry, similarity };
+        }
+      }
+      if (best) {
+        return this.record({
+          result: 'hit',
+          tier: 'semantic',
+          similarity: best.similarity,
+          entry: this.touch(best.entry)
+        }, context, startTime);
+      }
+    }
+
+    return this.record({ result: 'miss', normalized, embedding }, context, startTime);
+  }
+
+  // lookupResult is the miss returned by lookup(), reused to avoid embedding twice
+  async store(query, context, response, lookupResult = {}) {
+    if (!this.checkCacheable(query, context).cacheable) return null;
+
+    const normalized = lookupResult.normalized || normalizeQuery(query);
+    const scope = this.scopeKey(context);
+    const key = `${scope}:${hash(normalized)}`;
+    const entry = {
+      key,
+      scope,
+      normalizedQuery: normalized,
+      embedding: lookupResult.embedding !== undefined ? lookupResult.embedding : await this.embed(normalized),
+      response,
+      taskType: context.taskType,
+      createdAt: this.now(),
+      expiresAt: this.now() + this.rules[context.taskType].ttlMs
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  // Embedding failures degrade the lookup to exact matching only
+  async embed(text) {
+    if (!this.embeddings) return null;
+    try {
+      return await this.embeddings.embedQuery(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Map insertion order doubles as least-recently-used order for eviction
+  touch(entry) {
+    this.entries.delete(entry.key);
+    this.entries.set(entry.key, entry);
+    return entry;
+  }
+
+  pruneExpired() {
+    const now = this.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  invalidate(taskType) {
+    for (const [key, entry] of this.entries) {
+      if (!taskType || entry.taskType === taskType) this.entries.delete(key);
+    }
+  }
+
+  record(outcome, context, startTime) {
+    if (outcome.result === 'hit') {
+      this.stats.hits++;
+      if (outcome.tier === 'exact') this.stats.exactHits++;
+      else this.stats.semanticHits++;
+    } else if (outcome.result === 'miss') {
+      this.stats.misses++;
+    } else {
+      this.stats.bypassed++;
+    }
+
+    if (this.monitoring) {
+      const response = outcome.entry ? outcome.entry.response : {};
+      Promise.resolve(this.monitoring.trackAPICall({
+        endpoint: 'response_cache',
+        method: 'lookup',
+        status: outcome.result,
+        duration: (this.now() - startTime) / 1000,
+        model: response.model,
+        provider: 'cache',
+        cost: 0,
+        cache: { result: outcome.result, tier: outcome.tier || 'none', taskType: context.taskType }
+      })).catch(() => {});
+    }
+    return outcome;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+}
+
+module.exports = {
+  defaultCacheRules,
+  normalizeQuery,
+  cosineSimilarity,
+  createAdapterEmbeddings,
+  ResponseCache
+};
@@ -0,0 +1,158 @@
+// Routing Simulator for F-Bot 2.0
+// Replays labeled queries through selectOptimalModel so changes to routing weights, complexity
+// indicators, the task classifier or the model registry can be reviewed as a report and a diff
+
+const {
+  selectOptimalModel,
+  medicalTaskTypes,
+  modelCapabilities,
+  modelRegistry
+} = require('./enhanced-multi-llm-orchestrator');
+
+// Safety-critical queries must reach a model at least this accurate, the bar selectOptimalModel
+// and the budget downgrade apply
+const SAFETY_ACCURACY_BAR = 0.85;
+
+// Baselines keep per-query cost to 6 decimals and cost per 1k to 4; smaller moves are rounding
+const COST_DECIMALS = 6;
+const COST_PER_1K_DECIMALS = 4;
+
+function roundCost(value, decimals = COST_DECIMALS) {
+  return Number(value.toFixed(decimals));
+}
+
+// examples: [{ query, labels, history?, costBudget?, userPreferences? }] as read by loadLabeledExamples.
+// Routes with the classifier ('auto') unless useLabels, which isolates the router from it.
+async function simulateRouting(examples, options = {}) {
+  const records = [];
+  for (const example of examples) {
+    const labels = example.labels || [];
+    const decision = await selectOptimalModel(
+      options.useLabels && labels.length > 0 ? labels[0] : 'auto',
+      example.query,
+      example.costBudget ?? 100,
+      { history: example.history, ...(example.userPreferences || {}) }
+    );
+
+    const capabilities = modelCapabilities[decision.model] || {};
+    const safetyCritical = labels.some(label => medicalTaskTypes[label] && medicalTaskTypes[label].safety_critical);
+    records.push({
+      query: example.query,
+      labels,
+      taskType: decision.taskType,
+      model: decision.model,
+      safetyLevel: decision.safetyLevel,
+      costUSD: (decision.costEstimate && decision.costEstimate.estimatedCostUSD) || 0,
+      safetyCritical,
+      compliant: safetyCritical
+        ? decision.safetyLevel === 'high' && (capabilities.medical_accuracy || 0) >= SAFETY_ACCURACY_BAR
+        : null
+    });
+  }
+  return records;
+}
+
+function summarizeRouting(records) {
+  const distribution = {};
+  for (const record of records) {
+    distribution[record.model] = (distribution[record.model] || 0) + 1;
+  }
+
+  const critical = records.filter(record => record.safetyCritical);
+  const compliant = critical.filter(record => record.compliant).length;
+  const totalCost = records.reduce((sum, record) => sum + record.costUSD, 0);
+
+  return {
+    queries: records.length,
+    distribution,
+    costPer1k: records.length > 0 ? (totalCost / records.length) * 1000 : 0,
+    safetyCritical: {
+      total: critical.length,
+      compliant,
+      rate: critical.length > 0 ? compliant / critical.length : 1,
+      violations: critical.filter(record => !record.compliant).map(({ query, labels, model, safetyLevel }) => ({
+        query, labels, model, safetyLevel
+      }))
+    }
+  };
+}
+
+// Only routing outcomes are kept, so the baseline file diffs cleanly in code review
+function createBaseline(records, summary) {
+  return {
+    registryVersion: modelRegistry.version,
+    registryEnvironment: modelRegistry.environment,
+    createdAt: new Date().toISOString(),
+    summary: {
+      queries: summary.queries,
+      distribution: summary.distribution,
+      costPer1k: roundCost(summary.costPer1k, COST_PER_1K_DECIMALS),
+      safetyCriticalRate: summary.safetyCritical.rate
+    },
+    decisions: records.map(({ query, taskType, model, safetyLevel, costUSD }) => ({
+      query, taskType, model, safetyLevel, costUSD: roundCost(costUSD)
+    }))
+  };
+}
+
+// Queries are matched by text; queries added to or removed from the corpus are listed apart.
+// A query that routes the same but is estimated at another cost is listed under costChanged
+// (baselines saved before per-query costs only show drift in the cost per 1k)
+function diffRouting(baseline, records, summary) {
+  const before = new Map(baseline.decisions.map(decision => [decision.query, decision]));
+  const current = new Set(records.map(record => record.query));
+
+  const changed = [];
+  const costChanged = [];
+  const added = [];
+  for (const record of records) {
+    const previous = before.get(record.query);
+    if (!previous) {
+      added.push(record.query);
+    } else if (previous.model !== record.model || previous.taskType !== record.taskType || previous.safetyLevel !== record.safetyLevel) {
+      changed.push({
+        query: record.query,
+        before: { model: previous.model, taskType: previous.taskType, safetyLevel: previous.safetyLevel },
+        after: { model: record.model, taskType: record.taskType, safetyLevel: record.safetyLevel }
+      });
+    } else if (previous.costUSD !== undefined && roundCost(record.costUSD) !== previous.costUSD) {
+      costChanged.push({ query: record.query, model: record.model, before: previous.costUSD, after: roundCost(record.costUSD) });
+    }
+  }
+
+  const models = new Set([...Object.keys(baseline.summary.distribution), ...Object.keys(summary.distribution)]);
+  const distribution = {};
+  for (const model of models) {
+    const was = baseline.summary.distribution[model] || 0;
+    const now = summary.distribution[model] || 0;
+    distribution[model] = { before: was, after: now, delta: now - was };
+  }
+
+  return {
+    baselineVersion: baseline.registryVersion,
+    distribution,
+    costPer1k: {
+      before: baseline.summary.costPer1k,
+      after: summary.costPer1k,
+      delta: summary.costPer1k - baseline.summary.costPer1k,
+      drifted: roundCost(summary.costPer1k, COST_PER_1K_DECIMALS) !== baseline.summary.costPer1k || costChanged.length > 0
+    },
+    safetyCriticalRate: {
+      before: baseline.summary.safetyCriticalRate,
+      after: summary.safetyCritical.rate,
+      delta: summary.safetyCritical.rate - baseline.summary.safetyCriticalRate
+    },
+    changed,
+    costChanged,
+    added,
+    removed: baseline.decisions.filter(decision => !current.has(decision.query)).map(decision => decision.query)
+  };
+}
+
+module.exports = {
+  SAFETY_ACCURACY_BAR,
+  simulateRouting,
+  summarizeRouting,
+  createBaseline,
+  diffRouting
+};
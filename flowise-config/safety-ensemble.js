@@ -0,0 +1,379 @@
+// Safety Ensemble for F-Bot 2.0
+// Second-opinion mode for safety-critical tasks: parallel answers, contradiction check, merge or escalate
+
+const { modelProviderMap } = require('./llm-provider-adapters');
+
+function providerOf(model) {
+  return modelProviderMap[model] ? modelProviderMap[model].provider : undefined;
+}
+
+// Terms compared across answers. Each pattern matches the sentence that mentions the term.
+const contraindicationTerms = {
+  pregnancy: { label: 'Pregnancy', pattern: /pregnan/ },
+  anticoagulants: { label: 'Blood thinners / anticoagulants', pattern: /anticoagula|blood thinner|warfarin|heparin/ },
+  osteoporosis: { label: 'Osteoporosis', pattern: /osteoporo/ },
+  acute_injury: { label: 'Acute injury or inflammation', pattern: /acute (injury|inflammation|tear)|first 48 hours/ },
+  open_wound: { label: 'Open wounds or broken skin', pattern: /open wound|broken skin/ },
+  dvt: { label: 'Deep vein thrombosis', pattern: /\bdvt\b|deep vein|blood clot|thrombo/ },
+  fracture: { label: 'Fracture', pattern: /fracture|broken bone/ },
+  cancer: { label: 'Cancer / malignancy', pattern: /cancer|malignan|tumou?r/ },
+  infection: { label: 'Infection', pattern: /infection|cellulitis/ },
+  recent_surgery: { label: 'Recent surgery', pattern: /recent surgery|post-?operative|after surgery/ }
+};
+
+const redFlagTerms = {
+  cauda_equina: { label: 'Saddle numbness or bladder/bowel changes', pattern: /saddle (numbness|anesthesia)|bladder|bowel|cauda equina/ },
+  fever: { label: 'Fever or chills', pattern: /fever|chills/ },
+  weight_loss: { label: 'Unexplained weight loss', pattern: /weight loss/ },
+  night_pain: { label: 'Pain at night or at rest', pattern: /night pain|pain at night|at rest|wakes? (you )?(up )?at night/ },
+  neurological: { label: 'Numbness, tingling or weakness', pattern: /numbness|tingling|pins and needles|weakness|foot drop/ },
+  trauma: { label: 'Recent trauma', pattern: /trauma|after a fall|accident/ },
+  chest_pain: { label: 'Chest pain or shortness of breath', pattern: /chest pain|shortness of breath/ },
+  calf_swelling: { label: 'Calf swelling or warmth', pattern: /calf (swelling|pain)|swollen calf|\bdvt\b|blood clot/ },
+  progressive: { label: 'Rapidly worsening symptoms', pattern: /rapidly (worsening|progressing)|getting worse quickly|progressive/ }
+};
+
+const contraindicationCue = /avoid|do not|don't|contraindicat|not (be )?(recommended|advised|safe)|should not|shouldn't|unsafe|caution/;
+const clearanceCue = /(is|are|remains?) (generally )?safe|safe (during|with|for|to)|no need to avoid|not a contraindication|is fine/;
+const redFlagCue = /red flag|warning sign|seek|see (a|your)|urgent|emergency|immediately|medical attention|doctor|physician/;
+
+const referralLevels = ['none', 'routine', 'urgent', 'emergency'];
+const referralPatterns = {
+  emergency: /emergency|call 911|\ber\b|immediately|ambulance/,
+  urgent: /urgent|as soon as possible|within 24 hours|promptly|same day/,
+  routine: /see (a|your) (doctor|physician|gp|specialist|physiotherapist|physical therapist)|consult|refer|seek (medical|professional) (care|advice|help)|healthcare provider/
+};
+const noReferralPattern = /no need to see|don't need to see|do not need to see|not necessary to see/;
+
+function splitSentences(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Reduces an answer to the safety claims it makes: flagged/cleared contraindications,
+// red flags and the most urgent referral it recommends
+function extractSafetyClaims(text) {
+  const contraindications = new Set();
+  const cleared = new Set();
+  const redFlags = new Set();
+  let referralRank = 0;
+  let referralDeclined = false;
+
+  for (const sentence of splitSentences(text)) {
+    for (const [term, { pattern }] of Object.entries(contraindicationTerms)) {
+      if (!pattern.test(sentence)) continue;
+      if (clearanceCue.test(sentence)) cleared.add(term);
+      else if (contraindicationCue.test(sentence)) contraindications.add(term);
+    }
+
+    if (redFlagCue.test(sentence)) {
+      for (const [term, { pattern }] of Object.entries(redFlagTerms)) {
+        if (pattern.test(sentence)) redFlags.add(term);
+      }
+    }
+
+    if (noReferralPattern.test(sentence)) {
+      referralDeclined = true;
+      continue;
+    }
+    for (const level of ['emergency', 'urgent', 'routine']) {
+      if (referralPatterns[level].test(sentence)) {
+        referralRank = Math.max(referralRank, referralLevels.indexOf(level));
+        break;
+      }
+    }
+  }
+
+  return {
+    contraindications: [...contraindications],
+    cleared: [...cleared],
+    redFlags: [...redFlags],
+    referral: referralDeclined && referralRank === 0 ? 'none' : referralLevels[referralRank]
+  };
+}
+
+function setSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  const union = new Set([...a, ...b]);
+  const shared = a.filter(term => b.includes(term)).length;
+  return shared / union.size;
+}
+
+// Pairwise agreement on contraindications, red flags and referral urgency, minus a
+// penalty per direct contradiction. 1 means every answer made the same safety claims.
+function compareSafetyClaims(responses, options = {}) {
+  const contradictionPenalty = options.contradictionPenalty !== undefined ? options.contradictionPenalty : 0.25;
+  const contradictions = [];
+  let pairScores = 0;
+  let pairs = 0;
+
+  for (let i = 0; i < responses.length; i++) {
+    for (let j = i + 1; j < responses.length; j++) {
+      const a = responses[i];
+      const b = responses[j];
+      const referralGap = Math.abs(
+        referralLevels.indexOf(a.claims.referral) - referralLevels.indexOf(b.claims.referral)
+      );
+
+      pairScores += (
+        setSimilarity(a.claims.contraindications, b.claims.contraindications) +
+        setSimilarity(a.claims.redFlags, b.claims.redFlags) +
+        (1 - referralGap / (referralLevels.length - 1))
+      ) / 3;
+      pairs++;
+
+      for (const [flagged, clearing] of [[a, b], [b, a]]) {
+        for (const term of flagged.claims.contraindications) {
+          if (clearing.claims.cleared.includes(term)) {
+            contradictions.push({
+              type: 'contraindication',
+              term,
+              detail: `${flagged.model} advises caution with ${contraindicationTerms[term].label.toLowerCase()}; ${clearing.model} says it is safe`,
+              models: [flagged.model, clearing.model]
+            });
+          }
+        }
+      }
+
+      if (referralGap >= 2) {
+        contradictions.push({
+          type: 'referral',
+          term: 'referral_urgency',
+          detail: `${a.model} recommends ${a.claims.referral} referral; ${b.model} recommends ${b.claims.referral}`,
+          models: [a.model, b.model]
+        });
+      }
+    }
+  }
+
+  const baseScore = pairs > 0 ? pairScores / pairs : 1;
+  const agreementScore = Math.max(0, baseScore - contradictionPenalty * contradictions.length);
+
+  return {
+    agreementScore: Math.round(agreementScore * 100) / 100,
+    contradictions
+  };
+}
+
+// Primary answer plus any safety points only the other models raised
+function mergeResponses(primary, others) {
+  const additions = [];
+  const seen = new Set([
+    ...primary.claims.contraindications.map(term => `c:${term}`),
+    ...primary.claims.redFlags.map(term => `r:${term}`)
+  ]);
+
+  for (const response of others) {
+    for (const term of response.claims.contraindications) {
+      if (seen.has(`c:${term}`)) continue;
+      seen.add(`c:${term}`);
+      additions.push(`Use caution with ${contraindicationTerms[term].label.toLowerCase()}.`);
+    }
+    for (const term of response.claims.redFlags) {
+      if (seen.has(`r:${term}`)) continue;
+      seen.add(`r:${term}`);
+      additions.push(`Seek medical attention for: ${redFlagTerms[term].label.toLowerCase()}.`);
+    }
+  }
+
+  const primaryRank = referralLevels.indexOf(primary.claims.referral);
+  const mostUrgent = others.reduce(
+    (rank, response) => Math.max(rank, referralLevels.indexOf(response.claims.referral)),
+    primaryRank
+  );
+  if (mostUrgent > primaryRank) {
+    additions.push(`A second review recommends ${referralLevels[mostUrgent]} follow-up with a healthcare provider.`);
+  }
+
+  if (additions.length === 0) return primary.text;
+  return `${primary.text}\n\n**Additional safety points from a second review:**\n${additions.map(item => `- ${item}`).join('\n')}`;
+}
+
+function buildEscalationSystem(system, responses, contradictions) {
+  const drafts = responses
+    .map((response, index) => `Draft ${index + 1} (${response.model}):\n${response.text}`)
+    .join('\n\n');
+  const disagreements = contradictions.length > 0
+    ? contradictions.map(contradiction => `- ${contradiction.detail}`).join('\n')
+    : '- The drafts differ on contraindications, red flags or referral advice.';
+
+  return [
+    system,
+    'Independent drafts of the answer to the last user message disagreed on patient safety:',
+    disagreements,
+    drafts,
+    'Write the final answer. Resolve each disagreement conservatively: keep every red flag, ' +
+      'keep a contraindication unless it is clearly wrong, and recommend the more urgent referral.'
+  ].filter(Boolean).join('\n\n');
+}
+
+class SafetyEnsemble {
+  constructor(config = {}) {
+    this.providerRouter = config.providerRouter;
+    this.executor = config.executor || config.providerRouter;
+    this.modelCapabilities = config.modelCapabilities || {};
+    this.escalationModel = config.escalationModel || null;
+    this.size = Math.min(Math.max(config.size || 2, 2), 3);
+    this.agreementThreshold = config.agreementThreshold !== undefined ? config.agreementThreshold : 0.75;
+    this.minMedicalAccuracy = config.minMedicalAccuracy !== undefined ? config.minMedicalAccuracy : 0.85;
+    this.costEstimator = config.costEstimator || (() => 0);
+    this.costOf = config.costOf || (() => 0);
+  }
+
+  // Routed model first, then the most accurate models, preferring other providers
+  // so one vendor's blind spot is less likely to be repeated
+  selectMembers(routingDecision) {
+    const members = [routingDecision.model];
+    const providers = new Set([providerOf(routingDecision.model)]);
+
+    const candidates = Object.entries(this.modelCapabilities)
+      .filter(([model]) => model !== routingDecision.model && model !== this.escalationModel)
+      .filter(([, capabilities]) => (capabilities.medical_accuracy || 0) >= this.minMedicalAccuracy);
+
+    // Re-ranked after every pick, so each member's provider counts against the next
+    while (members.length < this.size && candidates.length > 0) {
+      candidates.sort(([modelA, a], [modelB, b]) =>
+        Number(providers.has(providerOf(modelA))) - Number(providers.has(providerOf(modelB))) ||
+        b.medical_accuracy - a.medical_accuracy
+      );
+      const [model] = candidates.shift();
+      members.push(model);
+      providers.add(providerOf(model));
+    }
+    return members;
+  }
+
+  async complete(routingDecision, request, options = {}) {
+    let members = this.selectMembers(routingDecision);
+
+    // Drop second opinions the budget cannot cover rather than refusing the answer
+    if (options.maxCost !== undefined && options.maxCost !== null) {
+      let total = 0;
+      members = members.filter((model, index) => {
+        total += this.costEstimator(model, request);
+        return index === 0 || total <= options.maxCost;
+      });
+    }
+
+    if (members.length < 2) {
+      return this.single(routingDecision, request, options, members, 'budget');
+    }
+
+    const settled = await Promise.allSettled(
+      members.map(model => this.providerRouter.complete({ ...routingDecision, model }, request))
+    );
+    const responses = settled
+      .map((outcome, index) => (outcome.status === 'fulfilled'
+        ? { ...outcome.value, model: outcome.value.model || members[index] }
+        : null))
+      .filter(Boolean)
+      .map(result => ({ ...result, claims: extractSafetyClaims(result.text) }));
+
+    if (request.signal && request.signal.aborted) {
+      const error = new Error('Request cancelled');
+      error.type = 'cancelled';
+      throw error;
+    }
+    if (responses.length < 2) {
+      return this.single(routingDecision, request, options, members, 'member_failure', responses[0]);
+    }
+
+    const { agreementScore, contradictions } = compareSafetyClaims(responses);
+    const ensemble = {
+      models: members,
+      respondedModels: responses.map(response => response.model),
+      agreementScore,
+      contradictions,
+      threshold: this.agreementThreshold
+    };
+
+    if (contradictions.length === 0 && agreementScore >= this.agreementThreshold) {
+      const [primary, ...others] = responses;
+      return this.finalize(primary, {
+        ...ensemble,
+        mode: 'merged'
+      }, responses, mergeResponses(primary, others));
+    }
+
+    return this.escalate(routingDecision, request, options, responses, ensemble);
+  }
+
+  // The referee may only spend what the drafts left of the budget
+  async escalate(routingDecision, request, options, responses, ensemble) {
+    const escalationModel = this.escalationModel || routingDecision.model;
+    const spent = responses.reduce((sum, response) => sum + this.costOf(response), 0);
+    const maxCost = options.maxCost === undefined || options.maxCost === null ? options.maxCost : options.maxCost - spent;
+    try {
+      const result = await this.executor.complete(
+        { ...routingDecision, model: escalationModel, safetyLevel: 'high' },
+        { ...request, system: buildEscalationSystem(request.system, responses, ensemble.contradictions) },
+        { ...options, maxCost }
+      );
+      return this.finalize(result, {
+        ...ensemble,
+        mode: 'escalated',
+        escalatedTo: result.model
+      }, [...responses, { ...result, role: 'escalation' }], result.text);
+    } catch (error) {
+      if (error.type === 'cancelled') throw error;
+
+      // No referee available: serve the most cautious draft and say the models disagreed
+      const cautious = [...responses].sort((a, b) =>
+        referralLevels.indexOf(b.claims.referral) - referralLevels.indexOf(a.claims.referral) ||
+        b.claims.redFlags.length - a.claims.redFlags.length
+      )[0];
+      const notice = '**Note:** Automated reviewers disagreed on safety details of this answer. ' +
+        'Please confirm with a healthcare provider before acting on it.';
+      return this.finalize(cautious, {
+        ...ensemble,
+        mode: 'escalation_failed',
+        escalationError: error.message
+      }, responses, `${cautious.text}\n\n${notice}`);
+    }
+  }
+
+  async single(routingDecision, request, options, members, reason, response) {
+    const result = response || await this.executor.complete(routingDecision, request, options);
+    return this.finalize(result, {
+      mode: 'single',
+      reason,
+      models: members,
+      respondedModels: [result.model],
+      agreementScore: null,
+      contradictions: []
+    }, [result], result.text);
+  }
+
+  finalize(served, ensemble, responses, text) {
+    const { claims, role, ...result } = served;
+    return {
+      ...result,
+      text,
+      metadata: {
+        ...(served.metadata || {}),
+        ensemble: {
+          ...ensemble,
+          responses: responses.map(response => ({
+            model: response.model,
+            role: response.role || 'member',
+            usage: response.usage,
+            latency: response.latency,
+            claims: response.claims
+          }))
+        }
+      }
+    };
+  }
+}
+
+module.exports = {
+  contraindicationTerms,
+  redFlagTerms,
+  extractSafetyClaims,
+  compareSafetyClaims,
+  mergeResponses,
+  SafetyEnsemble
+};
@@ -0,0 +1,270 @@
+// Structured Output for F-Bot 2.0
+// JSON answers that feed the frontend UltrasoundFinding, MedicalAlert and Source types.
+// Output is validated against the format's schema, repaired where the fix is unambiguous,
+// re-prompted a bounded number of times, and otherwise replaced by a safe text answer.
+
+const { validateArguments } = require('./tool-registry');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+// Schemas mirror frontend/src/types/index.ts; the root is an object because providers'
+// JSON modes only accept object roots
+const ultrasoundFinding = {
+  type: 'object',
+  properties: {
+    finding: { type: 'string', minLength: 1 },
+    // Relative to the image, 0-1; findings without a region cover the whole frame
+    location: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', minimum: 0, maximum: 1 },
+        y: { type: 'number', minimum: 0, maximum: 1 },
+        width: { type: 'number', minimum: 0, maximum: 1 },
+        height: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      required: ['x', 'y', 'width', 'height'],
+      additionalProperties: false,
+      default: { x: 0, y: 0, width: 1, height: 1 }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    severity: { type: 'string', enum: ['mild', 'moderate', 'severe'] },
+    description: { type: 'string' }
+  },
+  required: ['finding', 'location', 'confidence', 'severity'],
+  additionalProperties: false
+};
+
+const medicalAlert = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['contraindication', 'drug_interaction', 'red_flag', 'emergency'] },
+    severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+    message: { type: 'string', minLength: 1 },
+    recommendations: { type: 'array', items: { type: 'string' } },
+    requiresAction: { type: 'boolean' }
+  },
+  required: ['type', 'severity', 'message', 'recommendations', 'requiresAction'],
+  additionalProperties: false
+};
+
+const source = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['pubmed', 'textbook', 'guideline', 'research', 'clinical'] },
+    title: { type: 'string', minLength: 1 },
+    url: { type: 'string' },
+    evidenceLevel: { type: 'string', enum: ['1A', '1B', '2A', '2B', '3A', '3B', '4', '5'] },
+    authors: { type: 'array', items: { type: 'string' } },
+    journal: { type: 'string' },
+    year: { type: 'integer', minimum: 1800, maximum: 2100 },
+    doi: { type: 'string' }
+  },
+  required: ['type', 'title'],
+  additionalProperties: false
+};
+
+function listOf(key, item) {
+  return { type: 'object', properties: { [key]: { type: 'array', items: item } }, required: [key], additionalProperties: false };
+}
+
+const STRUCTURED_FORMATS = {
+  ultrasound_findings: {
+    name: 'ultrasound_findings',
+    description: 'Ultrasound findings, most severe first',
+    schema: listOf('findings', ultrasoundFinding),
+    fallbackText: 'The findings could not be summarized reliably. Please have the images reviewed by a qualified clinician.'
+  },
+  medical_alerts: {
+    name: 'medical_alerts',
+    description: 'Safety alerts raised by the answer; an empty list when there are none',
+    schema: listOf('alerts', medicalAlert),
+    fallbackText: 'Safety alerts could not be checked reliably for this answer. If you have severe, sudden or worsening symptoms, seek medical care promptly.'
+  },
+  sources: {
+    name: 'sources',
+    description: 'References supporting the answer',
+    schema: listOf('sources', source),
+    fallbackText: 'References could not be listed reliably for this answer.'
+  }
+};
+
+// A format name from STRUCTURED_FORMATS or a custom { name, schema, fallbackText }
+function resolveResponseFormat(format) {
+  if (!format) return null;
+  if (typeof format === 'string') {
+    const known = STRUCTURED_FORMATS[format];
+    if (!known) {
+      throw new Error(`Unknown response format "${format}"; expected one of ${Object.keys(STRUCTURED_FORMATS).join(', ')}`);
+    }
+    return known;
+  }
+  if (!format.name || !format.schema || format.schema.type !== 'object') {
+    throw new Error('A custom response format needs a name and an object schema');
+  }
+  return { fallbackText: 'A structured answer could not be produced for this request.', ...format };
+}
+
+function formatInstruction(format) {
+  return [
+    `Reply with a single JSON object and nothing else: no prose, no code fences. ${format.description || ''}`.trim(),
+    `It must match this JSON schema: ${JSON.stringify(format.schema)}`
+  ].join('\n');
+}
+
+// The JSON object in a reply, tolerating code fences, surrounding prose and trailing commas
+function extractJson(text) {
+  const unfenced = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) return { error: 'no JSON object found' };
+
+  const candidate = unfenced.substring(start, end + 1);
+  for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+    try {
+      return { value: JSON.parse(attempt), repaired: attempt !== candidate || candidate !== unfenced.trim() };
+    } catch (error) {
+      // try the next repair
+    }
+  }
+  return { error: 'reply is not valid JSON' };
+}
+
+// Fixes whose intent is unambiguous: enum case, percentages for 0-1 scores, numeric strings,
+// schema defaults for missing fields and unknown fields where none are allowed
+function repairValue(schema, value, repairs, at = 'output') {
+  if (schema.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+    const repaired = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        repaired[key] = repairValue(properties[key], item, repairs, `${at}.${key}`);
+      } else if (schema.additionalProperties === false) {
+        repairs.push(`${at}.${key}: removed`);
+      } else {
+        repaired[key] = item;
+      }
+    }
+    for (const key of schema.required || []) {
+      if (repaired[key] === undefined && properties[key] && properties[key].default !== undefined) {
+        repaired[key] = properties[key].default;
+        repairs.push(`${at}.${key}: defaulted`);
+      }
+    }
+    return repaired;
+  }
+
+  if (schema.type === 'array' && Array.isArray(value) && schema.items) {
+    return value.map((item, index) => repairValue(schema.items, item, repairs, `${at}[${index}]`));
+  }
+
+  if (schema.enum && typeof value === 'string' && !schema.enum.includes(value)) {
+    const match = schema.enum.find(option => option.toLowerCase() === value.trim().toLowerCase());
+    if (match) {
+      repairs.push(`${at}: case`);
+      return match;
+    }
+  }
+
+  if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    repairs.push(`${at}: number`);
+    return repairValue(schema, Number(value), repairs, at);
+  }
+
+  if (schema.type === 'number' && schema.maximum === 1 && typeof value === 'number' && value > 1 && value <= 100) {
+    repairs.push(`${at}: percentage`);
+    return value / 100;
+  }
+
+  return value;
+}
+
+// { value, errors, repairs }; value is null unless it matches the schema
+function parseStructuredOutput(text, format) {
+  const extracted = extractJson(text);
+  if (extracted.error) return { value: null, errors: [extracted.error], repairs: [] };
+
+  const repairs = extracted.repaired ? ['json syntax'] : [];
+  const value = repairValue(format.schema, extracted.value, repairs);
+  const errors = validateArguments(format.schema, value, 'output');
+  return { value: errors.length === 0 ? value : null, errors, repairs };
+}
+
+function correctionPrompt(errors) {
+  return [
+    'Your reply did not match the required JSON schema:',
+    ...errors.slice(0, 10).map(error => `- ${error}`),
+    'Reply again with only the corrected JSON object.'
+  ].join('\n');
+}
+
+// Runs the model until its reply validates, re-prompting with the errors up to maxRepairs
+// times. Failures end in format.fallbackText with metadata.structuredOutput.fallback set,
+// never in unvalidated data.
+async function completeStructured(executor, routingDecision, request, options) {
+  const { format, limits = {}, costOf = () => 0 } = options;
+  const maxRepairs = options.maxRepairs ?? DEFAULT_MAX_REPAIRS;
+  const followUpMessages = [...(request.followUpMessages || [])];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let spent = 0;
+  let errors = [];
+  let result;
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const maxCost = limits.maxCost === undefined || limits.maxCost === null ? limits.maxCost : limits.maxCost - spent;
+    result = await executor.complete(routingDecision, {
+      ...request,
+      responseFormat: { name: format.name, schema: format.schema },
+      followUpMessages
+    }, { ...limits, maxCost });
+
+    usage.inputTokens += (result.usage && result.usage.inputTokens) || 0;
+    usage.outputTokens += (result.usage && result.usage.outputTokens) || 0;
+    spent += costOf(result);
+
+    const parsed = parseStructuredOutput(result.text, format);
+    if (parsed.value) {
+      return {
+        ...result,
+        text: JSON.stringify(parsed.value),
+        structured: parsed.value,
+        usage,
+        metadata: {
+          ...(result.metadata || {}),
+          structuredOutput: {
+            format: format.name,
+            status: attempt === 0 && parsed.repairs.length === 0 ? 'valid' : 'repaired',
+            attempts: attempt + 1,
+            repairs: parsed.repairs,
+            fallback: false
+          }
+        }
+      };
+    }
+
+    errors = parsed.errors;
+    followUpMessages.push(
+      { role: 'assistant', content: result.text || '' },
+      { role: 'user', content: correctionPrompt(errors) }
+    );
+  }
+
+  return {
+    ...result,
+    text: format.fallbackText,
+    structured: null,
+    finishReason: 'structured_output_invalid',
+    usage,
+    metadata: {
+      ...(result.metadata || {}),
+      structuredOutput: { format: format.name, status: 'fallback', attempts: maxRepairs + 1, errors, fallback: true }
+    }
+  };
+}
+
+module.exports = {
+  STRUCTURED_FORMATS,
+  resolveResponseFormat,
+  formatInstruction,
+  parseStructuredOutput,
+  completeStructured
+};
@@ -0,0 +1,417 @@
+// Symptom Assessment for F-Bot 2.0
+// Walks the user through conversation_flows.symptom_assessment one question at a time. Answers
+// are picked out of whatever the user writes, so details mentioned early are never asked for;
+// a question or change of topic is answered before the walk resumes, and the slots add up to
+// an OPQRST summary that is kept with the chat session for clinicians.
+
+const { drFasciaPersonality, renderPersonality } = require('./dr-fascia-personality');
+
+const FLOW = 'conversation_flows.symptom_assessment';
+
+// Unanswered turns in a row after which the assessment is paused rather than pressed
+const MAX_INTERRUPTIONS = 2;
+
+// A reply to the question just asked is taken as its answer up to this many words
+const MAX_ANSWER_WORDS = 12;
+const MAX_VALUE_LENGTH = 120;
+
+const NEGATION = /\b(no|not|never|without|isn't|aren't|wasn't|don't|doesn't|didn't)\s+(\w+\s+)?$/;
+
+// The first symptom word decides the noun used in the questions
+const SYMPTOMS = [
+  [/\b(pain|painful|hurts?|hurting)\b/, 'pain'],
+  [/\b(ache|aches|aching|achy)\b/, 'aching'],
+  [/\b(sore|soreness)\b/, 'soreness'],
+  [/\b(stiff|stiffness)\b/, 'stiffness'],
+  [/\b(tight|tightness|tension)\b/, 'tightness'],
+  [/\b(numb|numbness)\b/, 'numbness'],
+  [/\b(tingl\w*|pins and needles)\b/, 'tingling'],
+  [/\b(cramp\w*|spasms?)\b/, 'cramping'],
+  [/\bdiscomfort\b/, 'discomfort']
+];
+const FIRST_PERSON = /\b(i|i'm|i've|my|me)\b/;
+
+const BODY_PART = '((?:(?:left|right|both|upper|lower|low|mid|middle|inner|outer|front|back of (?:my|the)) )*' +
+  '(?:neck|shoulder blades?|shoulders?|back|spine|tailbone|hips?|groin|buttocks?|glutes?|thighs?|hamstrings?|quads?|' +
+  'knees?|calf|calves|shins?|ankles?|feet|foot|heels?|toes?|arms?|elbows?|forearms?|wrists?|hands?|fingers?|thumbs?|' +
+  'jaw|head|temples?|ribs?|abdomen|stomach|sides?|legs?|it band|plantar fascia|achilles))\\b';
+const CLAUSE_END = '(?=[.,;!?]|$|\\s(?:but|and it|and then|though|although|which)\\b)';
+const COUNT = '(?:\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|a few|few|several|a couple of|couple of)';
+const UNIT = '(?:hours?|days?|weeks?|months?|years?)';
+const WHEN = `(${COUNT} ${UNIT} ago|yesterday|today|last (?:night|week|weekend|month|year)|this (?:morning|week|month))`;
+
+const QUALITIES = [
+  [/\bsharp\b/, 'sharp'],
+  [/\bdull\b/, 'dull'],
+  [/\b(aching|achy)\b/, 'aching'],
+  [/\b(tight|tightness)\b/, 'tight'],
+  [/\bburning\b/, 'burning'],
+  [/\bstabbing\b/, 'stabbing'],
+  [/\bthrobbing\b/, 'throbbing'],
+  [/\b(tingling|tingly|pins and needles)\b/, 'tingling'],
+  [/\bshooting\b/, 'shooting'],
+  [/\b(stiff|stiffness)\b/, 'stiff'],
+  [/\bpulling\b/, 'pulling'],
+  [/\b(cramping|crampy)\b/, 'cramping'],
+  [/\bpinch(ing|ed)\b/, 'pinching'],
+  [/\b(?<!blood )pressure\b/, 'pressure'],
+  [/\belectric(al)?\b/, 'electric'],
+  [/\b(sore|soreness)\b/, 'sore'],
+  [/\b(knotted|knots)\b/, 'knotted'],
+  [/\b(numb|numbness)\b/, 'numb']
+];
+
+const TIMINGS = /\b(constant(ly)?|all the time|all day( long)?|24\/7|comes and goes|come and go|on and off|off and on|intermittent(ly)?|every (morning|night|day|evening)|(in|during) the (mornings?|evenings?|night)|first thing in the morning|at night|at the end of the day|when i wake up|on waking|throughout the day|most days|occasionally|sometimes)\b/g;
+
+const SEVERITY_WORDS = /\b(mild|moderate|severe|excruciating|unbearable|intense|agoni[sz]ing)\b/;
+
+const STOP = /\b(stop asking|no more questions|enough questions|skip (the|these) questions|don't want to answer|rather not answer|just (tell|give) me|let's move on|can we move on)\b/;
+const SKIP = /^(skip|pass|next( question)?|rather not say|prefer not to say)\b/;
+const DONT_KNOW = /\b(i don't know|not sure|no idea|don't remember|can't remember|hard to say|i dunno)\b/;
+// Replies that answer nothing; recorded like "don't know" so the question is not repeated
+const FILLER = /^(hm+|um+|uh+|ok(ay)?|yes|yeah|yep|no|nope|sure|maybe|thanks?( you)?)\W*$/;
+const QUESTION_START = /^(what|why|how|can|could|should|is|are|do|does|will|would|which|who|tell me|explain)\b/;
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .replace(/\bcan ?not\b/g, 'can\'t')
+    .replace(/\bi am\b/g, 'i\'m')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function clean(value) {
+  const text = value.replace(/^(and|but|so|then|i think|probably|like)\s+/, '').replace(/[\s.,;!?]+$/, '').trim();
+  return text.length > MAX_VALUE_LENGTH ? text.substring(0, MAX_VALUE_LENGTH).trim() : text;
+}
+
+function lastWords(text, count) {
+  return text.trim().split(' ').slice(-count).join(' ');
+}
+
+function isNegated(text, index) {
+  return NEGATION.test(text.substring(0, index));
+}
+
+// Group 1 (or the whole match) of the first pattern that matches and is not negated
+function firstMatch(text, patterns) {
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (match && !isNegated(text, match.index)) return clean(match[1] || match[0]);
+  }
+  return null;
+}
+
+// Every distinct label whose pattern matches without a negation in front
+function allMatches(text, labelled) {
+  const found = labelled
+    .filter(([pattern]) => {
+      const match = pattern.exec(text);
+      return match && !isNegated(text, match.index);
+    })
+    .map(([, label]) => label);
+  return found.length > 0 ? [...new Set(found)].join(', ') : null;
+}
+
+// Asked in this order; radiation is only recorded when volunteered. question is a path under
+// conversation_flows.symptom_assessment.
+const ASSESSMENT_SLOTS = [
+  {
+    id: 'location',
+    opqrst: 'R',
+    label: 'Location',
+    question: 'pain_exploration.location',
+    extract: text => firstMatch(text, [
+      new RegExp(`\\b(?:in|on|around|across|behind|under|along|at|through) (?:my|the) ${BODY_PART}`),
+      new RegExp(`\\bmy ${BODY_PART}`),
+      new RegExp(`\\b${BODY_PART} (?:pain|ache|stiffness|tightness|soreness|spasms?|cramps?|tension|injury|strain)`)
+    ])
+  },
+  {
+    id: 'radiation',
+    opqrst: 'R',
+    label: 'Radiates to',
+    question: null,
+    extract: text => firstMatch(text, [
+      new RegExp(`\\b(?:radiat\\w*|spread\\w*|shoot\\w*|travel\\w*|goes|going|runs|running|moves|moving) (?:all the way )?(?:down|up|into|to|through|across|around) (?:into |to )?(?:my|the) ${BODY_PART}`)
+    ])
+  },
+  {
+    id: 'quality',
+    opqrst: 'Q',
+    label: 'Quality',
+    question: 'pain_exploration.quality',
+    extract: text => allMatches(text, QUALITIES)
+  },
+  {
+    id: 'onset',
+    opqrst: 'O',
+    label: 'Onset',
+    question: 'gathering_details.0',
+    extract: text => firstMatch(text, [
+      new RegExp(`\\b(?:started|began|start|begin|came on|kicked in|first noticed(?: it| this)?|happened)\\b[^.;!?]{0,30}?\\b${WHEN}`),
+      new RegExp(`\\b(?:started|began|came on|happened|hurt it|injured it|tweaked it|pulled it)\\b[^.;!?]{0,20}?\\b((?:after|when|while) [^.,;!?]{2,60}?)${CLAUSE_END}`),
+      new RegExp(`\\bfor (?:about |around |almost |nearly |over |the (?:past|last) )?${COUNT} ${UNIT}\\b`),
+      new RegExp(`\\bsince (?:yesterday|last \\w+|this \\w+|\\d{4}|(?:my|the|a|an) [a-z' ]{2,30}?${CLAUSE_END})`),
+      new RegExp(`\\b(${COUNT} ${UNIT} ago)\\b`)
+    ])
+  },
+  {
+    id: 'timing',
+    opqrst: 'T',
+    label: 'Timing',
+    question: 'pain_exploration.timing',
+    extract: text => {
+      const found = [...text.matchAll(TIMINGS)].filter(match => !isNegated(text, match.index)).map(match => match[0]);
+      return found.length > 0 ? [...new Set(found)].join(', ') : null;
+    }
+  },
+  {
+    id: 'severity',
+    opqrst: 'S',
+    label: 'Severity',
+    question: 'pain_exploration.severity',
+    extract: text => {
+      const rating = /\b(\d{1,2}(?:\.\d)?) ?(?:\/|out of) ?10\b/.exec(text);
+      if (rating && Number(rating[1]) <= 10) return `${rating[1]}/10`;
+      return firstMatch(text, [SEVERITY_WORDS]);
+    },
+    // "about a 6" in reply to the question
+    fromAnswer: text => {
+      const numbers = text.match(/\b\d{1,2}\b/g);
+      return numbers && numbers.every(number => Number(number) <= 10) ? numbers.map(number => `${number}/10`).join(', ') : null;
+    }
+  },
+  {
+    id: 'aggravating',
+    opqrst: 'P',
+    label: 'Worse with',
+    question: 'pain_exploration.aggravating_factors',
+    extract: text => {
+      const match = firstMatch(text, [
+        new RegExp(`\\b(?:worse|hurts? (?:more|most)|more painful|aggravated|flares? up|triggered|set off|acts? up)\\s+(?:when(?:ever)?|if|with|after|during|by|from|while|in|on)\\s+(?:i(?:'m)? )?(.{2,60}?)${CLAUSE_END}`),
+        new RegExp(`\\b(?:it )?(?:hurts?|aches?|is painful)\\s+(?:when(?:ever)?|if|to|while)\\s+(?:i(?:'m)? )?(.{2,60}?)${CLAUSE_END}`)
+      ]);
+      if (match) return match;
+      const cause = /\b([a-z' ]{2,40}?) (?:makes?|made) it (?:worse|hurt|flare)/.exec(text);
+      return cause ? clean(lastWords(cause[1], 4)) : null;
+    }
+  },
+  {
+    id: 'relieving',
+    opqrst: 'P',
+    label: 'Better with',
+    question: 'pain_exploration.relieving_factors',
+    extract: text => {
+      if (/\bnothing (?:really )?(?:helps|has helped|works|makes it better|seems to help)\b/.test(text)) return 'nothing helps';
+      const match = firstMatch(text, [
+        new RegExp(`\\b(?:better|eases?|eased|easier|relieved|calms? down|settles?|goes away|improves?)\\s+(?:when(?:ever)?|if|with|after|by|from|while|once)\\s+(?:i(?:'m)? )?(.{2,60}?)${CLAUSE_END}`)
+      ]);
+      if (match) return match;
+      const remedy = /\b([a-z' ]{2,40}?) (?:helps|helped|seems to help|makes? it better|eases it|gives (?:me )?(?:some )?relief|takes the edge off)\b/.exec(text);
+      return remedy && !isNegated(text, remedy.index) ? clean(lastWords(remedy[1], 4)) : null;
+    }
+  },
+  {
+    id: 'impact',
+    opqrst: null,
+    label: 'Daily impact',
+    question: 'gathering_details.3',
+    extract: text => firstMatch(text, [
+      new RegExp(`\\b(?:can't|unable to|couldn't|hard to|difficult to|struggl\\w* to|trouble|(?:have|had) to stop|stopped|gave up|keeps? me from|prevents? me from)\\s+(?!remember|recall|say|tell|think)\\w.{1,50}?${CLAUSE_END}`),
+      /\b(?:wakes|woke|waking) me(?: up)?(?: at night)?\b/,
+      /\b(?:missed|missing|off) work\b/,
+      new RegExp(`\\baffect(?:s|ing|ed) my .{2,40}?${CLAUSE_END}`)
+    ])
+  }
+];
+
+// Summary lines in OPQRST order, then what does not fit it
+const SUMMARY_ORDER = ['onset', 'aggravating', 'relieving', 'quality', 'location', 'radiation', 'severity', 'timing', 'impact'];
+
+function symptomOf(text) {
+  for (const [pattern, noun] of SYMPTOMS) {
+    const match = pattern.exec(text);
+    if (match && !isNegated(text, match.index)) return noun;
+  }
+  return null;
+}
+
+function isQuestion(text) {
+  return text.endsWith('?') || QUESTION_START.test(text);
+}
+
+function slotValue(slot) {
+  if (!slot) return null;
+  return slot.status === 'filled' ? slot.value : slot.status;
+}
+
+class SymptomAssessment {
+  constructor(config = {}) {
+    this.slots = config.slots || ASSESSMENT_SLOTS;
+    this.maxInterruptions = config.maxInterruptions || MAX_INTERRUPTIONS;
+    this.now = config.now || (() => new Date().toISOString());
+  }
+
+  // Slot values found in a message: { slotId: value }
+  extract(message) {
+    const text = normalize(message);
+    const values = {};
+    for (const slot of this.slots) {
+      const value = slot.extract(text);
+      if (value) values[slot.id] = value;
+    }
+    return values;
+  }
+
+  // The next slot to ask about, or null when every askable slot has an answer
+  nextSlot(state) {
+    return this.slots.find(slot => slot.question && !state.slots[slot.id]) || null;
+  }
+
+  // Advances the assessment by one user message. state is the session's stored assessment
+  // (null before one starts). Returns { state, event, changed }; event is started, answered,
+  // interrupted, paused, stopped, completed or null.
+  update(state, message, meta = {}) {
+    const text = normalize(message);
+    const timestamp = this.now();
+
+    if (!state) {
+      const symptom = FIRST_PERSON.test(text) ? symptomOf(text) : null;
+      if (!symptom) return { state: null, event: null, changed: false };
+      state = { status: 'active', symptom, slots: {}, pending: null, interruptions: 0, startedAt: timestamp };
+      return this.advance(state, this.record({}, this.extract(message), null, meta), 'started', timestamp);
+    }
+    if (state.status === 'complete') return { state, event: null, changed: false };
+
+    const pending = state.status === 'active' ? state.pending : null;
+    const slots = this.record(state.slots, this.extract(message), pending, meta);
+    const answered = () => Object.keys(slots).some(id => slots[id] !== state.slots[id]);
+
+    // A reply that adds none of the details is taken as the answer to the question asked
+    if (pending && !answered()) {
+      const slot = this.slots.find(candidate => candidate.id === pending);
+      if (SKIP.test(text)) {
+        slots[pending] = { status: 'declined', messageId: meta.messageId };
+      } else if (DONT_KNOW.test(text) || FILLER.test(text)) {
+        slots[pending] = { status: 'unknown', messageId: meta.messageId };
+      } else if (!STOP.test(text) && !isQuestion(text) && text.split(' ').length <= MAX_ANSWER_WORDS) {
+        const value = (slot.fromAnswer && slot.fromAnswer(text)) || clean(text);
+        if (value) slots[pending] = { status: 'filled', value, source: 'asked', messageId: meta.messageId };
+      }
+    }
+
+    if (STOP.test(text)) {
+      return this.finish({ ...state, slots, status: 'paused', pending: null, updatedAt: timestamp }, 'stopped');
+    }
+
+    if (answered()) {
+      return this.advance({ ...state, status: 'active', interruptions: 0 }, slots, 'answered', timestamp);
+    }
+    if (state.status !== 'active') return { state, event: null, changed: false };
+
+    const interruptions = state.interruptions + 1;
+    if (interruptions >= this.maxInterruptions) {
+      return this.finish({ ...state, status: 'paused', pending: null, interruptions, updatedAt: timestamp }, 'paused');
+    }
+    return this.finish({ ...state, interruptions, updatedAt: timestamp }, 'interrupted');
+  }
+
+  // Adds newly found values to the slots that have no answer yet; a detail the user did not
+  // know or declined earlier is taken when they mention it later
+  record(slots, values, pending, meta) {
+    const recorded = { ...slots };
+    for (const [id, value] of Object.entries(values)) {
+      if (recorded[id] && recorded[id].status === 'filled') continue;
+      recorded[id] = { status: 'filled', value, source: id === pending ? 'asked' : 'volunteered', messageId: meta.messageId };
+    }
+    return recorded;
+  }
+
+  advance(state, slots, event, timestamp) {
+    const next = this.nextSlot({ ...state, slots });
+    if (!next) {
+      return this.finish({ ...state, slots, status: 'complete', pending: null, updatedAt: timestamp, completedAt: timestamp }, 'completed');
+    }
+    return this.finish({ ...state, slots, pending: next.id, updatedAt: timestamp }, event);
+  }
+
+  finish(state, event) {
+    return { state, event, changed: true };
+  }
+
+  // { symptom, sensation } for the personality's question templates
+  templateVariables(state) {
+    const location = state.slots.location && state.slots.location.status === 'filled' ? state.slots.location.value : null;
+    return {
+      symptom: location ? `${state.symptom} in your ${location}` : state.symptom,
+      sensation: state.symptom
+    };
+  }
+
+  question(state, slotId) {
+    const slot = this.slots.find(candidate => candidate.id === slotId);
+    return renderPersonality(`${FLOW}.${slot.question}`, this.templateVariables(state)).text;
+  }
+
+  known(state) {
+    const details = this.slots
+      .filter(slot => state.slots[slot.id] && state.slots[slot.id].status === 'filled')
+      .map(slot => `${slot.label.toLowerCase()}: ${state.slots[slot.id].value}`);
+    return details.length > 0 ? `Known so far: ${details.join('; ')}.` : null;
+  }
+
+  // The system prompt section for the turn the update was made on, or null
+  instruction({ state, event }) {
+    if (!state || !event) return null;
+
+    if (event === 'paused' || event === 'stopped') {
+      return 'SYMPTOM ASSESSMENT: Paused. The user wants to talk about something else, so do not ask the remaining assessment questions unless they come back to their symptoms.';
+    }
+    if (event === 'completed') {
+      const { validation_responses } = drFasciaPersonality.conversation_flows.symptom_assessment;
+      return [
+        `SYMPTOM ASSESSMENT: Complete. ${this.known(state) || ''}`.trim(),
+        `Briefly reflect back what you understood, e.g. "${validation_responses[3]}", then give guidance that fits the whole picture.`
+      ].join('\n');
+    }
+
+    const lines = [`SYMPTOM ASSESSMENT: The user is describing ${state.symptom}. Gather the details one question per reply and never ask for what is already known.`];
+    const known = this.known(state);
+    if (known) lines.push(known);
+    if (event === 'started') {
+      const opening = renderPersonality(`${FLOW}.opening`, this.templateVariables(state)).text;
+      lines.push(`Open with something like: "${opening}"`);
+    }
+    if (event === 'interrupted') {
+      lines.push('The user has asked about something else. Answer that first, then come back to the assessment.');
+    }
+    lines.push(`End your reply with this question, in your own words: "${this.question(state, state.pending)}"`);
+    return lines.join('\n');
+  }
+
+  // OPQRST summary for clinicians: slot values ('unknown' or 'declined' when the user could
+  // not or would not say, null when not reached), the slots still open and a text rendering
+  summarize(state) {
+    if (!state) return null;
+    const values = Object.fromEntries(this.slots.map(slot => [slot.id, slotValue(state.slots[slot.id])]));
+    const lines = SUMMARY_ORDER
+      .map(id => this.slots.find(slot => slot.id === id))
+      .filter(slot => slot && values[slot.id] !== null)
+      .map(slot => `${slot.opqrst ? `${slot.opqrst} ` : ''}${slot.label}: ${values[slot.id]}`);
+    return {
+      symptom: state.symptom,
+      status: state.status,
+      slots: values,
+      unanswered: this.slots.filter(slot => slot.question && !state.slots[slot.id]).map(slot => slot.id),
+      text: [`Symptom: ${state.symptom}`, ...lines].join('\n')
+    };
+  }
+}
+
+module.exports = {
+  ASSESSMENT_SLOTS,
+  SymptomAssessment
+};
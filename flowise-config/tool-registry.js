@@ -0,0 +1,327 @@
+// Tool Registry for F-Bot 2.0
+// Tools the supervisor and specialist agents can call, declared with JSON schemas.
+// Models with native function calling get the schemas directly; the rest use a ReAct text protocol.
+
+// Tool declaration:
+//   { name, description, parameters: JSON schema, permission, agents, handler(args, context) }
+// agents limits a tool to the listed workers from flowise-agent-configurations.json; omitted means all.
+// context: { userId, role, orgId, sessionId, signal }
+// Calls and results in conversation messages:
+//   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+//   { role: 'tool', toolCallId, name, content }
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const DEFAULT_MAX_STEPS = 4;
+const MAX_RESULT_CHARS = 8000;
+
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+// The JSON Schema subset tool declarations use; returns a list of messages, empty when valid
+function validateArguments(schema, value, at = 'arguments') {
+  if (schema.type && !JSON_TYPES[schema.type](value)) {
+    return [`${at}: must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateArguments(schema.items, item, `${at}[${index}]`)));
+    }
+  }
+  if (JSON_TYPES.object(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateArguments(properties[key], item, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateArguments(schema.additionalProperties, item, `${at}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+function toolError(code, message) {
+  return { code, message };
+}
+
+class ToolRegistry {
+  constructor(config = {}) {
+    this.accessControl = config.accessControl || null;
+    this.auditLogger = config.auditLogger || null;
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!TOOL_NAME_PATTERN.test(tool.name || '')) {
+      throw new Error(`Invalid tool name "${tool.name}"; use letters, digits, _ or - (at most 64)`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool ${tool.name} is already registered`);
+    }
+    if (!tool.parameters || tool.parameters.type !== 'object') {
+      throw new Error(`Tool ${tool.name} parameters must be a JSON schema of type object`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} needs a handler`);
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  // Without an access control service only tools that need no permission are usable
+  async isPermitted(tool, role) {
+    if (!tool.permission) return true;
+    if (!this.accessControl) return false;
+    return this.accessControl.checkPermission(role, tool.permission);
+  }
+
+  // Declarations offered to a model: only tools this agent has and this role may call
+  async definitionsFor({ agent, role } = {}) {
+    const definitions = [];
+    for (const tool of this.tools.values()) {
+      if (agent && tool.agents && !tool.agents.includes(agent)) continue;
+      if (!(await this.isPermitted(tool, role))) continue;
+      definitions.push({ name: tool.name, description: tool.description, parameters: tool.parameters });
+    }
+    return definitions;
+  }
+
+  // Never throws: failures go back to the model as { ok: false, error } so it can recover
+  async invoke(call, context = {}) {
+    const startTime = Date.now();
+    const outcome = await this.execute(call, context);
+    const result = { id: call.id, name: call.name, latency: Date.now() - startTime, ...outcome };
+    await this.audit(call, context, result);
+    return result;
+  }
+
+  async execute(call, context) {
+    const tool = this.get(call.name);
+    if (!tool) {
+      return { ok: false, error: toolError('UNKNOWN_TOOL', `No tool named ${call.name}`) };
+    }
+    if (context.agent && tool.agents && !tool.agents.includes(context.agent)) {
+      return { ok: false, error: toolError('UNKNOWN_TOOL', `${call.name} is not available to ${context.agent}`) };
+    }
+
+    // Models sometimes send arguments as a JSON string or with a syntax error
+    let args = call.arguments === undefined ? {} : call.arguments;
+    if (typeof args === 'string') {
+      try {
+        args = JSON.parse(args);
+      } catch (error) {
+        return { ok: false, error: toolError('INVALID_ARGUMENTS', `arguments: not valid JSON (${error.message})`) };
+      }
+    }
+    const errors = validateArguments(tool.parameters, args);
+    if (errors.length > 0) {
+      return { ok: false, error: toolError('INVALID_ARGUMENTS', errors.join('; ')) };
+    }
+
+    if (!(await this.isPermitted(tool, context.role))) {
+      return { ok: false, error: toolError('FORBIDDEN', `Role ${context.role} may not use ${tool.name}`) };
+    }
+
+    try {
+      return { ok: true, result: await tool.handler(args, context) };
+    } catch (error) {
+      if (error.type === 'cancelled') throw error;
+      return { ok: false, error: toolError(error.code || 'TOOL_FAILED', error.message) };
+    }
+  }
+
+  // Arguments can carry patient details, so only the tool and outcome are recorded
+  async audit(call, context, result) {
+    if (!this.auditLogger) return;
+    const tool = this.get(call.name);
+    try {
+      await this.auditLogger.logAccess({
+        userId: context.userId,
+        userRole: context.role,
+        sessionId: context.sessionId,
+        action: 'tool_call',
+        resource: tool && tool.permission ? tool.permission : `tool:${call.name}`,
+        tool: call.name,
+        agent: context.agent,
+        outcome: result.ok ? 'success' : result.error.code === 'FORBIDDEN' ? 'denied' : 'failure',
+        errorCode: result.ok ? undefined : result.error.code,
+        latency: result.latency
+      });
+    } catch (error) {
+      console.warn('Failed to audit tool call:', error.message);
+    }
+  }
+}
+
+// What the model reads back; long results are cut so one call cannot fill the context window
+function toolResultContent(result) {
+  const content = JSON.stringify(result.ok ? { ok: true, result: result.result } : { ok: false, error: result.error });
+  return content.length > MAX_RESULT_CHARS
+    ? `${content.substring(0, MAX_RESULT_CHARS)}... [truncated ${content.length - MAX_RESULT_CHARS} characters]`
+    : content;
+}
+
+// ReAct text protocol for models without native function calling
+function reactInstructions(tools, toolChoice) {
+  if (toolChoice === 'none') {
+    return 'Do not call any more tools. Reply with "Final Answer:" followed by your answer to the user.';
+  }
+  const catalog = tools
+    .map(tool => `- ${tool.name}: ${tool.description}\n  Arguments (JSON schema): ${JSON.stringify(tool.parameters)}`)
+    .join('\n');
+  return [
+    'You can use these tools:',
+    catalog,
+    '',
+    'To use a tool, reply with exactly these two lines and nothing after them:',
+    'Action: <tool name>',
+    'Action Input: <arguments as a JSON object>',
+    'The result comes back in the next message as "Observation:". Use one tool at a time.',
+    'When you can answer, reply with "Final Answer:" followed by your answer to the user.'
+  ].join('\n');
+}
+
+function toReActMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'user', content: `Observation (${message.name}): ${message.content}` };
+  }
+  if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+    const [call] = message.toolCalls;
+    const thought = message.content ? `${message.content}\n` : '';
+    return { role: 'assistant', content: `${thought}Action: ${call.name}\nAction Input: ${JSON.stringify(call.arguments)}` };
+  }
+  return message;
+}
+
+function toReActRequest(request) {
+  const { tools, toolChoice, ...rest } = request;
+  const instructions = reactInstructions(tools, toolChoice);
+  return {
+    ...rest,
+    system: rest.system ? `${rest.system}\n\n${instructions}` : instructions,
+    messages: rest.messages.map(toReActMessage)
+  };
+}
+
+// { text, toolCalls }; an unparseable Action is passed to the registry as a string so the
+// model gets an INVALID_ARGUMENTS result instead of the loop ending silently
+function parseReActResponse(text, step = 0) {
+  const finalAnswer = /Final Answer:\s*([\s\S]*)$/i.exec(text);
+  if (finalAnswer) {
+    return { text: finalAnswer[1].trim(), toolCalls: [] };
+  }
+
+  const action = /Action:\s*([\w-]+)\s*\n\s*Action Input:\s*([\s\S]*)$/i.exec(text);
+  if (!action) {
+    return { text: text.trim(), toolCalls: [] };
+  }
+
+  const input = action[2].trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let args = input;
+  try {
+    args = input ? JSON.parse(input) : {};
+  } catch (error) {
+    // left as a string
+  }
+  return {
+    text: text.substring(0, action.index).replace(/^\s*Thought:\s*/i, '').trim(),
+    toolCalls: [{ id: `react-${step}`, name: action[1], arguments: args }]
+  };
+}
+
+// Runs the model, executes the tools it asks for and feeds the results back until it answers.
+// The last step forbids further calls so the loop always ends with an answer.
+async function runToolLoop(executor, routingDecision, request, options) {
+  const { registry, tools, context = {}, limits = {}, costOf = () => 0 } = options;
+  const maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+  const followUpMessages = [];
+  const calls = [];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let spent = 0;
+
+  for (let step = 0; ; step++) {
+    const maxCost = limits.maxCost === undefined || limits.maxCost === null ? limits.maxCost : limits.maxCost - spent;
+    const result = await executor.complete(routingDecision, {
+      ...request,
+      tools,
+      toolChoice: step >= maxSteps ? 'none' : 'auto',
+      followUpMessages
+    }, { ...limits, maxCost });
+
+    usage.inputTokens += (result.usage && result.usage.inputTokens) || 0;
+    usage.outputTokens += (result.usage && result.usage.outputTokens) || 0;
+    spent += costOf(result);
+
+    const requested = step < maxSteps ? result.toolCalls || [] : [];
+    if (requested.length === 0) {
+      const answer = { ...result };
+      delete answer.toolCalls;
+      return {
+        ...answer,
+        usage,
+        metadata: {
+          ...(result.metadata || {}),
+          tools: { protocol: result.toolProtocol, steps: step + 1, calls }
+        }
+      };
+    }
+
+    followUpMessages.push({ role: 'assistant', content: result.text || '', toolCalls: requested });
+    for (const call of requested) {
+      const outcome = await registry.invoke(call, { ...context, signal: request.signal });
+      calls.push({
+        name: call.name,
+        ok: outcome.ok,
+        errorCode: outcome.ok ? undefined : outcome.error.code,
+        latency: outcome.latency
+      });
+      followUpMessages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: toolResultContent(outcome) });
+    }
+  }
+}
+
+module.exports = {
+  ToolRegistry,
+  validateArguments,
+  toReActRequest,
+  parseReActResponse,
+  runToolLoop
+};
@@ -7,6 +7,7 @@ import {
   ExclamationTriangleIcon,
   ClockIcon,
   CheckCircleIcon,
+  StopIcon,
 } from '@heroicons/react/24/outline'
 import { useDropzone } from 'react-dropzone'
 import ReactMarkdown from 'react-markdown'
@@ -27,10 +28,13 @@ const ChatInterface: React.FC = () => {
   const { 
     currentSession, 
     sendMessage, 
+    cancelStreaming,
+    streamingMessageId,
     isTyping, 
     isLoading, 
     error 
   } = useChatStore()
+  const isStreaming = streamingMessageId !== null
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
@@ -42,15 +46,18 @@ const ChatInterface: React.FC = () => {
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
-    if (!message.trim() || isLoading) return
+    if (!message.trim() || isLoading || isStreaming) return
 
-    await sendMessage(message.trim())
+    // Cleared up front; the answer streams in while the request is open
+    const text = message.trim()
     setMessage('')
-    
+
     // Reset textarea height
     if (textareaRef.current) {
       textareaRef.current.style.height = 'auto'
     }
+
+    await sendMessage(text)
   }
 
   const handleKeyPress = (e: React.KeyboardEvent) => {
@@ -232,18 +239,29 @@ const ChatInterface: React.FC = () => {
               />
             </div>
 
-            {/* Send Button */}
-            <button
-              type="submit"
-              disabled={!message.trim() || isLoading}
-              className="p-3 bg-medical-600 text-white rounded-lg hover:bg-medical-700 focus:outline-none focus:ring-2 focus:ring-medical-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-            >
-              {isLoading ? (
-                <LoadingSpinner size="small" color="white" />
-              ) : (
-                <PaperAirplaneIcon className="h-5 w-5" />
-              )}
-            </button>
+            {/* Send Button; Stop while an answer is streaming */}
+            {isStreaming ? (
+              <button
+                type="button"
+                onClick={cancelStreaming}
+                title="Stop generating"
+                className="p-3 bg-gray-600 text-white rounded-lg hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500 transition-colors"
+              >
+                <StopIcon className="h-5 w-5" />
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!message.trim() || isLoading}
+                className="p-3 bg-medical-600 text-white rounded-lg hover:bg-medical-700 focus:outline-none focus:ring-2 focus:ring-medical-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {isLoading ? (
+                  <LoadingSpinner size="small" color="white" />
+                ) : (
+                  <PaperAirplaneIcon className="h-5 w-5" />
+                )}
+              </button>
+            )}
           </div>
 
           {/* Medical Disclaimer */}
@@ -298,6 +316,9 @@ const MessageBubble: React.FC<MessageBubbleProps> = ({ message }) => {
             <ReactMarkdown remarkPlugins={[remarkGfm]}>
               {message.content}
             </ReactMarkdown>
+            {message.streaming && (
+              <span className="inline-block w-2 h-4 bg-medical-500 animate-pulse align-text-bottom" />
+            )}
           </div>
 
           {/* Message Metadata */}
@@ -317,6 +338,15 @@ const MessageBubble: React.FC<MessageBubbleProps> = ({ message }) => {
                   {message.modelUsed && (
                     <span>Model: {message.modelUsed}</span>
                   )}
+                  {message.ensemble && message.ensemble.agreementScore !== null && (
+                    <span
+                      className={message.ensemble.contradictions.length > 0 ? 'text-amber-600' : undefined}
+                      title={message.ensemble.contradictions.map(c => c.detail).join('\n') || undefined}
+                    >
+                      Model agreement: {Math.round(message.ensemble.agreementScore * 100)}%
+                      {message.ensemble.escalatedTo && ` (reviewed by ${message.ensemble.escalatedTo})`}
+                    </span>
+                  )}
                   {message.processingTime && (
                     <span className="flex items-center space-x-1">
                       <ClockIcon className="h-3 w-3" />
@@ -330,6 +360,10 @@ const MessageBubble: React.FC<MessageBubbleProps> = ({ message }) => {
               </div>
 
               {/* Disclaimer */}
+              {message.metadata?.cancelled && (
+                <div className="text-xs text-gray-500">Stopped before the answer was complete.</div>
+              )}
+
               {message.disclaimer && (
                 <div className="medical-warning text-xs">
                   {message.disclaimer}
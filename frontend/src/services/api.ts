@@ -15,6 +15,7 @@ import {
   CostTracking,
   ApiResponse,
   ApiError,
+  StreamEvent,
 } from '../types'
 import { isDemo } from '../config/environment'
 
@@ -128,6 +129,65 @@ class ApiService {
     return response.data.data
   }
 
+  // Server-sent events from /chat/stream. Failures before the stream opens reject like
+  // axios errors so callers can read error.response.data; later ones arrive as 'error'
+  async streamMessage(
+    request: SendMessageRequest,
+    { onEvent, signal }: { onEvent: (event: StreamEvent) => void; signal?: AbortSignal }
+  ): Promise<void> {
+    const open = () =>
+      fetch('/api/chat/stream', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          Authorization: `Bearer ${localStorage.getItem('fbot_token') || ''}`,
+        },
+        body: JSON.stringify(request),
+        signal,
+      })
+
+    let response = await open()
+    if (response.status === 401) {
+      // Any axios call refreshes the token through the interceptor
+      await this.getCurrentUser()
+      response = await open()
+    }
+    if (!response.ok || !response.body) {
+      const data = await response.json().catch(() => ({}))
+      if (data.message) toast.error(data.message)
+      throw Object.assign(new Error(data.message || `Stream failed with ${response.status}`), {
+        response: { status: response.status, data },
+      })
+    }
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+      buffer += decoder.decode(value, { stream: true })
+      let boundary
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, boundary)
+        buffer = buffer.slice(boundary + 2)
+        let type = 'message'
+        const data: string[] = []
+        for (const line of frame.split('\n')) {
+          if (line.startsWith('event:')) type = line.slice(6).trim()
+          else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+        }
+        if (!data.length) continue
+        const payload = JSON.parse(data.join('\n'))
+        if (type === 'error') {
+          throw Object.assign(new Error(payload.message), { response: { status: 200, data: payload } })
+        }
+        onEvent({ ...payload, type } as StreamEvent)
+      }
+    }
+  }
+
   async getChatHistory(sessionId: string): Promise<ChatMessage[]> {
     const response = await this.api.get<ApiResponse<ChatMessage[]>>(`/chat/history/${sessionId}`)
     return response.data.data
@@ -239,13 +299,22 @@ class ApiService {
   }
 
   // WebSocket connection for real-time features
-  createWebSocketConnection(sessionId: string): WebSocket | null {
+  // resume replays the events missed since the last one received
+  createWebSocketConnection(
+    sessionId: string,
+    resume?: { epoch: string; lastSeq: number }
+  ): WebSocket | null {
     try {
       const token = localStorage.getItem('fbot_token')
+      const params = new URLSearchParams({ sessionId, token: token || '' })
+      if (resume) {
+        params.set('epoch', resume.epoch)
+        params.set('lastSeq', String(resume.lastSeq))
+      }
       const wsUrl = `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${
         window.location.host
-      }/api/ws?sessionId=${sessionId}&token=${token}`
-      
+      }/api/ws?${params}`
+
       return new WebSocket(wsUrl)
     } catch (error) {
       console.error('Failed to create WebSocket connection:', error)
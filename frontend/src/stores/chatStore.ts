@@ -5,7 +5,12 @@ import {
   ChatSession,
   ChatMessage,
   SendMessageRequest,
-  CreateSessionRequest
+  CreateSessionRequest,
+  MedicalAlert,
+  LiveUltrasoundUpdate,
+  SessionEvent,
+  SocketMessage,
+  StreamEvent
 } from '../types'
 import { apiService } from '../services/api'
 import { flowiseService } from '../services/flowiseService'
@@ -13,11 +18,19 @@ import { flowiseProxy } from '../services/flowiseProxy'
 import { isDemo } from '../config/environment'
 
 interface ChatStore extends ChatState {
+  // Pushed over the session WebSocket
+  alerts: MedicalAlert[]
+  liveUltrasound: LiveUltrasoundUpdate | null
+  sessionCost?: number
+  // Assistant message whose tokens are still arriving
+  streamingMessageId: string | null
   // Actions
   createSession: (request?: CreateSessionRequest) => Promise<ChatSession | null>
   loadSessions: () => Promise<void>
   selectSession: (sessionId: string) => Promise<void>
   sendMessage: (message: string, options?: Partial<SendMessageRequest>) => Promise<void>
+  cancelStreaming: () => void
+  applyStreamEvent: (event: StreamEvent) => void
   deleteSession: (sessionId: string) => Promise<void>
   updateSessionTitle: (sessionId: string, title: string) => Promise<void>
   clearError: () => void
@@ -30,9 +43,82 @@ interface ChatStore extends ChatState {
   disconnectWebSocket: () => void
 }
 
+// Close codes after which reconnecting cannot help (see src/realtime/websocket.js)
+const CLOSE_TOKEN_EXPIRED = 4001
+const CLOSE_FORBIDDEN = 4003
+const CLOSE_SESSION_NOT_FOUND = 4004
+
+// Replay position and reconnect state of the current session socket
+const socket = {
+  sessionId: null as string | null,
+  epoch: null as string | null,
+  lastSeq: 0,
+  retries: 0,
+  closing: false,
+  heartbeatIntervalMs: 30000,
+  reconnectTimer: undefined as ReturnType<typeof setTimeout> | undefined,
+  heartbeatTimer: undefined as ReturnType<typeof setTimeout> | undefined,
+}
+
+// The same stream can arrive over SSE and the socket; token indexes dedupe it
+const stream = {
+  controller: null as AbortController | null,
+  tokenCounts: new Map<string, number>(),
+}
+
+const STREAM_EVENT_TYPES = new Set(['stream_start', 'token', 'stream_end', 'stream_cancelled', 'stream_error'])
+
+// Stored messages replace any copy under the same id or the sender's temporary one
+const mergeMessage = (messages: ChatMessage[], message: ChatMessage): ChatMessage[] => {
+  if (messages.some(m => m.id === message.id)) {
+    return messages.map(m => m.id === message.id ? message : m)
+  }
+  const pending = messages.find(m =>
+    m.id.startsWith('temp-') && m.role === message.role && m.content === message.content
+  )
+  return pending
+    ? messages.map(m => m === pending ? message : m)
+    : [...messages, message]
+}
+
+// Demo mode answers through Flowise, falling back to the proxy
+const sendViaFlowise = async (request: SendMessageRequest): Promise<ChatMessage> => {
+  try {
+    return await flowiseService.sendMessage(request)
+  } catch (error: any) {
+    // A budget refusal is final; the proxy would bill the same budget
+    if (error.response?.data?.code === 'BUDGET_EXCEEDED') {
+      throw error
+    }
+    console.warn('Flowise service failed, trying proxy:', error)
+
+    // Fallback to proxy service
+    const proxyResponse = await flowiseProxy.query({
+      question: request.message,
+      chatHistory: []
+    })
+
+    if (!proxyResponse.success) {
+      throw new Error(`Flowise proxy failed: ${proxyResponse.error}`)
+    }
+    return {
+      id: `flowise-proxy-${Date.now()}`,
+      content: proxyResponse.text,
+      role: 'assistant',
+      timestamp: new Date().toISOString(),
+      sources: [],
+      processingTime: 0
+    }
+  }
+}
+
 const useChatStore = create<ChatStore>((set, get) => ({
   // Initial state
   currentSession: null,
+  alerts: [],
+  liveUltrasound: null,
+  sessionCost: undefined,
+  streamingMessageId: null,
   sessions: [],
   isLoading: false,
   isTyping: false,
@@ -179,7 +265,6 @@ const useChatStore = create<ChatStore>((set, get) => ({
         error: null,
       }))
 
-      // Use Flowise service for real AI responses (replaces demo mode)
       const request: SendMessageRequest = {
         message,
         sessionId: currentSession.id,
@@ -188,47 +273,34 @@ const useChatStore = create<ChatStore>((set, get) => ({
         ...options,
       }
 
-      // Get response from Flowise (Dr. Fascia) with fallback
-      let response: ChatMessage
-      try {
-        response = await flowiseService.sendMessage(request)
-      } catch (error) {
-        console.warn('Flowise service failed, trying proxy:', error)
-        
-        // Fallback to proxy service
-        const proxyResponse = await flowiseProxy.query({
-          question: message,
-          chatHistory: []
-        })
-        
-        if (proxyResponse.success) {
-          response = {
-            id: `flowise-proxy-${Date.now()}`,
-            content: proxyResponse.text,
-            role: 'assistant',
-            timestamp: new Date().toISOString(),
-            sources: [],
-            processingTime: 0
-          }
-        } else {
-          throw new Error(`Flowise proxy failed: ${proxyResponse.error}`)
+      if (isDemo()) {
+        const response = await sendViaFlowise(request)
+        set((state) => ({
+          currentSession: state.currentSession ? {
+            ...state.currentSession,
+            messages: [
+              ...state.currentSession.messages.filter(m => m.id !== userMessage.id),
+              { ...userMessage, id: response.id + '-user' },
+              response,
+            ],
+            updatedAt: new Date().toISOString(),
+          } : null,
+          isTyping: false,
+        }))
+      } else {
+        // Tokens render as they arrive; stream_end swaps in the stored message
+        const controller = new AbortController()
+        stream.controller = controller
+        try {
+          await apiService.streamMessage(request, {
+            signal: controller.signal,
+            onEvent: (event) => get().applyStreamEvent(event),
+          })
+        } finally {
+          if (stream.controller === controller) stream.controller = null
         }
       }
 
-      // Update with Flowise response
-      set((state) => ({
-        currentSession: state.currentSession ? {
-          ...state.currentSession,
-          messages: [
-            ...state.currentSession.messages.filter(m => m.id !== userMessage.id),
-            { ...userMessage, id: response.id + '-user' },
-            response,
-          ],
-          updatedAt: new Date().toISOString(),
-        } : null,
-        isTyping: false,
-      }))
-
       // Update session in sessions list
       set((state) => ({
         sessions: state.sessions.map(s =>
@@ -239,9 +311,46 @@ const useChatStore = create<ChatStore>((set, get) => ({
       }))
 
     } catch (error: any) {
+      // Stopped by the user: keep the partial answer; the socket delivers the stored copy
+      if (error.name === 'AbortError') {
+        const { streamingMessageId } = get()
+        set((state) => ({
+          isTyping: false,
+          streamingMessageId: null,
+          currentSession: state.currentSession ? {
+            ...state.currentSession,
+            messages: state.currentSession.messages
+              .filter(m => !(m.id === streamingMessageId && !m.content))
+              .map(m => m.id === streamingMessageId ? { ...m, streaming: false } : m),
+          } : null,
+        }))
+        return
+      }
+
       console.error('Failed to send message:', error)
       const errorMessage = error.response?.data?.message || 'Failed to send message'
 
+      // Show budget refusals in the conversation so the user knows when they can continue
+      if (error.response?.data?.code === 'BUDGET_EXCEEDED') {
+        const budgetMessage: ChatMessage = {
+          id: `budget-${Date.now()}`,
+          content: errorMessage,
+          role: 'system',
+          timestamp: new Date().toISOString(),
+        }
+
+        set((state) => ({
+          isTyping: false,
+          currentSession: state.currentSession ? {
+            ...state.currentSession,
+            messages: [...state.currentSession.messages, budgetMessage],
+          } : null,
+        }))
+
+        toast.error(errorMessage)
+        return
+      }
+
       set((state) => ({
         error: errorMessage,
         isTyping: false,
@@ -256,6 +365,89 @@ const useChatStore = create<ChatStore>((set, get) => ({
     }
   },
 
+  cancelStreaming: () => {
+    const { streamingMessageId } = get()
+    if (stream.controller) {
+      // Closing the request stops generation on the server
+      stream.controller.abort()
+      return
+    }
+    // Started from another tab; only the server can stop it
+    const ws = (get() as any).ws as WebSocket | undefined
+    if (streamingMessageId && ws?.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'cancel', messageId: streamingMessageId }))
+    }
+  },
+
+  applyStreamEvent: (event: StreamEvent) => {
+    const updateMessages = (update: (messages: ChatMessage[]) => ChatMessage[]) =>
+      set((state) => ({
+        currentSession: state.currentSession ? {
+          ...state.currentSession,
+          messages: update(state.currentSession.messages),
+        } : null,
+      }))
+    const finish = () => {
+      stream.tokenCounts.delete(event.messageId)
+      set((state) => ({
+        isTyping: false,
+        streamingMessageId: state.streamingMessageId === event.messageId ? null : state.streamingMessageId,
+      }))
+    }
+
+    switch (event.type) {
+      case 'stream_start':
+        if (get().currentSession?.id !== event.sessionId) return
+        if (!stream.tokenCounts.has(event.messageId)) stream.tokenCounts.set(event.messageId, 0)
+        updateMessages((messages) => {
+          const merged = mergeMessage(messages, event.userMessage)
+          if (merged.some(m => m.id === event.messageId)) return merged
+          // The disclaimer shows before the first token
+          return [...merged, {
+            id: event.messageId,
+            content: '',
+            role: 'assistant',
+            timestamp: new Date().toISOString(),
+            modelUsed: event.model,
+            disclaimer: event.disclaimer,
+            streaming: true,
+          }]
+        })
+        set({ streamingMessageId: event.messageId })
+        break
+      case 'token': {
+        const received = stream.tokenCounts.get(event.messageId)
+        if (received === undefined || event.index < received) return
+        stream.tokenCounts.set(event.messageId, event.index + 1)
+        updateMessages((messages) => messages.map(m =>
+          m.id === event.messageId && m.streaming ? { ...m, content: m.content + event.text } : m
+        ))
+        set({ isTyping: false })
+        break
+      }
+      case 'stream_end':
+        if (get().currentSession?.id !== event.sessionId) return
+        updateMessages((messages) => mergeMessage(messages, event.message))
+        set((state) => ({
+          sessions: state.sessions.map(s =>
+            s.id === event.sessionId ? { ...s, updatedAt: new Date().toISOString() } : s
+          ),
+        }))
+        finish()
+        break
+      case 'stream_cancelled':
+      case 'stream_error':
+        updateMessages((messages) => {
+          if (event.type === 'stream_cancelled' && event.message) {
+            return mergeMessage(messages, event.message)
+          }
+          return messages.filter(m => !(m.id === event.messageId && m.streaming))
+        })
+        finish()
+        break
+    }
+  },
+
   deleteSession: async (sessionId: string) => {
     try {
       await apiService.deleteChatSession(sessionId)
@@ -305,36 +497,146 @@ const useChatStore = create<ChatStore>((set, get) => ({
 
   // WebSocket management
   connectWebSocket: (sessionId: string) => {
-    const ws = apiService.createWebSocketConnection(sessionId)
+    if (socket.sessionId !== sessionId) {
+      socket.sessionId = sessionId
+      socket.epoch = null
+      socket.lastSeq = 0
+      socket.retries = 0
+    }
+    socket.closing = false
+    clearTimeout(socket.reconnectTimer)
+
+    const resume = socket.epoch ? { epoch: socket.epoch, lastSeq: socket.lastSeq } : undefined
+    const ws = apiService.createWebSocketConnection(sessionId, resume)
     if (!ws) return
 
+    // Two missed heartbeats mean the server is gone even if the socket looks open
+    const watchHeartbeat = (intervalMs: number) => {
+      clearTimeout(socket.heartbeatTimer)
+      socket.heartbeatTimer = setTimeout(() => ws.close(), intervalMs * 2)
+    }
+
+    const applySessionEvent = (data: SessionEvent) => {
+      const updateMessages = (update: (messages: ChatMessage[]) => ChatMessage[]) =>
+        set((state) => ({
+          currentSession: state.currentSession?.id === sessionId ? {
+            ...state.currentSession,
+            messages: update(state.currentSession.messages),
+          } : state.currentSession,
+        }))
+
+      switch (data.type) {
+        case 'message':
+          updateMessages((messages) => mergeMessage(messages, data.message))
+          break
+        case 'typing':
+          set({ isTyping: data.isTyping })
+          break
+        case 'cost':
+          updateMessages((messages) => messages.map(m =>
+            m.id === data.messageId ? { ...m, cost: data.cost } : m
+          ))
+          set({ sessionCost: data.sessionCost })
+          break
+        case 'alert':
+          set((state) => ({ alerts: [data.alert, ...state.alerts].slice(0, 20) }))
+          if (data.alert.severity === 'high' || data.alert.severity === 'critical') {
+            toast.error(data.alert.message, { duration: 10000 })
+          } else {
+            toast(data.alert.message)
+          }
+          break
+        case 'live_ultrasound':
+          set({
+            liveUltrasound: {
+              scannerId: data.scannerId,
+              analysis: data.analysis,
+              analyzedAt: data.analyzedAt,
+            },
+          })
+          break
+        case 'live_ultrasound_error':
+          console.warn(`Live ultrasound error (${data.scannerId}):`, data.error)
+          break
+        case 'session_closed':
+          socket.closing = true
+          set((state) => ({
+            sessions: state.sessions.filter(s => s.id !== sessionId),
+            currentSession: state.currentSession?.id === sessionId ? null : state.currentSession,
+          }))
+          break
+      }
+    }
+
     ws.onopen = () => {
       console.log('WebSocket connected for session:', sessionId)
+      socket.retries = 0
     }
 
     ws.onmessage = (event) => {
+      let data: SocketMessage
       try {
-        const data = JSON.parse(event.data)
-        
-        if (data.type === 'message') {
-          const message: ChatMessage = data.message
-          
-          set((state) => ({
-            currentSession: state.currentSession ? {
-              ...state.currentSession,
-              messages: [...state.currentSession.messages, message],
-            } : null,
-          }))
-        } else if (data.type === 'typing') {
-          set({ isTyping: data.isTyping })
-        }
+        data = JSON.parse(event.data)
       } catch (error) {
         console.error('Error parsing WebSocket message:', error)
+        return
+      }
+
+      if (data.type === 'connected') {
+        socket.heartbeatIntervalMs = data.heartbeatIntervalMs
+        watchHeartbeat(data.heartbeatIntervalMs)
+        // A new epoch means the server lost the old stream; a resync follows
+        if (!resume || resume.epoch !== data.epoch) socket.lastSeq = data.seq
+        socket.epoch = data.epoch
+        return
       }
+      watchHeartbeat(socket.heartbeatIntervalMs)
+
+      if (data.type === 'resync') {
+        // Missed events are gone; the stored history is authoritative
+        apiService.getChatHistory(sessionId).then((messages) => {
+          set((state) => ({
+            currentSession: state.currentSession?.id === sessionId
+              ? { ...state.currentSession, messages }
+              : state.currentSession,
+          }))
+        }).catch((error) => console.error('Failed to reload history:', error))
+        return
+      }
+      if (data.type === 'error') {
+        console.warn('WebSocket error message:', data.code, data.message)
+        return
+      }
+      // Streamed answers are not sequenced; applying them twice is harmless
+      if (STREAM_EVENT_TYPES.has(data.type)) {
+        get().applyStreamEvent(data as StreamEvent)
+        return
+      }
+      if (!('seq' in data)) return
+
+      // Replays can overlap what was already applied
+      if (data.seq <= socket.lastSeq) return
+      socket.lastSeq = data.seq
+      applySessionEvent(data)
     }
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
       console.log('WebSocket disconnected for session:', sessionId)
+      clearTimeout(socket.heartbeatTimer)
+      if (socket.closing || socket.sessionId !== sessionId) return
+      if (event.code === CLOSE_FORBIDDEN || event.code === CLOSE_SESSION_NOT_FOUND) return
+
+      // Expired tokens are refreshed by the API client's 401 handling before reconnecting
+      const ready = event.code === CLOSE_TOKEN_EXPIRED
+        ? apiService.getCurrentUser().then(() => undefined)
+        : Promise.resolve()
+      const delay = Math.min(30000, 1000 * 2 ** socket.retries)
+      socket.retries += 1
+      ready.then(() => {
+        socket.reconnectTimer = setTimeout(() => {
+          if (!socket.closing && socket.sessionId === sessionId) get().connectWebSocket(sessionId)
+        }, delay)
+      }).catch((error) => console.error('WebSocket reconnect aborted:', error))
     }
 
     ws.onerror = (error) => {
@@ -346,6 +648,9 @@ const useChatStore = create<ChatStore>((set, get) => ({
   },
 
   disconnectWebSocket: () => {
+    socket.closing = true
+    clearTimeout(socket.reconnectTimer)
+    clearTimeout(socket.heartbeatTimer)
     const ws = (get() as any).ws
     if (ws) {
       ws.close()
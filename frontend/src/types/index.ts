@@ -44,6 +44,23 @@ export interface ChatMessage {
   processingTime?: number
   disclaimer?: string
   metadata?: MessageMetadata
+  ensemble?: EnsembleReview
+  // Set while tokens are still arriving
+  streaming?: boolean
+}
+
+// Second-opinion review attached to safety-critical answers
+export interface EnsembleReview {
+  mode: 'merged' | 'escalated' | 'escalation_failed' | 'single'
+  agreementScore: number | null
+  models: string[]
+  escalatedTo?: string
+  contradictions: {
+    type: 'contraindication' | 'referral'
+    term: string
+    detail: string
+    models: string[]
+  }[]
 }
 
 export interface MessageMetadata {
@@ -52,6 +69,10 @@ export interface MessageMetadata {
   specialty?: string
   language?: string
   attachments?: Attachment[]
+  // The user stopped the stream; content is what had arrived
+  cancelled?: boolean
+  // Red-flag triage rule ids found in the user's message
+  redFlags?: string[]
 }
 
 export interface Source {
@@ -74,6 +95,50 @@ export interface ChatSession {
   updatedAt: string
   isActive: boolean
   patientContext?: PatientContext
+  symptomAssessment?: SymptomAssessmentState
+}
+
+// Guided symptom assessment (OPQRST); unknown and declined slots record that the user
+// could not or would not answer
+export type AssessmentSlotId =
+  | 'location'
+  | 'radiation'
+  | 'quality'
+  | 'onset'
+  | 'timing'
+  | 'severity'
+  | 'aggravating'
+  | 'relieving'
+  | 'impact'
+
+export interface AssessmentSlot {
+  status: 'filled' | 'unknown' | 'declined'
+  value?: string
+  source?: 'asked' | 'volunteered'
+  messageId?: string
+}
+
+export interface SymptomAssessmentState {
+  status: 'active' | 'paused' | 'complete'
+  symptom: string
+  slots: Partial<Record<AssessmentSlotId, AssessmentSlot>>
+  pending: AssessmentSlotId | null
+  interruptions: number
+  startedAt: string
+  updatedAt: string
+  completedAt?: string
+}
+
+// GET /api/chat/sessions/:sessionId/assessment
+export interface SymptomAssessment extends SymptomAssessmentState {
+  sessionId: string
+  summary: {
+    symptom: string
+    status: SymptomAssessmentState['status']
+    slots: Record<AssessmentSlotId, string | null>
+    unanswered: AssessmentSlotId[]
+    text: string
+  }
 }
 
 export interface PatientContext {
@@ -152,7 +217,7 @@ export interface ApiError {
 export interface AvailableModel {
   id: string
   name: string
-  provider: 'openai' | 'anthropic' | 'google' | 'local'
+  provider: 'openai' | 'anthropic' | 'google' | 'perplexity' | 'local'
   costPerToken: number
   capabilities: string[]
   status: 'available' | 'unavailable' | 'limited'
@@ -188,6 +253,69 @@ export interface MedicalAlert {
   requiresAction: boolean
 }
 
+// Real-time session events from /api/ws; seq orders them within a session
+interface SequencedEvent {
+  seq: number
+  sessionId: string
+  timestamp: string
+}
+
+export interface LiveUltrasoundUpdate {
+  scannerId: string
+  analysis: Record<string, any>
+  analyzedAt: string
+}
+
+export type SessionEvent = SequencedEvent & (
+  | { type: 'message'; message: ChatMessage }
+  | { type: 'typing'; isTyping: boolean }
+  | {
+      type: 'cost'
+      messageId: string
+      model: string
+      cost: number
+      sessionCost: number
+      budget?: { cost: number; remaining: number | null; downgradedFrom: string | null }
+    }
+  | { type: 'alert'; alert: MedicalAlert; source: string; analysisId?: string; messageId?: string }
+  | { type: 'ultrasound_analysis'; analysis: UltrasoundAnalysis }
+  | ({ type: 'live_ultrasound' } & LiveUltrasoundUpdate)
+  | { type: 'live_ultrasound_error'; scannerId: string; error: string }
+  | { type: 'scanner_status'; scannerId: string; connected: boolean }
+  | { type: 'session_closed'; reason: string }
+)
+
+// Streamed answers; tokens are not replayed, the stored message always follows
+export type StreamEvent =
+  | {
+      type: 'stream_start'
+      messageId: string
+      sessionId: string
+      clientRequestId?: string
+      userMessage: ChatMessage
+      model?: string
+      disclaimer: string
+    }
+  | { type: 'token'; messageId: string; index: number; text: string }
+  | {
+      type: 'stream_end'
+      messageId: string
+      sessionId: string
+      message: ChatMessage
+      safety: { level?: 'high' | 'medium' | 'low'; taskType?: string }
+    }
+  | { type: 'stream_cancelled'; messageId: string; sessionId: string; message?: ChatMessage }
+  | { type: 'stream_error'; messageId: string; sessionId: string; code: string; message: string }
+
+// Connection-level messages carry no seq and are never replayed
+export type SocketMessage =
+  | SessionEvent
+  | StreamEvent
+  | { type: 'connected'; sessionId: string; epoch: string; seq: number; heartbeatIntervalMs: number }
+  | { type: 'resync'; sessionId: string; reason: string }
+  | { type: 'heartbeat' | 'pong'; timestamp: string }
+  | { type: 'error'; code: string; message: string }
+
 export interface ComplianceLog {
   id: string
   userId: string
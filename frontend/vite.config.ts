@@ -16,6 +16,7 @@ export default defineConfig({
         target: 'http://localhost:3002',
         changeOrigin: true,
         secure: false,
+        ws: true,
       },
     },
   },
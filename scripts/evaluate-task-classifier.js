@@ -0,0 +1,96 @@
+// Offline evaluation harness for the medical task classifier
+// Usage: node scripts/evaluate-task-classifier.js [--train file.jsonl] [--eval file.jsonl] [--threshold 0.5]
+//   [--relative-threshold 0.6] [--safety-recall-floor 0.9]
+// Exits with 1 when the recall of any safety-critical task type falls below the floor, since a
+// missed safety-critical label routes the query below the safety bar
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import classifier from '../flowise-config/medical-task-classifier.js';
+import orchestrator from '../flowise-config/enhanced-multi-llm-orchestrator.js';
+
+const { loadLabeledExamples, trainTaskClassifier, evaluateClassifier, DEFAULT_TRAINING_PATH } = classifier;
+const { medicalTaskTypes } = orchestrator;
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+  const args = {
+    train: DEFAULT_TRAINING_PATH,
+    eval: path.join(rootDir, 'config', 'task-classifier-eval.jsonl'),
+    threshold: 0.5,
+    relativeThreshold: 0.6,
+    safetyRecallFloor: 0.9,
+    showErrors: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--train') args.train = path.resolve(argv[++i]);
+    else if (flag === '--eval') args.eval = path.resolve(argv[++i]);
+    else if (flag === '--threshold') args.threshold = Number(argv[++i]);
+    else if (flag === '--relative-threshold') args.relativeThreshold = Number(argv[++i]);
+    else if (flag === '--safety-recall-floor') args.safetyRecallFloor = Number(argv[++i]);
+    else if (flag === '--errors') args.showErrors = true;
+    else throw new Error(`Unknown argument: ${flag}`);
+  }
+  return args;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(7);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const trainingExamples = loadLabeledExamples(args.train);
+  const evaluationExamples = loadLabeledExamples(args.eval);
+
+  const model = trainTaskClassifier(trainingExamples, {
+    threshold: args.threshold,
+    relativeThreshold: args.relativeThreshold,
+  });
+  const report = evaluateClassifier(model, evaluationExamples);
+
+  console.log(`Trained on ${trainingExamples.length} examples, evaluated on ${report.sampleCount}`);
+  console.log('');
+  console.log(`${'task type'.padEnd(20)}precision  recall      f1  support`);
+  for (const [label, metrics] of Object.entries(report.perClass)) {
+    console.log(
+      `${label.padEnd(20)}${formatPercent(metrics.precision)}  ${formatPercent(metrics.recall)} ` +
+        `${formatPercent(metrics.f1)}  ${String(metrics.support).padStart(7)}`
+    );
+  }
+  console.log('');
+  console.log(`micro precision ${formatPercent(report.micro.precision)}`);
+  console.log(`micro recall    ${formatPercent(report.micro.recall)}`);
+  console.log(`top-1 accuracy  ${formatPercent(report.topOneAccuracy)}`);
+  console.log('');
+  console.log(`multi-label examples ${report.multiLabel.sampleCount}`);
+  console.log(`  label recall  ${formatPercent(report.multiLabel.recall)}`);
+  console.log(`  exact match   ${formatPercent(report.multiLabel.exactMatch)}`);
+
+  if (args.showErrors && report.errors.length > 0) {
+    console.log('');
+    console.log('Misclassified (top-1):');
+    for (const error of report.errors) {
+      console.log(`- "${error.query}" expected ${error.expected.join(', ')}, got ${error.predicted.join(', ')}`);
+    }
+  }
+
+  const belowFloor = Object.entries(report.perClass).filter(([label, metrics]) =>
+    medicalTaskTypes[label] && medicalTaskTypes[label].safety_critical &&
+      metrics.support > 0 && metrics.recall < args.safetyRecallFloor
+  );
+  console.log('');
+  if (belowFloor.length === 0) {
+    console.log(`Safety-critical recall at or above ${formatPercent(args.safetyRecallFloor).trim()}`);
+    return;
+  }
+  for (const [label, metrics] of belowFloor) {
+    console.log(`${label} recall ${formatPercent(metrics.recall).trim()} is below the safety floor ${formatPercent(args.safetyRecallFloor).trim()}`);
+  }
+  process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,49 @@
+// Regression check for the red-flag triage against the curated corpus
+// Usage: node scripts/evaluate-triage.js [--corpus file.jsonl]
+// Exits 1 when any case is triaged to another level or misses an expected flag
+
+import path from 'path';
+import triageModule from '../flowise-config/red-flag-triage.js';
+
+const { RedFlagTriage, loadTriageCases, evaluateTriage, DEFAULT_CORPUS_PATH } = triageModule;
+
+function parseArgs(argv) {
+  const args = { corpus: DEFAULT_CORPUS_PATH };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--corpus') args.corpus = path.resolve(argv[++i]);
+    else throw new Error(`Unknown argument: ${flag}`);
+  }
+  return args;
+}
+
+function describe(result) {
+  const flags = result.actualFlags.length > 0 ? ` [${result.actualFlags.join(', ')}]` : '';
+  const missing = result.missingFlags.length > 0 ? `, missing ${result.missingFlags.join(', ')}` : '';
+  const earlier = result.history ? ` (after ${result.history.length} earlier messages)` : '';
+  return `- "${result.message}"${earlier} expected ${result.level}, got ${result.actual}${flags}${missing}`;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = evaluateTriage(new RedFlagTriage(), loadTriageCases(args.corpus));
+
+  console.log(`${report.passed}/${report.total} cases triaged as expected`);
+
+  const sections = [
+    ['Under-triaged', report.underTriaged],
+    ['Over-triaged', report.overTriaged],
+    ['Missing flags', report.failures.filter(result => result.gap === 0)],
+  ];
+  for (const [title, results] of sections) {
+    if (results.length === 0) continue;
+    console.log('');
+    console.log(`${title}:`);
+    for (const result of results) console.log(describe(result));
+  }
+
+  if (report.failures.length > 0) process.exitCode = 1;
+}
+
+main();
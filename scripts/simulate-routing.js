@@ -0,0 +1,161 @@
+// Routing simulator and regression check for selectOptimalModel
+// Usage: node scripts/simulate-routing.js [--corpus file.jsonl] [--env production] [--use-labels]
+//          [--baseline file.json] [--save-baseline [file.json]] [--check] [--details]
+// --check exits with 1 when any query routes differently from the baseline, the estimated
+// cost drifts, the safety-critical compliance rate drops or any safety-critical query misses the
+// safety bar. A baseline is never saved while one does, so a misroute cannot be frozen into it.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_BASELINE = path.join(rootDir, 'config', 'routing-baseline.json');
+
+function parseArgs(argv) {
+  const args = {
+    corpus: path.join(rootDir, 'config', 'routing-corpus.jsonl'),
+    env: process.env.MODEL_REGISTRY_ENV || 'production',
+    useLabels: false,
+    baseline: DEFAULT_BASELINE,
+    saveBaseline: null,
+    check: false,
+    details: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--corpus') args.corpus = path.resolve(argv[++i]);
+    else if (flag === '--env') args.env = argv[++i];
+    else if (flag === '--use-labels') args.useLabels = true;
+    else if (flag === '--baseline') args.baseline = path.resolve(argv[++i]);
+    else if (flag === '--save-baseline') {
+      args.saveBaseline = argv[i + 1] && !argv[i + 1].startsWith('--') ? path.resolve(argv[++i]) : args.baseline;
+    } else if (flag === '--check') args.check = true;
+    else if (flag === '--details') args.details = true;
+    else throw new Error(`Unknown argument: ${flag}`);
+  }
+  return args;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(7);
+}
+
+function formatDelta(value, digits = 0) {
+  const fixed = value.toFixed(digits);
+  if (Number(fixed) === 0) return (0).toFixed(digits);
+  return Number(fixed) > 0 ? `+${fixed}` : fixed;
+}
+
+function printSummary(summary, records, args) {
+  console.log(`Routed ${summary.queries} queries (${args.useLabels ? 'labeled task types' : 'classifier'})`);
+  console.log('');
+  console.log(`${'model'.padEnd(22)}queries   share`);
+  const sorted = Object.entries(summary.distribution).sort(([, a], [, b]) => b - a);
+  for (const [model, count] of sorted) {
+    console.log(`${model.padEnd(22)}${String(count).padStart(7)} ${formatPercent(count / summary.queries)}`);
+  }
+  console.log('');
+  console.log(`projected cost per 1k queries  $${summary.costPer1k.toFixed(2)}`);
+  console.log(
+    `safety-critical compliance     ${formatPercent(summary.safetyCritical.rate).trim()} ` +
+      `(${summary.safetyCritical.compliant}/${summary.safetyCritical.total})`
+  );
+  for (const violation of summary.safetyCritical.violations) {
+    console.log(`  ! "${violation.query}" -> ${violation.model} (safety ${violation.safetyLevel})`);
+  }
+
+  if (args.details) {
+    console.log('');
+    for (const record of records) {
+      console.log(`- ${record.model.padEnd(20)} ${record.taskType.padEnd(18)} "${record.query}"`);
+    }
+  }
+}
+
+function printDiff(diff) {
+  console.log('');
+  console.log(`Compared with baseline (registry ${diff.baselineVersion})`);
+  for (const [model, counts] of Object.entries(diff.distribution)) {
+    if (counts.delta !== 0) {
+      console.log(`  ${model.padEnd(20)} ${counts.before} -> ${counts.after} (${formatDelta(counts.delta)})`);
+    }
+  }
+  console.log(
+    `  cost per 1k          $${diff.costPer1k.before.toFixed(2)} -> $${diff.costPer1k.after.toFixed(2)} ` +
+      `(${formatDelta(diff.costPer1k.delta, 2)})`
+  );
+  console.log(
+    `  safety compliance    ${formatPercent(diff.safetyCriticalRate.before).trim()} -> ` +
+      `${formatPercent(diff.safetyCriticalRate.after).trim()}`
+  );
+
+  if (diff.changed.length === 0 && diff.added.length === 0 && diff.removed.length === 0) {
+    console.log(diff.costPer1k.drifted ? '  No routing changes, but the estimated cost changed' : '  No routing changes');
+  }
+  for (const change of diff.changed) {
+    const { before, after } = change;
+    console.log(`  ~ "${change.query}"`);
+    console.log(`      ${before.model} (${before.taskType}, ${before.safetyLevel}) -> ${after.model} (${after.taskType}, ${after.safetyLevel})`);
+  }
+  for (const change of diff.costChanged) {
+    console.log(`  $ "${change.query}"`);
+    console.log(`      ${change.model} $${change.before.toFixed(6)} -> $${change.after.toFixed(6)}`);
+  }
+  diff.added.forEach(query => console.log(`  + "${query}" (not in baseline)`));
+  diff.removed.forEach(query => console.log(`  - "${query}" (no longer in corpus)`));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // The registry picks its enabled models when first loaded, so the environment is set first
+  process.env.MODEL_REGISTRY_ENV = args.env;
+  const { default: classifier } = await import('../flowise-config/medical-task-classifier.js');
+  const { default: simulator } = await import('../flowise-config/routing-simulator.js');
+  const { simulateRouting, summarizeRouting, createBaseline, diffRouting } = simulator;
+
+  const examples = classifier.loadLabeledExamples(args.corpus);
+  const records = await simulateRouting(examples, { useLabels: args.useLabels });
+  const summary = summarizeRouting(records);
+  printSummary(summary, records, args);
+
+  let regressed = false;
+  if (fs.existsSync(args.baseline) && args.saveBaseline !== args.baseline) {
+    const baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8'));
+    const diff = diffRouting(baseline, records, summary);
+    printDiff(diff);
+    regressed = diff.changed.length > 0 || diff.costPer1k.drifted || diff.safetyCriticalRate.delta < 0;
+  } else if (!args.saveBaseline) {
+    console.log('');
+    console.log(`No baseline at ${path.relative(rootDir, args.baseline)}; run with --save-baseline to create one`);
+  }
+
+  const violations = summary.safetyCritical.violations;
+  if (args.saveBaseline && violations.length > 0) {
+    console.error('');
+    console.error(`Not saving a baseline: ${violations.length} safety-critical quer${violations.length === 1 ? 'y misses' : 'ies miss'} the safety bar`);
+    process.exitCode = 1;
+  } else if (args.saveBaseline) {
+    fs.writeFileSync(args.saveBaseline, `${JSON.stringify(createBaseline(records, summary), null, 2)}\n`);
+    console.log('');
+    console.log(`Saved baseline to ${path.relative(rootDir, args.saveBaseline)}`);
+  }
+
+  if (args.check && regressed) {
+    console.error('');
+    console.error('Routing or estimated cost differs from the baseline; review the changes and save a new baseline if intended');
+    process.exitCode = 1;
+  }
+  if (args.check && violations.length > 0) {
+    console.error('');
+    console.error('Safety-critical queries reach a model below the safety bar; fix their routing');
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,68 @@
+// Express application for F-Bot 2.0
+// Routes match frontend/src/services/api.ts; everything but /api/health and /api/auth requires a token
+
+import crypto from 'crypto';
+import express from 'express';
+import helmet from 'helmet';
+import cors from 'cors';
+import compression from 'compression';
+import morgan from 'morgan';
+import rateLimit from 'express-rate-limit';
+import { requireAuth } from './http/auth.js';
+import { createApiError, errorHandler, notFoundHandler } from './http/errors.js';
+import { createAnalyticsRouter } from './routes/analytics.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createChatRouter } from './routes/chat.js';
+import { createHealthRouter } from './routes/health.js';
+import { createModelsRouter } from './routes/models.js';
+import { createRagRouter } from './routes/rag.js';
+import { createUltrasoundRouter } from './routes/ultrasound.js';
+import { createUploadRouter } from './routes/upload.js';
+
+export function createApp(services) {
+  const { config } = services;
+  const app = express();
+
+  app.disable('x-powered-by');
+  app.set('trust proxy', 1);
+
+  // Every response carries a request id that also appears in error bodies and audit entries
+  app.use((req, res, next) => {
+    req.id = crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+  });
+  app.use(helmet());
+  app.use(cors({ origin: config.corsOrigin, credentials: true }));
+  app.use(compression());
+  // Specs run with NODE_ENV=test; their requests would bury the test output
+  if (config.env !== 'test') app.use(morgan(config.env === 'production' ? 'combined' : 'dev'));
+  app.use(express.json({ limit: '1mb' }));
+
+  app.use(
+    '/api',
+    rateLimit({
+      windowMs: config.rateLimit.windowMs,
+      limit: config.rateLimit.max,
+      standardHeaders: 'draft-7',
+      legacyHeaders: false,
+      handler: (req, res, next) =>
+        next(createApiError(429, 'RATE_LIMITED', 'Too many requests; please slow down')),
+    })
+  );
+
+  app.use('/api/health', createHealthRouter(services));
+  app.use('/api/auth', createAuthRouter(services));
+
+  const authenticated = requireAuth(services);
+  app.use('/api/chat', authenticated, createChatRouter(services));
+  app.use('/api/ultrasound', authenticated, createUltrasoundRouter(services));
+  app.use('/api/models', authenticated, createModelsRouter(services));
+  app.use('/api/analytics', authenticated, createAnalyticsRouter(services));
+  app.use('/api/rag', authenticated, createRagRouter(services));
+  app.use('/api/upload', authenticated, createUploadRouter(services));
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+}
@@ -0,0 +1,75 @@
+// Server configuration for F-Bot 2.0
+// Read once from the environment; defaults run the full app locally with no external services
+
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const env = process.env;
+
+function numberFrom(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export const config = {
+  env: env.NODE_ENV || 'development',
+  host: env.HOST || '0.0.0.0',
+  // The Vite dev proxy forwards /api to port 3002
+  port: numberFrom(env.PORT, 3002),
+  corsOrigin: env.CORS_ORIGIN || true,
+
+  databasePath: env.SQLITE_PATH || 'data/fbot.sqlite',
+  uploadDir: env.UPLOAD_DIR || 'data/uploads',
+  maxUploadBytes: numberFrom(env.UPLOAD_MAX_BYTES, 20 * 1024 * 1024),
+
+  jwt: {
+    // Development falls back to a per-process secret; production must set JWT_SECRET
+    secret: env.JWT_SECRET || null,
+    refreshSecret: env.JWT_REFRESH_SECRET || env.JWT_SECRET || null,
+    expiresIn: numberFrom(env.JWT_EXPIRES_IN, 3600),
+    refreshExpiresIn: numberFrom(env.JWT_REFRESH_EXPIRES_IN, 86400),
+    issuer: env.JWT_ISSUER || 'fbot.ai',
+    audience: env.JWT_AUDIENCE || 'fbot-users',
+  },
+
+  // First start with an empty database creates this administrator
+  admin: {
+    username: env.ADMIN_USERNAME || 'admin@fbot.local',
+    password: env.ADMIN_PASSWORD || null,
+  },
+
+  rateLimit: {
+    windowMs: numberFrom(env.RATE_LIMIT_WINDOW, 60) * 1000,
+    max: numberFrom(env.RATE_LIMIT_MAX_REQUESTS, 100),
+  },
+
+  rag: {
+    embeddings: env.RAG_EMBEDDINGS || 'local',
+    embeddingModel: env.RAG_EMBEDDING_MODEL || undefined,
+    topK: numberFrom(env.RAG_TOP_K, 4),
+  },
+
+  monitoringEnabled: env.MONITORING_ENABLED === 'true',
+  clariusEnabled: env.CLARIUS_INTEGRATION_ENABLED === 'true',
+  phiRoutingPolicy: env.PHI_ROUTING_POLICY || 'local_only',
+  providerRateLimiting: env.LLM_RATE_LIMITING !== 'false',
+  // A/B experiments; nothing is assigned when the file does not exist
+  experimentsPath: env.EXPERIMENTS_PATH || 'config/experiments.json',
+  // Spend limits per user, role and organization; the built-in limits apply when the file does not exist
+  budgetLimitsPath: env.BUDGET_LIMITS_PATH || 'config/budgets.json',
+  toolCallingEnabled: env.TOOL_CALLING_ENABLED === 'true',
+  toolMaxSteps: numberFrom(env.TOOL_MAX_STEPS, 4),
+  historyTurns: numberFrom(env.CHAT_HISTORY_TURNS, 20),
+};
+
+export function resolveSecrets() {
+  if (!config.jwt.secret) {
+    if (config.env === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    config.jwt.secret = crypto.randomBytes(32).toString('hex');
+    config.jwt.refreshSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('JWT_SECRET is not set; tokens will not survive a restart');
+  }
+  return config;
+}
@@ -0,0 +1,772 @@
+// Local SQLite store for F-Bot 2.0
+// Users, chat sessions, routing decisions, ultrasound analyses, uploads, usage, budget spend, experiment results and the audit trail in one file
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+
+// Each entry upgrades the schema by one version; never edit a shipped migration
+const migrations = [
+  `
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    email TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    first_name TEXT,
+    last_name TEXT,
+    role TEXT NOT NULL,
+    org_id TEXT NOT NULL DEFAULT 'default',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE refresh_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT
+  );
+
+  CREATE TABLE chat_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    patient_context TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX chat_sessions_user ON chat_sessions(user_id, updated_at);
+
+  CREATE TABLE chat_messages (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    details TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX chat_messages_session ON chat_messages(session_id, created_at);
+
+  CREATE TABLE ultrasound_analyses (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    patient_id TEXT,
+    body_part TEXT NOT NULL,
+    clinical_context TEXT,
+    upload_id TEXT,
+    findings TEXT NOT NULL,
+    recommendations TEXT NOT NULL,
+    confidence REAL NOT NULL,
+    model_used TEXT NOT NULL,
+    processing_time REAL NOT NULL,
+    status TEXT NOT NULL,
+    interpretation TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX ultrasound_analyses_user ON ultrasound_analyses(user_id, created_at);
+
+  CREATE TABLE uploads (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    original_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    path TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE usage (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    session_id TEXT,
+    message_id TEXT,
+    model TEXT,
+    provider TEXT,
+    task_type TEXT,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    cost REAL NOT NULL DEFAULT 0,
+    latency_ms REAL,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX usage_created ON usage(created_at);
+
+  CREATE TABLE audit_log (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    user_id TEXT,
+    entry TEXT NOT NULL
+  );
+  CREATE INDEX audit_log_user ON audit_log(user_id, timestamp);
+
+  CREATE TABLE rag_chunks (
+    id TEXT PRIMARY KEY,
+    content TEXT NOT NULL,
+    metadata TEXT NOT NULL,
+    embedding TEXT NOT NULL,
+    embedding_model TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE routing_decisions (
+    message_id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    user_message_id TEXT,
+    user_id TEXT NOT NULL,
+    model TEXT,
+    task_type TEXT,
+    registry_version TEXT,
+    decision TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX routing_decisions_session ON routing_decisions(session_id, created_at);
+  `,
+  `
+  ALTER TABLE chat_sessions ADD COLUMN symptom_assessment TEXT;
+  `,
+  // Routing decisions are part of the clinical audit trail, so they outlive their chat session
+  `
+  CREATE TABLE routing_decisions_kept (
+    message_id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    user_message_id TEXT,
+    user_id TEXT NOT NULL,
+    model TEXT,
+    task_type TEXT,
+    registry_version TEXT,
+    decision TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  INSERT INTO routing_decisions_kept SELECT message_id, session_id, user_message_id, user_id, model, task_type,
+    registry_version, decision, created_at FROM routing_decisions;
+  DROP TABLE routing_decisions;
+  ALTER TABLE routing_decisions_kept RENAME TO routing_decisions;
+  CREATE INDEX routing_decisions_session ON routing_decisions(session_id, created_at);
+  `,
+  `
+  CREATE TABLE budget_spend (
+    spend_key TEXT PRIMARY KEY,
+    amount REAL NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE experiment_results (
+    experiment_id TEXT NOT NULL,
+    arm_id TEXT NOT NULL,
+    results TEXT NOT NULL,
+    PRIMARY KEY (experiment_id, arm_id)
+  );
+  `,
+];
+
+function now() {
+  return new Date().toISOString();
+}
+
+function parseJSON(value, fallback = null) {
+  return value ? JSON.parse(value) : fallback;
+}
+
+function toUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    passwordHash: row.password_hash,
+    firstName: row.first_name || undefined,
+    lastName: row.last_name || undefined,
+    role: row.role,
+    orgId: row.org_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toSession(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    title: row.title,
+    messages: [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    isActive: Boolean(row.is_active),
+    patientContext: parseJSON(row.patient_context, undefined),
+    symptomAssessment: parseJSON(row.symptom_assessment, undefined),
+  };
+}
+
+// Optional ChatMessage fields live in one JSON column
+function toMessage(row) {
+  return {
+    id: row.id,
+    content: row.content,
+    role: row.role,
+    timestamp: row.created_at,
+    ...parseJSON(row.details, {}),
+  };
+}
+
+function toAnalysis(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    patientId: row.patient_id || undefined,
+    bodyPart: row.body_part,
+    imageUrl: row.upload_id ? `/api/upload/${row.upload_id}` : '',
+    findings: parseJSON(row.findings, []),
+    recommendations: parseJSON(row.recommendations, []),
+    confidence: row.confidence,
+    modelUsed: row.model_used,
+    processingTime: row.processing_time,
+    createdAt: row.created_at,
+    status: row.status,
+  };
+}
+
+function toUpload(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    name: row.original_name,
+    mimeType: row.mime_type,
+    size: row.size,
+    path: row.path,
+    url: `/api/upload/${row.id}`,
+    uploadedAt: row.created_at,
+  };
+}
+
+export class Store {
+  constructor(filePath) {
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    for (let index = version; index < migrations.length; index++) {
+      this.db.transaction(() => {
+        this.db.exec(migrations[index]);
+        this.db.pragma(`user_version = ${index + 1}`);
+      })();
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  isHealthy() {
+    try {
+      return this.db.prepare('SELECT 1 AS ok').get().ok === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Users
+
+  countUsers() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+  }
+
+  createUser(user) {
+    const timestamp = now();
+    const id = user.id || crypto.randomUUID();
+    this.db
+      .prepare(
+        `INSERT INTO users (id, username, email, password_hash, first_name, last_name, role, org_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        id,
+        user.username,
+        user.email || user.username,
+        user.passwordHash,
+        user.firstName || null,
+        user.lastName || null,
+        user.role,
+        user.orgId || 'default',
+        timestamp,
+        timestamp
+      );
+    return this.findUserById(id);
+  }
+
+  findUserById(id) {
+    return toUser(this.db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  findUserByUsername(username) {
+    return toUser(
+      this.db
+        .prepare('SELECT * FROM users WHERE username = ? COLLATE NOCASE')
+        .get(username)
+    );
+  }
+
+  // Refresh tokens are single use: refreshing revokes the presented token
+
+  saveRefreshToken(id, userId, expiresAt) {
+    this.db
+      .prepare(
+        'INSERT INTO refresh_tokens (id, user_id, expires_at) VALUES (?, ?, ?)'
+      )
+      .run(id, userId, expiresAt);
+  }
+
+  findRefreshToken(id) {
+    const row = this.db
+      .prepare('SELECT * FROM refresh_tokens WHERE id = ?')
+      .get(id);
+    return row
+      ? {
+          id: row.id,
+          userId: row.user_id,
+          expiresAt: row.expires_at,
+          revokedAt: row.revoked_at,
+        }
+      : null;
+  }
+
+  revokeRefreshToken(id) {
+    this.db
+      .prepare(
+        'UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'
+      )
+      .run(now(), id);
+  }
+
+  revokeUserTokens(userId) {
+    this.db
+      .prepare(
+        'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL'
+      )
+      .run(now(), userId);
+  }
+
+  // Chat sessions and messages
+
+  createSession(userId, { title, patientContext } = {}) {
+    const timestamp = now();
+    const id = crypto.randomUUID();
+    this.db
+      .prepare(
+        `INSERT INTO chat_sessions (id, user_id, title, patient_context, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        id,
+        userId,
+        title || 'New Chat Session',
+        patientContext ? JSON.stringify(patientContext) : null,
+        timestamp,
+        timestamp
+      );
+    return this.getSession(id);
+  }
+
+  getSession(id) {
+    return toSession(
+      this.db.prepare('SELECT * FROM chat_sessions WHERE id = ?').get(id)
+    );
+  }
+
+  listSessions(userId) {
+    return this.db
+      .prepare(
+        'SELECT * FROM chat_sessions WHERE user_id = ? ORDER BY updated_at DESC'
+      )
+      .all(userId)
+      .map(toSession);
+  }
+
+  updateSessionTitle(id, title) {
+    this.db
+      .prepare(
+        'UPDATE chat_sessions SET title = ?, updated_at = ? WHERE id = ?'
+      )
+      .run(title, now(), id);
+    return this.getSession(id);
+  }
+
+  // State of the guided symptom assessment, summarized for clinicians by the chat service
+  saveSymptomAssessment(id, assessment) {
+    this.db
+      .prepare('UPDATE chat_sessions SET symptom_assessment = ? WHERE id = ?')
+      .run(JSON.stringify(assessment), id);
+  }
+
+  deleteSession(id) {
+    return (
+      this.db.prepare('DELETE FROM chat_sessions WHERE id = ?').run(id)
+        .changes > 0
+    );
+  }
+
+  addMessage(sessionId, message) {
+    const timestamp = message.timestamp || now();
+    const id = message.id || crypto.randomUUID();
+    const { content, role, ...details } = message;
+    delete details.id;
+    delete details.timestamp;
+
+    this.db.transaction(() => {
+      this.db
+        .prepare(
+          `INSERT INTO chat_messages (id, session_id, role, content, details, created_at)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          id,
+          sessionId,
+          role,
+          content,
+          JSON.stringify(details),
+          timestamp
+        );
+      this.db
+        .prepare('UPDATE chat_sessions SET updated_at = ? WHERE id = ?')
+        .run(timestamp, sessionId);
+    })();
+    return { id, content, role, timestamp, ...details };
+  }
+
+  // limit keeps the most recent messages, still returned oldest first
+  listMessages(sessionId, limit = null) {
+    const rows = limit
+      ? this.db
+          .prepare(
+            `SELECT * FROM (
+               SELECT rowid AS position, * FROM chat_messages WHERE session_id = ?
+               ORDER BY created_at DESC, position DESC LIMIT ?
+             ) ORDER BY created_at ASC, position ASC`
+          )
+          .all(sessionId, limit)
+      : this.db
+          .prepare(
+            'SELECT * FROM chat_messages WHERE session_id = ? ORDER BY created_at ASC, rowid ASC'
+          )
+          .all(sessionId);
+    return rows.map(toMessage);
+  }
+
+  // Routing decisions (the audit record of why each answer went to its model)
+
+  saveRoutingDecision(record) {
+    const createdAt = record.createdAt || now();
+    this.db
+      .prepare(
+        `INSERT INTO routing_decisions (message_id, session_id, user_message_id, user_id, model,
+           task_type, registry_version, decision, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        record.messageId,
+        record.sessionId,
+        record.userMessageId || null,
+        record.userId,
+        record.decision.execution.model || record.decision.selected.model || null,
+        record.decision.taskType || null,
+        record.decision.registryVersion || null,
+        JSON.stringify(record.decision),
+        createdAt
+      );
+    return { ...record, createdAt };
+  }
+
+  getRoutingDecision(messageId) {
+    const row = this.db
+      .prepare('SELECT * FROM routing_decisions WHERE message_id = ?')
+      .get(messageId);
+    if (!row) return null;
+    return {
+      messageId: row.message_id,
+      sessionId: row.session_id,
+      userMessageId: row.user_message_id || undefined,
+      userId: row.user_id,
+      createdAt: row.created_at,
+      decision: parseJSON(row.decision),
+    };
+  }
+
+  // Ultrasound analyses and uploads
+
+  saveAnalysis(analysis) {
+    const id = analysis.id || crypto.randomUUID();
+    this.db
+      .prepare(
+        `INSERT INTO ultrasound_analyses (id, user_id, patient_id, body_part, clinical_context, upload_id,
+           findings, recommendations, confidence, model_used, processing_time, status, interpretation, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        id,
+        analysis.userId,
+        analysis.patientId || null,
+        analysis.bodyPart,
+        analysis.clinicalContext || null,
+        analysis.uploadId || null,
+        JSON.stringify(analysis.findings || []),
+        JSON.stringify(analysis.recommendations || []),
+        analysis.confidence || 0,
+        analysis.modelUsed,
+        analysis.processingTime || 0,
+        analysis.status,
+        analysis.interpretation ? JSON.stringify(analysis.interpretation) : null,
+        analysis.createdAt || now()
+      );
+    return this.getAnalysis(id);
+  }
+
+  getAnalysis(id) {
+    return toAnalysis(
+      this.db.prepare('SELECT * FROM ultrasound_analyses WHERE id = ?').get(id)
+    );
+  }
+
+  listAnalyses(userId, limit = 50) {
+    return this.db
+      .prepare(
+        'SELECT * FROM ultrasound_analyses WHERE user_id = ? ORDER BY created_at DESC LIMIT ?'
+      )
+      .all(userId, limit)
+      .map(toAnalysis);
+  }
+
+  saveUpload(upload) {
+    const id = upload.id || crypto.randomUUID();
+    this.db
+      .prepare(
+        `INSERT INTO uploads (id, user_id, type, original_name, mime_type, size, path, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        id,
+        upload.userId,
+        upload.type,
+        upload.name,
+        upload.mimeType,
+        upload.size,
+        upload.path,
+        now()
+      );
+    return this.getUpload(id);
+  }
+
+  getUpload(id) {
+    return toUpload(
+      this.db.prepare('SELECT * FROM uploads WHERE id = ?').get(id)
+    );
+  }
+
+  // Usage and cost
+
+  recordUsage(usage) {
+    this.db
+      .prepare(
+        `INSERT INTO usage (id, user_id, session_id, message_id, model, provider, task_type,
+           input_tokens, output_tokens, cost, latency_ms, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        crypto.randomUUID(),
+        usage.userId || null,
+        usage.sessionId || null,
+        usage.messageId || null,
+        usage.model || null,
+        usage.provider || null,
+        usage.taskType || null,
+        usage.inputTokens || 0,
+        usage.outputTokens || 0,
+        usage.cost || 0,
+        usage.latencyMs ?? null,
+        usage.status,
+        usage.createdAt || now()
+      );
+  }
+
+  getSessionCost(sessionId) {
+    return this.db
+      .prepare('SELECT COALESCE(SUM(cost), 0) AS cost FROM usage WHERE session_id = ?')
+      .get(sessionId).cost;
+  }
+
+  // userId limits the summary to one user; omit it for the whole deployment
+  getCostSummary(userId = null) {
+    const scope = userId ? 'AND user_id = @userId' : '';
+    const params = userId ? { userId } : {};
+    const sum = since =>
+      this.db
+        .prepare(
+          `SELECT COALESCE(SUM(cost), 0) AS cost FROM usage WHERE created_at >= @since ${scope}`
+        )
+        .get({ ...params, since }).cost;
+
+    const today = new Date();
+    const dayStart = new Date(
+      Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate())
+    ).toISOString();
+    const monthStart = new Date(
+      Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)
+    ).toISOString();
+
+    const totals = this.db
+      .prepare(
+        `SELECT COALESCE(SUM(cost), 0) AS cost, COUNT(*) AS requests
+         FROM usage WHERE status = 'success' ${scope}`
+      )
+      .get(params);
+    const byModel = this.db
+      .prepare(
+        `SELECT model, SUM(cost) AS cost FROM usage
+         WHERE model IS NOT NULL ${scope} GROUP BY model`
+      )
+      .all(params);
+
+    return {
+      totalCost: totals.cost,
+      monthlyCost: sum(monthStart),
+      dailyCost: sum(dayStart),
+      costByModel: Object.fromEntries(byModel.map(row => [row.model, row.cost])),
+      requestCount: totals.requests,
+      averageCostPerRequest:
+        totals.requests > 0 ? totals.cost / totals.requests : 0,
+    };
+  }
+
+  getModelUsageStats() {
+    return this.db
+      .prepare(
+        `SELECT model,
+           COUNT(*) AS requests,
+           SUM(CASE WHEN status = 'success' THEN 0 ELSE 1 END) AS errors,
+           AVG(CASE WHEN status = 'success' THEN latency_ms END) AS avg_latency_ms,
+           SUM(input_tokens + output_tokens) AS tokens,
+           SUM(cost) AS cost
+         FROM usage WHERE model IS NOT NULL GROUP BY model`
+      )
+      .all();
+  }
+
+  // Budget spend (the BudgetLedger's current windows, keyed scope:id:period:window)
+
+  loadBudgetSpend() {
+    const rows = this.db.prepare('SELECT spend_key, amount FROM budget_spend').all();
+    return Object.fromEntries(rows.map(row => [row.spend_key, row.amount]));
+  }
+
+  // Replaces the stored spend; the ledger prunes expired windows before saving
+  saveBudgetSpend(spend) {
+    const insert = this.db.prepare('INSERT INTO budget_spend (spend_key, amount) VALUES (?, ?)');
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM budget_spend').run();
+      for (const [key, amount] of Object.entries(spend)) insert.run(key, amount);
+    })();
+  }
+
+  // Experiment results (the ExperimentManager's per-arm exposures, errors, latency, cost and satisfaction)
+
+  loadExperimentResults() {
+    return this.db.prepare('SELECT results FROM experiment_results').all().map(row => JSON.parse(row.results));
+  }
+
+  // Upserts the arms that changed; results of concluded experiments are kept
+  saveExperimentResults(results) {
+    const upsert = this.db.prepare(
+      'INSERT OR REPLACE INTO experiment_results (experiment_id, arm_id, results) VALUES (?, ?, ?)'
+    );
+    this.db.transaction(() => {
+      for (const arm of results) upsert.run(arm.experimentId, arm.armId, JSON.stringify(arm));
+    })();
+  }
+
+  // Audit trail (written by the compliance AuditLogger)
+
+  writeAudit(entry) {
+    this.db
+      .prepare(
+        'INSERT INTO audit_log (id, timestamp, event_type, user_id, entry) VALUES (?, ?, ?, ?, ?)'
+      )
+      .run(
+        entry.id || crypto.randomUUID(),
+        entry.timestamp || now(),
+        entry.eventType || 'UNKNOWN',
+        entry.userId || null,
+        JSON.stringify(entry)
+      );
+  }
+
+  listAuditEvents(userId, since) {
+    return this.db
+      .prepare(
+        'SELECT id, timestamp, event_type FROM audit_log WHERE user_id = ? AND timestamp >= ?'
+      )
+      .all(userId, since)
+      .map(row => ({ id: row.id, timestamp: row.timestamp, eventType: row.event_type }));
+  }
+
+  // RAG chunks
+
+  addChunks(chunks) {
+    const insert = this.db.prepare(
+      `INSERT INTO rag_chunks (id, content, metadata, embedding, embedding_model, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    );
+    const ids = [];
+    this.db.transaction(() => {
+      for (const chunk of chunks) {
+        const id = crypto.randomUUID();
+        insert.run(
+          id,
+          chunk.content,
+          JSON.stringify(chunk.metadata || {}),
+          JSON.stringify(chunk.embedding),
+          chunk.embeddingModel,
+          now()
+        );
+        ids.push(id);
+      }
+    })();
+    return ids;
+  }
+
+  listChunks(embeddingModel) {
+    return this.db
+      .prepare('SELECT * FROM rag_chunks WHERE embedding_model = ?')
+      .all(embeddingModel)
+      .map(row => ({
+        id: row.id,
+        content: row.content,
+        metadata: parseJSON(row.metadata, {}),
+        embedding: parseJSON(row.embedding, []),
+      }));
+  }
+
+  countChunks() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM rag_chunks').get()
+      .count;
+  }
+}
+
+export function openStore(filePath) {
+  return new Store(filePath);
+}
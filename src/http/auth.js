@@ -0,0 +1,52 @@
+// Authentication and RBAC middleware
+
+import { createApiError } from './errors.js';
+import { auditContext } from '../services/audit.js';
+
+export function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+// Loads the user on every request so deleted users and role changes take effect immediately
+export function requireAuth({ authService, store }) {
+  return (req, res, next) => {
+    const token = bearerToken(req);
+    if (!token) {
+      return next(createApiError(401, 'UNAUTHORIZED', 'Authentication required'));
+    }
+
+    try {
+      const { userId } = authService.verifyAccessToken(token);
+      const user = store.findUserById(userId);
+      if (!user) {
+        return next(createApiError(401, 'INVALID_TOKEN', 'Access token is invalid'));
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Checks AccessControlService permissions; denials are audited
+export function requirePermission({ accessControl, auditLogger }, resource) {
+  return async (req, res, next) => {
+    try {
+      if (await accessControl.checkPermission(req.user.role, resource)) {
+        return next();
+      }
+      await auditLogger.logAccess({
+        ...auditContext(req),
+        action: 'permission_check',
+        resource,
+        outcome: 'denied',
+      });
+      next(createApiError(403, 'FORBIDDEN', `Role ${req.user.role} may not access ${resource}`));
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,82 @@
+// API errors for F-Bot 2.0
+// Every failure leaves the server as the frontend ApiError shape: { code, message, details, timestamp, requestId }
+
+import multer from 'multer';
+import { logger } from '../logger.js';
+
+export function createApiError(status, code, message, details = undefined) {
+  const error = new Error(message);
+  error.type = 'api_error';
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Orchestrator, adapter and failover errors carry a type; map the ones callers can act on
+const errorTypes = {
+  budget_exceeded: [402, 'BUDGET_EXCEEDED'],
+  context_overflow: [413, 'CONTEXT_TOO_LARGE'],
+  cancelled: [499, 'REQUEST_CANCELLED'],
+  rate_limited: [429, 'PROVIDER_RATE_LIMITED'],
+  provider_not_configured: [503, 'PROVIDER_NOT_CONFIGURED'],
+  provider_unavailable: [503, 'PROVIDER_UNAVAILABLE'],
+  fallback_exhausted: [503, 'MODELS_UNAVAILABLE'],
+  stream_incomplete: [502, 'STREAM_INCOMPLETE'],
+  unknown_model: [400, 'UNKNOWN_MODEL'],
+  ingest_failed: [422, 'DOCUMENT_NOT_PROCESSED'],
+  phi_blocked: [422, 'PHI_NOT_ALLOWED'],
+  phi_audit_failed: [503, 'AUDIT_UNAVAILABLE'],
+  audit_failed: [503, 'AUDIT_UNAVAILABLE'],
+};
+
+export function toApiError(error) {
+  if (error.type === 'api_error') return error;
+
+  if (error instanceof multer.MulterError) {
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return createApiError(status, 'INVALID_UPLOAD', error.message, { field: error.field });
+  }
+
+  const mapped = errorTypes[error.type];
+  if (mapped) {
+    const details = {};
+    if (error.budget) details.budget = error.budget;
+    if (error.estimatedCost !== undefined) details.estimatedCost = error.estimatedCost;
+    if (error.requiredTokens !== undefined) {
+      details.requiredTokens = error.requiredTokens;
+      details.contextWindow = error.contextWindow;
+    }
+    if (error.retryAfter !== undefined) details.retryAfter = error.retryAfter;
+    if (error.failover) details.attempts = error.failover.attempts;
+    if (error.phiTypes) details.phiTypes = error.phiTypes;
+    return createApiError(mapped[0], mapped[1], error.message, Object.keys(details).length ? details : undefined);
+  }
+
+  return createApiError(500, 'INTERNAL_ERROR', 'An unexpected error occurred');
+}
+
+export function notFoundHandler(req, res, next) {
+  next(createApiError(404, 'NOT_FOUND', `No route for ${req.method} ${req.path}`));
+}
+
+export function errorHandler(error, req, res, _next) {
+  const apiError = toApiError(error);
+  if (apiError.status >= 500 && apiError.code === 'INTERNAL_ERROR') {
+    logger.error(`${req.method} ${req.path} failed:`, { requestId: req.id, error: error.stack || String(error) });
+  }
+  if (res.headersSent) return;
+
+  res.status(apiError.status).json({
+    code: apiError.code,
+    message: apiError.message,
+    details: apiError.details,
+    timestamp: new Date().toISOString(),
+    requestId: req.id,
+  });
+}
+
+// Wraps async route handlers so rejections reach errorHandler
+export function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
@@ -0,0 +1,10 @@
+// Success envelope matching the frontend ApiResponse type
+
+export function sendData(res, data, options = {}) {
+  res.status(options.status || 200).json({
+    data,
+    message: options.message,
+    success: true,
+    timestamp: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,18 @@
+// Request body validation with Joi
+
+import { createApiError } from './errors.js';
+
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, error } = schema.validate(req.body || {}, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      return next(
+        createApiError(400, 'INVALID_REQUEST', 'The request payload is invalid', {
+          issues: error.details.map(detail => ({ field: detail.path.join('.'), issue: detail.message })),
+        })
+      );
+    }
+    req.body = value;
+    next();
+  };
+}
@@ -0,0 +1,227 @@
+// F-Bot 2.0 API server
+// Wires the flowise-config modules to a local SQLite store and serves the frontend API
+
+import 'dotenv/config';
+import fs from 'fs';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import compliance from '../flowise-config/enhanced-medical-compliance.js';
+import budget from '../flowise-config/budget-ledger.js';
+import providers from '../flowise-config/llm-provider-adapters.js';
+import orchestrator from '../flowise-config/enhanced-multi-llm-orchestrator.js';
+import experimentManager from '../flowise-config/experiment-manager.js';
+import toolRegistry from '../flowise-config/tool-registry.js';
+import medicalTools from '../flowise-config/medical-tools.js';
+import { createApp } from './app.js';
+import { config, resolveSecrets } from './config.js';
+import { openStore } from './db/store.js';
+import { createApiError } from './http/errors.js';
+import { logger } from './logger.js';
+import { LiveUltrasoundBridge } from './realtime/live-ultrasound.js';
+import { SessionEventHub } from './realtime/session-events.js';
+import { attachWebSocketServer } from './realtime/websocket.js';
+import { createAuditLogger } from './services/audit.js';
+import { AuthService } from './services/auth.js';
+import { ChatService } from './services/chat.js';
+import { createEmbeddings, KnowledgeBase } from './services/knowledge.js';
+import { loadOptional } from './services/optional.js';
+import { UltrasoundService } from './services/ultrasound.js';
+import { UploadService } from './services/uploads.js';
+
+const { AccessControlService } = compliance;
+const { BudgetLedger, loadBudgetLimits } = budget;
+const { ProviderRouter } = providers;
+const { ToolRegistry } = toolRegistry;
+const { createMedicalTools } = medicalTools;
+const { ExperimentManager } = experimentManager;
+const {
+  createModelWeightLearner,
+  setModelWeightLearner,
+  setBudgetLedger,
+  createRateLimiter,
+  setRateLimiter,
+  createPrivacyGuard,
+  setPrivacyGuard,
+  modelRegistry,
+  modelPerformanceTracker,
+} = orchestrator;
+
+// Arms are validated against the model registry at startup; results are kept in SQLite
+function createExperiments(store) {
+  if (!fs.existsSync(config.experimentsPath)) return null;
+  return ExperimentManager.load(config.experimentsPath, {
+    knownModels: Object.keys(modelRegistry.models),
+    stateStore: { load: () => store.loadExperimentResults(), save: results => store.saveExperimentResults(results) },
+  });
+}
+
+// Spend is kept in SQLite so budgets survive restarts
+function createBudgetLedger(store) {
+  return new BudgetLedger({
+    limits: fs.existsSync(config.budgetLimitsPath) ? loadBudgetLimits(config.budgetLimitsPath) : undefined,
+    stateStore: { load: () => store.loadBudgetSpend(), save: spend => store.saveBudgetSpend(spend) },
+  });
+}
+
+// Monitoring needs Loki and Prometheus wiring; without it usage is still recorded in SQLite
+function createMonitoring(experiments) {
+  if (!config.monitoringEnabled) return null;
+  const { module, error } = loadOptional('enhanced-monitoring-analytics');
+  if (!module) {
+    logger.warn('Monitoring disabled; enhanced-monitoring-analytics could not load', { error: error.message });
+    return null;
+  }
+  return new module.EnhancedMonitoringSystem({
+    lokiUrl: process.env.LOKI_URL,
+    costThresholds: { daily: Number(process.env.COST_ALERT_THRESHOLD) || 500 },
+    costWebhook: process.env.COST_ALERT_WEBHOOK_URL,
+    complianceWebhook: process.env.SECURITY_WEBHOOK_URL,
+    costConfig: {},
+    performanceConfig: {},
+    experiments,
+    langfuseConfig: {
+      apiKey: process.env.LANGFUSE_SECRET_KEY,
+      baseUrl: process.env.LANGFUSE_HOST,
+      hashSalt: process.env.HASH_SALT,
+    },
+  });
+}
+
+// Live scanner streams need the Clarius SDK; without it only uploaded images are analyzed
+function createLiveUltrasound(events) {
+  if (!config.clariusEnabled) return null;
+  const { module, error } = loadOptional('clarius-integration');
+  if (!module) {
+    logger.warn('Live ultrasound disabled; clarius-integration could not load', { error: error.message });
+    return null;
+  }
+  const integration = new module.ClariusLiveStreamIntegration();
+  integration.initializeSDK();
+  return new LiveUltrasoundBridge({ integration, events });
+}
+
+// Tools the chat models may call; ultrasound tools are only offered when Gemma can load
+function createToolRegistry({ accessControl, auditLogger, knowledgeBase, uploadService, ultrasoundService }) {
+  if (!config.toolCallingEnabled) return null;
+
+  const loadImage = async (uploadId, context) => {
+    const upload = uploadService.getOwned({ id: context.userId, role: context.role }, uploadId);
+    if (upload.type !== 'image') {
+      throw createApiError(422, 'NOT_AN_IMAGE', `Upload ${uploadId} is not an image`);
+    }
+    return fs.promises.readFile(upload.path);
+  };
+
+  const registry = new ToolRegistry({ accessControl, auditLogger });
+  const tools = createMedicalTools({
+    documentProcessor: knowledgeBase.processor,
+    getUltrasoundAnalyzer: ultrasoundService.available ? () => ultrasoundService.getAnalyzer() : null,
+    loadImage,
+    pubmedApiKey: process.env.PUBMED_API_KEY,
+  });
+  tools.forEach(tool => registry.register(tool));
+  return registry;
+}
+
+export async function createServices() {
+  resolveSecrets();
+
+  const store = openStore(config.databasePath);
+  const accessControl = new AccessControlService({});
+  const auditLogger = createAuditLogger(store);
+  const providerRouter = new ProviderRouter();
+  const experiments = createExperiments(store);
+  const monitoring = createMonitoring(experiments);
+  const events = new SessionEventHub();
+
+  // Hot reloads that fail validation keep the previous registry in service
+  modelRegistry.on('invalid', error =>
+    logger.warn(`Model registry reload rejected, keeping version ${modelRegistry.version}`, { error: error.message })
+  );
+  setBudgetLedger(createBudgetLedger(store));
+  if (config.providerRateLimiting) {
+    setRateLimiter(createRateLimiter({
+      onQueueDepth: monitoring ? (queue, depth) => monitoring.trackQueueDepth(queue, depth) : null,
+    }));
+  }
+  if (config.phiRoutingPolicy !== 'off') setPrivacyGuard(createPrivacyGuard({ auditLogger }));
+  let weightLearner = null;
+  if (modelPerformanceTracker.learning_algorithm.auto_adjust_weights) {
+    weightLearner = createModelWeightLearner();
+    setModelWeightLearner(weightLearner);
+  }
+
+  const embeddings = createEmbeddings(providerRouter, {
+    provider: config.rag.embeddings,
+    model: config.rag.embeddingModel,
+  });
+  const knowledgeBase = new KnowledgeBase(store, embeddings);
+  const uploadService = new UploadService({ store, uploadDir: config.uploadDir });
+  const ultrasoundService = new UltrasoundService();
+  const tools = createToolRegistry({ accessControl, auditLogger, knowledgeBase, uploadService, ultrasoundService });
+
+  const services = {
+    config,
+    store,
+    accessControl,
+    auditLogger,
+    providerRouter,
+    monitoring,
+    events,
+    liveUltrasound: createLiveUltrasound(events),
+    weightLearner,
+    experiments,
+    knowledgeBase,
+    uploadService,
+    ultrasoundService,
+    toolRegistry: tools,
+    chatService: new ChatService({
+      store,
+      knowledgeBase,
+      auditLogger,
+      monitoring,
+      providerRouter,
+      events,
+      toolRegistry: tools,
+      experiments,
+      weightLearner,
+      config,
+    }),
+    authService: new AuthService({ store, accessControl, config }),
+  };
+  await services.authService.ensureAdmin();
+  return services;
+}
+
+async function startServer() {
+  const services = await createServices();
+  const server = http.createServer(createApp(services));
+  const realtime = attachWebSocketServer(server, services);
+
+  await new Promise(resolve => server.listen(config.port, config.host, resolve));
+  logger.info(`F-Bot API listening on http://${config.host}:${config.port}`);
+
+  const shutdown = signal => {
+    logger.info(`${signal} received; shutting down`);
+    realtime.close();
+    if (services.weightLearner) services.weightLearner.flush();
+    server.close(() => {
+      services.store.close();
+      process.exit(0);
+    });
+    // Keep-alive connections can hold close() open indefinitely
+    setTimeout(() => process.exit(1), 10000).unref();
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  return { server, services };
+}
+
+// Specs import createServices; only `node src/index.js` starts the server
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startServer().catch(error => {
+    logger.error('F-Bot API failed to start', { error: error.stack || String(error) });
+    process.exit(1);
+  });
+}
@@ -0,0 +1,17 @@
+// Server logger
+// Writes to stdout; LOG_LEVEL sets the threshold and LOG_FORMAT=json switches to one JSON object per line
+
+import winston from 'winston';
+
+const { format } = winston;
+
+export const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp(),
+    format.errors({ stack: true }),
+    process.env.LOG_FORMAT === 'json' ? format.json() : format.simple()
+  ),
+  defaultMeta: { service: 'f-bot-api' },
+  transports: [new winston.transports.Console()],
+});
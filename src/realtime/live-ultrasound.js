@@ -0,0 +1,57 @@
+// Routes Clarius live-stream analyses to the chat sessions watching each scanner
+
+import { logger } from '../logger.js';
+
+export class LiveUltrasoundBridge {
+  constructor({ integration, events }) {
+    this.integration = integration;
+    this.events = events;
+    // scannerId -> Map(watcherId -> sessionId); one watcher per socket
+    this.watchers = new Map();
+
+    integration.on('analysisComplete', ({ scannerId, analysis, timestamp }) =>
+      this.forward(scannerId, 'live_ultrasound', { scannerId, analysis, analyzedAt: timestamp })
+    );
+    integration.on('analysisError', ({ scannerId, error }) =>
+      this.forward(scannerId, 'live_ultrasound_error', { scannerId, error })
+    );
+    integration.on('scannerDisconnected', ({ scannerId }) =>
+      this.forward(scannerId, 'scanner_status', { scannerId, connected: false })
+    );
+  }
+
+  forward(scannerId, type, payload) {
+    const watchers = this.watchers.get(scannerId);
+    if (!watchers) return;
+    for (const sessionId of new Set(watchers.values())) {
+      this.events.publish(sessionId, type, payload);
+    }
+  }
+
+  async watch(scannerId, watcherId, sessionId) {
+    if (!this.integration.getConnectedScanners().includes(scannerId)) {
+      await this.integration.connectScanner(scannerId);
+    }
+    if (!this.watchers.has(scannerId)) this.watchers.set(scannerId, new Map());
+    this.watchers.get(scannerId).set(watcherId, sessionId);
+    this.events.publish(sessionId, 'scanner_status', { scannerId, connected: true });
+  }
+
+  // The scanner stream stops once nobody is watching it
+  async unwatch(scannerId, watcherId) {
+    const watchers = this.watchers.get(scannerId);
+    if (!watchers || !watchers.delete(watcherId) || watchers.size > 0) return;
+    this.watchers.delete(scannerId);
+    try {
+      await this.integration.disconnectScanner(scannerId);
+    } catch (error) {
+      logger.warn(`Failed to disconnect scanner ${scannerId}`, { error: error.message });
+    }
+  }
+
+  unwatchAll(watcherId) {
+    return Promise.all(
+      [...this.watchers.keys()].map(scannerId => this.unwatch(scannerId, watcherId))
+    );
+  }
+}
@@ -0,0 +1,111 @@
+// Per-session event stream for real-time clients
+// Every event gets a session-scoped sequence number and stays in a bounded buffer so a
+// reconnecting client can replay what it missed
+
+import crypto from 'crypto';
+import { logger } from '../logger.js';
+
+const DEFAULT_REPLAY_LIMIT = 500;
+const DEFAULT_RETENTION_MS = 15 * 60 * 1000;
+
+export class SessionEventHub {
+  constructor(options = {}) {
+    this.replayLimit = options.replayLimit || DEFAULT_REPLAY_LIMIT;
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.now = options.now || (() => Date.now());
+    this.channels = new Map();
+  }
+
+  channel(sessionId) {
+    let channel = this.channels.get(sessionId);
+    if (!channel) {
+      channel = { epoch: crypto.randomUUID(), seq: 0, events: [], listeners: new Set(), lastActivity: this.now() };
+      this.channels.set(sessionId, channel);
+    }
+    return channel;
+  }
+
+  // Returns the published event: { type, seq, sessionId, timestamp, ...payload }
+  publish(sessionId, type, payload = {}) {
+    const channel = this.channel(sessionId);
+    channel.seq += 1;
+    channel.lastActivity = this.now();
+
+    const event = {
+      ...payload,
+      type,
+      seq: channel.seq,
+      sessionId,
+      timestamp: new Date(channel.lastActivity).toISOString(),
+    };
+    channel.events.push(event);
+    if (channel.events.length > this.replayLimit) {
+      channel.events.splice(0, channel.events.length - this.replayLimit);
+    }
+
+    this.notify(channel, event);
+    return event;
+  }
+
+  notify(channel, event) {
+    for (const listener of channel.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.warn(`Session event listener failed for ${event.sessionId}`, { error: error.message });
+      }
+    }
+  }
+
+  // Transient events (streamed tokens) reach current listeners only: no seq, no replay.
+  // Their final state always follows as a sequenced event
+  broadcast(sessionId, type, payload = {}) {
+    const channel = this.channels.get(sessionId);
+    if (!channel) return;
+    const event = { ...payload, type, sessionId, timestamp: new Date(this.now()).toISOString() };
+    this.notify(channel, event);
+  }
+
+  subscribe(sessionId, listener) {
+    const channel = this.channel(sessionId);
+    channel.listeners.add(listener);
+    return () => channel.listeners.delete(listener);
+  }
+
+  // Position a new client starts from
+  cursor(sessionId) {
+    const channel = this.channel(sessionId);
+    return { epoch: channel.epoch, seq: channel.seq };
+  }
+
+  // complete is false when the client cannot be caught up from the buffer: events after
+  // afterSeq were dropped, or the channel was recreated (new epoch) since it last listened.
+  // The client then reloads the session history
+  replay(sessionId, afterSeq, epoch) {
+    const channel = this.channels.get(sessionId);
+    if (!channel) return { events: [], complete: afterSeq === 0 };
+    if (epoch !== channel.epoch || afterSeq > channel.seq) return { events: [], complete: false };
+
+    const events = channel.events.filter(event => event.seq > afterSeq);
+    const complete = afterSeq === channel.seq || (events.length > 0 && events[0].seq === afterSeq + 1);
+    return { events, complete };
+  }
+
+  // Deleted sessions: listeners get a final session_closed event and the buffer is dropped
+  closeSession(sessionId, reason) {
+    const channel = this.channels.get(sessionId);
+    if (!channel) return;
+    this.publish(sessionId, 'session_closed', { reason });
+    this.channels.delete(sessionId);
+  }
+
+  // Drops idle channels nobody is listening to
+  prune() {
+    const cutoff = this.now() - this.retentionMs;
+    for (const [sessionId, channel] of this.channels) {
+      if (channel.listeners.size === 0 && channel.lastActivity < cutoff) {
+        this.channels.delete(sessionId);
+      }
+    }
+  }
+}
@@ -0,0 +1,275 @@
+// /api/ws: real-time session events for chatStore.connectWebSocket
+// Handshake: /api/ws?sessionId=<id>&token=<access token>[&epoch=<epoch>&lastSeq=<n>]
+// Server events are JSON { type, seq, sessionId, timestamp, ... }; seq is absent on
+// connection-level messages (connected, resync, heartbeat, pong, error)
+
+import crypto from 'crypto';
+import http from 'http';
+import { WebSocket, WebSocketServer } from 'ws';
+import { createApiError, toApiError } from '../http/errors.js';
+import { logger } from '../logger.js';
+import { sendMessageSchema } from '../routes/chat.js';
+
+const WS_PATH = '/api/ws';
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_CLIENT_MESSAGE_BYTES = 16 * 1024;
+
+// Application close codes; the client reconnects after any other code
+export const closeCodes = {
+  tokenExpired: 4001,
+  forbidden: 4003,
+  sessionNotFound: 4004,
+};
+
+function rejectUpgrade(socket, apiError) {
+  const body = JSON.stringify({
+    code: apiError.code,
+    message: apiError.message,
+    timestamp: new Date().toISOString(),
+  });
+  socket.end(
+    `HTTP/1.1 ${apiError.status} ${http.STATUS_CODES[apiError.status]}\r\n` +
+      'Content-Type: application/json\r\n' +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+      'Connection: close\r\n\r\n' +
+      body
+  );
+}
+
+function originAllowed(req, allowed) {
+  if (allowed === true || !req.headers.origin) return true;
+  return [].concat(allowed).includes(req.headers.origin);
+}
+
+export function attachWebSocketServer(server, services) {
+  const { authService, chatService, store, accessControl, auditLogger, events, liveUltrasound, config } = services;
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_CLIENT_MESSAGE_BYTES });
+
+  function authenticate(req, url) {
+    if (!originAllowed(req, config.corsOrigin)) {
+      throw createApiError(403, 'FORBIDDEN', 'Origin not allowed');
+    }
+    const header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const token = url.searchParams.get('token') || (header && header[1]);
+    if (!token) {
+      throw createApiError(401, 'UNAUTHORIZED', 'Authentication required');
+    }
+    const claims = authService.verifyAccessToken(token);
+    const user = store.findUserById(claims.userId);
+    if (!user) {
+      throw createApiError(401, 'INVALID_TOKEN', 'Access token is invalid');
+    }
+    const session = chatService.getOwnedSession(user, url.searchParams.get('sessionId'));
+    return { claims, user, session };
+  }
+
+  function audit(req, fields) {
+    return auditLogger
+      .logAccess({
+        ipAddress: req.socket.remoteAddress,
+        userAgent: req.headers['user-agent'],
+        requestId: req.id,
+        action: 'websocket_connect',
+        resource: 'chat_session',
+        ...fields,
+      })
+      .catch(error => logger.warn('Failed to audit WebSocket connection', { error: error.message }));
+  }
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+    req.id = crypto.randomUUID();
+
+    let context;
+    try {
+      context = authenticate(req, url);
+    } catch (error) {
+      const apiError = toApiError(error);
+      audit(req, { sessionId: url.searchParams.get('sessionId'), outcome: 'denied', errorCode: apiError.code });
+      rejectUpgrade(socket, apiError);
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      audit(req, {
+        userId: context.user.id,
+        userRole: context.user.role,
+        sessionId: context.session.id,
+        outcome: 'success',
+      });
+      wss.emit('connection', ws, req, { ...context, url });
+    });
+  });
+
+  wss.on('connection', (ws, req, { claims, user, session, url }) => {
+    const connectionId = crypto.randomUUID();
+    const sessionId = session.id;
+
+    const send = message => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    };
+    const sendError = (code, message, fields = {}) => send({ type: 'error', code, message, ...fields });
+
+    // Session access is rechecked before acting on client messages, so deleted users,
+    // role changes and deleted sessions end the connection
+    const authorize = () => {
+      const current = store.findUserById(user.id);
+      if (!current) {
+        ws.close(closeCodes.forbidden, 'User no longer exists');
+        return null;
+      }
+      const currentSession = store.getSession(sessionId);
+      if (!currentSession || currentSession.userId !== current.id) {
+        ws.close(closeCodes.sessionNotFound, 'Session not found');
+        return null;
+      }
+      return current;
+    };
+
+    // Replay before subscribing; both run in this tick so no event falls between them
+    const cursor = events.cursor(sessionId);
+    send({
+      type: 'connected',
+      sessionId,
+      epoch: cursor.epoch,
+      seq: cursor.seq,
+      heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+    });
+    if (url.searchParams.has('lastSeq')) {
+      const lastSeq = Number.parseInt(url.searchParams.get('lastSeq'), 10) || 0;
+      const { events: missed, complete } = events.replay(sessionId, lastSeq, url.searchParams.get('epoch'));
+      if (complete) {
+        missed.forEach(send);
+      } else {
+        send({ type: 'resync', sessionId, reason: 'Missed events are no longer available; reload the session history' });
+      }
+    }
+
+    const unsubscribe = events.subscribe(sessionId, event => {
+      send(event);
+      if (event.type === 'session_closed') ws.close(closeCodes.sessionNotFound, 'Session deleted');
+    });
+
+    const expiryTimer = setTimeout(
+      () => ws.close(closeCodes.tokenExpired, 'Access token expired'),
+      Math.max(0, claims.expiresAt - Date.now())
+    );
+
+    const clientMessages = {
+      ping: () => send({ type: 'pong', timestamp: new Date().toISOString() }),
+
+      subscribe_scanner: async (message, current) => {
+        if (typeof message.scannerId !== 'string' || !message.scannerId) {
+          return sendError('INVALID_MESSAGE', 'scannerId is required');
+        }
+        if (!liveUltrasound) {
+          return sendError('LIVE_ULTRASOUND_UNAVAILABLE', 'Live ultrasound is not available on this server');
+        }
+        if (!(await accessControl.checkPermission(current.role, 'medical_images:read'))) {
+          return sendError('FORBIDDEN', `Role ${current.role} may not access medical_images:read`);
+        }
+        await liveUltrasound.watch(message.scannerId, connectionId, sessionId);
+      },
+
+      unsubscribe_scanner: async message => {
+        if (liveUltrasound) await liveUltrasound.unwatch(String(message.scannerId), connectionId);
+      },
+
+      // Streams an answer in this session; tokens arrive as broadcast session events.
+      // requestId is echoed in stream_start and in errors raised before it
+      send_message: async (message, current) => {
+        const { requestId, ...fields } = message;
+        const { value: request, error } = sendMessageSchema.validate(
+          { ...fields, sessionId },
+          { abortEarly: false, stripUnknown: true }
+        );
+        if (error) {
+          return sendError('INVALID_REQUEST', error.message, { requestId });
+        }
+        if (request.patientId && !(await accessControl.checkPermission(current.role, 'patient_data:read'))) {
+          return sendError('FORBIDDEN', 'Your role may not access patient data', { requestId });
+        }
+        try {
+          await chatService.streamMessage(current, request, {
+            clientRequestId: requestId,
+            requestMeta: {
+              endpoint: WS_PATH,
+              audit: {
+                userId: current.id,
+                userRole: current.role,
+                ipAddress: req.socket.remoteAddress,
+                userAgent: req.headers['user-agent'],
+                requestId: req.id,
+              },
+            },
+          });
+        } catch (streamError) {
+          const apiError = toApiError(streamError);
+          sendError(apiError.code, apiError.message, { requestId, details: apiError.details });
+        }
+      },
+
+      cancel: (message, current) => chatService.cancelStream(current, message.messageId),
+    };
+
+    ws.on('message', async data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return sendError('INVALID_MESSAGE', 'Messages must be JSON');
+      }
+      const handler = message && Object.hasOwn(clientMessages, message.type) && clientMessages[message.type];
+      if (!handler) {
+        return sendError('UNKNOWN_MESSAGE_TYPE', `Unsupported message type: ${message && message.type}`);
+      }
+      const current = authorize();
+      if (!current) return;
+      try {
+        await handler(message, current);
+      } catch (error) {
+        const apiError = toApiError(error);
+        sendError(apiError.code, apiError.message);
+      }
+    });
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('close', () => {
+      clearTimeout(expiryTimer);
+      unsubscribe();
+      if (liveUltrasound) liveUltrasound.unwatchAll(connectionId);
+    });
+  });
+
+  // Protocol pings find dead peers; the heartbeat message lets browsers, which cannot
+  // observe pings, detect a silent server
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+      ws.send(JSON.stringify({ type: 'heartbeat', timestamp: new Date().toISOString() }));
+    }
+    events.prune();
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    wss,
+    close() {
+      clearInterval(heartbeat);
+      for (const ws of wss.clients) ws.close(1001, 'Server shutting down');
+      wss.close();
+    },
+  };
+}
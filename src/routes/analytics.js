@@ -0,0 +1,16 @@
+// /api/analytics: cost tracking from recorded usage
+
+import express from 'express';
+import { sendData } from '../http/respond.js';
+
+export function createAnalyticsRouter(services) {
+  const { store } = services;
+  const router = express.Router();
+
+  // Administrators see organisation-wide spend; everyone else their own
+  router.get('/costs', (req, res) => {
+    sendData(res, store.getCostSummary(req.user.role === 'admin' ? null : req.user.id));
+  });
+
+  return router;
+}
@@ -0,0 +1,66 @@
+// /api/auth: login, token refresh, current user and logout
+
+import express from 'express';
+import { requireAuth } from '../http/auth.js';
+import { asyncHandler, createApiError } from '../http/errors.js';
+import { sendData } from '../http/respond.js';
+import { auditContext } from '../services/audit.js';
+
+export function createAuthRouter(services) {
+  const { authService, auditLogger } = services;
+  const router = express.Router();
+
+  router.post(
+    '/login',
+    asyncHandler(async (req, res) => {
+      const { username, password } = req.body || {};
+      if (typeof username !== 'string' || typeof password !== 'string') {
+        throw createApiError(400, 'INVALID_REQUEST', 'username and password are required');
+      }
+
+      try {
+        const auth = await authService.login(username, password);
+        await auditLogger.logAccess({
+          ...auditContext(req),
+          userId: auth.user.id,
+          action: 'login',
+          resource: 'auth',
+          outcome: 'success',
+        });
+        sendData(res, auth);
+      } catch (error) {
+        await auditLogger.logAccess({
+          ...auditContext(req),
+          action: 'login',
+          resource: 'auth',
+          outcome: 'failure',
+          attemptedUsername: username,
+        });
+        throw error;
+      }
+    })
+  );
+
+  router.post(
+    '/refresh',
+    asyncHandler(async (req, res) => {
+      sendData(res, authService.refresh(req.body && req.body.refreshToken));
+    })
+  );
+
+  router.get('/me', requireAuth(services), (req, res) => {
+    sendData(res, authService.toPublicUser(req.user));
+  });
+
+  router.post(
+    '/logout',
+    requireAuth(services),
+    asyncHandler(async (req, res) => {
+      authService.logout(req.user.id);
+      await auditLogger.logAccess({ ...auditContext(req), action: 'logout', resource: 'auth', outcome: 'success' });
+      sendData(res, null, { message: 'Logged out' });
+    })
+  );
+
+  return router;
+}
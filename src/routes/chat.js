@@ -0,0 +1,223 @@
+// /api/chat: messages, history and session management
+
+import express from 'express';
+import Joi from 'joi';
+import { asyncHandler, createApiError, toApiError } from '../http/errors.js';
+import { sendData } from '../http/respond.js';
+import { validateBody } from '../http/validate.js';
+import { auditContext } from '../services/audit.js';
+
+const SSE_KEEPALIVE_MS = 15000;
+
+const patientContextSchema = Joi.object({
+  patientId: Joi.string().max(128).required(),
+  age: Joi.number().integer().min(0).max(130),
+  gender: Joi.string().valid('male', 'female', 'other'),
+  medicalHistory: Joi.array().items(Joi.string().max(500)).max(50),
+  currentSymptoms: Joi.array().items(Joi.string().max(500)).max(50),
+  contraindications: Joi.array().items(Joi.string().max(500)).max(50),
+});
+
+// Shared with the WebSocket send_message handler
+export const sendMessageSchema = Joi.object({
+  message: Joi.string().trim().min(1).max(8000).required(),
+  sessionId: Joi.string().max(64),
+  patientId: Joi.string().max(128),
+  context: Joi.object({
+    language: Joi.string().max(16),
+    urgency: Joi.string().max(32),
+    specialty: Joi.string().max(64),
+  }),
+  modelPreference: Joi.string().max(64),
+  maxCost: Joi.number().min(0),
+});
+
+const createSessionSchema = Joi.object({
+  title: Joi.string().trim().max(200),
+  patientContext: patientContextSchema,
+});
+
+const updateSessionSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+});
+
+const feedbackSchema = Joi.object({
+  score: Joi.number().integer().min(1).max(5).required(),
+  feedback: Joi.string().trim().max(2000),
+});
+
+export function createChatRouter(services) {
+  const { chatService, store, accessControl } = services;
+  const router = express.Router();
+
+  // Patient-specific questions need clinical read access
+  async function checkPatientAccess(req, patientId) {
+    if (!patientId) return;
+    if (!(await accessControl.checkPermission(req.user.role, 'patient_data:read'))) {
+      throw createApiError(403, 'FORBIDDEN', 'Your role may not access patient data');
+    }
+  }
+
+  router.post(
+    '/message',
+    validateBody(sendMessageSchema),
+    asyncHandler(async (req, res) => {
+      await checkPatientAccess(req, req.body.patientId);
+      const { sessionId, message } = await chatService.sendMessage(req.user, req.body, {
+        endpoint: '/api/chat/message',
+        audit: auditContext(req),
+      });
+      sendData(res, { ...message, sessionId });
+    })
+  );
+
+  // Server-sent events: stream_start, token, stream_end (or stream_cancelled / error).
+  // Failures before the first event are ordinary JSON errors; closing the request cancels
+  router.post(
+    '/stream',
+    validateBody(sendMessageSchema),
+    asyncHandler(async (req, res) => {
+      await checkPatientAccess(req, req.body.patientId);
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
+
+      let keepAlive = null;
+      const send = chunk => {
+        if (res.destroyed) return;
+        res.write(chunk);
+        // compression buffers the stream otherwise
+        if (res.flush) res.flush();
+      };
+      const write = (event, data) => {
+        if (!res.headersSent) {
+          res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'X-Accel-Buffering': 'no',
+          });
+          res.flushHeaders();
+          keepAlive = setInterval(() => send(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+        }
+        send(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      try {
+        await chatService.streamMessage(req.user, req.body, {
+          requestMeta: { endpoint: '/api/chat/stream', audit: auditContext(req) },
+          signal: controller.signal,
+          onEvent: write,
+        });
+      } catch (error) {
+        if (!res.headersSent) throw error;
+        const apiError = toApiError(error);
+        write('error', { code: apiError.code, message: apiError.message, details: apiError.details });
+      } finally {
+        clearInterval(keepAlive);
+      }
+      res.end();
+    })
+  );
+
+  router.get('/history/:sessionId', (req, res) => {
+    const session = chatService.getOwnedSession(req.user, req.params.sessionId);
+    sendData(res, store.listMessages(session.id));
+  });
+
+  // The routing audit record of an answer. Owners see their own; reviewing other users'
+  // answers takes routing_decisions:read, and every read is audited
+  router.get(
+    '/messages/:messageId/routing',
+    asyncHandler(async (req, res) => {
+      const record = store.getRoutingDecision(req.params.messageId);
+      const allowed =
+        record &&
+        (record.userId === req.user.id ||
+          (await accessControl.checkPermission(req.user.role, 'routing_decisions:read')));
+      if (!allowed) {
+        throw createApiError(404, 'ROUTING_DECISION_NOT_FOUND', 'No routing decision recorded for that message');
+      }
+      await services.auditLogger.logAccess({
+        ...auditContext(req),
+        action: 'read_routing_decision',
+        resource: 'routing_decisions:read',
+        sessionId: record.sessionId,
+        outcome: 'success',
+      });
+      sendData(res, record);
+    })
+  );
+
+  router.get('/sessions', (req, res) => {
+    sendData(res, store.listSessions(req.user.id));
+  });
+
+  router.post(
+    '/sessions',
+    validateBody(createSessionSchema),
+    asyncHandler(async (req, res) => {
+      const patientContext = req.body.patientContext;
+      await checkPatientAccess(req, patientContext && patientContext.patientId);
+      sendData(res, store.createSession(req.user.id, req.body), { status: 201 });
+    })
+  );
+
+  router.patch('/sessions/:sessionId', validateBody(updateSessionSchema), (req, res) => {
+    const session = chatService.getOwnedSession(req.user, req.params.sessionId);
+    sendData(res, store.updateSessionTitle(session.id, req.body.title));
+  });
+
+  // The guided symptom assessment of a session. Owners see their own; clinicians with
+  // patient_data:read can review any session's, and every read is audited
+  router.get(
+    '/sessions/:sessionId/assessment',
+    asyncHandler(async (req, res) => {
+      const session = store.getSession(req.params.sessionId);
+      const allowed =
+        session &&
+        session.symptomAssessment &&
+        (session.userId === req.user.id ||
+          (await accessControl.checkPermission(req.user.role, 'patient_data:read')));
+      if (!allowed) {
+        throw createApiError(404, 'ASSESSMENT_NOT_FOUND', 'No symptom assessment recorded for that session');
+      }
+      await services.auditLogger.logAccess({
+        ...auditContext(req),
+        action: 'read_symptom_assessment',
+        resource: 'patient_data:read',
+        sessionId: session.id,
+        outcome: 'success',
+      });
+      sendData(res, chatService.assessmentFor(session));
+    })
+  );
+
+  router.post(
+    '/sessions/:sessionId/feedback',
+    validateBody(feedbackSchema),
+    asyncHandler(async (req, res) => {
+      await chatService.recordFeedback(req.user, req.params.sessionId, req.body);
+      sendData(res, null, { message: 'Feedback recorded' });
+    })
+  );
+
+  router.delete(
+    '/sessions/:sessionId',
+    asyncHandler(async (req, res) => {
+      const session = chatService.getOwnedSession(req.user, req.params.sessionId);
+      store.deleteSession(session.id);
+      if (services.events) services.events.closeSession(session.id, 'deleted');
+      await services.auditLogger.logDataModification({
+        ...auditContext(req),
+        action: 'delete_chat_session',
+        resource: 'chat_session',
+        sessionId: session.id,
+        dataAfter: null,
+      });
+      sendData(res, null, { message: 'Session deleted' });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,40 @@
+// /api/health: liveness plus the state of each dependency; no authentication
+
+import express from 'express';
+import orchestrator from '../../flowise-config/enhanced-multi-llm-orchestrator.js';
+import { sendData } from '../http/respond.js';
+import { optionalModuleStatus } from '../services/optional.js';
+
+const { modelRegistry } = orchestrator;
+
+export function createHealthRouter(services) {
+  const { store, knowledgeBase, ultrasoundService, monitoring, providerRouter } = services;
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const database = store.isHealthy();
+    const providers = Object.fromEntries(
+      Object.entries(providerRouter.adapters).map(([name, adapter]) => [
+        name,
+        name === 'ollama' || adapter.apiKey ? 'configured' : 'not_configured',
+      ])
+    );
+
+    // Missing optional modules degrade features; only the database makes the server unusable
+    sendData(res, {
+      status: database ? 'healthy' : 'unhealthy',
+      timestamp: new Date().toISOString(),
+      services: {
+        database: database ? 'up' : 'down',
+        knowledgeBase: database ? { status: 'up', chunks: knowledgeBase.size() } : { status: 'down' },
+        ultrasound: ultrasoundService.available ? 'up' : 'unavailable',
+        monitoring: monitoring ? 'up' : 'disabled',
+        providers,
+      },
+      optionalModules: optionalModuleStatus(),
+      registryVersion: modelRegistry.version,
+    }, { status: database ? 200 : 503 });
+  });
+
+  return router;
+}
@@ -0,0 +1,105 @@
+// /api/models: registry models, observed performance and learned routing weights
+
+import express from 'express';
+import orchestrator from '../../flowise-config/enhanced-multi-llm-orchestrator.js';
+import { createApiError } from '../http/errors.js';
+import { sendData } from '../http/respond.js';
+
+const { modelRegistry, medicalTaskTypes } = orchestrator;
+
+// Registry providers as the frontend AvailableModel names them
+const publicProviders = { gemini: 'google', ollama: 'local' };
+
+function modelStatus(name, model, providerRouter) {
+  if (!modelRegistry.modelCapabilities[name]) return 'unavailable';
+  const adapter = providerRouter.adapters[model.provider];
+  if (!adapter) return 'unavailable';
+  // Local models run without a key but share one machine's throughput
+  if (model.provider === 'ollama') return 'limited';
+  return adapter.apiKey ? 'available' : 'unavailable';
+}
+
+function toAvailableModel(name, model, providerRouter) {
+  const pricing = model.pricing || { input: 0, output: 0 };
+  return {
+    id: name,
+    name,
+    provider: publicProviders[model.provider] || model.provider,
+    // Registry prices are per 1K tokens; average input and output
+    costPerToken: (pricing.input + pricing.output) / 2 / 1000,
+    capabilities: Object.keys(model.capabilities || {}),
+    status: modelStatus(name, model, providerRouter),
+    maxTokens: model.context_window,
+    description: model.use_cases ? `Suited to ${model.use_cases.join(', ')}` : undefined,
+  };
+}
+
+// Mean learned weight across task types with enough feedback, or null
+function learnedSatisfaction(learner, model) {
+  if (!learner) return null;
+  const scores = Object.keys(medicalTaskTypes)
+    .map(taskType => learner.learnedScore(taskType, model))
+    .filter(score => score !== null);
+  return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
+export function createModelsRouter(services) {
+  const { store, providerRouter, weightLearner } = services;
+  const router = express.Router();
+
+  function requireTaskType(taskType) {
+    if (!medicalTaskTypes[taskType]) {
+      throw createApiError(404, 'UNKNOWN_TASK_TYPE', `Unknown task type: ${taskType}`);
+    }
+  }
+
+  router.get('/available', (req, res) => {
+    const models = Object.entries(modelRegistry.models).map(([name, model]) =>
+      toAvailableModel(name, model, providerRouter)
+    );
+    sendData(res, models);
+  });
+
+  router.get('/performance', (req, res) => {
+    const performance = store.getModelUsageStats()
+      .filter(stats => modelRegistry.models[stats.model])
+      .map(stats => {
+        const capabilities = modelRegistry.models[stats.model].capabilities || {};
+        const satisfaction = learnedSatisfaction(weightLearner, stats.model);
+        return {
+          modelId: stats.model,
+          averageResponseTime: (stats.avg_latency_ms || 0) / 1000,
+          accuracyRate: capabilities.medical_accuracy || 0,
+          costEfficiency: capabilities.cost || 0,
+          userSatisfaction: satisfaction === null ? 0 : satisfaction,
+          totalRequests: stats.requests,
+          errorRate: stats.requests > 0 ? stats.errors / stats.requests : 0,
+        };
+      });
+    sendData(res, performance);
+  });
+
+  // Learned weight per model for a task type, from ratings and call outcomes; empty when no learner is configured
+  router.get('/weights/:taskType', (req, res) => {
+    requireTaskType(req.params.taskType);
+    sendData(res, {
+      taskType: req.params.taskType,
+      registryVersion: modelRegistry.version,
+      weights: weightLearner ? weightLearner.getWeights(req.params.taskType) : {},
+    });
+  });
+
+  router.get('/weights/:taskType/:model/explain', (req, res) => {
+    requireTaskType(req.params.taskType);
+    if (!modelRegistry.models[req.params.model]) {
+      throw createApiError(404, 'UNKNOWN_MODEL', `Unknown model: ${req.params.model}`);
+    }
+    if (!weightLearner) {
+      throw createApiError(503, 'WEIGHT_LEARNING_DISABLED', 'Weight learning is not enabled on this server');
+    }
+    const recent = Math.min(Number.parseInt(req.query.recent, 10) || 10, 100);
+    sendData(res, weightLearner.explain(req.params.taskType, req.params.model, { recent }));
+  });
+
+  return router;
+}
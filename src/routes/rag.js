@@ -0,0 +1,46 @@
+// /api/rag: direct knowledge-base queries
+
+import express from 'express';
+import Joi from 'joi';
+import { asyncHandler } from '../http/errors.js';
+import { sendData } from '../http/respond.js';
+import { validateBody } from '../http/validate.js';
+import { toSource } from '../services/knowledge.js';
+
+const stringOrList = Joi.alternatives(Joi.string().max(64), Joi.array().items(Joi.string().max(64)).max(20));
+
+const querySchema = Joi.object({
+  query: Joi.string().trim().min(1).max(2000).required(),
+  filters: Joi.object({
+    evidenceLevel: stringOrList,
+    documentType: stringOrList,
+    anatomicalRegion: stringOrList,
+  }).default({}),
+  maxResults: Joi.number().integer().min(1).max(50),
+});
+
+export function createRagRouter(services) {
+  const { knowledgeBase, config } = services;
+  const router = express.Router();
+
+  router.post(
+    '/query',
+    validateBody(querySchema),
+    asyncHandler(async (req, res) => {
+      const startTime = Date.now();
+      const results = await knowledgeBase.search(req.body.query, {
+        k: req.body.maxResults || config.rag.topK,
+        filters: req.body.filters,
+      });
+      sendData(res, {
+        query: req.body.query,
+        results,
+        sources: results.map(toSource),
+        totalResults: results.length,
+        queryTime: (Date.now() - startTime) / 1000,
+      });
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,122 @@
+// /api/ultrasound: image analysis with the Gemma analyzer, results and history
+
+import express from 'express';
+import Joi from 'joi';
+import { requirePermission } from '../http/auth.js';
+import { asyncHandler, createApiError } from '../http/errors.js';
+import { sendData } from '../http/respond.js';
+import { validateBody } from '../http/validate.js';
+import { auditContext } from '../services/audit.js';
+import { toMedicalAlerts } from '../services/ultrasound.js';
+import { createUploadParser } from '../services/uploads.js';
+
+const analyzeSchema = Joi.object({
+  bodyPart: Joi.string().trim().min(1).max(100).required(),
+  patientId: Joi.string().max(128),
+  clinicalContext: Joi.string().max(2000),
+  // Also delivers the result and its alerts to this chat session's real-time clients
+  sessionId: Joi.string().max(64),
+});
+
+export function createUltrasoundRouter(services) {
+  const { store, uploadService, ultrasoundService, chatService, accessControl, auditLogger, events, config } =
+    services;
+  const router = express.Router();
+  const parser = createUploadParser(config.maxUploadBytes);
+
+  // Analyses belong to the requesting clinician; administrators can read all of them
+  function getOwnedAnalysis(user, analysisId) {
+    const analysis = store.getAnalysis(analysisId);
+    if (!analysis || (analysis.userId !== user.id && user.role !== 'admin')) {
+      throw createApiError(404, 'ANALYSIS_NOT_FOUND', 'Ultrasound analysis not found');
+    }
+    return analysis;
+  }
+
+  router.post(
+    '/analyze',
+    requirePermission(services, 'medical_images:read'),
+    parser.single('image'),
+    validateBody(analyzeSchema),
+    asyncHandler(async (req, res) => {
+      const { sessionId, ...fields } = req.body;
+      if (sessionId) chatService.getOwnedSession(req.user, sessionId);
+      if (!req.file) {
+        throw createApiError(400, 'INVALID_UPLOAD', 'An ultrasound image is required');
+      }
+      // Linking an analysis to a patient adds to their record
+      if (fields.patientId &&
+          !(await accessControl.checkPermission(req.user.role, 'patient_data:write'))) {
+        throw createApiError(403, 'FORBIDDEN', 'Your role may not add to patient records');
+      }
+
+      // Fail before storing anything when the analyzer is not installed
+      if (!ultrasoundService.available) {
+        await ultrasoundService.getAnalyzer();
+      }
+
+      const upload = await uploadService.save(req.user, req.file, 'image');
+      let analysis;
+      let interpretation;
+      try {
+        const result = await ultrasoundService.analyze(req.file.buffer, fields);
+        interpretation = result.interpretation;
+        analysis = store.saveAnalysis({
+          ...result,
+          ...fields,
+          userId: req.user.id,
+          uploadId: upload.id,
+          status: 'completed',
+        });
+      } catch (analysisError) {
+        store.saveAnalysis({
+          ...fields,
+          userId: req.user.id,
+          uploadId: upload.id,
+          modelUsed: 'gemma-3n',
+          status: 'failed',
+        });
+        throw analysisError;
+      }
+
+      if (sessionId && events) {
+        events.publish(sessionId, 'ultrasound_analysis', { analysis });
+        for (const alert of toMedicalAlerts(interpretation)) {
+          events.publish(sessionId, 'alert', { alert, source: 'ultrasound', analysisId: analysis.id });
+        }
+      }
+
+      await auditLogger.logAccess({
+        ...auditContext(req),
+        action: 'ultrasound_analysis',
+        resource: 'medical_images:read',
+        analysisId: analysis.id,
+        patientId: fields.patientId,
+        outcome: 'success',
+      });
+      sendData(res, analysis, { status: 201 });
+    })
+  );
+
+  router.get(
+    '/analysis/:analysisId',
+    asyncHandler(async (req, res) => {
+      const analysis = getOwnedAnalysis(req.user, req.params.analysisId);
+      await auditLogger.logAccess({
+        ...auditContext(req),
+        action: 'view_ultrasound_analysis',
+        resource: 'medical_images:read',
+        analysisId: analysis.id,
+        patientId: analysis.patientId,
+        outcome: 'success',
+      });
+      sendData(res, analysis);
+    })
+  );
+
+  router.get('/history', (req, res) => {
+    sendData(res, store.listAnalyses(req.user.id));
+  });
+
+  return router;
+}
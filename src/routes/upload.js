@@ -0,0 +1,65 @@
+// /api/upload: stores images and documents; text documents can be indexed into the knowledge base
+
+import path from 'path';
+import express from 'express';
+import { asyncHandler, createApiError } from '../http/errors.js';
+import { sendData } from '../http/respond.js';
+import { auditContext } from '../services/audit.js';
+import { createUploadParser, textMimeTypes } from '../services/uploads.js';
+
+export function createUploadRouter(services) {
+  const { uploadService, knowledgeBase, accessControl, auditLogger, config } = services;
+  const router = express.Router();
+  const parser = createUploadParser(config.maxUploadBytes);
+
+  router.post(
+    '/',
+    parser.single('file'),
+    asyncHandler(async (req, res) => {
+      const type = req.body.type;
+      if (type !== 'document' && type !== 'image') {
+        throw createApiError(400, 'INVALID_REQUEST', 'type must be "document" or "image"');
+      }
+
+      const upload = await uploadService.save(req.user, req.file, type);
+      const result = { id: upload.id, url: upload.url };
+
+      // Indexed documents are shared with every user, so indexing needs research write access
+      if (type === 'document' && textMimeTypes.includes(upload.mimeType) &&
+          (await accessControl.checkPermission(req.user.role, 'research_data:write'))) {
+        const ingested = await knowledgeBase.ingest(req.file.buffer.toString('utf8'), {
+          title: req.body.title || upload.name,
+          source_upload_id: upload.id,
+        });
+        result.indexed = { documentId: ingested.documentId, chunks: ingested.chunksProcessed };
+      }
+
+      await auditLogger.logDataModification({
+        ...auditContext(req),
+        action: 'upload',
+        resource: type === 'image' ? 'medical_images' : 'documents',
+        uploadId: upload.id,
+        dataAfter: { id: upload.id, type, size: upload.size, mimeType: upload.mimeType },
+      });
+      sendData(res, result, { status: 201 });
+    })
+  );
+
+  router.get(
+    '/:uploadId',
+    asyncHandler(async (req, res) => {
+      const upload = uploadService.getOwned(req.user, req.params.uploadId);
+      await auditLogger.logAccess({
+        ...auditContext(req),
+        action: 'download',
+        resource: upload.type === 'image' ? 'medical_images:read' : 'documents:read',
+        uploadId: upload.id,
+        outcome: 'success',
+      });
+      res.type(upload.mimeType);
+      res.sendFile(path.resolve(upload.path), { headers: { 'Cache-Control': 'private, no-store' } });
+    })
+  );
+
+  return router;
+}
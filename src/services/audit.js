@@ -0,0 +1,59 @@
+// HIPAA audit trail backed by the local store
+// The compliance AuditLogger formats entries; this module gives it somewhere durable to write them
+
+import compliance from '../../flowise-config/enhanced-medical-compliance.js';
+import { logger } from '../logger.js';
+
+const { AuditLogger } = compliance;
+
+const windowUnits = { m: 60000, h: 3600000, d: 86400000 };
+
+class StoreAuditLogger extends AuditLogger {
+  constructor(store, config = {}) {
+    super({
+      ...config,
+      logStream: { write: line => store.writeAudit(JSON.parse(line)) },
+    });
+    this.store = store;
+  }
+
+  // Feeds the excessive-access check with real counts instead of the stub
+  async getRecentAccessByUser(userId, timeWindow) {
+    if (!userId) return [];
+    const match = /^(\d+)([mhd])$/.exec(timeWindow) || [null, 1, 'h'];
+    const since = new Date(
+      Date.now() - Number(match[1]) * windowUnits[match[2]]
+    ).toISOString();
+    return this.store.listAuditEvents(userId, since);
+  }
+
+  // Audit entries must never be lost silently: the failure reaches the caller
+  async backupAuditLog(logEntry) {
+    logger.error('Audit entry could not be stored', { entry: logEntry });
+    const error = new Error('Audit entry could not be stored');
+    error.type = 'audit_failed';
+    throw error;
+  }
+}
+
+export function createAuditLogger(store) {
+  return new StoreAuditLogger(store, {
+    retentionPeriod: process.env.HIPAA_AUDIT_RETENTION_DAYS
+      ? `${process.env.HIPAA_AUDIT_RETENTION_DAYS}d`
+      : '7y',
+    siemEndpoint: process.env.SIEM_ENDPOINT,
+    siemApiKey: process.env.SIEM_API_KEY,
+    securityWebhook: process.env.SECURITY_WEBHOOK_URL,
+  });
+}
+
+// Request fields every audit entry carries
+export function auditContext(req) {
+  return {
+    userId: req.user ? req.user.id : undefined,
+    userRole: req.user ? req.user.role : undefined,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestId: req.id,
+  };
+}
@@ -0,0 +1,159 @@
+// Authentication for F-Bot 2.0
+// Short-lived access tokens plus single-use refresh tokens tracked in the store
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { createApiError } from '../http/errors.js';
+import { logger } from '../logger.js';
+
+export class AuthService {
+  constructor({ store, accessControl, config }) {
+    this.store = store;
+    this.accessControl = accessControl;
+    this.config = config.jwt;
+    this.adminConfig = config.admin;
+    this.environment = config.env;
+    this.dummyHash = null;
+  }
+
+  // Compliance roles (admin, physician, researcher, patient, guest) collapse to the
+  // frontend's admin/user; permissions carry the detail
+  toPublicUser(user) {
+    const roleConfig = this.accessControl.rolePermissions[user.role];
+    return {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role === 'admin' ? 'admin' : 'user',
+      permissions: roleConfig ? roleConfig.permissions : [],
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    };
+  }
+
+  async createUser({ username, password, role, ...profile }) {
+    if (!this.accessControl.rolePermissions[role]) {
+      throw createApiError(400, 'INVALID_ROLE', `Unknown role: ${role}`);
+    }
+    const passwordHash = await bcrypt.hash(password, 12);
+    return this.store.createUser({ username, passwordHash, role, ...profile });
+  }
+
+  // An empty database gets one administrator so the app is usable on first start
+  async ensureAdmin() {
+    if (this.store.countUsers() > 0) return null;
+
+    let password = this.adminConfig.password;
+    if (!password) {
+      if (this.environment === 'production') {
+        logger.warn('No users exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first administrator');
+        return null;
+      }
+      password = crypto.randomBytes(12).toString('base64url');
+      logger.warn(`Created administrator ${this.adminConfig.username} with generated password: ${password}`);
+    }
+
+    return this.createUser({
+      username: this.adminConfig.username,
+      email: this.adminConfig.username,
+      password,
+      role: 'admin',
+      firstName: 'Admin',
+    });
+  }
+
+  async login(username, password) {
+    const user = username ? this.store.findUserByUsername(username) : null;
+    // Compare against a dummy hash for unknown users so timing does not reveal them
+    if (!user && !this.dummyHash) {
+      this.dummyHash = await bcrypt.hash(crypto.randomUUID(), 12);
+    }
+    const hash = user ? user.passwordHash : this.dummyHash;
+    const valid = await bcrypt.compare(password || '', hash);
+    if (!user || !valid) {
+      throw createApiError(401, 'INVALID_CREDENTIALS', 'Invalid username or password');
+    }
+    return this.issueTokens(user);
+  }
+
+  issueTokens(user) {
+    const options = { issuer: this.config.issuer, audience: this.config.audience };
+    const token = jwt.sign({ role: user.role, orgId: user.orgId }, this.config.secret, {
+      ...options,
+      subject: user.id,
+      expiresIn: this.config.expiresIn,
+    });
+
+    const tokenId = crypto.randomUUID();
+    const refreshToken = jwt.sign({ type: 'refresh' }, this.config.refreshSecret, {
+      ...options,
+      subject: user.id,
+      jwtid: tokenId,
+      expiresIn: this.config.refreshExpiresIn,
+    });
+    this.store.saveRefreshToken(
+      tokenId,
+      user.id,
+      new Date(Date.now() + this.config.refreshExpiresIn * 1000).toISOString()
+    );
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: this.config.expiresIn,
+      user: this.toPublicUser(user),
+    };
+  }
+
+  // Returns { userId, role, orgId, expiresAt }; also used by the WebSocket handshake
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.config.secret, {
+        issuer: this.config.issuer,
+        audience: this.config.audience,
+      });
+      // Refresh tokens may share the secret; they never authorize requests
+      if (payload.type === 'refresh') throw new Error('Refresh token used as access token');
+      return { userId: payload.sub, role: payload.role, orgId: payload.orgId, expiresAt: payload.exp * 1000 };
+    } catch (error) {
+      throw error.name === 'TokenExpiredError'
+        ? createApiError(401, 'TOKEN_EXPIRED', 'Access token has expired')
+        : createApiError(401, 'INVALID_TOKEN', 'Access token is invalid');
+    }
+  }
+
+  refresh(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken || '', this.config.refreshSecret, {
+        issuer: this.config.issuer,
+        audience: this.config.audience,
+      });
+    } catch (error) {
+      throw createApiError(401, 'INVALID_REFRESH_TOKEN', 'Refresh token is invalid or expired');
+    }
+
+    const record = payload.type === 'refresh' ? this.store.findRefreshToken(payload.jti) : null;
+    if (!record || record.userId !== payload.sub) {
+      throw createApiError(401, 'INVALID_REFRESH_TOKEN', 'Refresh token is invalid or expired');
+    }
+    // A reused refresh token means it leaked; end every session for that user
+    if (record.revokedAt) {
+      this.store.revokeUserTokens(record.userId);
+      throw createApiError(401, 'REFRESH_TOKEN_REUSED', 'Refresh token was already used; please log in again');
+    }
+
+    const user = this.store.findUserById(record.userId);
+    if (!user) {
+      throw createApiError(401, 'INVALID_REFRESH_TOKEN', 'Refresh token is invalid or expired');
+    }
+    this.store.revokeRefreshToken(record.id);
+    return this.issueTokens(user);
+  }
+
+  logout(userId) {
+    this.store.revokeUserTokens(userId);
+  }
+}
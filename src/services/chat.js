@@ -0,0 +1,618 @@
+// Chat service for F-Bot 2.0
+// Persists sessions, grounds each turn in the knowledge base and routes it through the orchestrator
+
+import crypto from 'crypto';
+import orchestrator from '../../flowise-config/enhanced-multi-llm-orchestrator.js';
+import personality from '../../flowise-config/dr-fascia-personality.js';
+import emotionDetection from '../../flowise-config/emotion-detector.js';
+import redFlagTriage from '../../flowise-config/red-flag-triage.js';
+import symptomAssessment from '../../flowise-config/symptom-assessment.js';
+import pricing from '../../flowise-config/model-pricing.js';
+import { createApiError, toApiError } from '../http/errors.js';
+import { logger } from '../logger.js';
+import { toSource } from './knowledge.js';
+
+const { routeAndComplete, routeAndStream, explainRouting } = orchestrator;
+const { drFasciaPersonality, drFasciaFlowiseConfig } = personality;
+const { calculateCost } = pricing;
+const { EmotionDetector } = emotionDetection;
+const { RedFlagTriage } = redFlagTriage;
+const { SymptomAssessment } = symptomAssessment;
+
+const DEFAULT_SESSION_TITLE = 'New Chat Session';
+
+// Safety-critical answers get the firmer scope reminder; everything else a natural disclaimer
+export function disclaimerFor(routing = {}) {
+  const { professional_boundaries, disclaimer_integration } = drFasciaPersonality.safety_protocols;
+  return routing.safetyLevel === 'high'
+    ? professional_boundaries.scope_reminders[2]
+    : disclaimer_integration.natural_disclaimers[0];
+}
+
+// Stored in place of a model name for replies the triage gives without the LLM
+export const TRIAGE_MODEL = 'red-flag-triage';
+
+// Ensemble answers bill every model that was asked, not just the one served
+export function resultCost(result) {
+  const metadata = result.metadata || {};
+  if (metadata.budget && metadata.budget.cost !== undefined) return metadata.budget.cost;
+
+  const billed = metadata.ensemble ? metadata.ensemble.responses : [result];
+  return billed.reduce((sum, response) => {
+    const usage = response.usage || {};
+    return sum + (calculateCost(response.model, usage.inputTokens || 0, usage.outputTokens || 0) || 0);
+  }, 0);
+}
+
+// Failures that say nothing about a model's quality are not held against it
+const NEUTRAL_CALL_ERRORS = ['budget_exceeded', 'cancelled', 'context_overflow', 'provider_not_configured'];
+
+// Outcome and latency of every model a turn called, for the weight learner
+function callOutcomes(metadata = {}) {
+  if (metadata.ensemble) {
+    return metadata.ensemble.responses.map(({ model, latency }) => ({ model, status: 'success', latency }));
+  }
+  return metadata.failover ? metadata.failover.attempts : [];
+}
+
+// Frontend EnsembleReview: the comparison without the per-model drafts
+function toEnsembleReview(ensemble) {
+  if (!ensemble) return undefined;
+  const { mode, agreementScore, models, escalatedTo, contradictions } = ensemble;
+  return { mode, agreementScore, models, escalatedTo: escalatedTo || undefined, contradictions };
+}
+
+// Experiment tags without the arm's overrides
+function experimentTags(experiments = []) {
+  return experiments.map(({ experimentId, armId }) => ({ experimentId, armId }));
+}
+
+// Red flags mark the answer urgent, so the chat view can highlight it
+function messageMetadata(turn) {
+  const metadata = {};
+  if (turn.options.patientId) metadata.patientId = turn.options.patientId;
+  if (turn.triage && turn.triage.level !== 'none') {
+    metadata.urgency = turn.triage.level === 'emergency' ? 'critical' : 'high';
+    metadata.redFlags = turn.triage.flags.map(flag => flag.id);
+  }
+  return Object.keys(metadata).length > 0 ? metadata : undefined;
+}
+
+function uniqueSources(chunks) {
+  const seen = new Set();
+  return chunks.map(toSource).filter(source => {
+    const key = source.doi || source.title;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export class ChatService {
+  constructor({
+    store, knowledgeBase, auditLogger, monitoring, providerRouter, events, toolRegistry, experiments, weightLearner, config,
+  }) {
+    this.store = store;
+    this.knowledgeBase = knowledgeBase;
+    this.auditLogger = auditLogger;
+    this.monitoring = monitoring;
+    this.providerRouter = providerRouter;
+    this.events = events;
+    this.toolRegistry = toolRegistry || null;
+    this.experiments = experiments || null;
+    this.weightLearner = weightLearner || null;
+    this.emotionDetector = new EmotionDetector();
+    this.triage = new RedFlagTriage();
+    this.assessment = new SymptomAssessment();
+    this.toolMaxSteps = config.toolMaxSteps;
+    // messageId -> { controller, userId } for streams that can still be cancelled
+    this.activeStreams = new Map();
+    this.historyTurns = config.historyTurns;
+    this.ragTopK = config.rag.topK;
+  }
+
+  // Sessions of other users are reported as missing rather than forbidden
+  getOwnedSession(user, sessionId) {
+    const session = this.store.getSession(sessionId);
+    if (!session || session.userId !== user.id) {
+      throw createApiError(404, 'SESSION_NOT_FOUND', 'Chat session not found');
+    }
+    return session;
+  }
+
+  // Real-time clients of the session (WebSocket) see typing, messages and costs as they happen
+  publish(sessionId, type, payload) {
+    if (this.events) this.events.publish(sessionId, type, payload);
+  }
+
+  broadcast(sessionId, type, payload) {
+    if (this.events) this.events.broadcast(sessionId, type, payload);
+  }
+
+  // Experiment arms may change the Dr. Fascia profile or add a prompt variant; the detected
+  // emotion picks the emotional modulation
+  buildSystemPrompt(request, experiments = [], emotion = null) {
+    const context = request.context || {};
+    const persona = Object.assign({}, ...experiments.map(arm => arm.persona || {}));
+    const variants = experiments.map(arm => arm.prompt).filter(Boolean);
+    const conversationContext = emotion
+      ? { emotionalState: emotion.emotionalState, emotionalIntensity: emotion.intensity, emotionalTrend: emotion.trend }
+      : {};
+    const system = [drFasciaFlowiseConfig.system_message_generator(persona, conversationContext), ...variants].join('\n\n');
+    const notes = [];
+    if (context.language && context.language !== 'en') {
+      notes.push(`Respond in the user's language (${context.language}).`);
+    }
+    if (context.specialty) notes.push(`The user is asking in the context of ${context.specialty}.`);
+    if (context.urgency) notes.push(`The user rates the urgency as ${context.urgency}.`);
+    return notes.length > 0 ? `${system}\n\nREQUEST CONTEXT:\n${notes.join('\n')}` : system;
+  }
+
+  async retrieve(query) {
+    try {
+      return await this.knowledgeBase.search(query, { k: this.ragTopK });
+    } catch (error) {
+      logger.warn('Knowledge base search failed; answering without references', { error: error.message });
+      return [];
+    }
+  }
+
+  // Everything the orchestrator needs for one turn; shared with the streaming path. The
+  // red-flag triage runs first: an emergency is answered without the model, so nothing else
+  // is prepared for it, and urgent flags instruct the model to recommend an evaluation. The
+  // guided symptom assessment then records what the message answered and picks the next question.
+  async prepareTurn(user, request, requestMeta = {}) {
+    const session = request.sessionId
+      ? this.getOwnedSession(user, request.sessionId)
+      : this.store.createSession(user.id, { title: request.message.substring(0, 60) });
+
+    const history = this.store
+      .listMessages(session.id, this.historyTurns)
+      .filter(message => message.role === 'user' || message.role === 'assistant')
+      .map(({ role, content }) => ({ role, content }));
+
+    const userMessage = this.store.addMessage(session.id, {
+      role: 'user',
+      content: request.message,
+      metadata: request.patientId ? { patientId: request.patientId } : undefined,
+    });
+    if (history.length === 0 && session.title === DEFAULT_SESSION_TITLE) {
+      this.store.updateSessionTitle(session.id, request.message.substring(0, 60));
+    }
+    this.publish(session.id, 'message', { message: userMessage });
+    this.publish(session.id, 'typing', { isTyping: true });
+
+    const earlierMessages = history.filter(message => message.role === 'user').map(message => message.content);
+    const triage = this.triage.assess(request.message, earlierMessages);
+    if (triage.level === 'emergency') {
+      return { session, userMessage, triage, ragChunks: [], options: { patientId: request.patientId } };
+    }
+
+    const ragChunks = await this.retrieve(request.message);
+    const experiments = this.experiments ? this.experiments.assign({ userId: user.id, role: user.role }) : [];
+    const emotion = this.emotionDetector.detect([...earlierMessages, request.message]);
+    const assessment = this.assessment.update(session.symptomAssessment || null, request.message, {
+      messageId: userMessage.id,
+    });
+    if (assessment.changed) this.store.saveSymptomAssessment(session.id, assessment.state);
+
+    const system = [
+      this.buildSystemPrompt(request, experiments, emotion),
+      triage.level === 'urgent' ? this.triage.urgentInstruction(triage) : null,
+      this.assessment.instruction(assessment),
+    ].filter(Boolean).join('\n\n');
+    return {
+      session,
+      userMessage,
+      triage,
+      ragChunks,
+      options: {
+        system,
+        messages: history,
+        ragContext: ragChunks,
+        maxCost: request.maxCost,
+        patientId: request.patientId,
+        providerRouter: this.providerRouter,
+        principal: { userId: user.id, role: user.role, orgId: user.orgId },
+        audit: requestMeta.audit,
+        userPreferences: { preferredModel: request.modelPreference, history },
+        experiments,
+        // The chat speaks for the supervisor, so every tool the user's role permits is offered
+        tools: this.toolRegistry
+          ? { registry: this.toolRegistry, context: { sessionId: session.id }, maxSteps: this.toolMaxSteps }
+          : undefined,
+      },
+    };
+  }
+
+  // Stores the assistant reply and its usage, and audits the exchange
+  async completeTurn(user, turn, result, requestMeta = {}) {
+    const routing = result.routing || {};
+    const cost = resultCost(result);
+    const ensemble = toEnsembleReview(result.metadata && result.metadata.ensemble);
+
+    const assistantMessage = this.store.addMessage(turn.session.id, {
+      id: turn.messageId,
+      role: 'assistant',
+      content: result.text,
+      confidence: ensemble && ensemble.agreementScore !== null ? ensemble.agreementScore : undefined,
+      sources: uniqueSources(turn.ragChunks),
+      modelUsed: result.model,
+      cost,
+      processingTime: (result.latency || 0) / 1000,
+      disclaimer: disclaimerFor(routing),
+      ensemble,
+      metadata: messageMetadata(turn),
+    });
+    this.saveRoutingDecision(user, turn, assistantMessage.id, result);
+
+    this.store.recordUsage({
+      userId: user.id,
+      sessionId: turn.session.id,
+      messageId: assistantMessage.id,
+      model: result.model,
+      provider: result.provider,
+      taskType: routing.taskType,
+      inputTokens: result.usage && result.usage.inputTokens,
+      outputTokens: result.usage && result.usage.outputTokens,
+      cost,
+      latencyMs: result.latency,
+      status: 'success',
+    });
+    this.publish(turn.session.id, 'message', { message: assistantMessage });
+    this.publish(turn.session.id, 'typing', { isTyping: false });
+    this.publish(turn.session.id, 'cost', {
+      messageId: assistantMessage.id,
+      model: result.model,
+      cost,
+      sessionCost: this.store.getSessionCost(turn.session.id),
+      budget: result.metadata && result.metadata.budget,
+    });
+
+    await this.track(requestMeta, 'success', result, cost, turn);
+    this.recordExposure(turn, 'success', result, cost);
+    this.learnFromCalls(routing.taskType, callOutcomes(result.metadata));
+    await this.auditLogger.logAccess({
+      ...requestMeta.audit,
+      action: 'chat_message',
+      resource: turn.options.patientId ? 'patient_data:read' : 'educational_content:read',
+      sessionId: turn.session.id,
+      patientId: turn.options.patientId,
+      model: result.model,
+      outcome: 'success',
+    });
+
+    return { sessionId: turn.session.id, message: assistantMessage };
+  }
+
+  // The session's symptom assessment with its OPQRST summary, or null when none was started
+  assessmentFor(session) {
+    if (!session.symptomAssessment) return null;
+    return {
+      sessionId: session.id,
+      ...session.symptomAssessment,
+      summary: this.assessment.summarize(session.symptomAssessment),
+    };
+  }
+
+  // Red flags raise a MedicalAlert for the session's real-time clients and a compliance audit
+  // event, before any answer is given
+  async escalate(turn, requestMeta = {}) {
+    const { triage } = turn;
+    if (triage.level === 'none') return;
+    this.publish(turn.session.id, 'alert', {
+      alert: this.triage.alertFor(triage),
+      source: 'triage',
+      messageId: turn.userMessage.id,
+    });
+    await this.auditLogger.logAccess({
+      ...requestMeta.audit,
+      action: 'red_flag_triage',
+      resource: turn.options.patientId ? 'patient_data:read' : 'educational_content:read',
+      sessionId: turn.session.id,
+      patientId: turn.options.patientId,
+      outcome: triage.level === 'emergency' ? 'escalated' : 'flagged',
+      triageLevel: triage.level,
+      redFlags: triage.flags.map(flag => flag.id),
+    });
+  }
+
+  // Emergencies get the emergency_care referral straight away instead of a model answer
+  async completeTriage(user, turn, requestMeta = {}) {
+    const assistantMessage = this.store.addMessage(turn.session.id, {
+      id: turn.messageId,
+      role: 'assistant',
+      content: this.triage.emergencyReply(turn.triage),
+      modelUsed: TRIAGE_MODEL,
+      cost: 0,
+      processingTime: 0,
+      disclaimer: disclaimerFor({ safetyLevel: 'high' }),
+      metadata: messageMetadata(turn),
+    });
+    this.publish(turn.session.id, 'message', { message: assistantMessage });
+    this.publish(turn.session.id, 'typing', { isTyping: false });
+
+    await this.auditLogger.logAccess({
+      ...requestMeta.audit,
+      action: 'chat_message',
+      resource: turn.options.patientId ? 'patient_data:read' : 'educational_content:read',
+      sessionId: turn.session.id,
+      patientId: turn.options.patientId,
+      model: TRIAGE_MODEL,
+      outcome: 'success',
+    });
+
+    return { sessionId: turn.session.id, message: assistantMessage };
+  }
+
+  // Why the answer went to its model, kept for clinical review of the message
+  saveRoutingDecision(user, turn, messageId, result) {
+    this.store.saveRoutingDecision({
+      messageId,
+      sessionId: turn.session.id,
+      userMessageId: turn.userMessage.id,
+      userId: user.id,
+      decision: explainRouting(result),
+    });
+  }
+
+  // A stream the user cancelled is recorded as cancelled, not as a failed call
+  async failTurn(user, turn, error, requestMeta = {}, { cancelled = false } = {}) {
+    this.store.recordUsage({
+      userId: user.id,
+      sessionId: turn.session.id,
+      status: cancelled ? 'cancelled' : error.type || 'failed',
+    });
+    this.publish(turn.session.id, 'typing', { isTyping: false });
+    await this.track(requestMeta, cancelled ? 'cancelled' : 'error', { error }, 0, turn);
+    this.recordExposure(turn, cancelled ? 'cancelled' : 'error', { error });
+    this.learnFromCalls(error.routing && error.routing.taskType, error.failover ? error.failover.attempts : []);
+    await this.auditLogger.logAccess({
+      ...requestMeta.audit,
+      action: 'chat_message',
+      resource: turn.options.patientId ? 'patient_data:read' : 'educational_content:read',
+      sessionId: turn.session.id,
+      outcome: cancelled ? 'cancelled' : 'failure',
+      errorType: cancelled ? 'cancelled' : error.type || 'unknown',
+    });
+  }
+
+  async track(requestMeta, status, result, cost, turn) {
+    if (!this.monitoring) return;
+    const routing = result.routing || {};
+    try {
+      await this.monitoring.trackAPICall({
+        endpoint: requestMeta.endpoint || '/api/chat/message',
+        method: 'POST',
+        status,
+        duration: (result.latency || 0) / 1000,
+        model: result.model,
+        provider: result.provider,
+        cost,
+        inputTokens: result.usage && result.usage.inputTokens,
+        outputTokens: result.usage && result.usage.outputTokens,
+        error: result.error,
+        sessionId: turn.session.id,
+        experiments: routing.experiments || experimentTags(turn.options.experiments),
+      });
+      if (cost) this.monitoring.costMeter.recordCost(cost);
+    } catch (error) {
+      logger.warn('Monitoring failed to record chat call', { error: error.message });
+    }
+  }
+
+  // Experiment arms are credited here rather than by monitoring, so results are kept with or
+  // without MONITORING_ENABLED
+  recordExposure(turn, status, result, cost) {
+    if (!this.experiments) return;
+    const routing = result.routing || {};
+    try {
+      this.experiments.recordExposure({
+        experiments: routing.experiments || experimentTags(turn.options.experiments),
+        sessionId: turn.session.id,
+        status,
+        duration: result.latency !== undefined ? result.latency / 1000 : undefined,
+        cost,
+      });
+    } catch (error) {
+      logger.warn('Experiments failed to record exposure', { error: error.message });
+    }
+  }
+
+  // Every model a turn called teaches the weight learner its outcome and latency
+  learnFromCalls(taskType, attempts) {
+    if (!this.weightLearner || !taskType) return;
+    for (const attempt of attempts) {
+      if (NEUTRAL_CALL_ERRORS.includes(attempt.errorType)) continue;
+      const succeeded = attempt.status === 'success';
+      this.learn({
+        taskType,
+        model: attempt.model,
+        callSucceeded: succeeded,
+        latencyMs: succeeded ? attempt.latency : undefined,
+      });
+    }
+  }
+
+  learn(feedback) {
+    try {
+      this.weightLearner.recordFeedback(feedback);
+    } catch (error) {
+      logger.warn('Weight learner failed to record feedback', { error: error.message });
+    }
+  }
+
+  // Satisfaction scores feed the monitoring dashboard, the session's experiment arms and the
+  // learned weight of the model behind the session's latest answer
+  async recordFeedback(user, sessionId, { score, feedback }) {
+    const session = this.getOwnedSession(user, sessionId);
+    const answer = this.store
+      .listMessages(session.id)
+      .reverse()
+      .find(message => message.role === 'assistant' && message.modelUsed && message.modelUsed !== TRIAGE_MODEL);
+    const record = answer && this.store.getRoutingDecision(answer.id);
+    if (this.weightLearner && record && record.decision.taskType) {
+      this.learn({ taskType: record.decision.taskType, model: answer.modelUsed, userFeedbackScore: score });
+    }
+    if (this.experiments) {
+      const arms = record && record.decision.experiments;
+      try {
+        this.experiments.recordOutcome({ sessionId: session.id, score, experiments: arms && arms.length > 0 ? arms : undefined });
+      } catch (error) {
+        logger.warn('Experiments failed to record outcome', { error: error.message });
+      }
+    }
+    if (!this.monitoring) return;
+    await this.monitoring.trackUserSatisfaction({
+      sessionId: session.id,
+      sessionType: 'chat',
+      userRole: user.role,
+      satisfactionScore: score,
+      feedback,
+    });
+  }
+
+  async sendMessage(user, request, requestMeta = {}) {
+    const turn = await this.prepareTurn(user, request, requestMeta);
+    await this.escalate(turn, requestMeta);
+    if (turn.triage.level === 'emergency') return this.completeTriage(user, turn, requestMeta);
+
+    let result;
+    try {
+      result = await routeAndComplete('auto', request.message, turn.options);
+    } catch (error) {
+      await this.failTurn(user, turn, error, requestMeta);
+      throw error;
+    }
+    return this.completeTurn(user, turn, result, requestMeta);
+  }
+
+  // Streams one turn. onEvent(type, payload) receives stream_start, token, stream_end,
+  // stream_cancelled and stream_error; the session's real-time clients get the same events.
+  // stream_start carries the disclaimer for the routed safety level before any token is
+  // shown, and stream_end the stored message with sources, disclaimer and ensemble review.
+  // An emergency's triage reply arrives as a single token.
+  async streamMessage(user, request, { requestMeta = {}, signal, onEvent = () => {}, clientRequestId } = {}) {
+    const turn = await this.prepareTurn(user, request, requestMeta);
+    turn.messageId = crypto.randomUUID();
+    const sessionId = turn.session.id;
+    const messageId = turn.messageId;
+    await this.escalate(turn, requestMeta);
+
+    const emit = (type, payload) => {
+      onEvent(type, payload);
+      this.broadcast(sessionId, type, payload);
+    };
+
+    if (turn.triage.level === 'emergency') {
+      emit('stream_start', {
+        messageId,
+        sessionId,
+        clientRequestId,
+        userMessage: turn.userMessage,
+        model: TRIAGE_MODEL,
+        disclaimer: disclaimerFor({ safetyLevel: 'high' }),
+      });
+      const { message } = await this.completeTriage(user, turn, requestMeta);
+      emit('token', { messageId, index: 0, text: message.content });
+      emit('stream_end', { messageId, sessionId, message, safety: { level: 'high', taskType: 'red_flag_triage' } });
+      return { sessionId, message };
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) abort();
+      signal.addEventListener('abort', abort, { once: true });
+    }
+    this.activeStreams.set(messageId, { controller, userId: user.id });
+
+    let started = null;
+    const start = routing => {
+      started = { routing, disclaimer: disclaimerFor(routing) };
+      emit('stream_start', {
+        messageId,
+        sessionId,
+        clientRequestId,
+        userMessage: turn.userMessage,
+        model: routing.model,
+        disclaimer: started.disclaimer,
+      });
+    };
+
+    let text = '';
+    let index = 0;
+    try {
+      let result = null;
+      const events = routeAndStream('auto', request.message, { ...turn.options, signal: controller.signal });
+      for await (const event of events) {
+        if (event.type === 'routing') {
+          start(event.routing);
+        } else if (event.type === 'token') {
+          if (!started) start({});
+          text += event.text;
+          emit('token', { messageId, index: index++, text: event.text });
+        } else if (event.type === 'done') {
+          result = event;
+        }
+      }
+      // A provider stream that ends early must fail the turn with a type the audit log can name
+      if (!result) {
+        const error = new Error('The model stream ended before the answer was complete');
+        error.type = 'stream_incomplete';
+        throw error;
+      }
+
+      const { message } = await this.completeTurn(user, turn, result, requestMeta);
+      const routing = result.routing || {};
+      emit('stream_end', {
+        messageId,
+        sessionId,
+        message,
+        safety: { level: routing.safetyLevel, taskType: routing.taskType },
+      });
+      return { sessionId, message };
+    } catch (error) {
+      const cancelled = controller.signal.aborted;
+      await this.failTurn(user, turn, error, requestMeta, { cancelled });
+      if (cancelled) {
+        emit('stream_cancelled', { messageId, sessionId, message: this.savePartial(user, turn, text, started) });
+        return { sessionId, cancelled: true };
+      }
+      if (started) {
+        const apiError = toApiError(error);
+        emit('stream_error', { messageId, sessionId, code: apiError.code, message: apiError.message });
+      }
+      throw error;
+    } finally {
+      this.activeStreams.delete(messageId);
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  // A cancelled answer keeps what the user already saw, with its disclaimer
+  savePartial(user, turn, text, started) {
+    if (!text) return undefined;
+    const message = this.store.addMessage(turn.session.id, {
+      id: turn.messageId,
+      role: 'assistant',
+      content: text,
+      modelUsed: started && started.routing.model,
+      disclaimer: started ? started.disclaimer : disclaimerFor({}),
+      metadata: { cancelled: true },
+    });
+    if (started && started.routing.model) {
+      this.saveRoutingDecision(user, turn, message.id, { routing: started.routing });
+    }
+    this.publish(turn.session.id, 'message', { message });
+    return message;
+  }
+
+  cancelStream(user, messageId) {
+    const stream = this.activeStreams.get(messageId);
+    if (!stream || stream.userId !== user.id) {
+      throw createApiError(404, 'STREAM_NOT_FOUND', 'No active response with that id');
+    }
+    stream.controller.abort();
+  }
+}
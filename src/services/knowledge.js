@@ -0,0 +1,184 @@
+// Medical knowledge base for F-Bot 2.0
+// MedicalDocumentProcessor chunks and grades documents; chunks and embeddings live in SQLite
+
+import crypto from 'crypto';
+import rag from '../../flowise-config/enhanced-medical-rag.js';
+import responseCache from '../../flowise-config/response-cache.js';
+
+const { MedicalDocumentProcessor, enhancedRAGConfig } = rag;
+const { cosineSimilarity, createAdapterEmbeddings } = responseCache;
+
+const LOCAL_EMBEDDING_MODEL = 'local-hashing-512';
+
+// Offline embeddings: hashed unigrams and bigrams. Good enough for keyword-level recall
+// when no embedding provider is configured.
+export class HashingEmbeddings {
+  constructor(dimensions = 512) {
+    this.dimensions = dimensions;
+    this.model = LOCAL_EMBEDDING_MODEL;
+  }
+
+  async embedQuery(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text || '')
+      .toLowerCase()
+      .match(/[a-z0-9]+/g) || [];
+    const terms = [
+      ...words,
+      ...words.slice(1).map((word, index) => `${words[index]} ${word}`),
+    ];
+    for (const term of terms) {
+      const digest = crypto.createHash('md5').update(term).digest();
+      vector[digest.readUInt32BE(0) % this.dimensions] +=
+        digest[4] & 1 ? 1 : -1;
+    }
+    return vector;
+  }
+
+  async embedDocuments(texts) {
+    return Promise.all(texts.map(text => this.embedQuery(text)));
+  }
+}
+
+// RAG_EMBEDDINGS=openai|ollama uses the provider adapter; anything else stays offline
+export function createEmbeddings(providerRouter, options = {}) {
+  const adapter = providerRouter.adapters[options.provider];
+  if (!adapter) return new HashingEmbeddings();
+
+  const embeddings = createAdapterEmbeddings(adapter, options.model);
+  return {
+    model: `${options.provider}:${options.model || 'default'}`,
+    embedQuery: embeddings.embedQuery,
+    embedDocuments: async texts => adapter.embed(texts, { model: options.model }),
+  };
+}
+
+// Vector store interface used by MedicalDocumentProcessor.storeChunks
+class SqliteVectorStore {
+  constructor(store, embeddings) {
+    this.store = store;
+    this.embeddings = embeddings;
+  }
+
+  async addDocuments(documents) {
+    const vectors = await this.embeddings.embedDocuments(
+      documents.map(document => document.pageContent)
+    );
+    const ids = this.store.addChunks(
+      documents.map((document, index) => ({
+        content: document.pageContent,
+        metadata: document.metadata,
+        embedding: vectors[index],
+        embeddingModel: this.embeddings.model,
+      }))
+    );
+    return { id: ids[0], ids };
+  }
+
+  // Similarity weighted by evidence level and fascia relevance, per enhancedRAGConfig
+  async similaritySearchWithScore(query, k = 4, filters = {}) {
+    const strategy = enhancedRAGConfig.retrieval_strategies.medical_context_aware;
+    const queryVector = await this.embeddings.embedQuery(query);
+
+    return this.store
+      .listChunks(this.embeddings.model)
+      .filter(chunk => matchesFilters(chunk.metadata, filters))
+      .map(chunk => {
+        const similarity = cosineSimilarity(queryVector, chunk.embedding);
+        const evidenceWeight =
+          strategy.evidence_level_weighting[chunk.metadata.evidence_level] ??
+          0.5;
+        const relevance = chunk.metadata.fascia_relevance_score ?? 0;
+        const score =
+          similarity * (0.8 + 0.2 * evidenceWeight) +
+          (relevance >= strategy.fascia_relevance_threshold ? 0.05 : 0);
+        return { chunk, similarity, score };
+      })
+      .filter(result => result.similarity > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map(({ chunk, similarity, score }) => [
+        {
+          pageContent: chunk.content,
+          metadata: { ...chunk.metadata, chunk_id: chunk.id, similarity },
+        },
+        score,
+      ]);
+  }
+}
+
+// filters: { evidenceLevel, documentType, anatomicalRegion }; arrays match any value
+function matchesFilters(metadata, filters = {}) {
+  const checks = [
+    ['evidenceLevel', metadata.evidence_level],
+    ['documentType', metadata.document_type],
+    ['anatomicalRegion', metadata.anatomical_region],
+  ];
+  return checks.every(([key, value]) => {
+    const wanted = filters[key];
+    if (!wanted || (Array.isArray(wanted) && wanted.length === 0)) return true;
+    const wantedValues = Array.isArray(wanted) ? wanted : [wanted];
+    const actual = Array.isArray(value) ? value : [value];
+    return wantedValues.some(item => actual.includes(item));
+  });
+}
+
+const sourceTypes = {
+  systematic_review: 'research',
+  meta_analysis: 'research',
+  clinical_trial: 'research',
+  research_paper: 'research',
+  case_study: 'clinical',
+  clinical_guideline: 'guideline',
+  textbook_chapter: 'textbook',
+  educational_material: 'textbook',
+};
+
+// Maps a retrieved chunk to the frontend Source shape
+export function toSource(chunk) {
+  const metadata = chunk.metadata || {};
+  return {
+    type: metadata.source_type || sourceTypes[metadata.document_type] || 'research',
+    title: metadata.title || 'Untitled document',
+    url: metadata.url,
+    evidenceLevel: metadata.evidence_level,
+    authors: metadata.authors,
+    journal: metadata.journal,
+    year:
+      metadata.year ||
+      (metadata.publication_date
+        ? Number(String(metadata.publication_date).substring(0, 4))
+        : undefined),
+    doi: metadata.doi,
+  };
+}
+
+export class KnowledgeBase {
+  constructor(store, embeddings) {
+    this.vectorStore = new SqliteVectorStore(store, embeddings);
+    this.processor = new MedicalDocumentProcessor(this.vectorStore, embeddings);
+    this.store = store;
+  }
+
+  async ingest(content, metadata = {}) {
+    const result = await this.processor.processDocument(
+      { content },
+      { document_id: crypto.randomUUID(), ...metadata }
+    );
+    if (!result.success) {
+      const error = new Error(result.error || 'Document processing failed');
+      error.type = 'ingest_failed';
+      throw error;
+    }
+    return result;
+  }
+
+  // Returns chunks in the { content, score, metadata } shape the prompt assembler expects
+  search(query, options = {}) {
+    return this.processor.search(query, options);
+  }
+
+  size() {
+    return this.store.countChunks();
+  }
+}
@@ -0,0 +1,31 @@
+// Optional flowise-config modules
+// Some modules need native or device packages (TensorFlow, canvas, Loki, Clarius SDK) that
+// local installs often lack; the server starts without them and reports them in /api/health
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const loaded = new Map();
+
+export function loadOptional(name) {
+  if (!loaded.has(name)) {
+    try {
+      loaded.set(name, {
+        module: require(`../../flowise-config/${name}`),
+        error: null,
+      });
+    } catch (error) {
+      loaded.set(name, { module: null, error });
+    }
+  }
+  return loaded.get(name);
+}
+
+// { name: 'available' | 'unavailable' } for every optional module requested so far. Load errors
+// carry absolute paths, so they are only logged, never returned.
+export function optionalModuleStatus() {
+  return Object.fromEntries(
+    [...loaded].map(([name, { module }]) => [name, module ? 'available' : 'unavailable'])
+  );
+}
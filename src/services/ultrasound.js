@@ -0,0 +1,109 @@
+// Ultrasound analysis for F-Bot 2.0
+// Runs GemmaUltrasoundAnalyzer when its TensorFlow/canvas dependencies are installed
+
+import { loadOptional } from './optional.js';
+import { createApiError } from '../http/errors.js';
+import { logger } from '../logger.js';
+
+const GEMMA_MODULE = 'enhanced-gemma-ultrasound-integration';
+
+const urgencySeverity = { high: 'severe', critical: 'severe', medium: 'moderate' };
+
+// Gemma reports findings for the whole image, so every finding spans the full frame
+const wholeImage = { x: 0, y: 0, width: 1, height: 1 };
+
+// Converts a Gemma interpretation into the frontend UltrasoundFinding list, most severe first
+export function toUltrasoundFindings(interpretation) {
+  const findings = [];
+  const seen = new Set();
+  const add = (finding, severity, confidence, description) => {
+    if (!finding || seen.has(finding)) return;
+    seen.add(finding);
+    findings.push({ finding, location: wholeImage, confidence, severity, description });
+  };
+
+  for (const alert of interpretation.alerts || []) {
+    add(
+      alert.message,
+      urgencySeverity[alert.urgency] || 'mild',
+      alert.confidence ?? interpretation.confidence,
+      alert.type === 'measurement_abnormal' ? 'Measurement outside normal range' : 'Clinical concern'
+    );
+  }
+
+  const groups = interpretation.findings || {};
+  for (const finding of groups.abnormal || []) {
+    add(finding, 'moderate', interpretation.confidence, 'Abnormal finding');
+  }
+  for (const finding of groups.uncertain || []) {
+    add(finding, 'mild', Math.min(interpretation.confidence, 0.8), 'Low-confidence finding; review recommended');
+  }
+  for (const finding of groups.normal || []) {
+    add(finding, 'mild', interpretation.confidence, 'Within normal limits');
+  }
+
+  return findings;
+}
+
+const urgencyAlertSeverity = { critical: 'critical', high: 'high', medium: 'medium' };
+
+// Gemma alerts as frontend MedicalAlerts for real-time clients
+export function toMedicalAlerts(interpretation) {
+  return (interpretation.alerts || []).map(alert => ({
+    type: alert.urgency === 'critical' ? 'emergency' : 'red_flag',
+    severity: urgencyAlertSeverity[alert.urgency] || 'low',
+    message: alert.message,
+    recommendations: interpretation.recommendations || [],
+    requiresAction: alert.urgency === 'critical' || alert.urgency === 'high',
+  }));
+}
+
+export class UltrasoundService {
+  constructor(config = {}) {
+    this.config = config;
+    this.analyzer = null;
+  }
+
+  get available() {
+    return Boolean(loadOptional(GEMMA_MODULE).module);
+  }
+
+  async getAnalyzer() {
+    const { module, error } = loadOptional(GEMMA_MODULE);
+    if (!module) {
+      logger.warn('Ultrasound analysis requested but its module could not load', { error: error.message });
+      throw createApiError(503, 'ULTRASOUND_UNAVAILABLE', 'Ultrasound analysis is not available on this server');
+    }
+
+    if (!this.analyzer) {
+      // The constructor starts loading without exposing the promise; loading again
+      // is idempotent and lets the first request wait for readiness
+      const analyzer = new module.GemmaUltrasoundAnalyzer(this.config);
+      this.analyzer = analyzer.initializeModels().then(() => analyzer);
+      this.analyzer.catch(() => {
+        this.analyzer = null;
+      });
+    }
+    return this.analyzer;
+  }
+
+  // image: Buffer; returns the fields of an UltrasoundAnalysis plus the raw interpretation
+  async analyze(image, { bodyPart, clinicalContext, mode = 'diagnostic' } = {}) {
+    const analyzer = await this.getAnalyzer();
+    const startTime = Date.now();
+    const interpretation = await analyzer.analyzeUltrasoundImage(image, mode, {
+      startTime,
+      bodyPart,
+      clinicalContext,
+    });
+
+    return {
+      findings: toUltrasoundFindings(interpretation),
+      recommendations: interpretation.recommendations || [],
+      confidence: interpretation.confidence || 0,
+      modelUsed: `gemma-3n-${analyzer.vqaModel.version}`,
+      processingTime: (Date.now() - startTime) / 1000,
+      interpretation,
+    };
+  }
+}
@@ -0,0 +1,72 @@
+// File uploads for F-Bot 2.0
+// Files are written under UPLOAD_DIR with generated names; the store keeps owner and metadata
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import multer from 'multer';
+import { createApiError } from '../http/errors.js';
+
+export const allowedMimeTypes = {
+  image: ['image/jpeg', 'image/png', 'application/dicom'],
+  document: ['text/plain', 'text/markdown', 'application/pdf'],
+};
+
+// Documents in these formats can be read as text and indexed
+export const textMimeTypes = ['text/plain', 'text/markdown'];
+
+const extensions = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/dicom': '.dcm',
+  'text/plain': '.txt',
+  'text/markdown': '.md',
+  'application/pdf': '.pdf',
+};
+
+// Multipart parsing into memory; files are only written once the request is validated
+export function createUploadParser(maxBytes) {
+  return multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes, files: 1 } });
+}
+
+export class UploadService {
+  constructor({ store, uploadDir }) {
+    this.store = store;
+    this.uploadDir = uploadDir;
+    fs.mkdirSync(uploadDir, { recursive: true });
+  }
+
+  async save(user, file, type) {
+    if (!file) {
+      throw createApiError(400, 'INVALID_UPLOAD', 'A file is required');
+    }
+    if (!allowedMimeTypes[type] || !allowedMimeTypes[type].includes(file.mimetype)) {
+      throw createApiError(415, 'UNSUPPORTED_MEDIA_TYPE', `${file.mimetype} is not accepted for ${type} uploads`, {
+        accepted: allowedMimeTypes[type],
+      });
+    }
+
+    const id = crypto.randomUUID();
+    const filePath = path.join(this.uploadDir, `${id}${extensions[file.mimetype]}`);
+    await fs.promises.writeFile(filePath, file.buffer, { mode: 0o600 });
+
+    return this.store.saveUpload({
+      id,
+      userId: user.id,
+      type,
+      name: path.basename(file.originalname || 'upload'),
+      mimeType: file.mimetype,
+      size: file.size,
+      path: filePath,
+    });
+  }
+
+  // Owners and administrators only; others get a 404 so ids cannot be probed
+  getOwned(user, id) {
+    const upload = this.store.getUpload(id);
+    if (!upload || (upload.userId !== user.id && user.role !== 'admin')) {
+      throw createApiError(404, 'UPLOAD_NOT_FOUND', 'Upload not found');
+    }
+    return upload;
+  }
+}
@@ -0,0 +1,65 @@
+// Store-backed audit trail: durable writes, failures that reach the caller and access counts
+
+import { jest } from '@jest/globals';
+import { auditContext, createAuditLogger } from '../services/audit.js';
+import { logger } from '../logger.js';
+
+function createStore(overrides = {}) {
+  const entries = [];
+  return {
+    entries,
+    writeAudit: entry => entries.push(entry),
+    listAuditEvents: jest.fn(() => []),
+    ...overrides,
+  };
+}
+
+describe('createAuditLogger', () => {
+  test('writes each entry to the store', async () => {
+    const store = createStore();
+    await createAuditLogger(store).logAccess({ userId: 'u1', action: 'login', outcome: 'success', ipAddress: '10.0.0.1' });
+
+    expect(store.entries).toEqual([expect.objectContaining({ userId: 'u1', action: 'login', eventType: 'DATA_ACCESS' })]);
+    expect(store.entries[0].ipHash).toHaveLength(16);
+  });
+
+  test('an entry the store cannot take fails the call instead of being dropped', async () => {
+    const store = createStore({
+      writeAudit: () => {
+        throw new Error('database is locked');
+      },
+    });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    await expect(createAuditLogger(store).logAccess({ userId: 'u1', action: 'login' })).rejects.toMatchObject({ type: 'audit_failed' });
+    expect(error).toHaveBeenCalledWith('Audit entry could not be stored', expect.any(Object));
+    consoleError.mockRestore();
+    error.mockRestore();
+  });
+
+  test('counts recent access from the store for the excessive-access check', async () => {
+    const store = createStore();
+    const auditLogger = createAuditLogger(store);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-01-31T14:20:00Z'));
+
+    await auditLogger.getRecentAccessByUser('u1', '30m');
+    await auditLogger.getRecentAccessByUser('u1', 'soon');
+    now.mockRestore();
+
+    expect(store.listAuditEvents.mock.calls).toEqual([
+      ['u1', '2025-01-31T13:50:00.000Z'],
+      ['u1', '2025-01-31T13:20:00.000Z'],
+    ]);
+    expect(await auditLogger.getRecentAccessByUser(undefined, '1h')).toEqual([]);
+  });
+});
+
+describe('auditContext', () => {
+  test('takes the user and request fields every entry carries', () => {
+    const req = { user: { id: 'u1', role: 'physician' }, ip: '10.0.0.1', id: 'req-1', get: () => 'jest' };
+
+    expect(auditContext(req)).toEqual({ userId: 'u1', userRole: 'physician', ipAddress: '10.0.0.1', userAgent: 'jest', requestId: 'req-1' });
+    expect(auditContext({ ...req, user: undefined })).toMatchObject({ userId: undefined, userRole: undefined });
+  });
+});
@@ -0,0 +1,130 @@
+// Login, single-use refresh tokens, logout and the bearer-token middleware
+
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { ADMIN, auditEntries, createUser, startServices } from './helpers.js';
+
+const { app, services, close } = await startServices();
+
+afterAll(close);
+
+function login(credentials = ADMIN) {
+  return request(app).post('/api/auth/login').send(credentials);
+}
+
+function me(token) {
+  return request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+}
+
+describe('first start', () => {
+  test('creates the configured administrator once', async () => {
+    expect(services.store.countUsers()).toBe(1);
+    expect(await services.authService.ensureAdmin()).toBeNull();
+  });
+
+  test('users need a known compliance role', async () => {
+    await expect(services.authService.createUser({ username: 'x@fbot.test', password: 'pw', role: 'owner' })).rejects.toMatchObject({
+      status: 400,
+      code: 'INVALID_ROLE',
+    });
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('returns tokens and the public user, and audits the login', async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ expiresIn: 3600, user: { email: ADMIN.username, role: 'admin', permissions: ['*'] } });
+    expect(res.body.data.user).not.toHaveProperty('passwordHash');
+    expect(auditEntries(services, 'login').at(-1)).toMatchObject({ userId: res.body.data.user.id, outcome: 'success' });
+  });
+
+  test('a wrong password or unknown user gets the same answer, and both are audited', async () => {
+    const wrong = await login({ username: ADMIN.username, password: 'nope' });
+    const unknown = await login({ username: 'nobody@fbot.test', password: 'nope' });
+
+    expect([wrong.status, unknown.status]).toEqual([401, 401]);
+    expect(wrong.body.code).toBe('INVALID_CREDENTIALS');
+    expect(unknown.body.code).toBe('INVALID_CREDENTIALS');
+    expect(auditEntries(services, 'login').slice(-2).map(entry => [entry.outcome, entry.attemptedUsername])).toEqual([
+      ['failure', ADMIN.username],
+      ['failure', 'nobody@fbot.test'],
+    ]);
+  });
+
+  test('needs a username and password', async () => {
+    const res = await login({ username: ADMIN.username });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_REQUEST', requestId: res.headers['x-request-id'] });
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  test('rotates the refresh token, and reusing an old one ends every session', async () => {
+    const { refreshToken } = (await login()).body.data;
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    const afterReuse = await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.data.refreshToken });
+
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.refreshToken).not.toBe(refreshToken);
+    expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(afterReuse.body.code).toBe('REFRESH_TOKEN_REUSED');
+  });
+
+  test('rejects a missing or forged token', async () => {
+    const forged = jwt.sign({ type: 'refresh' }, 'other-secret', { subject: 'x', jwtid: 'y' });
+
+    expect((await request(app).post('/api/auth/refresh').send({})).body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken: forged })).body.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+});
+
+describe('bearer tokens', () => {
+  const { config } = services;
+  const sign = (payload, options) =>
+    jwt.sign(payload, config.jwt.secret, { issuer: config.jwt.issuer, audience: config.jwt.audience, ...options });
+
+  test('GET /api/auth/me maps compliance roles to the frontend user', async () => {
+    const physician = createUser(services, 'physician', { firstName: 'Ada' });
+    const res = await me(physician.token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: physician.id, firstName: 'Ada', role: 'user' });
+    expect(res.body.data.permissions).toContain('patient_data:read');
+  });
+
+  test('requests without a valid access token are refused', async () => {
+    const { refreshToken } = (await login()).body.data;
+    const expired = sign({ role: 'admin' }, { subject: 'x', expiresIn: -10 });
+    const deletedUser = sign({ role: 'admin' }, { subject: 'deleted-user', expiresIn: 60 });
+
+    expect((await request(app).get('/api/auth/me')).body.code).toBe('UNAUTHORIZED');
+    expect((await me('not-a-token')).body.code).toBe('INVALID_TOKEN');
+    expect((await me(refreshToken)).body.code).toBe('INVALID_TOKEN');
+    expect((await me(expired)).body.code).toBe('TOKEN_EXPIRED');
+    expect((await me(deletedUser)).body.code).toBe('INVALID_TOKEN');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('revokes the refresh tokens', async () => {
+    const { token, refreshToken } = (await login()).body.data;
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.message).toBe('Logged out');
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken })).status).toBe(401);
+    expect(auditEntries(services, 'logout')).toHaveLength(1);
+  });
+});
+
+describe('unknown routes', () => {
+  test('answer with the ApiError shape', async () => {
+    const res = await request(app).get('/api/nothing');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ code: 'NOT_FOUND', message: 'No route for GET /api/nothing' });
+  });
+});
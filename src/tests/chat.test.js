@@ -0,0 +1,357 @@
+// /api/chat: answered turns, red-flag triage, streaming, routing records, assessments, feedback and sessions
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import {
+  auditEntries,
+  completion,
+  createUser,
+  failingStream,
+  parseEvents,
+  routeAndComplete,
+  routeAndStream,
+  stalledStream,
+  startServices,
+  streamOf,
+} from './helpers.js';
+
+const experiments = {
+  experiments: [
+    {
+      id: 'tone',
+      status: 'running',
+      arms: [{ id: 'control' }, { id: 'brief', prompt: 'Answer in three sentences.' }],
+    },
+  ],
+};
+
+const { app, services, close } = await startServices({ experiments });
+const { store, chatService, events } = services;
+const { logger } = await import('../logger.js');
+
+const patient = createUser(services, 'patient');
+const otherPatient = createUser(services, 'patient');
+const physician = createUser(services, 'physician');
+const admin = createUser(services, 'admin');
+
+await services.knowledgeBase.ingest(
+  'Myofascial release applies sustained pressure to fascial restrictions. Fascia is a continuous ' +
+    'web of connective tissue that surrounds muscles, bones and organs, and restrictions in it can ' +
+    'cause pain far from their source. Gentle, sustained stretching helps fascia adapt.',
+  { title: 'Myofascial release basics', doi: '10.1000/fascia', evidence_level: 'clinical_guideline' }
+);
+
+afterAll(close);
+
+beforeEach(() => {
+  routeAndComplete.mockReset().mockImplementation(async (taskType, message, options) => completion(options));
+  routeAndStream.mockReset().mockImplementation((taskType, message, options) => streamOf(completion(options)));
+});
+
+function as(user) {
+  const withToken = call => call.set('Authorization', `Bearer ${user.token}`);
+  return {
+    get: url => withToken(request(app).get(url)),
+    post: (url, body) => withToken(request(app).post(url)).send(body),
+    patch: (url, body) => withToken(request(app).patch(url)).send(body),
+    delete: url => withToken(request(app).delete(url)),
+  };
+}
+
+function send(user, body) {
+  return as(user).post('/api/chat/message', body);
+}
+
+function stream(user, body) {
+  return as(user)
+    .post('/api/chat/stream', body)
+    .buffer(true)
+    .parse((res, done) => {
+      let text = '';
+      res.on('data', chunk => {
+        text += chunk;
+      });
+      res.on('end', () => done(null, text));
+    });
+}
+
+// Published session events of one type, oldest first
+function published(sessionId, type) {
+  return events.replay(sessionId, 0, events.cursor(sessionId).epoch).events.filter(event => event.type === type);
+}
+
+describe('POST /api/chat/message', () => {
+  test('answers in a new session with sources, cost and disclaimer, and records the turn', async () => {
+    const res = await send(patient, { message: 'What is myofascial release?' });
+    const { sessionId, id } = res.body.data;
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      role: 'assistant',
+      content: 'Fascia is the connective tissue that wraps every muscle.',
+      modelUsed: 'gpt-4o',
+      processingTime: 0.8,
+      sources: [{ title: 'Myofascial release basics', doi: '10.1000/fascia' }],
+    });
+    expect(res.body.data.cost).toBeGreaterThan(0);
+    expect(res.body.data.disclaimer).toEqual(expect.any(String));
+    expect(store.getSession(sessionId).title).toBe('What is myofascial release?');
+    expect(store.listMessages(sessionId).map(message => message.role)).toEqual(['user', 'assistant']);
+    expect(store.getSessionCost(sessionId)).toBe(res.body.data.cost);
+    expect(published(sessionId, 'cost')).toEqual([expect.objectContaining({ messageId: id, model: 'gpt-4o' })]);
+
+    const [taskType, message, options] = routeAndComplete.mock.calls[0];
+    expect([taskType, message]).toEqual(['auto', 'What is myofascial release?']);
+    expect(options.ragContext).toHaveLength(1);
+    expect(options.principal).toEqual({ userId: patient.id, role: 'patient', orgId: 'default' });
+    expect(auditEntries(services, 'chat_message').at(-1)).toMatchObject({
+      userId: patient.id,
+      resource: 'educational_content:read',
+      model: 'gpt-4o',
+      outcome: 'success',
+    });
+  });
+
+  test('continues a session with its history and the request context in the prompt', async () => {
+    const first = await send(patient, { message: 'What is fascia?' });
+    await send(patient, {
+      message: 'And how do I stretch it?',
+      sessionId: first.body.data.sessionId,
+      context: { language: 'de', specialty: 'physiotherapy', urgency: 'low' },
+    });
+    const options = routeAndComplete.mock.calls[1][2];
+
+    expect(options.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+    expect(options.system).toContain('Respond in the user\'s language (de).');
+    expect(options.system).toContain('The user is asking in the context of physiotherapy.');
+  });
+
+  test('validates the request', async () => {
+    const res = await send(patient, { message: '' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.issues).toEqual([expect.objectContaining({ field: 'message' })]);
+  });
+
+  test('patient-specific questions need clinical read access', async () => {
+    const denied = await send(patient, { message: 'How is this patient doing?', patientId: 'p-1' });
+    const allowed = await send(physician, { message: 'How is this patient doing?', patientId: 'p-1' });
+
+    expect(denied.status).toBe(403);
+    expect(allowed.body.data.metadata).toEqual({ patientId: 'p-1' });
+    expect(auditEntries(services, 'chat_message').at(-1)).toMatchObject({ resource: 'patient_data:read', patientId: 'p-1' });
+  });
+
+  test('sessions of other users are reported as missing', async () => {
+    const { sessionId } = (await send(patient, { message: 'What is fascia?' })).body.data;
+    const res = await send(otherPatient, { message: 'Hello', sessionId });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  test('a failed routing call is recorded and mapped to its API error', async () => {
+    const error = Object.assign(new Error('Budget exhausted'), { type: 'budget_exceeded', budget: { remaining: 0 } });
+    routeAndComplete.mockRejectedValueOnce(error);
+    const res = await send(patient, { message: 'What is fascia?' });
+
+    expect(res.status).toBe(402);
+    expect(res.body).toMatchObject({ code: 'BUDGET_EXCEEDED', details: { budget: { remaining: 0 } } });
+    expect(auditEntries(services, 'chat_message').at(-1)).toMatchObject({ outcome: 'failure', errorType: 'budget_exceeded' });
+  });
+
+  test('an unexpected failure is an internal error without its message', async () => {
+    routeAndComplete.mockRejectedValueOnce(new Error('socket hang up at /srv/app/adapter.js'));
+    const logged = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const res = await send(patient, { message: 'What is fascia?' });
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({ code: 'INTERNAL_ERROR', message: 'An unexpected error occurred' });
+    expect(logged.mock.calls[0][1]).toMatchObject({ requestId: res.headers['x-request-id'], error: expect.stringContaining('socket hang up') });
+    logged.mockRestore();
+  });
+});
+
+describe('red-flag triage', () => {
+  test('an emergency is answered with a referral instead of the model, and raises an alert', async () => {
+    const res = await send(patient, { message: 'Sciatica down my left leg and now I\'ve lost control of my bladder' });
+    const { sessionId, metadata, modelUsed } = res.body.data;
+
+    expect(routeAndComplete).not.toHaveBeenCalled();
+    expect(modelUsed).toBe('red-flag-triage');
+    expect(metadata).toEqual({ urgency: 'critical', redFlags: ['cauda_equina'] });
+    expect(published(sessionId, 'alert')).toEqual([expect.objectContaining({ source: 'triage' })]);
+    expect(auditEntries(services, 'red_flag_triage').at(-1)).toMatchObject({ outcome: 'escalated', redFlags: ['cauda_equina'] });
+  });
+
+  test('urgent flags tell the model to recommend an evaluation', async () => {
+    const res = await send(patient, { message: 'My calf is swollen and warm since the flight home' });
+
+    expect(routeAndComplete.mock.calls[0][2].system).toContain('RED FLAGS: The user mentioned');
+    expect(res.body.data.metadata).toMatchObject({ urgency: 'high' });
+  });
+});
+
+describe('POST /api/chat/stream', () => {
+  test('streams stream_start, tokens and stream_end, and stores the answer', async () => {
+    const res = await stream(patient, { message: 'What is fascia?' });
+    const received = parseEvents(res.body);
+    const end = received.at(-1).data;
+
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(received.map(event => event.event)).toEqual(['stream_start', ...Array(9).fill('token'), 'stream_end']);
+    expect(received[0].data).toMatchObject({ model: 'gpt-4o', disclaimer: expect.any(String) });
+    expect(received.filter(event => event.event === 'token').map(event => event.data.text).join('')).toBe(end.message.content);
+    expect(end.safety).toEqual({ level: 'medium', taskType: 'educational' });
+    expect(store.listMessages(end.sessionId).at(-1).id).toBe(end.message.id);
+  });
+
+  test('a stream that ends without its final event fails as stream_incomplete', async () => {
+    routeAndStream.mockImplementationOnce((taskType, message, options) => streamOf(completion(options), { done: false }));
+    const received = parseEvents((await stream(patient, { message: 'What is fascia?' })).body);
+
+    expect(received.at(-1)).toEqual({
+      event: 'error',
+      data: { code: 'STREAM_INCOMPLETE', message: 'The model stream ended before the answer was complete' },
+    });
+    expect(received.map(event => event.event)).toContain('stream_start');
+    expect(auditEntries(services, 'chat_message').at(-1)).toMatchObject({ outcome: 'failure', errorType: 'stream_incomplete' });
+  });
+
+  test('a failure before the first event is an ordinary JSON error', async () => {
+    routeAndStream.mockImplementationOnce(() =>
+      failingStream(Object.assign(new Error('PHI is not allowed'), { type: 'phi_blocked', phiTypes: ['ssn'] }))
+    );
+    const res = await as(patient).post('/api/chat/stream', { message: 'My SSN is 123-45-6789' });
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({ code: 'PHI_NOT_ALLOWED', details: { phiTypes: ['ssn'] } });
+  });
+
+  test('an emergency arrives as a single token', async () => {
+    const received = parseEvents((await stream(patient, { message: 'Sciatica down my left leg and now I\'ve lost control of my bladder' })).body);
+
+    expect(received.map(event => event.event)).toEqual(['stream_start', 'token', 'stream_end']);
+    expect(received[0].data.model).toBe('red-flag-triage');
+    expect(received[2].data.safety).toEqual({ level: 'high', taskType: 'red_flag_triage' });
+  });
+});
+
+describe('cancelStream', () => {
+  test('keeps what the user already saw and records the turn as cancelled', async () => {
+    routeAndStream.mockImplementationOnce((taskType, message, options) => stalledStream(completion(options), options.signal));
+    const received = [];
+    const onEvent = (type, payload) => {
+      received.push(type);
+      if (type === 'token') {
+        expect(() => chatService.cancelStream(otherPatient, payload.messageId)).toThrow('No active response with that id');
+        chatService.cancelStream(patient, payload.messageId);
+      }
+    };
+    const result = await chatService.streamMessage(patient, { message: 'What is fascia?' }, { onEvent });
+    const partial = store.listMessages(result.sessionId).at(-1);
+
+    expect(result).toEqual({ sessionId: result.sessionId, cancelled: true });
+    expect(received).toEqual(['stream_start', 'token', 'stream_cancelled']);
+    expect(partial).toMatchObject({ content: 'Fascia ', modelUsed: 'gpt-4o', metadata: { cancelled: true } });
+    expect(store.getRoutingDecision(partial.id).decision.selected.model).toBe('gpt-4o');
+    expect(chatService.activeStreams.size).toBe(0);
+  });
+});
+
+describe('GET /api/chat/messages/:messageId/routing', () => {
+  test('owners and reviewers can read the routing record, and each read is audited', async () => {
+    const { id } = (await send(patient, { message: 'What is fascia?' })).body.data;
+
+    const own = await as(patient).get(`/api/chat/messages/${id}/routing`);
+    const reviewed = await as(admin).get(`/api/chat/messages/${id}/routing`);
+    const other = await as(otherPatient).get(`/api/chat/messages/${id}/routing`);
+
+    expect(own.body.data).toMatchObject({ messageId: id, userId: patient.id, decision: { taskType: 'educational' } });
+    expect(own.body.data.decision.execution).toMatchObject({ model: 'gpt-4o', provider: 'openai' });
+    expect(reviewed.status).toBe(200);
+    expect(other.status).toBe(404);
+    expect(auditEntries(services, 'read_routing_decision').map(entry => entry.userId)).toEqual([patient.id, admin.id]);
+  });
+});
+
+describe('GET /api/chat/sessions/:sessionId/assessment', () => {
+  test('owners and clinicians see the OPQRST summary', async () => {
+    const { sessionId } = (await send(patient, { message: 'My knee hurts, it is a dull ache that started 2 weeks ago' })).body.data;
+
+    const own = await as(patient).get(`/api/chat/sessions/${sessionId}/assessment`);
+    const clinician = await as(physician).get(`/api/chat/sessions/${sessionId}/assessment`);
+    const other = await as(otherPatient).get(`/api/chat/sessions/${sessionId}/assessment`);
+
+    expect(own.body.data).toMatchObject({ sessionId, status: 'active', symptom: 'pain', pending: 'timing' });
+    expect(own.body.data.summary.slots).toMatchObject({ location: 'knee', quality: 'dull', onset: '2 weeks ago' });
+    expect(routeAndComplete.mock.calls[0][2].system).toContain('SYMPTOM ASSESSMENT');
+    expect(clinician.status).toBe(200);
+    expect(other.status).toBe(404);
+  });
+
+  test('sessions without an assessment have none', async () => {
+    const { sessionId } = (await send(patient, { message: 'What is fascia?' })).body.data;
+
+    expect((await as(patient).get(`/api/chat/sessions/${sessionId}/assessment`)).body.code).toBe('ASSESSMENT_NOT_FOUND');
+  });
+});
+
+describe('POST /api/chat/sessions/:sessionId/feedback', () => {
+  test('scores the experiment arms and the model that served the latest answer', async () => {
+    const learned = jest.spyOn(services.weightLearner, 'recordFeedback');
+    const { sessionId, id } = (await send(patient, { message: 'What is fascia?' })).body.data;
+    const arms = store.getRoutingDecision(id).decision.experiments;
+    const res = await as(patient).post(`/api/chat/sessions/${sessionId}/feedback`, { score: 5, feedback: 'Clear' });
+    const served = services.experiments.report()[0].arms.find(arm => arm.armId === arms[0].armId);
+
+    expect(res.body.message).toBe('Feedback recorded');
+    expect(arms).toEqual([{ experimentId: 'tone', armId: expect.any(String) }]);
+    expect(served.satisfaction).toMatchObject({ n: 1, mean: 5 });
+    expect(learned).toHaveBeenCalledWith({ taskType: 'educational', model: 'gpt-4o', userFeedbackScore: 5 });
+    expect(store.loadExperimentResults()).not.toEqual([]);
+  });
+
+  test('validates the score', async () => {
+    const { sessionId } = (await send(patient, { message: 'What is fascia?' })).body.data;
+
+    expect((await as(patient).post(`/api/chat/sessions/${sessionId}/feedback`, { score: 9 })).status).toBe(400);
+  });
+});
+
+describe('sessions', () => {
+  test('are created, listed, renamed and read back with their history', async () => {
+    const created = await as(physician).post('/api/chat/sessions', {
+      title: 'Shoulder case',
+      patientContext: { patientId: 'p-2', age: 44 },
+    });
+    const { id } = created.body.data;
+    await send(physician, { message: 'What is fascia?', sessionId: id });
+    const renamed = await as(physician).patch(`/api/chat/sessions/${id}`, { title: 'Left shoulder' });
+    const history = await as(physician).get(`/api/chat/history/${id}`);
+    const listed = await as(physician).get('/api/chat/sessions');
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.patientContext).toEqual({ patientId: 'p-2', age: 44 });
+    expect(renamed.body.data.title).toBe('Left shoulder');
+    expect(history.body.data.map(message => message.role)).toEqual(['user', 'assistant']);
+    expect(listed.body.data.map(session => session.id)).toContain(id);
+  });
+
+  test('patients cannot attach a patient context', async () => {
+    expect((await as(patient).post('/api/chat/sessions', { patientContext: { patientId: 'p-3' } })).status).toBe(403);
+  });
+
+  test('deleting one closes its real-time channel and is audited', async () => {
+    const { id } = (await as(patient).post('/api/chat/sessions', {})).body.data;
+    const closed = [];
+    events.subscribe(id, event => closed.push(event.type));
+    const res = await as(patient).delete(`/api/chat/sessions/${id}`);
+
+    expect(res.body.message).toBe('Session deleted');
+    expect(closed).toEqual(['session_closed']);
+    expect(store.getSession(id)).toBeNull();
+    expect((await as(patient).get(`/api/chat/history/${id}`)).status).toBe(404);
+    expect(auditEntries(services, 'delete_chat_session').at(-1)).toMatchObject({ sessionId: id });
+  });
+});
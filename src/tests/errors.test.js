@@ -0,0 +1,81 @@
+// API error mapping: orchestrator error types, upload errors and the error handler
+
+import { jest } from '@jest/globals';
+import multer from 'multer';
+import { createApiError, errorHandler, toApiError } from '../http/errors.js';
+import { logger } from '../logger.js';
+
+function typed(type, fields = {}) {
+  return Object.assign(new Error(`${type} happened`), { type, ...fields });
+}
+
+function fakeResponse({ headersSent = false } = {}) {
+  return {
+    headersSent,
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+  };
+}
+
+describe('toApiError', () => {
+  test('passes API errors through', () => {
+    const error = createApiError(404, 'SESSION_NOT_FOUND', 'Chat session not found');
+
+    expect(toApiError(error)).toBe(error);
+  });
+
+  test('maps orchestrator error types with the details a client can act on', () => {
+    expect(toApiError(typed('budget_exceeded', { budget: { scope: 'user' }, estimatedCost: 0.4 }))).toMatchObject({
+      status: 402,
+      code: 'BUDGET_EXCEEDED',
+      details: { budget: { scope: 'user' }, estimatedCost: 0.4 },
+    });
+    expect(toApiError(typed('context_overflow', { requiredTokens: 9000, contextWindow: 8192 })).details).toEqual({
+      requiredTokens: 9000,
+      contextWindow: 8192,
+    });
+    expect(toApiError(typed('rate_limited', { retryAfter: 30 })).details).toEqual({ retryAfter: 30 });
+    expect(toApiError(typed('fallback_exhausted', { failover: { attempts: [{ model: 'gpt-4o' }] } })).details).toEqual({
+      attempts: [{ model: 'gpt-4o' }],
+    });
+    expect(toApiError(typed('phi_blocked', { phiTypes: ['mrn'] }))).toMatchObject({ status: 422, details: { phiTypes: ['mrn'] } });
+    expect(toApiError(typed('provider_unavailable'))).toMatchObject({ status: 503, message: 'provider_unavailable happened', details: undefined });
+  });
+
+  test('upload limits are client errors', () => {
+    expect(toApiError(new multer.MulterError('LIMIT_FILE_SIZE', 'file'))).toMatchObject({ status: 413, code: 'INVALID_UPLOAD', details: { field: 'file' } });
+    expect(toApiError(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'image')).status).toBe(400);
+  });
+
+  test('anything else is an internal error that keeps its message private', () => {
+    expect(toApiError(new Error('ENOENT /srv/app/data'))).toMatchObject({
+      status: 500,
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+    });
+  });
+});
+
+describe('errorHandler', () => {
+  const req = { id: 'req-1', method: 'GET', path: '/api/chat/sessions' };
+
+  test('answers with the ApiError shape and logs internal errors only', () => {
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const internal = fakeResponse();
+    const client = fakeResponse();
+    errorHandler(new Error('boom'), req, internal);
+    errorHandler(createApiError(400, 'INVALID_REQUEST', 'Bad'), req, client);
+
+    expect(internal.status).toHaveBeenCalledWith(500);
+    expect(client.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_REQUEST', message: 'Bad', requestId: 'req-1' }));
+    expect(error).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+
+  test('leaves a response that already started alone', () => {
+    const res = fakeResponse({ headersSent: true });
+    errorHandler(createApiError(409, 'CONFLICT', 'Late'), req, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+// /api/health: status strings for each dependency, never load errors or paths
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { startServices } from './helpers.js';
+
+const { app, services, close } = await startServices();
+
+afterAll(close);
+
+describe('GET /api/health', () => {
+  test('reports each dependency without authentication', async () => {
+    const res = await request(app).get('/api/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      status: 'healthy',
+      services: {
+        database: 'up',
+        knowledgeBase: { status: 'up', chunks: 0 },
+        monitoring: 'disabled',
+        providers: { openai: 'not_configured', ollama: 'configured' },
+      },
+      registryVersion: expect.any(String),
+    });
+    expect(['up', 'unavailable']).toContain(res.body.data.services.ultrasound);
+  });
+
+  test('optional modules are listed as available or unavailable, with no load error', async () => {
+    const { optionalModules } = (await request(app).get('/api/health')).body.data;
+
+    expect(Object.keys(optionalModules)).toContain('enhanced-gemma-ultrasound-integration');
+    for (const status of Object.values(optionalModules)) {
+      expect(['available', 'unavailable']).toContain(status);
+    }
+    expect(JSON.stringify(optionalModules)).not.toMatch(/[/\\]/);
+  });
+
+  test('a database that stops answering makes the server unhealthy', async () => {
+    const isHealthy = jest.spyOn(services.store, 'isHealthy').mockReturnValue(false);
+    const res = await request(app).get('/api/health');
+    isHealthy.mockRestore();
+
+    expect(res.status).toBe(503);
+    expect(res.body.data).toMatchObject({ status: 'unhealthy', services: { database: 'down', knowledgeBase: { status: 'down' } } });
+  });
+});
@@ -0,0 +1,129 @@
+// Shared setup for the src specs
+// Each spec gets the real services over an in-memory database and a throwaway upload directory.
+// The orchestrator's routing calls are replaced by scripted answers, so nothing reaches a provider.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { jest } from '@jest/globals';
+
+const require = createRequire(import.meta.url);
+const ORCHESTRATOR = '../../flowise-config/enhanced-multi-llm-orchestrator.js';
+
+export const ADMIN = { username: 'admin@fbot.test', password: 'admin-password' };
+
+export const routeAndComplete = jest.fn();
+export const routeAndStream = jest.fn();
+
+// An orchestrator result; the routing carries the experiment arms it was given, as applyExperiments does
+export function completion(options = {}, overrides = {}) {
+  const model = overrides.model || 'gpt-4o';
+  return {
+    text: 'Fascia is the connective tissue that wraps every muscle.',
+    model,
+    provider: 'openai',
+    usage: { inputTokens: 1000, outputTokens: 500 },
+    latency: 800,
+    ...overrides,
+    routing: {
+      model,
+      taskType: 'educational',
+      safetyLevel: 'medium',
+      reason: 'Scripted answer',
+      experiments: (options.experiments || []).map(({ experimentId, armId }) => ({ experimentId, armId })),
+      ...overrides.routing,
+    },
+  };
+}
+
+// routeAndStream events for a result: its routing, a token per word and, unless done is false, the done event
+export async function* streamOf(result, { done = true } = {}) {
+  yield { type: 'routing', routing: result.routing };
+  for (const word of result.text.split(/(?<= )/)) yield { type: 'token', text: word };
+  if (done) yield { type: 'done', ...result };
+}
+
+// Fails before its first event, as the privacy and budget checks do
+export function failingStream(error) {
+  return { [Symbol.asyncIterator]: () => ({ next: () => Promise.reject(error) }) };
+}
+
+// Streams one token, then waits until the request is cancelled and fails as the executor would
+export async function* stalledStream(result, signal) {
+  yield { type: 'routing', routing: result.routing };
+  yield { type: 'token', text: 'Fascia ' };
+  if (!signal.aborted) await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+  const error = new Error('Request cancelled');
+  error.type = 'cancelled';
+  throw error;
+}
+
+// config.js reads the environment once, so this runs before any src module is imported.
+// experiments: definitions written to the EXPERIMENTS_PATH file, if any
+export async function startServices({ env = {}, experiments = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fbot-spec-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'error',
+    SQLITE_PATH: ':memory:',
+    UPLOAD_DIR: path.join(dir, 'uploads'),
+    JWT_SECRET: 'spec-secret',
+    ADMIN_USERNAME: ADMIN.username,
+    ADMIN_PASSWORD: ADMIN.password,
+    EXPERIMENTS_PATH: path.join(dir, 'experiments.json'),
+    BUDGET_LIMITS_PATH: path.join(dir, 'budgets.json'),
+    MODEL_WEIGHTS_STATE_PATH: path.join(dir, 'model-weights.json'),
+    RATE_LIMIT_MAX_REQUESTS: '100000',
+    // Keys from the developer's shell would change which providers count as configured
+    OPENAI_API_KEY: '',
+    ANTHROPIC_API_KEY: '',
+    GOOGLE_API_KEY: '',
+    PERPLEXITY_API_KEY: '',
+    ...env,
+  });
+  if (experiments) fs.writeFileSync(process.env.EXPERIMENTS_PATH, JSON.stringify(experiments));
+
+  jest.unstable_mockModule(ORCHESTRATOR, () => ({
+    default: { ...require(ORCHESTRATOR), routeAndComplete, routeAndStream },
+  }));
+  const { createServices } = await import('../index.js');
+  const { createApp } = await import('../app.js');
+  const services = await createServices();
+
+  return {
+    services,
+    app: createApp(services),
+    dir,
+    close() {
+      services.store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Users are stored directly; only the auth spec pays for bcrypt
+export function createUser(services, role, fields = {}) {
+  const username = fields.username || `${role}-${Math.random().toString(36).slice(2)}@fbot.test`;
+  const user = services.store.createUser({ username, email: username, passwordHash: 'unused', role, ...fields });
+  return { ...user, token: services.authService.issueTokens(user).token };
+}
+
+export function auditEntries(services, action) {
+  return services.store.db
+    .prepare('SELECT entry FROM audit_log ORDER BY rowid')
+    .all()
+    .map(row => JSON.parse(row.entry))
+    .filter(entry => !action || entry.action === action);
+}
+
+// Server-sent events of a /api/chat/stream response as [{ event, data }]
+export function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
@@ -0,0 +1,162 @@
+// createServices with every optional feature on: monitoring, live ultrasound, tool calling, a generated JWT secret and registry reload logging
+
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { completion, createUser, routeAndComplete, startServices } from './helpers.js';
+
+const monitoring = {
+  trackAPICall: jest.fn(async () => {}),
+  trackUserSatisfaction: jest.fn(async () => {}),
+  trackQueueDepth: jest.fn(),
+  costMeter: { recordCost: jest.fn() },
+};
+
+class EnhancedMonitoringSystem {
+  constructor(config) {
+    Object.assign(this, monitoring, { config });
+  }
+}
+
+class ClariusLiveStreamIntegration extends EventEmitter {
+  initializeSDK() {
+    this.initialized = true;
+  }
+}
+
+// The real modules need Loki, Prometheus and the Clarius SDK
+const optionalModules = {
+  'enhanced-monitoring-analytics': { EnhancedMonitoringSystem },
+  'clarius-integration': { ClariusLiveStreamIntegration },
+};
+
+jest.unstable_mockModule('../services/optional.js', () => ({
+  loadOptional: name =>
+    optionalModules[name]
+      ? { module: optionalModules[name], error: null }
+      : { module: null, error: new Error(`Cannot find module '${name}'`) },
+  optionalModuleStatus: () => ({}),
+}));
+
+const { app, services, close } = await startServices({
+  env: {
+    JWT_SECRET: '',
+    MONITORING_ENABLED: 'true',
+    CLARIUS_INTEGRATION_ENABLED: 'true',
+    TOOL_CALLING_ENABLED: 'true',
+    LOKI_URL: 'http://loki.test',
+  },
+});
+const { logger } = await import('../logger.js');
+
+afterAll(close);
+
+beforeEach(() => {
+  routeAndComplete.mockReset().mockImplementation(async (taskType, message, options) => completion(options));
+});
+
+const patient = createUser(services, 'patient');
+
+function send(body) {
+  return request(app).post('/api/chat/message').set('Authorization', `Bearer ${patient.token}`).send(body);
+}
+
+describe('createServices', () => {
+  test('wires the optional features the environment turns on', () => {
+    expect(services.monitoring.config).toMatchObject({ lokiUrl: 'http://loki.test', experiments: null });
+    expect(services.liveUltrasound.integration.initialized).toBe(true);
+    expect(services.toolRegistry).not.toBeNull();
+  });
+
+  test('a rejected registry reload is logged through the server logger', async () => {
+    const { default: orchestrator } = await import('../../flowise-config/enhanced-multi-llm-orchestrator.js');
+    const { modelRegistry } = orchestrator;
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    modelRegistry.emit('invalid', new Error('models.gpt-4o: unknown provider "openia"'));
+
+    expect(warn).toHaveBeenCalledWith(`Model registry reload rejected, keeping version ${modelRegistry.version}`, {
+      error: 'models.gpt-4o: unknown provider "openia"',
+    });
+    warn.mockRestore();
+  });
+
+  test('development without JWT_SECRET signs with a per-process secret', () => {
+    expect(services.config.jwt.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(services.config.jwt.refreshSecret).not.toBe(services.config.jwt.secret);
+  });
+});
+
+describe('monitoring', () => {
+  test('records each answered call and its cost', async () => {
+    const res = await send({ message: 'What is fascia?' });
+
+    expect(monitoring.trackAPICall).toHaveBeenLastCalledWith(
+      expect.objectContaining({ endpoint: '/api/chat/message', status: 'success', model: 'gpt-4o', sessionId: res.body.data.sessionId })
+    );
+    expect(monitoring.costMeter.recordCost).toHaveBeenLastCalledWith(res.body.data.cost);
+  });
+
+  test('a monitoring failure is logged and does not fail the answer', async () => {
+    monitoring.trackAPICall.mockRejectedValueOnce(new Error('Loki unreachable'));
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const res = await send({ message: 'What is fascia?' });
+
+    expect(res.status).toBe(200);
+    expect(warn).toHaveBeenCalledWith('Monitoring failed to record chat call', { error: 'Loki unreachable' });
+    warn.mockRestore();
+  });
+
+  test('satisfaction scores reach the dashboard', async () => {
+    const { sessionId } = (await send({ message: 'What is fascia?' })).body.data;
+    await request(app)
+      .post(`/api/chat/sessions/${sessionId}/feedback`)
+      .set('Authorization', `Bearer ${patient.token}`)
+      .send({ score: 4, feedback: 'Clear' });
+
+    expect(monitoring.trackUserSatisfaction).toHaveBeenCalledWith(
+      expect.objectContaining({ sessionId, userRole: 'patient', satisfactionScore: 4, feedback: 'Clear' })
+    );
+  });
+});
+
+describe('weight learning from calls', () => {
+  test('every model a turn called is scored, except for failures that say nothing about it', async () => {
+    const recordFeedback = jest.spyOn(services.weightLearner, 'recordFeedback');
+    routeAndComplete.mockImplementationOnce(async (taskType, message, options) =>
+      completion(options, {
+        metadata: {
+          failover: {
+            attempts: [
+              { model: 'claude-3-5-sonnet', status: 'failed', errorType: 'provider_unavailable' },
+              { model: 'gemini-1.5-pro', status: 'failed', errorType: 'budget_exceeded' },
+              { model: 'gpt-4o', status: 'success', latency: 800 },
+            ],
+          },
+        },
+      })
+    );
+    routeAndComplete.mockImplementationOnce(async (taskType, message, options) =>
+      completion(options, {
+        metadata: {
+          ensemble: {
+            mode: 'consensus',
+            agreementScore: 0.8,
+            models: ['gpt-4o', 'claude-3-5-sonnet'],
+            responses: [{ model: 'gpt-4o', latency: 700 }, { model: 'claude-3-5-sonnet', latency: 900 }],
+          },
+        },
+      })
+    );
+    await send({ message: 'What is fascia?' });
+    const ensembled = await send({ message: 'What is fascia?' });
+
+    expect(recordFeedback.mock.calls.map(([feedback]) => [feedback.model, feedback.callSucceeded, feedback.latencyMs])).toEqual([
+      ['claude-3-5-sonnet', false, undefined],
+      ['gpt-4o', true, 800],
+      ['gpt-4o', true, 700],
+      ['claude-3-5-sonnet', true, 900],
+    ]);
+    expect(ensembled.body.data).toMatchObject({ confidence: 0.8, ensemble: { mode: 'consensus', models: ['gpt-4o', 'claude-3-5-sonnet'] } });
+    recordFeedback.mockRestore();
+  });
+});
@@ -0,0 +1,159 @@
+// /api/rag and /api/upload: knowledge-base queries, stored uploads and indexing of text documents
+
+import request from 'supertest';
+import { HashingEmbeddings, createEmbeddings, toSource } from '../services/knowledge.js';
+import { auditEntries, createUser, startServices } from './helpers.js';
+
+const { app, services, close } = await startServices();
+const { knowledgeBase } = services;
+
+afterAll(close);
+
+const patient = createUser(services, 'patient');
+const physician = createUser(services, 'physician');
+const researcher = createUser(services, 'researcher');
+const admin = createUser(services, 'admin');
+
+const GUIDE =
+  'Plantar fasciitis guideline. Stretching of the plantar fascia and calf reduces heel pain. ' +
+  'Night splints are a recommendation for chronic cases that do not improve with stretching.';
+
+function as(user) {
+  const withToken = call => call.set('Authorization', `Bearer ${user.token}`);
+  return {
+    get: url => withToken(request(app).get(url)),
+    post: url => withToken(request(app).post(url)),
+  };
+}
+
+function upload(user, type, content, contentType, fields = {}) {
+  const call = as(user)
+    .post('/api/upload')
+    .field('type', type)
+    .attach('file', Buffer.from(content), { filename: `scan-${type}`, contentType });
+  return Object.entries(fields).reduce((pending, [name, value]) => pending.field(name, value), call);
+}
+
+describe('HashingEmbeddings', () => {
+  test('maps the same text to the same vector, and related texts closer than unrelated ones', async () => {
+    const embeddings = new HashingEmbeddings(64);
+    const [fascia, sameFascia, tax] = await embeddings.embedDocuments([
+      'deep fascia stretching',
+      'deep fascia stretching',
+      'quarterly tax return',
+    ]);
+    const overlap = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+    expect(fascia).toHaveLength(64);
+    expect(fascia).toEqual(sameFascia);
+    expect(overlap(fascia, sameFascia)).toBeGreaterThan(overlap(fascia, tax));
+    expect(await embeddings.embedQuery(null)).toEqual(new Array(64).fill(0));
+  });
+});
+
+describe('createEmbeddings', () => {
+  test('stays offline unless a configured provider is named', () => {
+    const adapter = { embed: async texts => texts.map(() => [1, 0]) };
+
+    expect(createEmbeddings({ adapters: {} }, { provider: 'local' })).toBeInstanceOf(HashingEmbeddings);
+    expect(createEmbeddings({ adapters: { openai: adapter } }, { provider: 'openai', model: 'text-embedding-3-small' }).model).toBe(
+      'openai:text-embedding-3-small'
+    );
+  });
+
+  test('documents are embedded by the provider adapter in one call', async () => {
+    const calls = [];
+    const adapter = {
+      embed: async (texts, options) => {
+        calls.push([texts, options]);
+        return texts.map(() => [1, 0]);
+      },
+    };
+    const embeddings = createEmbeddings({ adapters: { ollama: adapter } }, { provider: 'ollama' });
+
+    expect(embeddings.model).toBe('ollama:default');
+    expect(await embeddings.embedDocuments(['a', 'b'])).toEqual([[1, 0], [1, 0]]);
+    expect(calls).toEqual([[['a', 'b'], { model: undefined }]]);
+  });
+});
+
+describe('toSource', () => {
+  test('maps chunk metadata to the frontend Source', () => {
+    expect(toSource({ metadata: { document_type: 'clinical_guideline', publication_date: '2021-04-01', doi: '10.1/x' } })).toMatchObject({
+      type: 'guideline',
+      title: 'Untitled document',
+      year: 2021,
+      doi: '10.1/x',
+    });
+    expect(toSource({})).toMatchObject({ type: 'research', year: undefined });
+  });
+});
+
+describe('POST /api/rag/query', () => {
+  test('returns ranked chunks with their sources, and honours filters', async () => {
+    await knowledgeBase.ingest(GUIDE, { title: 'Heel pain guideline', year: 2022 });
+    await knowledgeBase.ingest('Quarterly revenue grew in the northern region.', { title: 'Sales report' });
+
+    const res = await as(patient).post('/api/rag/query').send({ query: 'plantar fascia stretching heel pain', maxResults: 1 });
+    const filtered = await as(patient)
+      .post('/api/rag/query')
+      .send({ query: 'plantar fascia stretching', filters: { documentType: ['systematic_review'] } });
+
+    expect(res.body.data).toMatchObject({ totalResults: 1, sources: [{ title: 'Heel pain guideline', year: 2022 }] });
+    expect(res.body.data.results[0].content).toContain('plantar fascia');
+    expect(filtered.body.data.totalResults).toBe(0);
+  });
+
+  test('needs a query', async () => {
+    expect((await as(patient).post('/api/rag/query').send({ query: ' ' })).body.code).toBe('INVALID_REQUEST');
+  });
+});
+
+describe('POST /api/upload', () => {
+  test('stores an image for its owner and audits the upload', async () => {
+    const res = await upload(physician, 'image', 'png-bytes', 'image/png');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).not.toHaveProperty('indexed');
+    expect(auditEntries(services, 'upload').at(-1)).toMatchObject({ userId: physician.id, resource: 'medical_images', uploadId: res.body.data.id });
+  });
+
+  test('indexes text documents from users with research write access only', async () => {
+    const before = knowledgeBase.size();
+    const stored = await upload(physician, 'document', GUIDE, 'text/plain');
+    const indexed = await upload(researcher, 'document', GUIDE, 'text/plain', { title: 'Uploaded guideline' });
+
+    expect(stored.body.data).not.toHaveProperty('indexed');
+    expect(indexed.body.data.indexed).toMatchObject({ documentId: expect.any(String), chunks: expect.any(Number) });
+    expect(knowledgeBase.size()).toBe(before + indexed.body.data.indexed.chunks);
+  });
+
+  test('rejects a missing file, an unknown type and unaccepted formats', async () => {
+    const noFile = await as(patient).post('/api/upload').field('type', 'image');
+    const badType = await upload(patient, 'video', 'bytes', 'video/mp4');
+    const badFormat = await upload(patient, 'image', 'GIF89a', 'image/gif');
+
+    expect(noFile.body.code).toBe('INVALID_UPLOAD');
+    expect(badType.body.code).toBe('INVALID_REQUEST');
+    expect(badFormat.status).toBe(415);
+    expect(badFormat.body).toMatchObject({ code: 'UNSUPPORTED_MEDIA_TYPE', details: { accepted: ['image/jpeg', 'image/png', 'application/dicom'] } });
+  });
+});
+
+describe('GET /api/upload/:uploadId', () => {
+  test('serves the file to its owner and administrators, and audits the download', async () => {
+    const { id } = (await upload(physician, 'image', 'png-bytes', 'image/png')).body.data;
+
+    const own = await as(physician).get(`/api/upload/${id}`);
+    const asAdmin = await as(admin).get(`/api/upload/${id}`);
+    const other = await as(patient).get(`/api/upload/${id}`);
+
+    expect(own.status).toBe(200);
+    expect(own.headers['content-type']).toBe('image/png');
+    expect(own.headers['cache-control']).toBe('private, no-store');
+    expect(own.body.toString()).toBe('png-bytes');
+    expect(asAdmin.status).toBe(200);
+    expect(other.body.code).toBe('UPLOAD_NOT_FOUND');
+    expect(auditEntries(services, 'download').map(entry => entry.userId)).toEqual([physician.id, admin.id]);
+  });
+});
@@ -0,0 +1,84 @@
+// /api/models and /api/analytics: registry models, observed performance, learned weights and spend
+
+import request from 'supertest';
+import { createUser, startServices } from './helpers.js';
+
+// The registry enables its models outside development and test, as the server does
+const { app, services, close } = await startServices({
+  env: { MODEL_REGISTRY_ENV: 'production', OPENAI_API_KEY: 'sk-spec' },
+});
+const { store, weightLearner } = services;
+
+afterAll(close);
+
+const patient = createUser(services, 'patient');
+const admin = createUser(services, 'admin');
+
+function get(user, url) {
+  return request(app).get(url).set('Authorization', `Bearer ${user.token}`);
+}
+
+function recordUsage(userId, model, status, cost) {
+  store.recordUsage({ userId, model, provider: 'openai', inputTokens: 100, outputTokens: 50, cost, latencyMs: 1200, status });
+}
+
+describe('GET /api/models/available', () => {
+  test('lists registry models with their provider, price and key status', async () => {
+    const models = Object.fromEntries((await get(patient, '/api/models/available')).body.data.map(model => [model.id, model]));
+
+    expect(models['gpt-4o']).toMatchObject({ provider: 'openai', status: 'available', costPerToken: expect.any(Number) });
+    expect(models['gpt-4o'].capabilities).toContain('medical_accuracy');
+    expect(models['claude-3-5-sonnet'].status).toBe('unavailable');
+    expect(models['gemini-1.5-pro'].provider).toBe('google');
+    expect(models['llama3.2']).toMatchObject({ provider: 'local', status: 'limited' });
+  });
+});
+
+describe('GET /api/models/performance', () => {
+  test('reports recorded calls and the learned satisfaction once feedback is applied', async () => {
+    recordUsage(patient.id, 'gpt-4o', 'success', 0.01);
+    recordUsage(patient.id, 'gpt-4o', 'provider_error', 0);
+    recordUsage(patient.id, 'retired-model', 'success', 0.01);
+    for (let i = 0; i < 10; i++) {
+      weightLearner.recordFeedback({ taskType: 'educational', model: 'gpt-4o', userFeedbackScore: 5 });
+    }
+    weightLearner.applyPendingUpdates();
+
+    const performance = (await get(patient, '/api/models/performance')).body.data;
+
+    expect(performance).toHaveLength(1);
+    expect(performance[0]).toMatchObject({ modelId: 'gpt-4o', averageResponseTime: 1.2, totalRequests: 2, errorRate: 0.5 });
+    expect(performance[0].userSatisfaction).toBeGreaterThan(0.5);
+  });
+});
+
+describe('GET /api/models/weights', () => {
+  test('returns the learned weights of a task type', async () => {
+    const res = await get(patient, '/api/models/weights/educational');
+
+    expect(res.body.data).toMatchObject({ taskType: 'educational', weights: { 'gpt-4o': { samples: 10, active: true } } });
+  });
+
+  test('explains a model\'s weight, and rejects unknown task types and models', async () => {
+    const explained = await get(patient, '/api/models/weights/educational/gpt-4o/explain?recent=2');
+
+    expect(explained.body.data).toMatchObject({ model: 'gpt-4o', applied: true });
+    expect(explained.body.data.recentEvents).toHaveLength(2);
+    expect((await get(patient, '/api/models/weights/astrology')).body.code).toBe('UNKNOWN_TASK_TYPE');
+    expect((await get(patient, '/api/models/weights/educational/gpt-9/explain')).body.code).toBe('UNKNOWN_MODEL');
+  });
+});
+
+describe('GET /api/analytics/costs', () => {
+  test('administrators see all spend, everyone else their own', async () => {
+    recordUsage(admin.id, 'gpt-4o', 'success', 0.05);
+
+    const own = (await get(patient, '/api/analytics/costs')).body.data;
+    const all = (await get(admin, '/api/analytics/costs')).body.data;
+
+    expect(own).toMatchObject({ requestCount: 2, totalCost: 0.02, averageCostPerRequest: 0.01 });
+    expect(all.requestCount).toBe(3);
+    expect(all.totalCost).toBeCloseTo(0.07);
+    expect(all.dailyCost).toBeCloseTo(0.07);
+  });
+});
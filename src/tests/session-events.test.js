@@ -0,0 +1,118 @@
+// SessionEventHub: sequencing, replay from the bounded buffer, transient broadcasts and pruning
+
+import { jest } from '@jest/globals';
+import { SessionEventHub } from '../realtime/session-events.js';
+import { logger } from '../logger.js';
+
+const T0 = Date.parse('2025-01-31T14:20:00Z');
+
+function createHub(options = {}) {
+  const clock = { now: T0 };
+  return { clock, hub: new SessionEventHub({ now: () => clock.now, ...options }) };
+}
+
+describe('publish', () => {
+  test('numbers events per session and notifies listeners', () => {
+    const { hub } = createHub();
+    const received = [];
+    hub.subscribe('s1', event => received.push(event));
+
+    hub.publish('s1', 'typing', { isTyping: true });
+    hub.publish('s2', 'typing');
+    const event = hub.publish('s1', 'message', { message: { id: 'm1' }, type: 'ignored' });
+
+    expect(event).toEqual({ message: { id: 'm1' }, type: 'message', seq: 2, sessionId: 's1', timestamp: '2025-01-31T14:20:00.000Z' });
+    expect(received.map(item => item.seq)).toEqual([1, 2]);
+    expect(hub.cursor('s2').seq).toBe(1);
+  });
+
+  test('a failing listener is logged and does not stop the others', () => {
+    const { hub } = createHub();
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const received = [];
+    hub.subscribe('s1', () => {
+      throw new Error('socket closed');
+    });
+    hub.subscribe('s1', event => received.push(event.type));
+    hub.publish('s1', 'typing');
+
+    expect(received).toEqual(['typing']);
+    expect(warn).toHaveBeenCalledWith('Session event listener failed for s1', { error: 'socket closed' });
+    warn.mockRestore();
+  });
+
+  test('unsubscribing stops delivery', () => {
+    const { hub } = createHub();
+    const listener = jest.fn();
+    hub.subscribe('s1', listener)();
+    hub.publish('s1', 'typing');
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('broadcast', () => {
+  test('reaches current listeners without a seq and is not replayed', () => {
+    const { hub } = createHub();
+    const received = [];
+    hub.broadcast('s1', 'token', { text: 'lost' });
+    hub.subscribe('s1', event => received.push(event));
+    hub.broadcast('s1', 'token', { text: 'Fascia ' });
+
+    expect(received).toEqual([{ text: 'Fascia ', type: 'token', sessionId: 's1', timestamp: '2025-01-31T14:20:00.000Z' }]);
+    expect(hub.replay('s1', 0, hub.cursor('s1').epoch)).toEqual({ events: [], complete: true });
+  });
+});
+
+describe('replay', () => {
+  test('returns the events after a seq while the buffer still holds them', () => {
+    const { hub } = createHub({ replayLimit: 3 });
+    const { epoch } = hub.cursor('s1');
+    for (let i = 0; i < 5; i++) hub.publish('s1', 'typing');
+
+    expect(hub.replay('s1', 2, epoch)).toMatchObject({ complete: true, events: [{ seq: 3 }, { seq: 4 }, { seq: 5 }] });
+    expect(hub.replay('s1', 5, epoch)).toEqual({ events: [], complete: true });
+    expect(hub.replay('s1', 1, epoch).complete).toBe(false);
+  });
+
+  test('a new epoch, a seq from the future or a forgotten channel needs a resync', () => {
+    const { hub } = createHub();
+    const { epoch } = hub.cursor('s1');
+    hub.publish('s1', 'typing');
+
+    expect(hub.replay('s1', 1, 'other-epoch').complete).toBe(false);
+    expect(hub.replay('s1', 7, epoch).complete).toBe(false);
+    expect(hub.replay('unknown', 3, epoch).complete).toBe(false);
+    expect(hub.replay('unknown', 0, null)).toEqual({ events: [], complete: true });
+  });
+});
+
+describe('closeSession', () => {
+  test('sends session_closed and starts a new epoch for the id', () => {
+    const { hub } = createHub();
+    const received = [];
+    const { epoch } = hub.cursor('s1');
+    hub.subscribe('s1', event => received.push(event));
+    hub.closeSession('s1', 'deleted');
+    hub.closeSession('never-opened', 'deleted');
+
+    expect(received).toEqual([expect.objectContaining({ type: 'session_closed', reason: 'deleted', seq: 1 })]);
+    expect(hub.cursor('s1').epoch).not.toBe(epoch);
+    expect(hub.channels.has('never-opened')).toBe(false);
+  });
+});
+
+describe('prune', () => {
+  test('drops channels idle past the retention that nobody listens to', () => {
+    const { clock, hub } = createHub({ retentionMs: 60000 });
+    hub.publish('idle', 'typing');
+    hub.publish('watched', 'typing');
+    hub.subscribe('watched', () => {});
+    clock.now += 30000;
+    hub.publish('recent', 'typing');
+    clock.now += 31000;
+    hub.prune();
+
+    expect([...hub.channels.keys()]).toEqual(['watched', 'recent']);
+  });
+});
@@ -0,0 +1,188 @@
+// /api/ultrasound and the Gemma result mapping; the analyzer module is replaced by a scripted one
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { auditEntries, createUser, startServices } from './helpers.js';
+
+const GEMMA_MODULE = 'enhanced-gemma-ultrasound-integration';
+
+const interpretation = {
+  confidence: 0.9,
+  recommendations: ['Compare with the contralateral side'],
+  alerts: [
+    { type: 'measurement_abnormal', urgency: 'high', message: 'Plantar fascia thickened to 6.1 mm' },
+    { type: 'clinical_concern', urgency: 'critical', message: 'Suspected rupture', confidence: 0.7 },
+  ],
+  findings: {
+    abnormal: ['Hypoechoic fascia', 'Suspected rupture'],
+    uncertain: ['Possible calcaneal spur'],
+    normal: ['No bursitis'],
+  },
+};
+
+// What the Gemma module does in this spec: whether it is installed and how its calls go
+const gemma = {
+  installed: true,
+  initializeModels: jest.fn(async () => {}),
+  analyzeUltrasoundImage: jest.fn(async () => interpretation),
+};
+
+class GemmaUltrasoundAnalyzer {
+  constructor() {
+    this.vqaModel = { version: 'e4b' };
+  }
+
+  initializeModels() {
+    return gemma.initializeModels();
+  }
+
+  analyzeUltrasoundImage(...args) {
+    return gemma.analyzeUltrasoundImage(...args);
+  }
+}
+
+jest.unstable_mockModule('../services/optional.js', () => ({
+  loadOptional: name =>
+    name === GEMMA_MODULE && gemma.installed
+      ? { module: { GemmaUltrasoundAnalyzer }, error: null }
+      : { module: null, error: new Error(`Cannot find module '/srv/app/flowise-config/${name}'`) },
+  optionalModuleStatus: () => ({}),
+}));
+
+const { app, services, close } = await startServices();
+const { toMedicalAlerts, toUltrasoundFindings } = await import('../services/ultrasound.js');
+const { store, events } = services;
+const { logger } = await import('../logger.js');
+
+afterAll(close);
+
+beforeEach(() => {
+  gemma.installed = true;
+});
+
+const physician = createUser(services, 'physician');
+const otherPhysician = createUser(services, 'physician');
+const patient = createUser(services, 'patient');
+const admin = createUser(services, 'admin');
+
+function as(user) {
+  const withToken = call => call.set('Authorization', `Bearer ${user.token}`);
+  return {
+    get: url => withToken(request(app).get(url)),
+    post: url => withToken(request(app).post(url)),
+  };
+}
+
+function analyze(user, fields = { bodyPart: 'plantar fascia' }, image = Buffer.from('png-bytes')) {
+  const call = as(user).post('/api/ultrasound/analyze');
+  for (const [name, value] of Object.entries(fields)) call.field(name, value);
+  return image ? call.attach('image', image, { filename: 'scan.png', contentType: 'image/png' }) : call;
+}
+
+describe('toUltrasoundFindings', () => {
+  test('lists alerts first, then abnormal, uncertain and normal findings, each once', () => {
+    const findings = toUltrasoundFindings(interpretation);
+
+    expect(findings.map(finding => [finding.finding, finding.severity, finding.confidence])).toEqual([
+      ['Plantar fascia thickened to 6.1 mm', 'severe', 0.9],
+      ['Suspected rupture', 'severe', 0.7],
+      ['Hypoechoic fascia', 'moderate', 0.9],
+      ['Possible calcaneal spur', 'mild', 0.8],
+      ['No bursitis', 'mild', 0.9],
+    ]);
+    expect(findings[0]).toMatchObject({ location: { x: 0, y: 0, width: 1, height: 1 }, description: 'Measurement outside normal range' });
+    expect(toUltrasoundFindings({ confidence: 0.5, alerts: [{ message: 'Edema', urgency: 'low' }] })[0]).toMatchObject({
+      severity: 'mild',
+      description: 'Clinical concern',
+    });
+  });
+});
+
+describe('toMedicalAlerts', () => {
+  test('critical alerts are emergencies; high and critical need action', () => {
+    expect(toMedicalAlerts(interpretation)).toEqual([
+      expect.objectContaining({ type: 'red_flag', severity: 'high', requiresAction: true }),
+      expect.objectContaining({ type: 'emergency', severity: 'critical', requiresAction: true }),
+    ]);
+    expect(toMedicalAlerts({ alerts: [{ urgency: 'low', message: 'Edema' }] })[0]).toMatchObject({
+      severity: 'low',
+      recommendations: [],
+      requiresAction: false,
+    });
+    expect(toMedicalAlerts({})).toEqual([]);
+  });
+});
+
+describe('POST /api/ultrasound/analyze', () => {
+  test('stores the analysis, audits it and delivers it with its alerts to the session', async () => {
+    const session = store.createSession(physician.id, { title: 'Heel' });
+    const res = await analyze(physician, { bodyPart: 'plantar fascia', patientId: 'p-1', sessionId: session.id });
+    const published = events.replay(session.id, 0, events.cursor(session.id).epoch).events;
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'completed', modelUsed: 'gemma-3n-e4b', patientId: 'p-1', confidence: 0.9 });
+    expect(gemma.analyzeUltrasoundImage).toHaveBeenLastCalledWith(expect.any(Buffer), 'diagnostic', expect.objectContaining({ bodyPart: 'plantar fascia' }));
+    expect(published.map(event => event.type)).toEqual(['ultrasound_analysis', 'alert', 'alert']);
+    expect(published[2]).toMatchObject({ source: 'ultrasound', analysisId: res.body.data.id, alert: { type: 'emergency' } });
+    expect(auditEntries(services, 'ultrasound_analysis').at(-1)).toMatchObject({ analysisId: res.body.data.id, patientId: 'p-1' });
+  });
+
+  test('needs image access, an image, a body part and an owned session', async () => {
+    const otherSession = store.createSession(otherPhysician.id, { title: 'Knee' });
+
+    expect((await analyze(patient)).status).toBe(403);
+    expect(auditEntries(services, 'permission_check').at(-1)).toMatchObject({ userId: patient.id, outcome: 'denied' });
+    expect((await analyze(physician, { bodyPart: 'knee' }, null)).body.code).toBe('INVALID_UPLOAD');
+    expect((await analyze(physician, {})).body.code).toBe('INVALID_REQUEST');
+    expect((await analyze(physician, { bodyPart: 'knee', sessionId: otherSession.id })).body.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  test('a failed analysis is stored as failed', async () => {
+    gemma.analyzeUltrasoundImage.mockRejectedValueOnce(new Error('Tensor shape mismatch'));
+    const logged = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const res = await analyze(otherPhysician);
+
+    expect(res.status).toBe(500);
+    expect(res.body.message).not.toContain('Tensor');
+    expect(logged).toHaveBeenCalledTimes(1);
+    expect(store.listAnalyses(otherPhysician.id)).toEqual([expect.objectContaining({ status: 'failed', modelUsed: 'gemma-3n' })]);
+    logged.mockRestore();
+  });
+
+  test('a model that fails to load is loaded again on the next request', async () => {
+    const fresh = new services.ultrasoundService.constructor();
+    gemma.initializeModels.mockRejectedValueOnce(new Error('Out of memory'));
+
+    await expect(fresh.getAnalyzer()).rejects.toThrow('Out of memory');
+    await new Promise(resolve => setImmediate(resolve));
+    await expect(fresh.getAnalyzer()).resolves.toBeInstanceOf(GemmaUltrasoundAnalyzer);
+  });
+
+  test('without the analyzer module the answer is a 503 that names no paths', async () => {
+    gemma.installed = false;
+    const res = await analyze(physician);
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ code: 'ULTRASOUND_UNAVAILABLE', message: 'Ultrasound analysis is not available on this server' });
+    expect(res.body).not.toHaveProperty('details');
+    expect(JSON.stringify(res.body)).not.toContain('/srv/app');
+  });
+});
+
+describe('analyses', () => {
+  test('are read by their owner or an administrator, and each read is audited', async () => {
+    const { id } = (await analyze(physician)).body.data;
+
+    expect((await as(physician).get(`/api/ultrasound/analysis/${id}`)).body.data.id).toBe(id);
+    expect((await as(admin).get(`/api/ultrasound/analysis/${id}`)).status).toBe(200);
+    expect((await as(otherPhysician).get(`/api/ultrasound/analysis/${id}`)).body.code).toBe('ANALYSIS_NOT_FOUND');
+    expect(auditEntries(services, 'view_ultrasound_analysis').map(entry => entry.userId)).toEqual([physician.id, admin.id]);
+  });
+
+  test('history lists the user\'s own analyses', async () => {
+    const history = (await as(physician).get('/api/ultrasound/history')).body.data;
+
+    expect(history.length).toBeGreaterThan(0);
+    expect(history.every(analysis => analysis.userId === physician.id)).toBe(true);
+  });
+});
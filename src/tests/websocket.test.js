@@ -0,0 +1,350 @@
+// /api/ws: the handshake, client messages, streamed answers, replay, scanner subscriptions and closing
+
+import { EventEmitter } from 'events';
+import http from 'http';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { WebSocket } from 'ws';
+import {
+  auditEntries,
+  completion,
+  createUser,
+  routeAndStream,
+  stalledStream,
+  startServices,
+  streamOf,
+} from './helpers.js';
+
+const { app, services, close } = await startServices();
+// src modules read the environment startServices sets, so they are imported after it
+const { LiveUltrasoundBridge } = await import('../realtime/live-ultrasound.js');
+const { attachWebSocketServer, closeCodes } = await import('../realtime/websocket.js');
+const { store, events, config } = services;
+
+// A Clarius integration without the SDK: scanners connect instantly and analyses are emitted by the spec
+class FakeScannerIntegration extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = new Set();
+    this.disconnectScanner = jest.fn(async scannerId => this.connected.delete(scannerId));
+  }
+
+  getConnectedScanners() {
+    return [...this.connected];
+  }
+
+  async connectScanner(scannerId) {
+    this.connected.add(scannerId);
+  }
+}
+
+const integration = new FakeScannerIntegration();
+
+// One server as configured by default, one with live ultrasound
+async function listen(serverServices) {
+  const server = http.createServer(app);
+  const realtime = attachWebSocketServer(server, serverServices);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, realtime, url: `ws://127.0.0.1:${server.address().port}` };
+}
+
+const plain = await listen(services);
+const live = await listen({ ...services, liveUltrasound: new LiveUltrasoundBridge({ integration, events }) });
+
+afterAll(async () => {
+  for (const { server, realtime } of [plain, live]) {
+    realtime.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+  close();
+});
+
+beforeEach(() => {
+  routeAndStream.mockReset().mockImplementation((taskType, message, options) => streamOf(completion(options)));
+});
+
+const patient = createUser(services, 'patient');
+const physician = createUser(services, 'physician');
+
+function wsUrl(server, params) {
+  return `${server.url}/api/ws?${new URLSearchParams(params)}`;
+}
+
+// An open client; next(type) resolves with the first unread message of that type
+async function connect(user, sessionId, { server = plain, ...params } = {}) {
+  const ws = new WebSocket(wsUrl(server, { sessionId, token: user.token, ...params }));
+  const unread = [];
+  const waiting = [];
+  ws.on('message', data => {
+    const message = JSON.parse(data.toString());
+    const index = waiting.findIndex(waiter => waiter.type === message.type);
+    if (index === -1) {
+      unread.push(message);
+    } else {
+      waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+  const closed = new Promise(resolve => ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  return {
+    ws,
+    closed,
+    send: message => ws.send(typeof message === 'string' ? message : JSON.stringify(message)),
+    next(type) {
+      const index = unread.findIndex(message => message.type === type);
+      if (index !== -1) return Promise.resolve(unread.splice(index, 1)[0]);
+      return new Promise(resolve => waiting.push({ type, resolve }));
+    },
+    close() {
+      ws.close();
+      return closed;
+    },
+  };
+}
+
+// The HTTP answer to a refused handshake
+function refused(params, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(wsUrl(plain, params), { headers });
+    ws.on('unexpected-response', (req, res) => {
+      let body = '';
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    ws.on('open', () => reject(new Error('Handshake was accepted')));
+  });
+}
+
+// The server handles a client's close after the client has seen it
+async function until(condition) {
+  while (!condition()) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function newSession(user) {
+  return store.createSession(user.id, { title: 'Fascia' });
+}
+
+describe('handshake', () => {
+  test('needs a valid token for a session the user owns, and audits refusals', async () => {
+    const session = newSession(patient);
+    const noToken = await refused({ sessionId: session.id });
+    const otherUser = await refused({ sessionId: session.id, token: physician.token });
+
+    expect(noToken).toMatchObject({ status: 401, body: { code: 'UNAUTHORIZED' } });
+    expect(otherUser).toMatchObject({ status: 404, body: { code: 'SESSION_NOT_FOUND' } });
+    expect(auditEntries(services, 'websocket_connect').slice(-2).map(entry => [entry.outcome, entry.errorCode])).toEqual([
+      ['denied', 'UNAUTHORIZED'],
+      ['denied', 'SESSION_NOT_FOUND'],
+    ]);
+  });
+
+  test('origins outside CORS_ORIGIN are refused', async () => {
+    const session = newSession(patient);
+    config.corsOrigin = 'https://fbot.test';
+    try {
+      const res = await refused({ sessionId: session.id, token: patient.token }, { Origin: 'https://elsewhere.test' });
+      expect(res).toMatchObject({ status: 403, body: { code: 'FORBIDDEN' } });
+    } finally {
+      config.corsOrigin = true;
+    }
+  });
+
+  test('other paths are dropped', async () => {
+    const ws = new WebSocket(`${plain.url}/socket`);
+
+    await expect(new Promise((resolve, reject) => ws.on('error', reject))).rejects.toThrow('socket hang up');
+  });
+
+  test('a connection starts at the session cursor and answers pings', async () => {
+    const session = newSession(patient);
+    events.publish(session.id, 'typing', { isTyping: false });
+    const client = await connect(patient, session.id);
+
+    expect(await client.next('connected')).toMatchObject({
+      sessionId: session.id,
+      epoch: events.cursor(session.id).epoch,
+      seq: 1,
+      heartbeatIntervalMs: 30000,
+    });
+    client.send({ type: 'ping' });
+    expect(await client.next('pong')).toHaveProperty('timestamp');
+    expect(auditEntries(services, 'websocket_connect').at(-1)).toMatchObject({
+      userId: patient.id,
+      sessionId: session.id,
+      outcome: 'success',
+    });
+    await client.close();
+  });
+});
+
+describe('replay', () => {
+  test('a reconnecting client gets the events it missed, or a resync when they are gone', async () => {
+    const session = newSession(patient);
+    const { epoch } = events.cursor(session.id);
+    events.publish(session.id, 'typing', { isTyping: true });
+    events.publish(session.id, 'typing', { isTyping: false });
+
+    const caughtUp = await connect(patient, session.id, { epoch, lastSeq: 1 });
+    const restarted = await connect(patient, session.id, { epoch: 'old-epoch', lastSeq: 1 });
+
+    expect(await caughtUp.next('typing')).toMatchObject({ seq: 2, isTyping: false });
+    expect(await restarted.next('resync')).toMatchObject({ sessionId: session.id });
+    await Promise.all([caughtUp.close(), restarted.close()]);
+  });
+});
+
+describe('client messages', () => {
+  test('send_message streams the answer to every client of the session', async () => {
+    const session = newSession(patient);
+    const sender = await connect(patient, session.id);
+    const viewer = await connect(patient, session.id);
+    sender.send({ type: 'send_message', requestId: 'r1', message: 'What is fascia?' });
+
+    expect(await sender.next('stream_start')).toMatchObject({ clientRequestId: 'r1', model: 'gpt-4o' });
+    expect(await viewer.next('token')).toMatchObject({ index: 0, text: 'Fascia ' });
+    expect((await viewer.next('stream_end')).message.content).toBe(completion().text);
+    expect(store.listMessages(session.id).map(message => message.role)).toEqual(['user', 'assistant']);
+    await Promise.all([sender.close(), viewer.close()]);
+  });
+
+  test('cancel stops the sender\'s stream', async () => {
+    routeAndStream.mockImplementationOnce((taskType, message, options) => stalledStream(completion(options), options.signal));
+    const session = newSession(patient);
+    const client = await connect(patient, session.id);
+    client.send({ type: 'send_message', message: 'What is fascia?' });
+    const { messageId } = await client.next('token');
+    client.send({ type: 'cancel', messageId });
+
+    expect(await client.next('stream_cancelled')).toMatchObject({ messageId, message: { content: 'Fascia ' } });
+    client.send({ type: 'cancel', messageId });
+    expect(await client.next('error')).toMatchObject({ code: 'STREAM_NOT_FOUND' });
+    await client.close();
+  });
+
+  test('malformed, unknown and invalid messages are answered with errors', async () => {
+    const client = await connect(patient, newSession(patient).id);
+
+    client.send('not json');
+    expect(await client.next('error')).toMatchObject({ code: 'INVALID_MESSAGE' });
+    client.send({ type: 'shout' });
+    expect(await client.next('error')).toMatchObject({ code: 'UNKNOWN_MESSAGE_TYPE' });
+    client.send({ type: 'send_message', requestId: 'r2' });
+    expect(await client.next('error')).toMatchObject({ code: 'INVALID_REQUEST', requestId: 'r2' });
+    client.send({ type: 'send_message', requestId: 'r3', message: 'Her history?', patientId: 'p-1' });
+    expect(await client.next('error')).toMatchObject({ code: 'FORBIDDEN', requestId: 'r3' });
+    await client.close();
+  });
+
+  test('a failed answer reports its API error with the request id', async () => {
+    routeAndStream.mockImplementationOnce(() => {
+      const error = new Error('Monthly budget exhausted');
+      error.type = 'budget_exceeded';
+      throw error;
+    });
+    const client = await connect(patient, newSession(patient).id);
+    client.send({ type: 'send_message', requestId: 'r4', message: 'What is fascia?' });
+
+    expect(await client.next('error')).toMatchObject({ code: 'BUDGET_EXCEEDED', requestId: 'r4' });
+    await client.close();
+  });
+});
+
+describe('scanner subscriptions', () => {
+  test('need a scanner id, live ultrasound and access to medical images', async () => {
+    const withoutLive = await connect(physician, newSession(physician).id);
+    const asPatient = await connect(patient, newSession(patient).id, { server: live });
+
+    withoutLive.send({ type: 'subscribe_scanner' });
+    expect(await withoutLive.next('error')).toMatchObject({ code: 'INVALID_MESSAGE' });
+    withoutLive.send({ type: 'subscribe_scanner', scannerId: 'c3-1' });
+    expect(await withoutLive.next('error')).toMatchObject({ code: 'LIVE_ULTRASOUND_UNAVAILABLE' });
+    asPatient.send({ type: 'subscribe_scanner', scannerId: 'c3-1' });
+    expect(await asPatient.next('error')).toMatchObject({ code: 'FORBIDDEN' });
+    await Promise.all([withoutLive.close(), asPatient.close()]);
+  });
+
+  test('forward the scanner\'s analyses until the last watcher leaves', async () => {
+    const first = await connect(physician, newSession(physician).id, { server: live });
+    const second = await connect(physician, newSession(physician).id, { server: live });
+    first.send({ type: 'subscribe_scanner', scannerId: 'c3-1' });
+    expect(await first.next('scanner_status')).toMatchObject({ scannerId: 'c3-1', connected: true });
+    second.send({ type: 'subscribe_scanner', scannerId: 'c3-1' });
+    await second.next('scanner_status');
+
+    integration.emit('analysisComplete', { scannerId: 'c3-1', analysis: { findings: [] }, timestamp: 't1' });
+    integration.emit('analysisError', { scannerId: 'c3-1', error: 'Frame dropped' });
+    integration.emit('analysisComplete', { scannerId: 'other', analysis: {}, timestamp: 't2' });
+    expect(await first.next('live_ultrasound')).toMatchObject({ scannerId: 'c3-1', analyzedAt: 't1' });
+    expect(await first.next('live_ultrasound_error')).toMatchObject({ error: 'Frame dropped' });
+
+    second.send({ type: 'unsubscribe_scanner', scannerId: 'c3-1' });
+    second.send({ type: 'ping' });
+    await second.next('pong');
+    expect(integration.disconnectScanner).not.toHaveBeenCalled();
+
+    integration.disconnectScanner.mockRejectedValueOnce(new Error('SDK gone'));
+    await first.close();
+    await until(() => integration.disconnectScanner.mock.calls.length > 0);
+    expect(integration.disconnectScanner).toHaveBeenCalledWith('c3-1');
+    await second.close();
+  });
+
+  test('a disconnected scanner is reported', async () => {
+    const client = await connect(physician, newSession(physician).id, { server: live });
+    client.send({ type: 'subscribe_scanner', scannerId: 'c3-2' });
+    await client.next('scanner_status');
+    integration.emit('scannerDisconnected', { scannerId: 'c3-2' });
+
+    expect(await client.next('scanner_status')).toMatchObject({ scannerId: 'c3-2', connected: false });
+    await client.close();
+  });
+});
+
+describe('closing', () => {
+  test('deleting the session closes its connections with 4004', async () => {
+    const session = newSession(patient);
+    const client = await connect(patient, session.id);
+    await request(app).delete(`/api/chat/sessions/${session.id}`).set('Authorization', `Bearer ${patient.token}`);
+
+    expect(await client.next('session_closed')).toMatchObject({ reason: 'deleted' });
+    expect(await client.closed).toEqual({ code: closeCodes.sessionNotFound, reason: 'Session deleted' });
+  });
+
+  test('a session removed behind the socket\'s back closes it on the next message', async () => {
+    const session = newSession(patient);
+    const client = await connect(patient, session.id);
+    store.deleteSession(session.id);
+    client.send({ type: 'ping' });
+
+    expect((await client.closed).code).toBe(closeCodes.sessionNotFound);
+  });
+
+  test('the connection closes with 4001 when the access token expires', async () => {
+    const session = newSession(patient);
+    const token = jwt.sign({ role: 'patient' }, config.jwt.secret, {
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience,
+      subject: patient.id,
+      expiresIn: 1,
+    });
+    const client = await connect({ token }, session.id);
+
+    expect(await client.closed).toEqual({ code: closeCodes.tokenExpired, reason: 'Access token expired' });
+  });
+
+  test('shutting down closes every client with 1001', async () => {
+    const server = await listen(services);
+    const client = await connect(patient, newSession(patient).id, { server });
+    server.realtime.close();
+
+    expect((await client.closed).code).toBe(1001);
+    await new Promise(resolve => server.server.close(resolve));
+  });
+});